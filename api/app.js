@@ -0,0 +1,145 @@
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const database = require('./config/database');
+const {
+  errorHandler,
+  notFound,
+  requestLogger,
+  securityHeaders
+} = require('./middleware/errorHandler');
+const {
+  generalLimiter,
+  authLimiter,
+  bookingLimiter,
+  paymentLimiter,
+  passwordResetLimiter,
+  searchLimiter
+} = require('./middleware/rateLimiting');
+
+const docsRoutes = require('./routes/docs');
+const demoRoutes = require('./routes/demo');
+const authRoutes = require('./routes/auth');
+const bookingRoutes = require('./routes/bookings');
+const roomRoutes = require('./routes/rooms');
+const paymentRoutes = require('./routes/payments');
+const metricsRoutes = require('./routes/metrics');
+const promoCodeRoutes = require('./routes/promoCodes');
+const adminRoutes = require('./routes/admin');
+const groupRoutes = require('./routes/groups');
+const roomBlockRoutes = require('./routes/roomBlocks');
+const waitlistRoutes = require('./routes/waitlist');
+const productRoutes = require('./routes/products');
+
+const WEBHOOK_PATH = '/api/payments/webhook';
+
+/**
+ * Ensure MongoDB is connected before handing the request to a router.
+ * Serverless functions are cold-started per container, so the connection
+ * is opened lazily and reused for subsequent invocations.
+ */
+const connectDatabase = async (req, res, next) => {
+  if (mongoose.connection.readyState === 1) {
+    return next();
+  }
+
+  try {
+    await database.connect();
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Parse JSON bodies everywhere except the Stripe webhook,
+ * which needs the raw payload to verify the signature
+ */
+const jsonParser = () => {
+  const parser = express.json();
+
+  return (req, res, next) => {
+    if (req.originalUrl.startsWith(WEBHOOK_PATH)) {
+      return next();
+    }
+    parser(req, res, next);
+  };
+};
+
+/**
+ * Create the Express application
+ * @param {Object} options - Application options
+ * @param {Boolean} options.demoMode - Mount the sample data routes under /api/demo
+ * @param {Boolean} options.rateLimiting - Apply the rate limiters
+ * @param {Boolean} options.logging - Log every request
+ * @returns {Object} Express application
+ */
+const createApp = ({
+  demoMode = process.env.DEMO_MODE === 'true',
+  rateLimiting = process.env.NODE_ENV !== 'test',
+  logging = process.env.NODE_ENV !== 'test'
+} = {}) => {
+  const app = express();
+
+  // Behind the Netlify/Vercel proxy, trust the first hop for client IPs
+  app.set('trust proxy', 1);
+
+  // Middleware
+  app.use(securityHeaders);
+  app.use(cors());
+  app.use(jsonParser());
+  if (logging) {
+    app.use(requestLogger);
+  }
+  app.use(express.static(path.join(__dirname, '..', 'public')));
+
+  // Rate limiting
+  if (rateLimiting) {
+    app.use('/api', generalLimiter);
+    app.use(['/api/auth/login', '/api/auth/register'], authLimiter);
+    app.use('/api/auth/forgot-password', passwordResetLimiter);
+    app.post('/api/bookings', bookingLimiter);
+    app.use(['/api/payments/create-intent', '/api/payments/links'], paymentLimiter);
+    app.use(['/api/rooms/search', '/api/promo-codes/validate'], searchLimiter);
+  }
+
+  // Documentation and status routes (no database required)
+  app.use('/api', docsRoutes);
+
+  // Sample payloads for demos only
+  if (demoMode) {
+    app.use('/api/demo', demoRoutes);
+  }
+
+  // API routes
+  app.use('/api/auth', connectDatabase, authRoutes);
+  app.use('/api/bookings', connectDatabase, bookingRoutes);
+  app.use('/api/rooms', connectDatabase, roomRoutes);
+  app.use('/api/payments', connectDatabase, paymentRoutes);
+  app.use('/api/metrics', connectDatabase, metricsRoutes);
+  app.use('/api/promo-codes', connectDatabase, promoCodeRoutes);
+  app.use('/api/admin', connectDatabase, adminRoutes);
+  app.use('/api/groups', connectDatabase, groupRoutes);
+  app.use('/api/room-blocks', connectDatabase, roomBlockRoutes);
+  app.use('/api/waitlist', connectDatabase, waitlistRoutes);
+  app.use('/api/products', connectDatabase, productRoutes);
+
+  // Serve HTML for browsers, JSON for API requests
+  app.get('/', (req, res) => {
+    if (req.accepts('html') && !req.headers['x-api-request']) {
+      res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
+    } else {
+      res.redirect('/api');
+    }
+  });
+
+  // 404 and error handlers
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = { createApp };
@@ -2,12 +2,14 @@
 
 // Booking statuses
 const BOOKING_STATUS = {
-  PENDING: 'pending',
+  HOLD: 'hold', // Inventory held until payment arrives or the hold lapses
+  PENDING: 'pending', // Inventory secured, balance outstanding
   CONFIRMED: 'confirmed',
   CANCELLED: 'cancelled',
   CHECKED_IN: 'checked_in',
   CHECKED_OUT: 'checked_out',
-  NO_SHOW: 'no_show'
+  NO_SHOW: 'no_show',
+  EXPIRED: 'expired' // Hold lapsed without payment
 };
 
 // Room statuses
@@ -27,6 +29,55 @@ const ROOM_TYPES = {
   SUITE: 'suite'
 };
 
+// Bed statuses (bed-level inventory for dorms and shared rooms)
+const BED_STATUS = {
+  AVAILABLE: 'available',
+  BLOCKED: 'blocked',
+  OUT_OF_ORDER: 'out_of_order'
+};
+
+// Bunk positions
+const BED_POSITIONS = {
+  SINGLE: 'single',
+  BOTTOM: 'bottom',
+  TOP: 'top'
+};
+
+// Bed gender restrictions
+const GENDER_RESTRICTIONS = {
+  NONE: 'none',
+  FEMALE: 'female',
+  MALE: 'male'
+};
+
+// Rate plan adjustments applied to a room's base price
+const RATE_ADJUSTMENT_TYPES = {
+  PERCENTAGE: 'percentage', // +/- percent of the rate
+  AMOUNT: 'amount',         // +/- amount per unit per night
+  FIXED_RATE: 'fixed_rate'  // Replace the rate outright
+};
+
+// Reasons a stay is refused by stay restrictions
+const STAY_RESTRICTION_REASONS = {
+  MIN_STAY: 'min_stay',
+  MAX_STAY: 'max_stay',
+  CLOSED_TO_ARRIVAL: 'closed_to_arrival',
+  CLOSED_TO_DEPARTURE: 'closed_to_departure'
+};
+
+// Reasons a promo code cannot be applied
+const PROMO_REJECTION_REASONS = {
+  INACTIVE: 'inactive',
+  NOT_STARTED: 'not_started',
+  EXPIRED: 'expired',
+  STAY_OUTSIDE_WINDOW: 'stay_outside_window',
+  MIN_NIGHTS: 'min_nights',
+  ROOM_TYPE: 'room_type',
+  NOT_STACKABLE: 'not_stackable',
+  USAGE_LIMIT: 'usage_limit',
+  GUEST_LIMIT: 'guest_limit'
+};
+
 // User roles
 const USER_ROLES = {
   GUEST: 'guest',
@@ -38,11 +89,72 @@ const USER_ROLES = {
 const PAYMENT_STATUS = {
   PENDING: 'pending',
   PROCESSING: 'processing',
+  AUTHORIZED: 'authorized', // Held on the card until captured or released
   SUCCEEDED: 'succeeded',
   FAILED: 'failed',
   CANCELLED: 'cancelled',
   REFUNDED: 'refunded',
-  PARTIALLY_REFUNDED: 'partially_refunded'
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  DISPUTED: 'disputed' // Charged back by the card holder; funds withdrawn until the dispute is won
+};
+
+// What a payment is for
+const PAYMENT_TYPES = {
+  BOOKING: 'booking',                  // Towards the booking balance
+  SECURITY_DEPOSIT: 'security_deposit' // Card authorisation at check-in against damages
+};
+
+// Payment links staff send to guests who booked by phone or at the desk
+const PAYMENT_LINK_STATUS = {
+  SENT: 'sent',
+  OPENED: 'opened',
+  PAID: 'paid',
+  EXPIRED: 'expired'
+};
+
+// Stripe dispute statuses; warning_* are inquiries that have not withdrawn funds yet
+const DISPUTE_STATUS = {
+  WARNING_NEEDS_RESPONSE: 'warning_needs_response',
+  WARNING_UNDER_REVIEW: 'warning_under_review',
+  WARNING_CLOSED: 'warning_closed',
+  NEEDS_RESPONSE: 'needs_response',
+  UNDER_REVIEW: 'under_review',
+  WON: 'won',
+  LOST: 'lost'
+};
+
+// Double-entry ledger accounts
+const LEDGER_ACCOUNTS = {
+  GUEST_RECEIVABLE: 'guest_receivable', // Owed by guests who have arrived, or whose booking has ended
+  DEPOSITS_HELD: 'deposits_held', // Paid by guests ahead of arrival
+  STRIPE_CLEARING: 'stripe_clearing', // Card money held by Stripe until paid out
+  BANK: 'bank', // Stripe payouts and bank transfers received
+  CASH: 'cash', // Cash taken at the front desk
+  DEFERRED_REVENUE: 'deferred_revenue', // Room charges for nights the night audit has not closed yet
+  ROOM_REVENUE: 'room_revenue', // Room nights, and the fees kept on cancellations and no-shows
+  EXTRAS_REVENUE: 'extras_revenue', // Folio charges
+  TAX_PAYABLE: 'tax_payable',
+  FEES_EXPENSE: 'fees_expense', // Card processing and dispute fees
+  WRITE_OFFS: 'write_offs' // Chargebacks and refunds given without reducing what the guest owes
+};
+
+// What a ledger entry records
+const LEDGER_ENTRY_TYPES = {
+  CHARGE: 'charge',
+  REVENUE: 'revenue', // A room night earned, posted by the night audit
+  PAYMENT: 'payment',
+  REFUND: 'refund',
+  FEE: 'fee',
+  WRITE_OFF: 'write_off',
+  DEPOSIT_APPLIED: 'deposit_applied',
+  PAYOUT: 'payout'
+};
+
+// How a line of a Stripe payout compares with our records
+const PAYOUT_ITEM_STATUS = {
+  MATCHED: 'matched',
+  MISMATCHED: 'mismatched', // Found, but the amount or status differs
+  UNMATCHED: 'unmatched' // Nothing of ours to match it to
 };
 
 // Payment methods
@@ -63,7 +175,60 @@ const BOOKING_SOURCES = {
   HOSTELWORLD: 'hostelworld',
   PHONE: 'phone',
   WALK_IN: 'walk_in',
-  API: 'api'
+  API: 'api',
+  GROUP: 'group'
+};
+
+// Add-on product categories
+const PRODUCT_CATEGORIES = {
+  FOOD_BEVERAGE: 'food_beverage', // Breakfast, bar tabs
+  RENTAL: 'rental',               // Towels, lockers, bikes
+  RETAIL: 'retail',               // Padlocks, toiletries
+  TOUR: 'tour',
+  SERVICE: 'service',             // Laundry, transfers
+  OTHER: 'other'
+};
+
+// How a bookable extra is charged for a stay
+const EXTRA_PRICING_UNITS = {
+  PER_STAY: 'per_stay',                        // Linen pack, late check-out
+  PER_NIGHT: 'per_night',
+  PER_PERSON: 'per_person',                    // Airport pickup
+  PER_PERSON_PER_NIGHT: 'per_person_per_night' // Breakfast
+};
+
+// Tax categories for folio charges; rates are in PRICING.TAX_RATES
+const TAX_CATEGORIES = {
+  STANDARD: 'standard',
+  REDUCED: 'reduced',
+  EXEMPT: 'exempt'
+};
+
+// Why a cash or bank transfer payment was voided
+const PAYMENT_VOID_REASONS = {
+  POSTING_ERROR: 'posting_error',
+  DUPLICATE: 'duplicate',
+  WRONG_BOOKING: 'wrong_booking',
+  OTHER: 'other'
+};
+
+// Why a folio charge was voided
+const FOLIO_VOID_REASONS = {
+  POSTING_ERROR: 'posting_error',
+  DUPLICATE: 'duplicate',
+  GUEST_COMPLAINT: 'guest_complaint',
+  COMPLIMENTARY: 'complimentary',
+  STAY_SHORTENED: 'stay_shortened', // Nightly extras for nights no longer stayed
+  OTHER: 'other'
+};
+
+// Waitlist entry statuses
+const WAITLIST_STATUS = {
+  WAITING: 'waiting',   // In the queue for matching space
+  OFFERED: 'offered',   // Space is held for the guest to complete the booking
+  BOOKED: 'booked',     // The guest completed the offered booking
+  EXPIRED: 'expired',   // The offer lapsed, or the dates passed while waiting
+  CANCELLED: 'cancelled' // The guest left the waitlist
 };
 
 // API response messages
@@ -134,8 +299,78 @@ const BUSINESS_RULES = {
     MORE_THAN_1_DAY: 0.50,  // 50%
     LESS_THAN_1_DAY: 1.00   // 100%
   },
-  DEFAULT_DEPOSIT_PERCENTAGE: 0.20, // 20%
-  MAX_GUESTS_PER_BOOKING: 8
+  DEFAULT_DEPOSIT_PERCENTAGE: 0.20, // 20% of the stay due with the first payment, unless the rate plan says otherwise
+  SECURITY_DEPOSIT_AMOUNT: 50, // Authorised on the guest's card at check-in against damages
+  BALANCE_DUE_DAYS: 7, // Balance charged to the saved card this many days before arrival, unless the rate plan says otherwise
+  MAX_BALANCE_CHARGE_ATTEMPTS: 3, // Failed balance charges before the booking is cancelled
+  BALANCE_RETRY_HOURS: 24, // Wait between balance charge attempts
+  PAYMENT_LINK_EXPIRY_HOURS: 48, // How long a payment link works; a held booking stays held until then
+  HOLD_DURATION_MINUTES: 15, // Inventory held for unpaid bookings during checkout
+  MAX_REFUND_ATTEMPTS: 5, // Automatic retries for cancellation refunds before staff step in
+  NO_SHOW_CUTOFF_HOURS: 26, // From midnight on the arrival date; unarrived guests are no-shows after this
+  MAX_STAY_SEGMENTS: 4, // Rooms one booking can be split across
+  MAX_SPLIT_STAY_OPTIONS: 5, // Split-stay combinations offered when no single room is free
+  MAX_SPLIT_STAY_NIGHTS: 30, // Longer searches are not offered split stays
+  WAITLIST_OFFER_HOURS: 24, // How long freed space is held for a waitlisted guest
+  MAX_WAITLIST_OFFERS_PER_RUN: 20, // Entries tried each time space frees up
+  MAX_GUESTS_PER_BOOKING: 8,
+  MAX_BOOKING_EXTRAS: 10 // Different extras one booking can add
+};
+
+// Cancellation policy presets. Tiers charge feePercentage when cancelling
+// fewer than hoursBeforeCheckIn hours before check-in; otherwise the
+// policy's defaultFeePercentage applies. No-shows pay the fee for cancelling
+// at check-in unless a policy sets noShowFeePercentage.
+const CANCELLATION_POLICIES = {
+  FLEXIBLE: {
+    type: 'flexible',
+    name: 'Flexible',
+    tiers: [{ hoursBeforeCheckIn: 24, feePercentage: 100 }],
+    defaultFeePercentage: 0,
+    freeCancellationHours: 0
+  },
+  MODERATE: {
+    type: 'moderate',
+    name: 'Moderate',
+    tiers: [
+      { hoursBeforeCheckIn: 24, feePercentage: 100 },
+      { hoursBeforeCheckIn: 120, feePercentage: 50 }
+    ],
+    defaultFeePercentage: 0,
+    freeCancellationHours: 48
+  },
+  NON_REFUNDABLE: {
+    type: 'non_refundable',
+    name: 'Non-refundable',
+    tiers: [],
+    defaultFeePercentage: 100,
+    freeCancellationHours: 0
+  },
+  // Used when no policy has been configured, from BUSINESS_RULES.CANCELLATION_FEES
+  STANDARD: {
+    type: 'custom',
+    name: 'Standard',
+    tiers: [
+      { hoursBeforeCheckIn: 24, feePercentage: Math.round(BUSINESS_RULES.CANCELLATION_FEES.LESS_THAN_1_DAY * 100) },
+      { hoursBeforeCheckIn: 48, feePercentage: Math.round(BUSINESS_RULES.CANCELLATION_FEES.MORE_THAN_1_DAY * 100) },
+      { hoursBeforeCheckIn: 168, feePercentage: Math.round(BUSINESS_RULES.CANCELLATION_FEES.MORE_THAN_2_DAYS * 100) }
+    ],
+    defaultFeePercentage: Math.round(BUSINESS_RULES.CANCELLATION_FEES.MORE_THAN_7_DAYS * 100),
+    freeCancellationHours: 0
+  }
+};
+
+// Pricing rules
+const PRICING = {
+  TAX_RATE: 0.15, // 15% sales/occupancy tax
+  TAX_RATES: { // Folio charges, by tax category
+    standard: 0.15,
+    reduced: 0.05,
+    exempt: 0
+  },
+  SERVICE_FEE_PERCENTAGE: 0, // Percentage of room charges
+  PER_PERSON_ROOM_TYPES: ['shared', 'dorm'], // Priced per guest; other types per room
+  DISCOUNT_TYPES: ['percentage', 'fixed']
 };
 
 // Currencies
@@ -152,16 +387,36 @@ module.exports = {
   BOOKING_STATUS,
   ROOM_STATUS,
   ROOM_TYPES,
+  BED_STATUS,
+  BED_POSITIONS,
+  GENDER_RESTRICTIONS,
+  RATE_ADJUSTMENT_TYPES,
+  STAY_RESTRICTION_REASONS,
+  PROMO_REJECTION_REASONS,
   USER_ROLES,
   PAYMENT_STATUS,
+  PAYMENT_TYPES,
+  PAYMENT_LINK_STATUS,
+  DISPUTE_STATUS,
+  LEDGER_ACCOUNTS,
+  LEDGER_ENTRY_TYPES,
+  PAYOUT_ITEM_STATUS,
   PAYMENT_METHODS,
   BOOKING_SOURCES,
+  PRODUCT_CATEGORIES,
+  EXTRA_PRICING_UNITS,
+  TAX_CATEGORIES,
+  FOLIO_VOID_REASONS,
+  PAYMENT_VOID_REASONS,
+  WAITLIST_STATUS,
   API_MESSAGES,
   EMAIL_TEMPLATES,
   TIME_CONSTANTS,
   RATE_LIMITS,
   VALIDATION,
   BUSINESS_RULES,
+  CANCELLATION_POLICIES,
+  PRICING,
   SUPPORTED_CURRENCIES,
   UPLOAD_LIMITS
 };
\ No newline at end of file
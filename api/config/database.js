@@ -25,7 +25,6 @@ class Database {
         
         // Stability options
         bufferCommands: false,
-        bufferMaxEntries: 0,
         
         // Naming strategy
         useNewUrlParser: true,
@@ -0,0 +1,109 @@
+const { NightAudit } = require('../models');
+const { API_MESSAGES } = require('../config/constants');
+const nightAudit = require('../jobs/nightAudit');
+
+class AdminController {
+  /**
+   * Run the night audit now (Admin only)
+   * Closes every business date whose no-show cutoff has passed.
+   */
+  async runNightAudit(req, res) {
+    try {
+      const { audits, businessDate } = await nightAudit({ runBy: req.user });
+
+      res.json({
+        success: true,
+        message: audits.length > 0 ? 'Night audit completed' : 'No business date is ready to close',
+        data: { audits, businessDate }
+      });
+
+    } catch (error) {
+      console.error('Night audit error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get night audit reports (Staff and Admin only)
+   */
+  async getNightAudits(req, res) {
+    try {
+      const { status, page = 1, limit = 20 } = req.query;
+
+      const filter = {};
+      if (status) filter.status = status;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const audits = await NightAudit.find(filter)
+        .populate('runBy', 'firstName lastName')
+        .sort({ businessDate: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await NightAudit.countDocuments(filter);
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: {
+          audits,
+          businessDate: await NightAudit.currentBusinessDate(null),
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / parseInt(limit))
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get night audits error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a night audit report (Staff and Admin only)
+   */
+  async getNightAuditById(req, res) {
+    try {
+      const audit = await NightAudit.findById(req.params.id)
+        .populate('runBy', 'firstName lastName')
+        .populate('noShows.booking', 'bookingReference room checkInDate checkOutDate payment');
+
+      if (!audit) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Night audit not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: { audit }
+      });
+
+    } catch (error) {
+      console.error('Get night audit error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new AdminController();
@@ -1,5 +1,90 @@
-const { Booking, Room, User } = require('../models');
-const { API_MESSAGES, BOOKING_STATUS } = require('../config/constants');
+const {
+  Booking,
+  Room,
+  User,
+  RatePlan,
+  StayRestriction,
+  PromoCode,
+  PromoRedemption
+} = require('../models');
+const { API_MESSAGES, BOOKING_STATUS, BUSINESS_RULES, STAY_RESTRICTION_REASONS } = require('../config/constants');
+const pricingService = require('../services/pricingService');
+const refundService = require('../services/refundService');
+const bookingStateMachine = require('../services/bookingStateMachine');
+const inventoryService = require('../services/inventoryService');
+const waitlistService = require('../services/waitlistService');
+const extrasService = require('../services/extrasService');
+const securityDepositService = require('../services/securityDepositService');
+const { APIError } = require('../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What a guest may change on their booking; everything else is set by the
+// server or changes through its own endpoint
+const UPDATABLE_FIELDS = ['guestDetails', 'specialRequests', 'guestCount', 'checkInDate', 'checkOutDate'];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Back-to-back segments in the same room and beds become one
+const mergeSegments = (segments) => {
+  const unitsKey = (segment) => `${segment.room}:${segment.beds.map(String).sort().join(',')}`;
+
+  return segments.reduce((merged, segment) => {
+    const previous = merged[merged.length - 1];
+    if (previous && unitsKey(previous) === unitsKey(segment)) {
+      previous.checkOutDate = segment.checkOutDate;
+    } else {
+      merged.push(segment);
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Take a checked-in guest's security deposit and save the booking.
+ * @returns {Object} { payment, clientSecret } or { error } when Stripe refused it
+ */
+const authorizeSecurityDeposit = async (booking, options) => {
+  try {
+    const deposit = await securityDepositService.authorize(booking, options);
+    await booking.save();
+    return deposit;
+  } catch (error) {
+    console.error('Security deposit error:', error);
+    return { error: error.message };
+  }
+};
+
+/**
+ * Re-total a stay whose nights changed and settle the difference: extra
+ * nights are added to the balance, and anything paid above what is now due is
+ * refunded to the guest's card.
+ * @returns {Object} { previousTotal, difference, refund }
+ */
+const settleStayChange = async (booking, nightlyRates, { user, note }) => {
+  const previousTotal = booking.pricing.totalAmount;
+  booking.pricing = pricingService.repriceNights(booking.pricing, nightlyRates);
+  booking.updatePaymentStatus();
+
+  booking.notes.push({ content: note, addedBy: user._id, type: 'general' });
+  await booking.save();
+
+  const refund = await refundService.refundOverpayment(booking, {
+    reason: note,
+    processedBy: user._id,
+    reference: booking.notes[booking.notes.length - 1]._id.toString()
+  });
+
+  return {
+    previousTotal,
+    difference: pricingService.round(booking.pricing.totalAmount - previousTotal),
+    refund
+  };
+};
 
 class BookingController {
   /**
@@ -90,6 +175,7 @@ class BookingController {
       const booking = await Booking.findById(id)
         .populate('user', 'firstName lastName email phone profile')
         .populate('room', 'roomNumber type basePrice amenities description images')
+        .populate('segments.room', 'roomNumber type')
         .lean();
 
       if (!booking) {
@@ -137,85 +223,217 @@ class BookingController {
         guestCount,
         guestDetails,
         specialRequests,
+        bedIds,
+        ratePlanId,
+        promoCode: code,
+        segments,
+        extras: selectedExtras = [],
         source = 'direct'
       } = req.body;
 
-      // Check room availability
-      const room = await Room.findById(roomId);
-      if (!room || !room.isActive) {
-        return res.status(400).json({
-          success: false,
-          message: API_MESSAGES.BAD_REQUEST,
-          error: 'Room not available'
+      // A split stay lists its rooms; otherwise the whole stay is in roomId
+      const stayPlan = segments && segments.length > 0
+        ? segments
+        : [{ roomId, checkInDate, checkOutDate, bedIds }];
+
+      const stay = [];
+      for (const segment of stayPlan) {
+        // Check room availability
+        const segmentRoom = await Room.findById(segment.roomId);
+        if (!segmentRoom || !segmentRoom.isActive) {
+          return res.status(400).json({
+            success: false,
+            message: API_MESSAGES.BAD_REQUEST,
+            error: 'Room not available'
+          });
+        }
+
+        // Check capacity
+        if (guestCount > segmentRoom.capacity) {
+          return res.status(400).json({
+            success: false,
+            message: API_MESSAGES.BAD_REQUEST,
+            error: 'Guest count exceeds room capacity'
+          });
+        }
+
+        stay.push({
+          room: segmentRoom,
+          checkIn: new Date(segment.checkInDate),
+          checkOut: new Date(segment.checkOutDate),
+          bedIds: segment.bedIds
         });
       }
 
-      // Check capacity
-      if (guestCount > room.capacity) {
+      const [{ room }] = stay;
+      const roomTypes = [...new Set(stay.map(segment => segment.room.type))];
+
+      // Enforce length-of-stay and arrival/departure restrictions on each room's nights
+      const restrictions = await StayRestriction.evaluateSegments(stay.map(segment => ({
+        roomType: segment.room.type,
+        checkIn: segment.checkIn,
+        checkOut: segment.checkOut
+      })));
+      if (restrictions.length > 0) {
         return res.status(400).json({
           success: false,
           message: API_MESSAGES.BAD_REQUEST,
-          error: 'Guest count exceeds room capacity'
+          error: 'Stay restrictions not met for selected dates',
+          reasons: restrictions
         });
       }
 
-      // Check for conflicts
-      const isAvailable = await room.checkAvailability(
-        new Date(checkInDate),
-        new Date(checkOutDate)
-      );
+      // Resolve the selected rate plan
+      let ratePlan = null;
+      if (ratePlanId) {
+        ratePlan = await RatePlan.findById(ratePlanId);
+        if (!ratePlan || !ratePlan.isActive || !roomTypes.every(type => ratePlan.appliesTo(type))) {
+          return res.status(400).json({
+            success: false,
+            message: API_MESSAGES.BAD_REQUEST,
+            error: 'Rate plan not available for this room'
+          });
+        }
+      }
 
-      if (!isAvailable) {
-        return res.status(400).json({
-          success: false,
-          message: API_MESSAGES.BAD_REQUEST,
-          error: 'Room not available for selected dates'
-        });
+      // Check the promo code against this stay and guest
+      let promoCode = null;
+      if (code) {
+        promoCode = await PromoCode.findByCode(code);
+        if (!promoCode) {
+          return res.status(400).json({
+            success: false,
+            message: API_MESSAGES.BAD_REQUEST,
+            error: 'Invalid promo code'
+          });
+        }
+
+        // Every room type of a split stay must qualify
+        const promoReasons = [];
+        for (const roomType of roomTypes) {
+          const reasons = await promoCode.checkEligibility({
+            roomType,
+            checkIn: checkInDate,
+            checkOut: checkOutDate,
+            ratePlan,
+            userId: req.user._id
+          });
+          promoReasons.push(...reasons.filter(reason => {
+            return !promoReasons.some(seen => seen.code === reason.code);
+          }));
+        }
+
+        if (promoReasons.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: API_MESSAGES.BAD_REQUEST,
+            error: 'Promo code cannot be applied to this booking',
+            reasons: promoReasons
+          });
+        }
       }
 
-      // Calculate pricing
-      const nights = Math.ceil(
-        (new Date(checkOutDate) - new Date(checkInDate)) / (1000 * 60 * 60 * 24)
-      );
-      const baseAmount = room.basePrice * nights * guestCount;
-      const taxes = baseAmount * 0.15; // 15% tax
-      const totalAmount = baseAmount + taxes;
+      // Dorms created before bed-level inventory get their beds now
+      for (const segment of stay) {
+        await segment.room.ensureBeds();
+      }
+
+      // Extras are priced with the stay and must have capacity left on their days
+      const extras = await extrasService.resolve(selectedExtras);
+
+      // Price the stay with the same engine used for search quotes
+      const quote = await pricingService.quoteSegments(stay, {
+        guestCount,
+        ratePlan,
+        discount: promoCode ? promoCode.toDiscount() : null,
+        extras
+      });
+
+      if (quote.extras) {
+        await extrasService.checkCapacity(extras, quote.extras);
+      }
 
       // Create booking
       const bookingData = {
         user: req.user._id,
-        room: roomId,
+        room: room._id,
         checkInDate: new Date(checkInDate),
         checkOutDate: new Date(checkOutDate),
+        segments: stay.map(segment => ({
+          room: segment.room._id,
+          checkInDate: segment.checkIn,
+          checkOutDate: segment.checkOut
+        })),
         guestCount,
         guestDetails,
         specialRequests: specialRequests || [],
         source,
-        pricing: {
-          baseAmount,
-          taxes,
-          fees: {
-            cleaning: 0,
-            service: 0,
-            deposit: 0
-          },
-          discounts: {
-            amount: 0
-          },
-          totalAmount
-        },
+        pricing: pricingService.toBookingPricing(quote),
+        cancellationPolicy: quote.cancellationPolicy,
+        status: BOOKING_STATUS.HOLD,
         payment: {
           status: 'pending',
-          remainingAmount: totalAmount
+          remainingAmount: quote.totalAmount,
+          balanceDueDate: quote.balanceDueDate
         }
       };
 
       const booking = new Booking(bookingData);
-      await booking.save();
+      if (quote.extras) {
+        extrasService.addToBooking(booking, quote.extras, { postedBy: req.user._id });
+      }
+
+      // Atomically reserve the room or beds, held until payment arrives
+      const holdExpiresAt = new Date(Date.now() + BUSINESS_RULES.HOLD_DURATION_MINUTES * 60 * 1000);
+      const reserved = await inventoryService.reserveSegments(stay, {
+        bookingId: booking._id,
+        guestCount,
+        gender: guestDetails?.primaryGuest?.gender,
+        expiresAt: holdExpiresAt
+      });
+
+      if (!reserved) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: stay.some(segment => segment.bedIds && segment.bedIds.length > 0)
+            ? 'Requested beds not available for selected dates'
+            : 'Room not available for selected dates'
+        });
+      }
+
+      reserved.forEach((beds, index) => {
+        booking.segments[index].beds = beds.map(bed => bed._id || bed);
+      });
+      booking.beds = booking.segments[0].beds;
+      booking.hold = { expiresAt: holdExpiresAt };
+
+      // Take a use of the promo code; the global cap is enforced atomically
+      if (promoCode && !(await PromoCode.claimUse(promoCode._id))) {
+        await booking.releaseInventory();
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Promo code has been fully redeemed'
+        });
+      }
+
+      try {
+        await booking.save();
+      } catch (error) {
+        await booking.releaseInventory();
+        if (promoCode) await PromoCode.releaseUse(promoCode._id);
+        throw error;
+      }
+
+      if (promoCode) {
+        await PromoRedemption.record(booking);
+      }
 
       // Populate for response
       await booking.populate('user', 'firstName lastName email phone');
       await booking.populate('room', 'roomNumber type basePrice amenities');
+      await booking.populate('segments.room', 'roomNumber type');
 
       res.status(201).json({
         success: true,
@@ -224,6 +442,14 @@ class BookingController {
       });
 
     } catch (error) {
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          error: error.error
+        });
+      }
+
       console.error('Create booking error:', error);
       
       // Handle validation errors
@@ -254,7 +480,9 @@ class BookingController {
   async updateBooking(req, res) {
     try {
       const { id } = req.params;
-      const updates = req.body;
+      const updates = Object.fromEntries(
+        UPDATABLE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+      );
 
       const booking = await Booking.findById(id);
       if (!booking) {
@@ -283,16 +511,68 @@ class BookingController {
         });
       }
 
-      // Handle date changes
-      if (updates.checkInDate || updates.checkOutDate) {
+      // Split stays are changed a room at a time through the move endpoint
+      if (booking.isSplitStay && (updates.checkInDate || updates.checkOutDate || updates.guestCount)) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Dates and party size of a split stay cannot be changed'
+        });
+      }
+
+      // Handle date or party size changes
+      if (updates.checkInDate || updates.checkOutDate || updates.guestCount) {
         const newCheckIn = updates.checkInDate ? new Date(updates.checkInDate) : booking.checkInDate;
         const newCheckOut = updates.checkOutDate ? new Date(updates.checkOutDate) : booking.checkOutDate;
+        const newGuestCount = updates.guestCount || booking.guestCount;
+        const gender = booking.guestDetails?.primaryGuest?.gender;
 
-        // Check room availability for new dates
         const room = await Room.findById(booking.room);
-        const isAvailable = await room.checkAvailability(newCheckIn, newCheckOut, booking._id);
 
-        if (!isAvailable) {
+        if (updates.checkInDate || updates.checkOutDate) {
+          const restrictions = await StayRestriction.evaluate(room.type, newCheckIn, newCheckOut);
+          if (restrictions.length > 0) {
+            return res.status(400).json({
+              success: false,
+              message: API_MESSAGES.BAD_REQUEST,
+              error: 'Stay restrictions not met for selected dates',
+              reasons: restrictions
+            });
+          }
+        }
+
+        // A promo code must still cover the new stay
+        const { discounts, ratePlan: bookedPlan } = booking.pricing;
+        if (discounts?.promoCode) {
+          const promoCode = await PromoCode.findById(discounts.promoCode);
+          const promoReasons = promoCode
+            ? promoCode.checkStay({ roomType: room.type, checkIn: newCheckIn, checkOut: newCheckOut })
+            : [];
+
+          if (promoReasons.length > 0) {
+            return res.status(400).json({
+              success: false,
+              message: API_MESSAGES.BAD_REQUEST,
+              error: 'Promo code does not apply to the new dates',
+              reasons: promoReasons
+            });
+          }
+        }
+
+        // Re-reserve inventory, keeping the guest's current beds where possible
+        await room.ensureBeds();
+
+        const beds = await inventoryService.reserve(room, {
+          bookingId: booking._id,
+          checkIn: newCheckIn,
+          checkOut: newCheckOut,
+          guestCount: newGuestCount,
+          gender,
+          preferredBedIds: booking.beds,
+          expiresAt: booking.status === BOOKING_STATUS.HOLD ? booking.hold?.expiresAt : null
+        });
+
+        if (!beds) {
           return res.status(400).json({
             success: false,
             message: API_MESSAGES.BAD_REQUEST,
@@ -300,24 +580,21 @@ class BookingController {
           });
         }
 
-        // Recalculate pricing if dates changed
-        if (updates.checkInDate || updates.checkOutDate) {
-          const nights = Math.ceil((newCheckOut - newCheckIn) / (1000 * 60 * 60 * 24));
-          const guestCount = updates.guestCount || booking.guestCount;
-          const baseAmount = room.basePrice * nights * guestCount;
-          const taxes = baseAmount * 0.15;
-          const totalAmount = baseAmount + taxes;
-
-          updates.pricing = {
-            ...booking.pricing,
-            baseAmount,
-            taxes,
-            totalAmount
-          };
-          updates.payment = {
-            ...booking.payment,
-            remainingAmount: totalAmount - booking.payment.paidAmount
-          };
+        updates.beds = beds.map(bed => bed._id);
+
+        // Reprice the stay, keeping the booked rate plan and any discount
+        const quote = await pricingService.quote(room, {
+          checkIn: newCheckIn,
+          checkOut: newCheckOut,
+          guestCount: newGuestCount,
+          discount: discounts?.type ? discounts : null,
+          ratePlan: bookedPlan ? await RatePlan.findById(bookedPlan._id) : null
+        });
+
+        updates.pricing = pricingService.toBookingPricing(quote);
+        booking.payment.remainingAmount = Math.max(0, quote.totalAmount - booking.payment.paidAmount);
+        if (booking.payment.balanceDueDate) {
+          booking.payment.balanceDueDate = quote.balanceDueDate;
         }
       }
 
@@ -372,7 +649,7 @@ class BookingController {
       }
 
       // Check if booking can be cancelled
-      if (!['pending', 'confirmed'].includes(booking.status)) {
+      if (!bookingStateMachine.can(booking, BOOKING_STATUS.CANCELLED, { user: req.user })) {
         return res.status(400).json({
           success: false,
           message: API_MESSAGES.BAD_REQUEST,
@@ -384,32 +661,192 @@ class BookingController {
       const cancellationFee = booking.calculateCancellationFee();
       const refundAmount = Math.max(0, booking.payment.paidAmount - cancellationFee);
 
-      // Update booking
-      booking.status = BOOKING_STATUS.CANCELLED;
       booking.cancellation = {
-        cancelledAt: new Date(),
-        cancelledBy: req.user._id,
-        reason: reason || 'Cancelled by user',
-        refundAmount
+        fee: cancellationFee,
+        refundAmount,
+        refundProcessed: refundAmount === 0,
+        refundedAmount: 0,
+        refundAttempts: 0
       };
 
-      await booking.save();
+      // Frees the room or beds for other guests, and the promo code use
+      await bookingStateMachine.transition(booking, BOOKING_STATUS.CANCELLED, {
+        user: req.user,
+        reason: reason || 'Cancelled by user'
+      });
 
-      // TODO: Process refund if payment was made
-      // TODO: Send cancellation email
+      // Refund through Stripe and email the guest; failed refunds are retried later
+      const refund = await refundService.processCancellation(booking, { processedBy: req.user._id });
 
       res.json({
         success: true,
         message: 'Booking cancelled successfully',
         data: { 
           booking,
+          cancellationPolicy: booking.cancellationPolicy,
           cancellationFee,
-          refundAmount
+          refundAmount,
+          refund
         }
       });
 
     } catch (error) {
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          error: error.error
+        });
+      }
+
       console.error('Cancel booking error:', error);
+
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Retry the refund of a cancelled booking (Staff and Admin only)
+   * Ignores the automatic retry limit.
+   */
+  async retryRefund(req, res) {
+    try {
+      const booking = await Booking.findById(req.params.id);
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Booking not found'
+        });
+      }
+
+      if (![BOOKING_STATUS.CANCELLED, BOOKING_STATUS.NO_SHOW].includes(booking.status)) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Only cancelled or no-show bookings can be refunded'
+        });
+      }
+
+      if (booking.cancellation.refundProcessed) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Refund already processed'
+        });
+      }
+
+      const refund = await refundService.refundBooking(booking, { processedBy: req.user._id });
+
+      res.status(refund.refundProcessed ? 200 : 502).json({
+        success: refund.refundProcessed,
+        message: refund.refundProcessed ? 'Refund processed successfully' : API_MESSAGES.SERVER_ERROR,
+        data: { booking, refund },
+        ...(refund.error && { error: refund.error })
+      });
+
+    } catch (error) {
+      console.error('Retry refund error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a booking's status history and the changes the user can make next
+   */
+  async getBookingHistory(req, res) {
+    try {
+      const booking = await Booking.findById(req.params.id)
+        .populate('statusHistory.changedBy', 'firstName lastName role');
+
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Booking not found'
+        });
+      }
+
+      // Check permissions
+      const ownerId = booking.user._id || booking.user;
+      if (req.user.role === 'guest' && ownerId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: API_MESSAGES.FORBIDDEN,
+          error: 'Access denied to this booking'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: {
+          bookingReference: booking.bookingReference,
+          status: booking.status,
+          statusHistory: booking.statusHistory,
+          availableTransitions: bookingStateMachine.availableTransitions(booking, { user: req.user })
+        }
+      });
+
+    } catch (error) {
+      console.error('Get booking history error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Quote the fee and refund if the booking were cancelled now
+   */
+  async getCancellationQuote(req, res) {
+    try {
+      const booking = await Booking.findById(req.params.id);
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Booking not found'
+        });
+      }
+
+      // Check permissions
+      if (req.user.role === 'guest' && booking.user.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: API_MESSAGES.FORBIDDEN,
+          error: 'Access denied to this booking'
+        });
+      }
+
+      const cancellable = bookingStateMachine.can(booking, BOOKING_STATUS.CANCELLED, { user: req.user });
+      const cancellationFee = cancellable ? booking.calculateCancellationFee() : null;
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: {
+          cancellable,
+          cancellationPolicy: booking.cancellationPolicy,
+          cancellationFee,
+          refundAmount: cancellable
+            ? Math.max(0, booking.payment.paidAmount - cancellationFee)
+            : null
+        }
+      });
+
+    } catch (error) {
+      console.error('Cancellation quote error:', error);
       res.status(500).json({
         success: false,
         message: API_MESSAGES.SERVER_ERROR,
@@ -424,6 +861,7 @@ class BookingController {
   async checkIn(req, res) {
     try {
       const { id } = req.params;
+      const { securityDeposit = BUSINESS_RULES.SECURITY_DEPOSIT_AMOUNT, paymentMethodId, registrationCard } = req.body;
 
       const booking = await Booking.findById(id);
       if (!booking) {
@@ -452,44 +890,51 @@ class BookingController {
         });
       }
 
-      // Check if check-in is on the right date
-      const today = new Date();
-      const checkInDate = new Date(booking.checkInDate);
-      const daysDiff = Math.floor((today - checkInDate) / (1000 * 60 * 60 * 24));
-
-      if (daysDiff < -1) {
-        return res.status(400).json({
-          success: false,
-          message: API_MESSAGES.BAD_REQUEST,
-          error: 'Check-in is too early'
-        });
-      }
-
-      // Update booking status
-      booking.status = BOOKING_STATUS.CHECKED_IN;
-      booking.actualCheckIn = new Date();
       booking.checkInProcess = {
         documentsVerified: true,
-        depositCollected: true,
+        depositCollected: false,
         keyIssued: true,
         orientationCompleted: true,
+        ...(registrationCard && {
+          registrationCard: {
+            signedName: registrationCard.signedName,
+            signedAt: new Date(),
+            fileId: registrationCard.fileId
+          }
+        }),
         processedBy: req.user._id
       };
 
-      await booking.save();
+      // Also checks the arrival date and updates room occupancy
+      await bookingStateMachine.transition(booking, BOOKING_STATUS.CHECKED_IN, { user: req.user });
 
-      // Update room occupancy
-      const room = await Room.findById(booking.room);
-      await room.updateOccupancy();
+      // A card problem with the security deposit is reported but does not
+      // stop the guest checking in; staff can take it again later
+      const deposit = securityDeposit > 0
+        ? await authorizeSecurityDeposit(booking, {
+          amount: securityDeposit,
+          paymentMethodId,
+          processedBy: req.user._id
+        })
+        : null;
 
       res.json({
         success: true,
         message: 'Guest checked in successfully',
-        data: { booking }
+        data: { booking, securityDeposit: deposit }
       });
 
     } catch (error) {
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          error: error.error
+        });
+      }
+
       console.error('Check-in error:', error);
+
       res.status(500).json({
         success: false,
         message: API_MESSAGES.SERVER_ERROR,
@@ -499,14 +944,14 @@ class BookingController {
   }
 
   /**
-   * Check-out guest
+   * Take the security deposit for an in-house guest whose card could not be
+   * authorised at check-in (Staff and Admin only)
    */
-  async checkOut(req, res) {
+  async takeSecurityDeposit(req, res) {
     try {
-      const { id } = req.params;
-      const { damagesNoted, depositReturned = true } = req.body;
+      const { amount = BUSINESS_RULES.SECURITY_DEPOSIT_AMOUNT, paymentMethodId } = req.body;
 
-      const booking = await Booking.findById(id);
+      const booking = await Booking.findById(req.params.id);
       if (!booking) {
         return res.status(404).json({
           success: false,
@@ -515,49 +960,581 @@ class BookingController {
         });
       }
 
-      // Only staff and admin can check-out guests
-      if (!['staff', 'admin'].includes(req.user.role)) {
-        return res.status(403).json({
+      if (booking.status !== BOOKING_STATUS.CHECKED_IN) {
+        return res.status(400).json({
           success: false,
-          message: API_MESSAGES.FORBIDDEN,
-          error: 'Only staff can check-out guests'
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Security deposits are taken from checked-in guests'
         });
       }
 
-      // Check if booking can be checked out
-      if (booking.status !== BOOKING_STATUS.CHECKED_IN) {
+      if (booking.checkInProcess.depositCollected) {
         return res.status(400).json({
           success: false,
           message: API_MESSAGES.BAD_REQUEST,
-          error: 'Only checked-in bookings can be checked out'
+          error: 'Security deposit is already held'
         });
       }
 
-      // Update booking status
-      booking.status = BOOKING_STATUS.CHECKED_OUT;
-      booking.actualCheckOut = new Date();
-      booking.checkOutProcess = {
-        roomInspected: true,
+      const deposit = await authorizeSecurityDeposit(booking, {
+        amount,
+        paymentMethodId,
+        processedBy: req.user._id
+      });
+
+      if (deposit.error) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: deposit.error
+        });
+      }
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: { booking, securityDeposit: deposit }
+      });
+
+    } catch (error) {
+      console.error('Take security deposit error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Check-out guest
+   */
+  async checkOut(req, res) {
+    try {
+      const { id } = req.params;
+      const { damagesNoted, damageCharge = 0, depositReturned = true } = req.body;
+
+      const booking = await Booking.findById(id);
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Booking not found'
+        });
+      }
+
+      // Only staff and admin can check-out guests
+      if (!['staff', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: API_MESSAGES.FORBIDDEN,
+          error: 'Only staff can check-out guests'
+        });
+      }
+
+      // Check if booking can be checked out
+      if (booking.status !== BOOKING_STATUS.CHECKED_IN) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Only checked-in bookings can be checked out'
+        });
+      }
+
+      booking.checkOutProcess = {
+        roomInspected: true,
         damagesNoted: damagesNoted || '',
+        damageCharge: damageCharge || undefined,
         depositReturned,
         keyReturned: true,
         processedBy: req.user._id
       };
 
-      await booking.save();
+      // Capture damages from the security deposit held at check-in, or release it
+      const securityDeposit = await securityDepositService.settle(booking, {
+        damageCharge,
+        damagesNoted,
+        processedBy: req.user._id
+      });
+      if (securityDeposit.payment) {
+        booking.checkOutProcess.depositReturned = securityDeposit.released;
+      }
 
-      // Update room occupancy
-      const room = await Room.findById(booking.room);
-      await room.updateOccupancy();
+      await bookingStateMachine.transition(booking, BOOKING_STATUS.CHECKED_OUT, { user: req.user });
 
       res.json({
         success: true,
         message: 'Guest checked out successfully',
-        data: { booking }
+        data: { booking, folio: booking.getFolio(), securityDeposit }
       });
 
     } catch (error) {
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          error: error.error
+        });
+      }
+
       console.error('Check-out error:', error);
+
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Move a guest to another room or beds from a date to the end of their stay.
+   * The nights before the move stay where they were and the price is kept.
+   */
+  async moveRoom(req, res) {
+    try {
+      const { id } = req.params;
+      const { roomId, bedIds, reason } = req.body;
+
+      const booking = await Booking.findById(id);
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Booking not found'
+        });
+      }
+
+      const movable = [
+        BOOKING_STATUS.HOLD,
+        BOOKING_STATUS.PENDING,
+        BOOKING_STATUS.CONFIRMED,
+        BOOKING_STATUS.CHECKED_IN
+      ];
+      if (!movable.includes(booking.status)) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Only upcoming or in-house bookings can be moved'
+        });
+      }
+
+      // In-house guests move from today unless a later night is given
+      const today = startOfDay(new Date());
+      const moveDate = req.body.moveDate
+        ? startOfDay(req.body.moveDate)
+        : booking.status === BOOKING_STATUS.CHECKED_IN ? today : startOfDay(booking.checkInDate);
+
+      if (moveDate < startOfDay(booking.checkInDate) || moveDate >= booking.checkOutDate) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Move date must fall within the stay'
+        });
+      }
+
+      if (booking.status === BOOKING_STATUS.CHECKED_IN && moveDate < today) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Nights already stayed cannot be moved'
+        });
+      }
+
+      const room = await Room.findById(roomId);
+      if (!room || !room.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Room not available'
+        });
+      }
+
+      if (booking.guestCount > room.capacity) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Guest count exceeds room capacity'
+        });
+      }
+
+      await room.ensureBeds();
+
+      const from = new Date(Math.max(moveDate, booking.checkInDate));
+      const currentSegments = booking.getSegments();
+      const currentRoomIds = currentSegments.map(segment => (segment.room._id || segment.room).toString());
+
+      const remaining = currentSegments.filter(segment => segment.checkOutDate > from);
+      if (!(bedIds && bedIds.length > 0) &&
+          remaining.every(segment => (segment.room._id || segment.room).toString() === room._id.toString())) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Guest is already in this room for the rest of the stay'
+        });
+      }
+
+      // Nights before the move keep their room and beds
+      const rooms = await Room.find({ _id: { $in: currentRoomIds } });
+      const roomsById = new Map(rooms.map(current => [current._id.toString(), current]));
+      const kept = currentSegments
+        .filter(segment => segment.checkInDate < from)
+        .map(segment => {
+          const keptRoomId = (segment.room._id || segment.room).toString();
+          return {
+            room: roomsById.get(keptRoomId) || { _id: segment.room },
+            checkIn: segment.checkInDate,
+            checkOut: new Date(Math.min(segment.checkOutDate, from)),
+            beds: segment.beds
+          };
+        });
+
+      const stay = [
+        ...kept,
+        { room, checkIn: from, checkOut: booking.checkOutDate, bedIds }
+      ];
+
+      const reserved = await inventoryService.reserveSegments(stay, {
+        bookingId: booking._id,
+        guestCount: booking.guestCount,
+        gender: booking.guestDetails?.primaryGuest?.gender,
+        expiresAt: booking.status === BOOKING_STATUS.HOLD ? booking.hold?.expiresAt : null
+      });
+
+      if (!reserved) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: bedIds && bedIds.length > 0
+            ? 'Requested beds not available for the rest of the stay'
+            : 'Room not available for the rest of the stay'
+        });
+      }
+
+      booking.segments = mergeSegments(stay.map((segment, index) => ({
+        room: segment.room._id,
+        beds: reserved[index].map(bed => bed._id || bed),
+        checkInDate: segment.checkIn,
+        checkOutDate: segment.checkOut
+      })));
+
+      booking.notes.push({
+        content: `Moved to room ${room.roomNumber} from ${from.toISOString().slice(0, 10)}${reason ? `: ${reason}` : ''}`,
+        addedBy: req.user._id,
+        type: 'general'
+      });
+
+      await booking.save();
+
+      // Guests already in house free up their old room straight away
+      if (booking.status === BOOKING_STATUS.CHECKED_IN) {
+        const affected = await Room.find({ _id: { $in: [...currentRoomIds, room._id] } });
+        for (const affectedRoom of affected) {
+          await affectedRoom.updateOccupancy();
+        }
+      }
+
+      await booking.populate('room', 'roomNumber type basePrice amenities');
+      await booking.populate('segments.room', 'roomNumber type');
+
+      res.json({
+        success: true,
+        message: 'Guest moved successfully',
+        data: { booking }
+      });
+
+    } catch (error) {
+      console.error('Move room error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Extend an in-house stay (Staff and Admin only). The extra nights are
+   * locked in the guest's last room, priced under the booking's rate plan and
+   * added to the balance; the booking reference stays the same.
+   */
+  async extendStay(req, res) {
+    try {
+      const { bedIds, reason } = req.body;
+
+      const booking = await Booking.findById(req.params.id);
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Booking not found'
+        });
+      }
+
+      if (booking.status !== BOOKING_STATUS.CHECKED_IN) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Only checked-in stays can be extended'
+        });
+      }
+
+      // Stays are repriced night by night
+      if (booking.pricing.nightlyRates.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Booking has no nightly rates to reprice; adjust it manually'
+        });
+      }
+
+      const currentCheckOut = booking.checkOutDate;
+      const checkOutDate = startOfDay(req.body.checkOutDate);
+      if (checkOutDate <= currentCheckOut) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'New check-out date must be after the current one'
+        });
+      }
+
+      const currentSegments = booking.getSegments();
+      const lastSegment = currentSegments[currentSegments.length - 1];
+
+      const room = await Room.findById(lastSegment.room._id || lastSegment.room);
+      if (!room || !room.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Room not available'
+        });
+      }
+
+      // The guest has already arrived, so only the rules on length and departure apply
+      const restrictions = (await StayRestriction.evaluate(room.type, booking.checkInDate, checkOutDate))
+        .filter(reason => reason.code !== STAY_RESTRICTION_REASONS.CLOSED_TO_ARRIVAL);
+      if (restrictions.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Stay restrictions not met for selected dates',
+          reasons: restrictions
+        });
+      }
+
+      await room.ensureBeds();
+
+      // Nights already booked keep their room and beds
+      const kept = currentSegments.map(segment => ({
+        room: { _id: segment.room._id || segment.room },
+        checkIn: segment.checkInDate,
+        checkOut: segment.checkOutDate,
+        beds: segment.beds
+      }));
+
+      const reserveExtraNights = async (extraBedIds) => {
+        const stay = [...kept, { room, checkIn: currentCheckOut, checkOut: checkOutDate, bedIds: extraBedIds }];
+        const reserved = await inventoryService.reserveSegments(stay, {
+          bookingId: booking._id,
+          guestCount: booking.guestCount,
+          gender: booking.guestDetails?.primaryGuest?.gender
+        });
+        return reserved ? { stay, reserved } : null;
+      };
+
+      // Guests keep their own beds where they are free, or else get others in the same room
+      const bedsRequested = bedIds && bedIds.length > 0;
+      const ownBeds = room.usesBedInventory() ? lastSegment.beds : null;
+      let extension = await reserveExtraNights(bedsRequested ? bedIds : ownBeds);
+      if (!extension && !bedsRequested && ownBeds) {
+        extension = await reserveExtraNights(null);
+      }
+
+      if (!extension) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: bedsRequested
+            ? 'Requested beds not available for the extra nights'
+            : 'Room not available for the extra nights'
+        });
+      }
+
+      const segments = mergeSegments(extension.stay.map((segment, index) => ({
+        room: segment.room._id,
+        beds: extension.reserved[index].map(bed => bed._id || bed),
+        checkInDate: segment.checkIn,
+        checkOutDate: segment.checkOut
+      })));
+
+      if (segments.length > BUSINESS_RULES.MAX_STAY_SEGMENTS) {
+        await booking.lockInventory(); // Give back the extra nights
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: `A stay can be split across at most ${BUSINESS_RULES.MAX_STAY_SEGMENTS} rooms`
+        });
+      }
+
+      // Extra nights are priced under the booking's rate plan while it is still sold on the room
+      let ratePlan = booking.pricing.ratePlan?._id
+        ? await RatePlan.findById(booking.pricing.ratePlan._id)
+        : null;
+      if (ratePlan && (!ratePlan.isActive || !ratePlan.appliesTo(room.type))) {
+        ratePlan = null;
+      }
+
+      const quote = await pricingService.quote(room, {
+        checkIn: currentCheckOut,
+        checkOut: checkOutDate,
+        guestCount: booking.guestCount,
+        ratePlan
+      });
+
+      booking.segments = segments;
+      booking.checkOutDate = checkOutDate;
+
+      // Split stays record each night's room
+      const splitStay = segments.length > 1;
+      const nightlyRates = [
+        ...booking.pricing.nightlyRates.map(night => night.toObject()),
+        ...quote.nightlyRates
+      ].map(night => ({
+        ...night,
+        ...(splitStay && !night.room && { room: booking.segmentOn(night.date).room })
+      }));
+
+      const addedNights = quote.nightlyRates.length;
+      const settlement = await settleStayChange(booking, nightlyRates, {
+        user: req.user,
+        note: `Stay extended by ${addedNights} night${addedNights === 1 ? '' : 's'} to ${checkOutDate.toISOString().slice(0, 10)}${reason ? `: ${reason}` : ''}`
+      });
+
+      await booking.populate('room', 'roomNumber type basePrice amenities');
+      await booking.populate('segments.room', 'roomNumber type');
+
+      res.json({
+        success: true,
+        message: 'Stay extended successfully',
+        data: { booking, ...settlement }
+      });
+
+    } catch (error) {
+      console.error('Extend stay error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Shorten an in-house stay for an early departure (Staff and Admin only).
+   * Nights after the new check-out are released, offered to the waitlist and
+   * taken off the price; anything paid above the new total is refunded.
+   */
+  async shortenStay(req, res) {
+    try {
+      const { reason } = req.body;
+
+      const booking = await Booking.findById(req.params.id);
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Booking not found'
+        });
+      }
+
+      if (booking.status !== BOOKING_STATUS.CHECKED_IN) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Only checked-in stays can be shortened'
+        });
+      }
+
+      // Stays are repriced night by night
+      if (booking.pricing.nightlyRates.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Booking has no nightly rates to reprice; adjust it manually'
+        });
+      }
+
+      // Guests leaving early check out today unless a later date is given
+      const today = startOfDay(new Date());
+      const currentCheckOut = booking.checkOutDate;
+      const checkOutDate = req.body.checkOutDate ? startOfDay(req.body.checkOutDate) : today;
+
+      if (checkOutDate >= currentCheckOut) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'New check-out date must be before the current one'
+        });
+      }
+
+      if (checkOutDate < today) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Nights already stayed cannot be removed'
+        });
+      }
+
+      if (checkOutDate <= startOfDay(booking.checkInDate)) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'A stay must keep at least one night'
+        });
+      }
+
+      const currentSegments = booking.getSegments();
+      const freedRoomIds = currentSegments
+        .filter(segment => segment.checkOutDate > checkOutDate)
+        .map(segment => segment.room._id || segment.room);
+
+      booking.segments = currentSegments
+        .filter(segment => segment.checkInDate < checkOutDate)
+        .map(segment => ({
+          room: segment.room._id || segment.room,
+          beds: segment.beds,
+          checkInDate: segment.checkInDate,
+          checkOutDate: new Date(Math.min(segment.checkOutDate, checkOutDate))
+        }));
+      booking.checkOutDate = checkOutDate;
+
+      const nightlyRates = booking.pricing.nightlyRates
+        .filter(night => night.date < checkOutDate)
+        .map(night => night.toObject());
+
+      const removedNights = booking.pricing.nightlyRates.length - nightlyRates.length;
+      const note = `Stay shortened by ${removedNights} night${removedNights === 1 ? '' : 's'} to ${checkOutDate.toISOString().slice(0, 10)}${reason ? `: ${reason}` : ''}`;
+
+      // Nightly extras are not charged for the nights given up either
+      const removedCharges = booking.removeNightlyCharges(checkOutDate, { voidedBy: req.user._id, note });
+
+      const settlement = await settleStayChange(booking, nightlyRates, { user: req.user, note });
+
+      // Drop the locks on nights no longer stayed and offer them on
+      await booking.lockInventory();
+      await waitlistService.offerRoomSpace(freedRoomIds, { checkIn: checkOutDate, checkOut: currentCheckOut });
+
+      await booking.populate('room', 'roomNumber type basePrice amenities');
+      await booking.populate('segments.room', 'roomNumber type');
+
+      res.json({
+        success: true,
+        message: 'Stay shortened successfully',
+        data: { booking, ...settlement, removedCharges }
+      });
+
+    } catch (error) {
+      console.error('Shorten stay error:', error);
       res.status(500).json({
         success: false,
         message: API_MESSAGES.SERVER_ERROR,
@@ -0,0 +1,148 @@
+const { CancellationPolicy } = require('../models');
+const { API_MESSAGES } = require('../config/constants');
+
+class CancellationPolicyController {
+  /**
+   * Get active cancellation policies
+   */
+  async getPolicies(req, res) {
+    try {
+      const filter = req.query.includeInactive === 'true' ? {} : { isActive: true };
+      const policies = await CancellationPolicy.find(filter).sort({ isDefault: -1, name: 1 });
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: { policies }
+      });
+
+    } catch (error) {
+      console.error('Get cancellation policies error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create cancellation policy (Admin only)
+   */
+  async createPolicy(req, res) {
+    try {
+      const existingPolicy = await CancellationPolicy.findOne({ code: req.body.code.toUpperCase() });
+      if (existingPolicy) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Cancellation policy code already exists'
+        });
+      }
+
+      const policy = new CancellationPolicy(req.body);
+      await policy.save();
+
+      res.status(201).json({
+        success: true,
+        message: API_MESSAGES.CREATED,
+        data: { policy }
+      });
+
+    } catch (error) {
+      console.error('Create cancellation policy error:', error);
+
+      if (error.name === 'ValidationError') {
+        const validationErrors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }));
+
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.VALIDATION_ERROR,
+          errors: validationErrors
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update cancellation policy (Admin only)
+   * Existing bookings keep the terms snapshotted when they were made.
+   */
+  async updatePolicy(req, res) {
+    try {
+      const policy = await CancellationPolicy.findById(req.params.policyId);
+      if (!policy) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Cancellation policy not found'
+        });
+      }
+
+      const updates = { ...req.body };
+      delete updates.code;
+
+      Object.assign(policy, updates);
+      await policy.save();
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.UPDATED,
+        data: { policy }
+      });
+
+    } catch (error) {
+      console.error('Update cancellation policy error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Deactivate cancellation policy (Admin only)
+   */
+  async deletePolicy(req, res) {
+    try {
+      const policy = await CancellationPolicy.findById(req.params.policyId);
+      if (!policy) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Cancellation policy not found'
+        });
+      }
+
+      policy.isActive = false;
+      policy.isDefault = false;
+      await policy.save();
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.DELETED,
+        data: { policy }
+      });
+
+    } catch (error) {
+      console.error('Delete cancellation policy error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new CancellationPolicyController();
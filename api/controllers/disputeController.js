@@ -0,0 +1,139 @@
+const { Booking, Dispute } = require('../models');
+const { API_MESSAGES } = require('../config/constants');
+const { APIError } = require('../middleware/errorHandler');
+const disputeService = require('../services/disputeService');
+
+class DisputeController {
+  /**
+   * List chargebacks and inquiries (Staff and Admin only)
+   */
+  async getAllDisputes(req, res) {
+    try {
+      const { page = 1, limit = 20, status, bookingId } = req.query;
+
+      const filter = {};
+      if (status) filter.status = status;
+      if (bookingId) filter.booking = bookingId;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const disputes = await Dispute.find(filter)
+        .populate('booking', 'bookingReference status checkInDate checkOutDate')
+        .populate('payment', 'amount currency status stripePaymentIntentId')
+        .sort({ evidenceDueBy: 1, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await Dispute.countDocuments(filter);
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: {
+          disputes,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / parseInt(limit))
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get disputes error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a dispute with the evidence the booking supports (Staff and Admin only)
+   */
+  async getDisputeById(req, res) {
+    try {
+      const dispute = await Dispute.findById(req.params.id)
+        .populate('payment', 'amount currency status stripePaymentIntentId');
+
+      if (!dispute) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Dispute not found'
+        });
+      }
+
+      const booking = await Booking.findById(dispute.booking).populate('room', 'roomNumber type');
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: {
+          dispute,
+          evidence: booking ? disputeService.buildEvidence(booking) : null
+        }
+      });
+
+    } catch (error) {
+      console.error('Get dispute error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Assemble evidence from the booking and send it to Stripe (Staff and Admin only)
+   */
+  async submitEvidence(req, res) {
+    try {
+      const { productDescription, notes, submit = true } = req.body;
+
+      const dispute = await Dispute.findById(req.params.id);
+      if (!dispute) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Dispute not found'
+        });
+      }
+
+      const updated = await disputeService.submitEvidence(dispute, {
+        productDescription,
+        notes,
+        submit,
+        submittedBy: req.user._id
+      });
+
+      res.json({
+        success: true,
+        message: submit ? 'Dispute evidence submitted successfully' : 'Dispute evidence saved',
+        data: { dispute: updated }
+      });
+
+    } catch (error) {
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          error: error.error
+        });
+      }
+
+      console.error('Submit dispute evidence error:', error);
+
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new DisputeController();
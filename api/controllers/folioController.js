@@ -0,0 +1,176 @@
+const { Booking, Product } = require('../models');
+const { API_MESSAGES, BOOKING_STATUS, TAX_CATEGORIES } = require('../config/constants');
+
+// Charges can be posted from booking until the guest has checked out
+const CHARGEABLE_STATUSES = [
+  BOOKING_STATUS.PENDING,
+  BOOKING_STATUS.CONFIRMED,
+  BOOKING_STATUS.CHECKED_IN
+];
+
+class FolioController {
+  /**
+   * Get a booking's folio: room charges, add-ons, payments and balance
+   */
+  async getFolio(req, res) {
+    try {
+      const booking = await Booking.findById(req.params.id)
+        .populate('folio.lines.postedBy', 'firstName lastName')
+        .populate('folio.lines.voided.by', 'firstName lastName');
+
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Booking not found'
+        });
+      }
+
+      if (req.user.role === 'guest' && booking.user.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: API_MESSAGES.FORBIDDEN,
+          error: 'Access denied to this booking'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: { folio: booking.getFolio() }
+      });
+
+    } catch (error) {
+      console.error('Get folio error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Post a charge to a booking's folio (Staff and Admin only). Catalogue
+   * products are charged at their current price unless staff override it;
+   * anything else needs a description and unit price.
+   */
+  async postCharge(req, res) {
+    try {
+      const { productId, quantity = 1, description, unitPrice, taxCategory } = req.body;
+
+      const booking = await Booking.findById(req.params.id);
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Booking not found'
+        });
+      }
+
+      if (!CHARGEABLE_STATUSES.includes(booking.status)) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: `Charges cannot be posted to a ${booking.status} booking`
+        });
+      }
+
+      let product = null;
+      if (productId) {
+        product = await Product.findById(productId);
+        if (!product || !product.isActive) {
+          return res.status(400).json({
+            success: false,
+            message: API_MESSAGES.BAD_REQUEST,
+            error: 'Product not available'
+          });
+        }
+      } else if (!description || unitPrice === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Charges without a product need a description and unit price'
+        });
+      }
+
+      const line = booking.postCharge({
+        product: product?._id,
+        description: description || product.name,
+        quantity,
+        unitPrice: unitPrice ?? product.unitPrice,
+        taxCategory: taxCategory || product?.taxCategory || TAX_CATEGORIES.STANDARD,
+        postedBy: req.user._id
+      });
+      await booking.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Charge posted successfully',
+        data: { line, folio: booking.getFolio() }
+      });
+
+    } catch (error) {
+      console.error('Post charge error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Void a folio charge with a reason code (Staff and Admin only)
+   */
+  async voidCharge(req, res) {
+    try {
+      const { reasonCode, note } = req.body;
+
+      const booking = await Booking.findById(req.params.id);
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Booking not found'
+        });
+      }
+
+      const line = booking.folio.lines.id(req.params.lineId);
+      if (!line) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Charge not found'
+        });
+      }
+
+      if (line.voided?.at) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Charge is already voided'
+        });
+      }
+
+      booking.voidCharge(line, { reasonCode, note, voidedBy: req.user._id });
+      await booking.save();
+
+      res.json({
+        success: true,
+        message: 'Charge voided successfully',
+        data: { line, folio: booking.getFolio() }
+      });
+
+    } catch (error) {
+      console.error('Void charge error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new FolioController();
@@ -0,0 +1,573 @@
+const {
+  GroupBooking,
+  RoomBlock,
+  Booking,
+  Room,
+  User,
+  RatePlan,
+  StayRestriction
+} = require('../models');
+const { API_MESSAGES, BOOKING_STATUS } = require('../config/constants');
+const pricingService = require('../services/pricingService');
+const refundService = require('../services/refundService');
+const inventoryService = require('../services/inventoryService');
+const bookingStateMachine = require('../services/bookingStateMachine');
+const { APIError } = require('../middleware/errorHandler');
+
+/**
+ * Book one member of a group: price the room for the group's dates and lock
+ * its room or beds, picking up the room block's nights where it holds them.
+ * Members start pending with a permanent lock; the group has agreed terms
+ * with the front desk, so there is no short checkout hold.
+ * Throws an APIError if the member cannot be booked.
+ * @returns {Object} Saved member booking
+ */
+const bookMember = async (group, member, { roomBlock = null, ratePlan = null }) => {
+  const { roomId, guestCount = 1, bedIds, guestDetails, specialRequests } = member;
+
+  const room = await Room.findById(roomId);
+  if (!room || !room.isActive) {
+    throw new APIError(API_MESSAGES.BAD_REQUEST, 400, 'Room not available');
+  }
+
+  if (guestCount > room.capacity) {
+    throw new APIError(API_MESSAGES.BAD_REQUEST, 400, `Guest count exceeds capacity of room ${room.roomNumber}`);
+  }
+
+  const restrictions = await StayRestriction.evaluate(room.type, group.checkInDate, group.checkOutDate);
+  if (restrictions.length > 0) {
+    throw new APIError(API_MESSAGES.BAD_REQUEST, 400, restrictions.map(reason => reason.message).join('; '));
+  }
+
+  if (ratePlan && !ratePlan.appliesTo(room.type)) {
+    throw new APIError(API_MESSAGES.BAD_REQUEST, 400, `Rate plan not available for room ${room.roomNumber}`);
+  }
+
+  await room.ensureBeds();
+
+  const quote = await pricingService.quote(room, {
+    checkIn: group.checkInDate,
+    checkOut: group.checkOutDate,
+    guestCount,
+    ratePlan
+  });
+
+  const { user, firstName, lastName, email, phone } = group.leader;
+  const booking = new Booking({
+    user: user || group.createdBy,
+    room: room._id,
+    group: group._id,
+    checkInDate: group.checkInDate,
+    checkOutDate: group.checkOutDate,
+    guestCount,
+    // Rooms the organiser has not named a guest for yet are in the leader's name
+    guestDetails: guestDetails || { primaryGuest: { firstName, lastName, email, phone } },
+    specialRequests: specialRequests || [],
+    source: 'group',
+    pricing: pricingService.toBookingPricing(quote),
+    cancellationPolicy: quote.cancellationPolicy,
+    status: BOOKING_STATUS.PENDING,
+    payment: {
+      status: 'pending',
+      remainingAmount: quote.totalAmount
+    }
+  });
+
+  const fromBlock = roomBlock && roomBlock.isOpen() && roomBlock.includesRoom(room._id);
+  const beds = await inventoryService.reserve(room, {
+    bookingId: booking._id,
+    checkIn: booking.checkInDate,
+    checkOut: booking.checkOutDate,
+    guestCount,
+    gender: booking.guestDetails.primaryGuest?.gender,
+    bedIds,
+    preferredBedIds: fromBlock ? roomBlock.bedsFor(room._id) : [],
+    roomBlockId: fromBlock ? roomBlock._id : null
+  });
+
+  if (!beds) {
+    throw new APIError(API_MESSAGES.BAD_REQUEST, 400, `Room ${room.roomNumber} not available for the group dates`);
+  }
+
+  booking.beds = beds.map(bed => bed._id);
+
+  try {
+    await booking.save();
+  } catch (error) {
+    await releaseMember(booking, roomBlock);
+    throw error;
+  }
+
+  return booking;
+};
+
+// Give an unsaved or rolled-back member's nights back to the block, or to general sale
+const releaseMember = async (booking, roomBlock) => {
+  if (roomBlock) await roomBlock.reclaim(booking._id);
+  await booking.releaseInventory();
+};
+
+/**
+ * Cancel one member under their cancellation terms and refund what they paid
+ * above the fee. Nights picked up from a room block go back to the block
+ * until its cutoff.
+ * @returns {Object} { booking, cancellationFee, refundAmount, refund }
+ */
+const cancelMember = async (booking, { user, reason, roomBlock = null }) => {
+  const cancellationFee = booking.calculateCancellationFee();
+  const refundAmount = Math.max(0, booking.payment.paidAmount - cancellationFee);
+
+  booking.cancellation = {
+    fee: cancellationFee,
+    refundAmount,
+    refundProcessed: refundAmount === 0,
+    refundedAmount: 0,
+    refundAttempts: 0
+  };
+
+  if (roomBlock) await roomBlock.reclaim(booking._id);
+
+  await bookingStateMachine.transition(booking, BOOKING_STATUS.CANCELLED, { user, reason });
+  const refund = await refundService.processCancellation(booking, { processedBy: user._id });
+
+  return { booking, cancellationFee, refundAmount, refund };
+};
+
+// Load a group the user may manage, or send the error response
+const findManagedGroup = async (req, res) => {
+  const group = await GroupBooking.findById(req.params.id);
+  if (!group) {
+    res.status(404).json({
+      success: false,
+      message: API_MESSAGES.NOT_FOUND,
+      error: 'Group booking not found'
+    });
+    return null;
+  }
+
+  if (!group.canManage(req.user)) {
+    res.status(403).json({
+      success: false,
+      message: API_MESSAGES.FORBIDDEN,
+      error: 'Access denied to this group booking'
+    });
+    return null;
+  }
+
+  return group;
+};
+
+// Load a member of the group, or send the error response
+const findMember = async (group, req, res) => {
+  const booking = await Booking.findOne({ _id: req.params.bookingId, group: group._id });
+  if (!booking) {
+    res.status(404).json({
+      success: false,
+      message: API_MESSAGES.NOT_FOUND,
+      error: 'Booking not found in this group'
+    });
+  }
+  return booking;
+};
+
+const sendError = (res, error, label) => {
+  if (error instanceof APIError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      error: error.error
+    });
+  }
+
+  console.error(`${label} error:`, error);
+
+  res.status(500).json({
+    success: false,
+    message: API_MESSAGES.SERVER_ERROR,
+    error: error.message
+  });
+};
+
+class GroupController {
+  /**
+   * Get group bookings (Staff and Admin only)
+   */
+  async getGroups(req, res) {
+    try {
+      const { status, page = 1, limit = 20 } = req.query;
+
+      const filter = {};
+      if (status) filter.status = status;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const groups = await GroupBooking.find(filter)
+        .sort({ checkInDate: 1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await GroupBooking.countDocuments(filter);
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: {
+          groups,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / parseInt(limit))
+          }
+        }
+      });
+
+    } catch (error) {
+      sendError(res, error, 'Get groups');
+    }
+  }
+
+  /**
+   * Get group booking with its members
+   */
+  async getGroupById(req, res) {
+    try {
+      const group = await findManagedGroup(req, res);
+      if (!group) return;
+
+      const members = await group.getMembers();
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: { group, members }
+      });
+
+    } catch (error) {
+      sendError(res, error, 'Get group');
+    }
+  }
+
+  /**
+   * Create a group booking with its member rooms (Staff and Admin only)
+   */
+  async createGroup(req, res) {
+    try {
+      const {
+        name,
+        checkInDate,
+        checkOutDate,
+        billing,
+        leader,
+        roomBlockId,
+        ratePlanId,
+        notes,
+        members
+      } = req.body;
+
+      // Members are booked under the leader's account when they have one
+      let leaderUser = null;
+      if (leader.userId) {
+        leaderUser = await User.findById(leader.userId);
+        if (!leaderUser) {
+          return res.status(400).json({
+            success: false,
+            message: API_MESSAGES.BAD_REQUEST,
+            error: 'Group leader account not found'
+          });
+        }
+      }
+
+      const group = new GroupBooking({
+        name,
+        checkInDate,
+        checkOutDate,
+        billing,
+        notes,
+        leader: {
+          user: leaderUser?._id,
+          firstName: leader.firstName,
+          lastName: leader.lastName,
+          email: leader.email,
+          phone: leader.phone
+        },
+        createdBy: req.user._id
+      });
+
+      let roomBlock = null;
+      if (roomBlockId) {
+        roomBlock = await RoomBlock.findById(roomBlockId);
+        if (!roomBlock || roomBlock.status !== 'active') {
+          return res.status(400).json({
+            success: false,
+            message: API_MESSAGES.BAD_REQUEST,
+            error: 'Room block not available'
+          });
+        }
+
+        if (group.checkInDate < roomBlock.checkInDate || group.checkOutDate > roomBlock.checkOutDate) {
+          return res.status(400).json({
+            success: false,
+            message: API_MESSAGES.BAD_REQUEST,
+            error: 'Group dates fall outside the room block'
+          });
+        }
+
+        group.roomBlock = roomBlock._id;
+      }
+
+      let ratePlan = null;
+      if (ratePlanId) {
+        ratePlan = await RatePlan.findById(ratePlanId);
+        if (!ratePlan || !ratePlan.isActive) {
+          return res.status(400).json({
+            success: false,
+            message: API_MESSAGES.BAD_REQUEST,
+            error: 'Rate plan not available'
+          });
+        }
+      }
+
+      await group.validate();
+
+      // Every member is booked or none are
+      const booked = [];
+      try {
+        for (const member of members) {
+          booked.push(await bookMember(group, member, { roomBlock, ratePlan }));
+        }
+        await group.save();
+      } catch (error) {
+        for (const booking of booked) {
+          await releaseMember(booking, roomBlock);
+          await Booking.deleteOne({ _id: booking._id });
+        }
+        throw error;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: API_MESSAGES.CREATED,
+        data: { group, members: booked }
+      });
+
+    } catch (error) {
+      sendError(res, error, 'Create group');
+    }
+  }
+
+  /**
+   * Update group name, leader contact, billing or notes
+   */
+  async updateGroup(req, res) {
+    try {
+      const group = await findManagedGroup(req, res);
+      if (!group) return;
+
+      const { name, billing, notes, leader } = req.body;
+
+      if (name !== undefined) group.name = name;
+      if (billing !== undefined) group.billing = billing;
+      if (notes !== undefined) group.notes = notes;
+      if (leader) {
+        ['firstName', 'lastName', 'email', 'phone'].forEach(field => {
+          if (leader[field] !== undefined) group.leader[field] = leader[field];
+        });
+      }
+
+      await group.save();
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.UPDATED,
+        data: { group }
+      });
+
+    } catch (error) {
+      sendError(res, error, 'Update group');
+    }
+  }
+
+  /**
+   * Add a member room to a group (Staff and Admin only)
+   */
+  async addMember(req, res) {
+    try {
+      const group = await findManagedGroup(req, res);
+      if (!group) return;
+
+      if (group.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Group booking has been cancelled'
+        });
+      }
+
+      const roomBlock = group.roomBlock ? await RoomBlock.findById(group.roomBlock) : null;
+
+      // Later members keep the rate plan the group was booked on
+      const [firstMember] = await group.getMembers();
+      const bookedPlan = firstMember?.pricing.ratePlan;
+      const ratePlan = bookedPlan ? await RatePlan.findById(bookedPlan._id) : null;
+
+      const booking = await bookMember(group, req.body, { roomBlock, ratePlan });
+
+      res.status(201).json({
+        success: true,
+        message: API_MESSAGES.CREATED,
+        data: { booking }
+      });
+
+    } catch (error) {
+      sendError(res, error, 'Add group member');
+    }
+  }
+
+  /**
+   * Update a member's guest details or special requests
+   */
+  async updateMember(req, res) {
+    try {
+      const group = await findManagedGroup(req, res);
+      if (!group) return;
+
+      const booking = await findMember(group, req, res);
+      if (!booking) return;
+
+      if (!booking.canModify()) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Booking cannot be modified at this time'
+        });
+      }
+
+      const { guestDetails, specialRequests } = req.body;
+      if (guestDetails !== undefined) booking.guestDetails = guestDetails;
+      if (specialRequests !== undefined) booking.specialRequests = specialRequests;
+
+      await booking.save();
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.UPDATED,
+        data: { booking }
+      });
+
+    } catch (error) {
+      sendError(res, error, 'Update group member');
+    }
+  }
+
+  /**
+   * Cancel one member of a group
+   */
+  async cancelMember(req, res) {
+    try {
+      const group = await findManagedGroup(req, res);
+      if (!group) return;
+
+      const booking = await findMember(group, req, res);
+      if (!booking) return;
+
+      if (!bookingStateMachine.can(booking, BOOKING_STATUS.CANCELLED, { user: req.user })) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Booking cannot be cancelled'
+        });
+      }
+
+      const roomBlock = group.roomBlock ? await RoomBlock.findById(group.roomBlock) : null;
+      const result = await cancelMember(booking, {
+        user: req.user,
+        reason: req.body.reason || 'Removed from group',
+        roomBlock
+      });
+
+      res.json({
+        success: true,
+        message: 'Booking cancelled successfully',
+        data: result
+      });
+
+    } catch (error) {
+      sendError(res, error, 'Cancel group member');
+    }
+  }
+
+  /**
+   * Cancel a whole group: every member that can still be cancelled
+   */
+  async cancelGroup(req, res) {
+    try {
+      const group = await findManagedGroup(req, res);
+      if (!group) return;
+
+      if (group.status === 'cancelled') {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Group booking already cancelled'
+        });
+      }
+
+      const reason = req.body.reason || 'Group cancelled';
+      const roomBlock = group.roomBlock ? await RoomBlock.findById(group.roomBlock) : null;
+      const members = await Booking.find({ group: group._id });
+
+      const cancelled = [];
+      for (const booking of members) {
+        if (!bookingStateMachine.can(booking, BOOKING_STATUS.CANCELLED, { user: req.user })) continue;
+        cancelled.push(await cancelMember(booking, { user: req.user, reason, roomBlock }));
+      }
+
+      group.status = 'cancelled';
+      group.cancelledAt = new Date();
+      group.cancellationReason = reason;
+      await group.save();
+
+      res.json({
+        success: true,
+        message: 'Group booking cancelled successfully',
+        data: {
+          group,
+          cancelled: cancelled.map(({ booking, cancellationFee, refundAmount, refund }) => ({
+            booking: booking._id,
+            bookingReference: booking.bookingReference,
+            cancellationFee,
+            refundAmount,
+            refund
+          }))
+        }
+      });
+
+    } catch (error) {
+      sendError(res, error, 'Cancel group');
+    }
+  }
+
+  /**
+   * Get the group folio: member charges, payments and balances
+   */
+  async getGroupFolio(req, res) {
+    try {
+      const group = await findManagedGroup(req, res);
+      if (!group) return;
+
+      const folio = await group.getFolio();
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: { groupReference: group.groupReference, folio }
+      });
+
+    } catch (error) {
+      sendError(res, error, 'Get group folio');
+    }
+  }
+}
+
+module.exports = new GroupController();
@@ -0,0 +1,65 @@
+const { Booking } = require('../models');
+const { API_MESSAGES } = require('../config/constants');
+const ledgerService = require('../services/ledgerService');
+
+class LedgerController {
+  /**
+   * Get the trial balance across all ledger accounts (Staff and Admin only)
+   */
+  async getTrialBalance(req, res) {
+    try {
+      const asOf = req.query.asOf ? new Date(req.query.asOf) : null;
+
+      const trialBalance = await ledgerService.getTrialBalance({ asOf });
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: { trialBalance }
+      });
+
+    } catch (error) {
+      console.error('Trial balance error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a booking's ledger entries and balance, reconciled with what the
+   * booking says is still owed (Staff and Admin only)
+   */
+  async getBookingLedger(req, res) {
+    try {
+      const booking = await Booking.findById(req.params.id);
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Booking not found'
+        });
+      }
+
+      const ledger = await ledgerService.getBookingBalance(booking);
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: { ledger }
+      });
+
+    } catch (error) {
+      console.error('Booking ledger error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new LedgerController();
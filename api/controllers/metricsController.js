@@ -1,7 +1,14 @@
-const { Booking, Room, Payment, User } = require('../models');
+const { Booking, Room, Payment, User, PromoRedemption, Dispute } = require('../models');
 const { API_MESSAGES } = require('../config/constants');
 
 class MetricsController {
+  constructor() {
+    // Handlers are passed to Express unbound but call the helpers below
+    this.getDashboardMetrics = this.getDashboardMetrics.bind(this);
+    this.getCustomMetrics = this.getCustomMetrics.bind(this);
+    this.getPromotionReport = this.getPromotionReport.bind(this);
+  }
+
   /**
    * Get comprehensive dashboard metrics
    */
@@ -293,6 +300,9 @@ class MetricsController {
     const result = await Payment.aggregate(pipeline);
     const data = result[0];
 
+    // Disputed payments drop out of revenue until the dispute is won; dispute fees are a cost
+    const disputes = await Dispute.getSummary(startDate, endDate);
+
     const current = data.current[0] || {
       totalRevenue: 0,
       totalTransactions: 0,
@@ -308,12 +318,18 @@ class MetricsController {
 
     return {
       totalRevenue: Math.round(current.totalRevenue * 100) / 100,
-      netRevenue: Math.round(current.netRevenue * 100) / 100,
+      netRevenue: Math.round((current.netRevenue - disputes.fees) * 100) / 100,
       totalTransactions: current.totalTransactions,
       averageTransactionValue: Math.round(current.averageTransactionValue * 100) / 100,
       totalFees: Math.round(current.totalFees * 100) / 100,
       dailyRevenue: data.dailyRevenue,
       paymentMethods: data.paymentMethods,
+      disputes: {
+        open: { count: disputes.open.count, amount: Math.round(disputes.open.amount * 100) / 100 },
+        won: { count: disputes.won.count, amount: Math.round(disputes.won.amount * 100) / 100 },
+        lost: { count: disputes.lost.count, amount: Math.round(disputes.lost.amount * 100) / 100 },
+        fees: Math.round(disputes.fees * 100) / 100
+      },
       growth: {
         revenue: this.calculateGrowth(current.totalRevenue, previous.totalRevenue),
         transactions: this.calculateGrowth(current.totalTransactions, previous.totalTransactions)
@@ -321,6 +337,77 @@ class MetricsController {
     };
   }
 
+  /**
+   * Get promo code metrics: redemptions, discount given and revenue per campaign
+   */
+  async getPromotionMetrics(startDate, endDate) {
+    const campaigns = await PromoRedemption.aggregate([
+      {
+        $match: {
+          status: 'active',
+          createdAt: { $gte: startDate, $lte: endDate }
+        }
+      },
+      {
+        $group: {
+          _id: { $ifNull: ['$campaign', '$code'] },
+          codes: { $addToSet: '$code' },
+          redemptions: { $sum: 1 },
+          discountGiven: { $sum: '$discountAmount' },
+          revenue: { $sum: '$bookingTotal' }
+        }
+      },
+      { $sort: { revenue: -1 } }
+    ]);
+
+    const round = (amount) => Math.round(amount * 100) / 100;
+
+    return {
+      totalRedemptions: campaigns.reduce((total, campaign) => total + campaign.redemptions, 0),
+      totalDiscountGiven: round(campaigns.reduce((total, campaign) => total + campaign.discountGiven, 0)),
+      totalRevenue: round(campaigns.reduce((total, campaign) => total + campaign.revenue, 0)),
+      campaigns: campaigns.map(campaign => ({
+        campaign: campaign._id,
+        codes: campaign.codes,
+        redemptions: campaign.redemptions,
+        discountGiven: round(campaign.discountGiven),
+        revenue: round(campaign.revenue)
+      }))
+    };
+  }
+
+  /**
+   * Get promo code report for a period
+   */
+  async getPromotionReport(req, res) {
+    try {
+      const { period = '30' } = req.query; // Days
+      const endDate = new Date();
+      const startDate = new Date();
+      startDate.setDate(startDate.getDate() - parseInt(period));
+
+      const promotions = await this.getPromotionMetrics(startDate, endDate);
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: {
+          period: { start: startDate, end: endDate, days: parseInt(period) },
+          promotions,
+          generatedAt: new Date()
+        }
+      });
+
+    } catch (error) {
+      console.error('Promotion metrics error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Get room-related metrics
    */
@@ -623,6 +710,10 @@ class MetricsController {
         result.users = await this.getUserMetrics(start, end);
       }
 
+      if (requestedMetrics.includes('promotions')) {
+        result.promotions = await this.getPromotionMetrics(start, end);
+      }
+
       res.json({
         success: true,
         message: API_MESSAGES.SUCCESS,
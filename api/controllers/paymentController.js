@@ -1,8 +1,36 @@
-const { Payment, Booking, User } = require('../models');
+const { Payment, Booking, User, WebhookEvent } = require('../models');
 const stripeUtils = require('../utils/stripe');
-const { API_MESSAGES, PAYMENT_STATUS } = require('../config/constants');
+const {
+  API_MESSAGES,
+  PAYMENT_STATUS,
+  PAYMENT_TYPES,
+  PAYMENT_METHODS,
+  BOOKING_STATUS,
+  LEDGER_ACCOUNTS
+} = require('../config/constants');
+const bookingStateMachine = require('../services/bookingStateMachine');
+const securityDepositService = require('../services/securityDepositService');
+const balanceService = require('../services/balanceService');
+const paymentLinkService = require('../services/paymentLinkService');
+const disputeService = require('../services/disputeService');
+const ledgerService = require('../services/ledgerService');
+const emailService = require('../services/emailService');
+
+// Bookings the front desk can still take payment for
+const PAYABLE_STATUSES = [
+  BOOKING_STATUS.HOLD,
+  BOOKING_STATUS.PENDING,
+  BOOKING_STATUS.CONFIRMED,
+  BOOKING_STATUS.CHECKED_IN
+];
 
 class PaymentController {
+  constructor() {
+    // Passed to Express unbound but calls the process* helpers below
+    this.handleWebhook = this.handleWebhook.bind(this);
+    this.recordManualPayment = this.recordManualPayment.bind(this);
+  }
+
   /**
    * Create payment intent for booking
    */
@@ -33,7 +61,7 @@ class PaymentController {
       }
 
       // Check if booking can be paid
-      if (booking.status === 'cancelled') {
+      if ([BOOKING_STATUS.CANCELLED, BOOKING_STATUS.EXPIRED].includes(booking.status)) {
         return res.status(400).json({
           success: false,
           message: API_MESSAGES.BAD_REQUEST,
@@ -59,6 +87,16 @@ class PaymentController {
         });
       }
 
+      // The first payment on a held booking must cover the deposit
+      const depositDue = booking.status === BOOKING_STATUS.HOLD ? booking.getDepositDue() : 0;
+      if (requestedAmount < depositDue) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: `Payment must cover the deposit of ${depositDue.toFixed(2)}`
+        });
+      }
+
       // Create Stripe customer if needed
       let stripeCustomerId = booking.user.stripeCustomerId;
       if (!stripeCustomerId) {
@@ -88,7 +126,11 @@ class PaymentController {
           userId: booking.user._id.toString(),
           bookingReference: booking.bookingReference,
           roomNumber: booking.room.roomNumber
-        }
+        },
+        // Keep the card for charging the balance on its due date
+        setupFutureUsage: booking.payment.balanceDueDate && requestedAmount < booking.payment.remainingAmount
+          ? 'off_session'
+          : null
       });
 
       // Create payment record
@@ -127,7 +169,9 @@ class PaymentController {
           booking: {
             id: booking._id,
             reference: booking.bookingReference,
-            remainingAmount: booking.payment.remainingAmount
+            remainingAmount: booking.payment.remainingAmount,
+            depositDue,
+            holdExpiresAt: booking.hold?.expiresAt
           }
         }
       });
@@ -154,97 +198,280 @@ class PaymentController {
   }
 
   /**
-   * Process successful payment
+   * Process successful payment. Safe to call again for the same payment
+   * intent: a payment already credited to its booking is left alone.
+   * Errors are thrown so the webhook can ask Stripe to redeliver.
+   * @param {String} paymentIntentId - Payment intent ID
+   * @param {Object} options - { savedPaymentMethodId } the card the payment saved for the balance, if any
+   * @returns {Object|null} Payment, or null if there is no record of the intent
    */
-  async processSuccessfulPayment(paymentIntentId) {
-    try {
-      // Find payment record
-      const payment = await Payment.findOne({ 
-        stripePaymentIntentId: paymentIntentId 
-      }).populate('booking user');
+  async processSuccessfulPayment(paymentIntentId, { savedPaymentMethodId = null } = {}) {
+    // Find payment record
+    const payment = await Payment.findOne({ 
+      stripePaymentIntentId: paymentIntentId 
+    }).populate('booking user');
+
+    if (!payment) {
+      console.error('Payment record not found for payment intent:', paymentIntentId);
+      return null;
+    }
 
-      if (!payment) {
-        console.error('Payment record not found for payment intent:', paymentIntentId);
-        return;
-      }
+    // Security deposits are credited to the booking when captured at check-out
+    if (payment.type === PAYMENT_TYPES.SECURITY_DEPOSIT) {
+      return payment;
+    }
 
-      // Update payment status
-      payment.status = PAYMENT_STATUS.SUCCEEDED;
-      payment.processedAt = new Date();
-      
-      // Calculate fees
-      const feeCalculation = stripeUtils.calculateFees(payment.amount);
-      payment.fees.platform = feeCalculation.totalFees;
+    const booking = payment.booking;
+    const credited = booking.payment.transactions.some(transaction => {
+      return transaction.type === 'payment' && transaction.reference === paymentIntentId;
+    });
+    if (credited) {
+      return payment;
+    }
 
-      await payment.save();
+    // Update payment status
+    payment.status = PAYMENT_STATUS.SUCCEEDED;
+    payment.processedAt = new Date();
+    
+    // Calculate fees
+    const feeCalculation = stripeUtils.calculateFees(payment.amount);
+    payment.fees.platform = feeCalculation.totalFees;
 
-      // Update booking payment status
-      const booking = payment.booking;
-      booking.payment.paidAmount += payment.amount;
-      booking.payment.remainingAmount = Math.max(0, 
-        booking.pricing.totalAmount - booking.payment.paidAmount
-      );
-
-      // Update payment status based on remaining amount
-      if (booking.payment.remainingAmount <= 0) {
-        booking.payment.status = 'paid';
-        // Confirm booking if it was pending
-        if (booking.status === 'pending') {
-          booking.status = 'confirmed';
-        }
+    await payment.save();
+    await ledgerService.recordPayment(payment, booking);
+
+    // The balance is charged to the card the deposit saved, not whichever the customer has
+    if (savedPaymentMethodId) {
+      booking.payment.balanceCharge.paymentMethodId = savedPaymentMethodId;
+    }
+
+    await this.creditBooking(booking, payment, { method: 'card', reference: paymentIntentId });
+
+    if (payment.user) {
+      const email = await emailService.sendPaymentConfirmation(payment, booking, payment.user);
+      if (!email.success) {
+        console.warn(`Payment confirmation email for ${booking.bookingReference} not sent:`, email.error);
+      }
+    }
+
+    return payment;
+  }
+
+  /**
+   * Credit a succeeded payment to its booking: update what is paid and still
+   * owed, record the transaction, and secure or confirm the booking
+   * @param {Object} booking - Booking document
+   * @param {Object} payment - Succeeded Payment document
+   * @param {Object} options - { method, reference } for the booking's transaction record
+   */
+  async creditBooking(booking, payment, { method, reference }) {
+    // Update booking payment status
+    booking.payment.paidAmount += payment.amount;
+    booking.payment.remainingAmount = Math.max(0, 
+      booking.getAmountDue() - booking.payment.paidAmount
+    );
+
+    // Any payment turns the booking's inventory hold into a permanent lock
+    let inventorySecured = true;
+    if (booking.status === BOOKING_STATUS.HOLD) {
+      inventorySecured = await booking.lockInventory();
+
+      if (inventorySecured) {
+        booking.hold.convertedAt = new Date();
       } else {
-        booking.payment.status = 'partial';
+        booking.notes.push({
+          content: 'Payment received after the inventory hold expired and the room or beds were resold. Reassign or refund.',
+          type: 'general'
+        });
       }
+    }
 
-      // Add transaction record
-      booking.payment.transactions.push({
-        amount: payment.amount,
-        type: 'payment',
-        method: 'card',
-        reference: paymentIntentId,
-        processedAt: new Date(),
-        status: 'completed'
+    // Update payment status based on remaining amount
+    booking.payment.status = booking.payment.remainingAmount <= 0 ? 'paid' : 'partial';
+
+    // Add transaction record
+    booking.payment.transactions.push({
+      amount: payment.amount,
+      type: 'payment',
+      method,
+      reference,
+      processedAt: new Date(),
+      status: 'completed'
+    });
+
+    // Payments made through a payment link mark the link paid
+    paymentLinkService.recordPayment(booking, payment);
+
+    // Confirm once paid in full; a held booking is otherwise secured but still owing
+    if (inventorySecured && bookingStateMachine.can(booking, BOOKING_STATUS.CONFIRMED)) {
+      await bookingStateMachine.transition(booking, BOOKING_STATUS.CONFIRMED, { reason: 'Paid in full' });
+    } else if (booking.status === BOOKING_STATUS.HOLD) {
+      await bookingStateMachine.transition(booking, BOOKING_STATUS.PENDING, {
+        reason: inventorySecured ? 'Partial payment received' : 'Payment received after the hold expired'
       });
-
+    } else {
       await booking.save();
-
-      // TODO: Send confirmation email
-      console.log(`Payment processed successfully: ${payment.amount} for booking ${booking.bookingReference}`);
-
-    } catch (error) {
-      console.error('Process successful payment error:', error);
     }
   }
 
   /**
    * Process failed payment
+   * @param {String} paymentIntentId - Payment intent ID
+   * @param {Object} failureDetails - { code, message, declineCode }
+   * @returns {Object|null} Payment, or null if there is no record of the intent
    */
   async processFailedPayment(paymentIntentId, failureDetails) {
-    try {
-      // Find payment record
-      const payment = await Payment.findOne({ 
-        stripePaymentIntentId: paymentIntentId 
-      });
+    // Find payment record
+    const payment = await Payment.findOne({ 
+      stripePaymentIntentId: paymentIntentId 
+    });
+
+    if (!payment) {
+      console.error('Payment record not found for payment intent:', paymentIntentId);
+      return null;
+    }
 
-      if (!payment) {
-        console.error('Payment record not found for payment intent:', paymentIntentId);
-        return;
-      }
+    // Released security deposits are cancelled on purpose, and a payment
+    // that went through cannot fail afterwards
+    if ([PAYMENT_STATUS.CANCELLED, PAYMENT_STATUS.FAILED, PAYMENT_STATUS.SUCCEEDED].includes(payment.status)) {
+      return payment;
+    }
+
+    // Update payment status
+    payment.status = PAYMENT_STATUS.FAILED;
+    payment.failureDetails = {
+      ...failureDetails,
+      failedAt: new Date()
+    };
+
+    await payment.save();
+
+    // A scheduled balance charge that failed counts towards cancelling the booking
+    await balanceService.recordFailedCharge(payment, failureDetails?.message);
+
+    console.log(`Payment failed: ${paymentIntentId}`, failureDetails);
+
+    return payment;
+  }
 
-      // Update payment status
-      payment.status = PAYMENT_STATUS.FAILED;
-      payment.failureDetails = {
-        ...failureDetails,
-        failedAt: new Date()
-      };
+  /**
+   * Record that Stripe is still settling a payment, e.g. a bank debit
+   * @param {String} paymentIntentId - Payment intent ID
+   * @returns {Object|null} Payment, or null if there is no record of the intent
+   */
+  async processProcessingPayment(paymentIntentId) {
+    const payment = await Payment.findOne({ stripePaymentIntentId: paymentIntentId });
 
+    if (payment && payment.status === PAYMENT_STATUS.PENDING) {
+      payment.status = PAYMENT_STATUS.PROCESSING;
       await payment.save();
+    }
 
-      console.log(`Payment failed: ${paymentIntentId}`, failureDetails);
+    return payment;
+  }
 
-    } catch (error) {
-      console.error('Process failed payment error:', error);
+  /**
+   * Record refunds made outside the API, e.g. from the Stripe dashboard.
+   * Refunds the API made itself are already on the payment and are skipped.
+   * @param {Object} charge - Stripe charge
+   * @returns {Object|null} Payment, or null if there is no record of the charge's intent
+   */
+  async processChargeRefunded(charge) {
+    const payment = await Payment.findOne({ stripePaymentIntentId: charge.payment_intent });
+    if (!payment) {
+      return null;
+    }
+
+    // Refunds this API made are recorded by the code that made them, which may
+    // not have saved yet; only refunds made in the Stripe dashboard are new here
+    const known = new Set(payment.refunds.map(refund => refund.stripeRefundId));
+    const refunds = (charge.refunds?.data || []).filter(refund => {
+      return !known.has(refund.id) && refund.metadata?.source !== 'pvt-booking-api';
+    });
+    if (refunds.length === 0) {
+      return payment;
+    }
+
+    // A disputed or fully refunded payment has nothing left to refund here;
+    // the event is acknowledged rather than redelivered for ever
+    if (![PAYMENT_STATUS.SUCCEEDED, PAYMENT_STATUS.PARTIALLY_REFUNDED].includes(payment.status)) {
+      console.warn(`Refunds on ${payment.status} payment ${payment._id} not recorded:`, refunds.map(refund => refund.id));
+      return payment;
+    }
+
+    const booking = await Booking.findById(payment.booking);
+
+    for (const refund of refunds) {
+      const amount = stripeUtils.formatAmountFromStripe(refund.amount);
+      const status = refund.status === 'succeeded' ? 'succeeded' : 'pending';
+
+      await payment.processRefund(amount, refund.reason || 'Refunded in Stripe', null, {
+        stripeRefundId: refund.id,
+        status
+      });
+      await ledgerService.recordRefund(payment, { amount, reference: refund.id, writeOff: true });
+
+      booking?.payment.transactions.push({
+        amount,
+        type: 'refund',
+        method: 'card',
+        reference: refund.id,
+        status: status === 'succeeded' ? 'completed' : 'pending'
+      });
     }
+
+    if (booking) {
+      booking.notes.push({
+        content: `Refunded ${refunds.reduce((total, refund) => total + refund.amount, 0) / 100} in Stripe outside the booking system`,
+        type: 'general'
+      });
+      await booking.save();
+    }
+
+    return payment;
+  }
+
+  /**
+   * Track a refund settling or failing after it was created
+   * @param {Object} refund - Stripe refund
+   * @returns {Object|null} Payment, or null if the refund is not on a payment
+   */
+  async processRefundUpdated(refund) {
+    const payment = await Payment.findOne({ 'refunds.stripeRefundId': refund.id });
+    if (!payment) {
+      return null;
+    }
+
+    const status = { succeeded: 'succeeded', failed: 'failed', canceled: 'failed' }[refund.status] || 'pending';
+    const recorded = payment.refunds.find(line => line.stripeRefundId === refund.id);
+    if (recorded.status === status) {
+      return payment;
+    }
+
+    recorded.status = status;
+
+    // A failed refund gives the money back to the payment
+    if (status === 'failed') {
+      await ledgerService.reverseRefund(refund.id);
+
+      const committed = payment.refunds
+        .filter(line => line.status !== 'failed')
+        .reduce((total, line) => total + line.amount, 0);
+
+      if (committed <= 0) {
+        payment.status = PAYMENT_STATUS.SUCCEEDED;
+      } else if (committed < payment.amount) {
+        payment.status = PAYMENT_STATUS.PARTIALLY_REFUNDED;
+      }
+    }
+    await payment.save();
+
+    await Booking.updateOne(
+      { _id: payment.booking, 'payment.transactions.reference': refund.id },
+      { $set: { 'payment.transactions.$.status': status === 'succeeded' ? 'completed' : status } }
+    );
+
+    return payment;
   }
 
   /**
@@ -396,8 +623,16 @@ class PaymentController {
         });
       }
 
+      if (!payment.stripePaymentIntentId) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Only card payments can be refunded through Stripe'
+        });
+      }
+
       // Check if payment can be refunded
-      if (payment.status !== PAYMENT_STATUS.SUCCEEDED) {
+      if (![PAYMENT_STATUS.SUCCEEDED, PAYMENT_STATUS.PARTIALLY_REFUNDED].includes(payment.status)) {
         return res.status(400).json({
           success: false,
           message: API_MESSAGES.BAD_REQUEST,
@@ -426,7 +661,18 @@ class PaymentController {
       });
 
       // Update payment with refund
-      await payment.processRefund(refundAmount, reason, req.user._id);
+      await payment.processRefund(refundAmount, reason, req.user._id, {
+        stripeRefundId: stripeRefund.id,
+        status: stripeRefund.status === 'succeeded' ? 'succeeded' : 'pending'
+      });
+
+      // The booking still owes what it did, so the refund is written off
+      await ledgerService.recordRefund(payment, {
+        amount: refundAmount,
+        reference: stripeRefund.id,
+        writeOff: true,
+        postedBy: req.user._id
+      });
 
       res.json({
         success: true,
@@ -465,53 +711,320 @@ class PaymentController {
   }
 
   /**
-   * Handle Stripe webhooks
+   * Record a cash or bank transfer payment taken at the front desk (Staff and Admin only)
    */
-  async handleWebhook(req, res) {
+  async recordManualPayment(req, res) {
     try {
-      const signature = req.headers['stripe-signature'];
-      
-      if (!signature) {
+      const { bookingId, amount, method, tendered = amount, reference, bankName, note } = req.body;
+
+      const booking = await Booking.findById(bookingId);
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Booking not found'
+        });
+      }
+
+      if (!PAYABLE_STATUSES.includes(booking.status)) {
         return res.status(400).json({
           success: false,
-          message: 'Missing stripe signature'
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Booking can no longer be paid'
         });
       }
 
-      // Construct webhook event
-      const event = stripeUtils.constructWebhookEvent(req.body, signature);
+      if (amount > booking.payment.remainingAmount) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Amount exceeds remaining balance'
+        });
+      }
 
-      console.log('Stripe webhook event:', event.type);
+      // The first payment on a held booking must cover the deposit
+      const depositDue = booking.status === BOOKING_STATUS.HOLD ? booking.getDepositDue() : 0;
+      if (amount < depositDue) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: `Payment must cover the deposit of ${depositDue.toFixed(2)}`
+        });
+      }
 
-      // Handle different event types
-      switch (event.type) {
-        case 'payment_intent.succeeded':
-          await this.processSuccessfulPayment(event.data.object.id);
-          break;
+      const isCash = method === PAYMENT_METHODS.CASH;
+      if (isCash && tendered < amount) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Amount tendered is less than the payment'
+        });
+      }
 
-        case 'payment_intent.payment_failed':
-          await this.processFailedPayment(event.data.object.id, {
-            code: event.data.object.last_payment_error?.code,
-            message: event.data.object.last_payment_error?.message,
-            declineCode: event.data.object.last_payment_error?.decline_code
-          });
-          break;
+      const payment = new Payment({
+        booking: booking._id,
+        user: booking.user,
+        amount,
+        currency: booking.pricing.currency || 'USD',
+        status: PAYMENT_STATUS.SUCCEEDED,
+        paymentMethod: {
+          type: method,
+          details: { bankName }
+        },
+        externalTransactionId: reference,
+        description: `${isCash ? 'Cash' : 'Bank transfer'} payment for booking ${booking.bookingReference}`,
+        cash: isCash ? { tendered, change: Math.round((tendered - amount) * 100) / 100 } : undefined,
+        processedAt: new Date(),
+        processedBy: req.user._id,
+        notes: note ? [{ content: note, addedBy: req.user._id }] : []
+      });
+
+      await payment.save();
+      await ledgerService.recordPayment(payment, booking, {
+        account: isCash ? LEDGER_ACCOUNTS.CASH : LEDGER_ACCOUNTS.BANK,
+        postedBy: req.user._id
+      });
+      await this.creditBooking(booking, payment, { method, reference: payment.receiptNumber });
+
+      res.status(201).json({
+        success: true,
+        message: 'Payment recorded successfully',
+        data: {
+          payment,
+          booking: {
+            bookingReference: booking.bookingReference,
+            status: booking.status,
+            payment: booking.payment
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Record payment error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Void a cash or bank transfer payment recorded by mistake (Staff and Admin only)
+   */
+  async voidPayment(req, res) {
+    try {
+      const { reasonCode, note } = req.body;
+
+      const payment = await Payment.findById(req.params.id);
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Payment not found'
+        });
+      }
+
+      if (![PAYMENT_METHODS.CASH, PAYMENT_METHODS.BANK_TRANSFER].includes(payment.paymentMethod.type)) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Only cash and bank transfer payments can be voided'
+        });
+      }
+
+      if (payment.voided?.at) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Payment is already voided'
+        });
+      }
+
+      if (payment.status !== PAYMENT_STATUS.SUCCEEDED) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Only succeeded payments can be voided'
+        });
+      }
+
+      const booking = await Booking.findById(payment.booking);
+
+      payment.status = PAYMENT_STATUS.CANCELLED;
+      payment.voided = { at: new Date(), by: req.user._id, reasonCode, note };
+      await payment.save();
+
+      if (booking) {
+        await ledgerService.voidPayment(payment, booking, {
+          account: payment.paymentMethod.type === PAYMENT_METHODS.CASH ? LEDGER_ACCOUNTS.CASH : LEDGER_ACCOUNTS.BANK,
+          postedBy: req.user._id
+        });
+
+        booking.payment.paidAmount = Math.max(0, Math.round((booking.payment.paidAmount - payment.amount) * 100) / 100);
+        booking.payment.remainingAmount = Math.max(0, booking.getAmountDue() - booking.payment.paidAmount);
+        booking.updatePaymentStatus();
+
+        const transaction = booking.payment.transactions.find(candidate => {
+          return candidate.type === 'payment' && candidate.reference === payment.receiptNumber;
+        });
+        if (transaction) {
+          transaction.status = 'voided';
+        }
 
-        case 'payment_intent.canceled':
-          await this.processFailedPayment(event.data.object.id, {
-            message: 'Payment was cancelled'
+        booking.notes.push({
+          content: `${payment.description} (receipt ${payment.receiptNumber}) voided: ${reasonCode}${note ? ` - ${note}` : ''}`,
+          type: 'general',
+          addedBy: req.user._id
+        });
+
+        // A confirmation the voided payment paid for goes back to awaiting payment
+        if (booking.status === BOOKING_STATUS.CONFIRMED && bookingStateMachine.can(booking, BOOKING_STATUS.PENDING)) {
+          await bookingStateMachine.transition(booking, BOOKING_STATUS.PENDING, {
+            reason: `Payment ${payment.receiptNumber} voided`
           });
-          break;
+        } else {
+          await booking.save();
+        }
+      }
 
-        default:
-          console.log(`Unhandled webhook event type: ${event.type}`);
+      res.json({
+        success: true,
+        message: 'Payment voided successfully',
+        data: {
+          payment,
+          booking: booking && {
+            bookingReference: booking.bookingReference,
+            status: booking.status,
+            payment: booking.payment
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Void payment error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Apply a Stripe webhook event
+   * @param {Object} event - Verified Stripe event
+   */
+  async dispatchWebhookEvent(event) {
+    const object = event.data.object;
+
+    switch (event.type) {
+      case 'payment_intent.succeeded': {
+        const payment = await this.processSuccessfulPayment(object.id, {
+          savedPaymentMethodId: object.setup_future_usage ? object.payment_method : null
+        });
+
+        // The intent is ours but its payment is not saved yet; ask Stripe to try again
+        if (!payment && object.metadata?.source === 'pvt-booking-api') {
+          throw new Error(`No payment recorded for payment intent ${object.id}`);
+        }
+        break;
       }
 
+      case 'payment_intent.processing':
+        await this.processProcessingPayment(object.id);
+        break;
+
+      case 'payment_intent.amount_capturable_updated':
+        // A security deposit the front desk confirmed is now held on the card
+        await securityDepositService.recordAuthorization(object.id);
+        break;
+
+      case 'payment_intent.payment_failed':
+        await this.processFailedPayment(object.id, {
+          code: object.last_payment_error?.code,
+          message: object.last_payment_error?.message,
+          declineCode: object.last_payment_error?.decline_code
+        });
+        break;
+
+      case 'payment_intent.canceled':
+        await this.processFailedPayment(object.id, {
+          message: 'Payment was cancelled'
+        });
+        break;
+
+      case 'charge.refunded':
+        await this.processChargeRefunded(object);
+        break;
+
+      case 'refund.updated':
+        await this.processRefundUpdated(object);
+        break;
+
+      case 'charge.dispute.created':
+      case 'charge.dispute.updated':
+      case 'charge.dispute.closed':
+        await disputeService.recordEvent(object);
+        break;
+
+      default:
+        console.log(`Unhandled webhook event type: ${event.type}`);
+    }
+  }
+
+  /**
+   * Handle Stripe webhooks. Each event is processed once; a failure answers
+   * 500 so Stripe redelivers it, and a redelivery of a processed event is
+   * acknowledged without doing anything.
+   */
+  async handleWebhook(req, res) {
+    const signature = req.headers['stripe-signature'];
+
+    if (!signature) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing stripe signature'
+      });
+    }
+
+    let event;
+    try {
+      // Construct webhook event
+      event = stripeUtils.constructWebhookEvent(req.body, signature);
+    } catch (error) {
+      console.error('Webhook signature error:', error);
+      return res.status(400).json({
+        success: false,
+        message: 'Webhook error',
+        error: error.message
+      });
+    }
+
+    console.log('Stripe webhook event:', event.type);
+
+    let record;
+    try {
+      record = await WebhookEvent.claim(event);
+      if (!record) {
+        return res.json({ received: true, duplicate: true });
+      }
+
+      await this.dispatchWebhookEvent(event);
+      await record.markProcessed();
+
       res.json({ received: true });
 
     } catch (error) {
-      console.error('Webhook error:', error);
-      res.status(400).json({
+      console.error(`Webhook error for ${event.id}:`, error);
+
+      if (record) {
+        await record.markFailed(error).catch(saveError => {
+          console.error('Failed to record webhook failure:', saveError);
+        });
+      }
+
+      res.status(500).json({
         success: false,
         message: 'Webhook error',
         error: error.message
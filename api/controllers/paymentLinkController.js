@@ -0,0 +1,130 @@
+const { Booking } = require('../models');
+const { API_MESSAGES } = require('../config/constants');
+const { APIError } = require('../middleware/errorHandler');
+const paymentLinkService = require('../services/paymentLinkService');
+
+class PaymentLinkController {
+  /**
+   * Send a guest a link to pay a booking's balance (Staff and Admin only)
+   */
+  async createPaymentLink(req, res) {
+    try {
+      const { amount, email, expiresInHours, extendHold } = req.body;
+
+      const booking = await Booking.findById(req.params.id);
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Booking not found'
+        });
+      }
+
+      const { link, url, email: sent } = await paymentLinkService.create(booking, {
+        amount,
+        ...(email && { sentTo: email }),
+        ...(expiresInHours && { expiresInHours }),
+        extendHold: !!extendHold,
+        createdBy: req.user._id
+      });
+
+      res.status(201).json({
+        success: true,
+        message: API_MESSAGES.CREATED,
+        data: { paymentLink: link, url, email: sent, booking }
+      });
+
+    } catch (error) {
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          error: error.error
+        });
+      }
+
+      console.error('Create payment link error:', error);
+
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Open a payment link: what the booking is and how much is to pay (Public)
+   */
+  async getPaymentLink(req, res) {
+    try {
+      const { booking, link } = await paymentLinkService.resolve(req.params.token);
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: { payment: paymentLinkService.summarize(booking, link) }
+      });
+
+    } catch (error) {
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          error: error.error
+        });
+      }
+
+      console.error('Get payment link error:', error);
+
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create the Stripe payment intent for a payment link (Public)
+   */
+  async createPaymentIntent(req, res) {
+    try {
+      const { paymentIntent, payment, booking, link } = await paymentLinkService.createPaymentIntent(req.params.token);
+
+      res.json({
+        success: true,
+        message: 'Payment intent created successfully',
+        data: {
+          paymentIntent: {
+            id: paymentIntent.id,
+            clientSecret: paymentIntent.client_secret,
+            amount: payment.amount,
+            currency: payment.currency,
+            status: paymentIntent.status
+          },
+          payment: paymentLinkService.summarize(booking, link)
+        }
+      });
+
+    } catch (error) {
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          error: error.error
+        });
+      }
+
+      console.error('Create payment link intent error:', error);
+
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new PaymentLinkController();
@@ -0,0 +1,127 @@
+const { Payout } = require('../models');
+const { API_MESSAGES } = require('../config/constants');
+const reconcilePayouts = require('../jobs/reconcilePayouts');
+const payoutService = require('../services/payoutService');
+
+class PayoutController {
+  /**
+   * Reconcile Stripe payouts now (Admin only)
+   */
+  async reconcile(req, res) {
+    try {
+      const { since, until } = req.body;
+
+      const result = await reconcilePayouts({
+        since: since ? new Date(since) : null,
+        until: until ? new Date(until) : new Date()
+      });
+
+      res.json({
+        success: true,
+        message: result.reconciled.length > 0 ? 'Payouts reconciled' : 'No payouts to reconcile',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Payout reconciliation error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List reconciled payouts, or export their lines as CSV (Staff and Admin only)
+   */
+  async getPayouts(req, res) {
+    try {
+      const { startDate, endDate, flagged, format, page = 1, limit = 20 } = req.query;
+
+      const filter = {};
+      if (startDate || endDate) {
+        filter.arrivalDate = {};
+        if (startDate) filter.arrivalDate.$gte = new Date(startDate);
+        if (endDate) filter.arrivalDate.$lte = new Date(endDate);
+      }
+      if (flagged !== undefined) {
+        filter.discrepancies = flagged === 'true' ? { $gt: 0 } : 0;
+      }
+
+      if (format === 'csv') {
+        const payouts = await Payout.find(filter).sort({ arrivalDate: 1 });
+        return res.attachment('payouts.csv').type('text/csv').send(payoutService.toCsv(payouts));
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const payouts = await Payout.find(filter)
+        .select('-items')
+        .sort({ arrivalDate: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await Payout.countDocuments(filter);
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: {
+          payouts,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / parseInt(limit))
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get payouts error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a payout's reconciliation report, as JSON or CSV (Staff and Admin only)
+   */
+  async getPayoutById(req, res) {
+    try {
+      const payout = await Payout.findById(req.params.id);
+
+      if (!payout) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Payout not found'
+        });
+      }
+
+      if (req.query.format === 'csv') {
+        return res.attachment(`${payout.stripePayoutId}.csv`).type('text/csv').send(payoutService.toCsv([payout]));
+      }
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: { payout }
+      });
+
+    } catch (error) {
+      console.error('Get payout error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new PayoutController();
@@ -0,0 +1,209 @@
+const { Product } = require('../models');
+const { API_MESSAGES, USER_ROLES } = require('../config/constants');
+
+class ProductController {
+  /**
+   * Get the add-on catalogue. Guests see products on sale; staff can include inactive ones.
+   */
+  async getProducts(req, res) {
+    try {
+      const { category, isActive, page = 1, limit = 50 } = req.query;
+      const isStaff = [USER_ROLES.ADMIN, USER_ROLES.STAFF].includes(req.user?.role);
+
+      const filter = {};
+      if (category) filter.category = category;
+      if (!isStaff) {
+        filter.isActive = true;
+      } else if (isActive !== undefined) {
+        filter.isActive = isActive === 'true';
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const products = await Product.find(filter)
+        .sort({ category: 1, name: 1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await Product.countDocuments(filter);
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: {
+          products,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / parseInt(limit))
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get products error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get product by ID
+   */
+  async getProductById(req, res) {
+    try {
+      const product = await Product.findById(req.params.id);
+      const isStaff = [USER_ROLES.ADMIN, USER_ROLES.STAFF].includes(req.user?.role);
+
+      if (!product || (!product.isActive && !isStaff)) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Product not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: { product }
+      });
+
+    } catch (error) {
+      console.error('Get product error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create product (Admin only)
+   */
+  async createProduct(req, res) {
+    try {
+      const existingProduct = await Product.findByCode(req.body.code);
+      if (existingProduct) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Product code already exists'
+        });
+      }
+
+      const product = new Product({
+        ...req.body,
+        createdBy: req.user._id
+      });
+      await product.save();
+
+      res.status(201).json({
+        success: true,
+        message: API_MESSAGES.CREATED,
+        data: { product }
+      });
+
+    } catch (error) {
+      console.error('Create product error:', error);
+
+      if (error.name === 'ValidationError') {
+        const validationErrors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }));
+
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.VALIDATION_ERROR,
+          errors: validationErrors
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update product (Admin only)
+   * Charges already on folios keep the price and tax they were posted with.
+   */
+  async updateProduct(req, res) {
+    try {
+      const product = await Product.findById(req.params.id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Product not found'
+        });
+      }
+
+      // The code identifies the product on past charges
+      const updates = { ...req.body };
+      delete updates.code;
+      delete updates.createdBy;
+
+      Object.assign(product, updates);
+      await product.save();
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.UPDATED,
+        data: { product }
+      });
+
+    } catch (error) {
+      console.error('Update product error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Take product off sale (Admin only)
+   */
+  async deleteProduct(req, res) {
+    try {
+      const product = await Product.findById(req.params.id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Product not found'
+        });
+      }
+
+      product.isActive = false;
+      await product.save();
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.DELETED,
+        data: { product }
+      });
+
+    } catch (error) {
+      console.error('Delete product error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ProductController();
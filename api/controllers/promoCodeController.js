@@ -0,0 +1,288 @@
+const { PromoCode, PromoRedemption, Room, RatePlan } = require('../models');
+const { API_MESSAGES } = require('../config/constants');
+const pricingService = require('../services/pricingService');
+
+class PromoCodeController {
+  /**
+   * Validate a promo code against a quote for a stay
+   */
+  async validatePromoCode(req, res) {
+    try {
+      const { code, roomId, checkInDate, checkOutDate, guestCount = 1, ratePlanId } = req.body;
+
+      const promoCode = await PromoCode.findByCode(code);
+      if (!promoCode) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Invalid promo code'
+        });
+      }
+
+      const room = await Room.findById(roomId);
+      if (!room || !room.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Room not found'
+        });
+      }
+
+      let ratePlan = null;
+      if (ratePlanId) {
+        ratePlan = await RatePlan.findById(ratePlanId);
+        if (!ratePlan || !ratePlan.isActive || !ratePlan.appliesTo(room.type)) {
+          return res.status(400).json({
+            success: false,
+            message: API_MESSAGES.BAD_REQUEST,
+            error: 'Rate plan not available for this room'
+          });
+        }
+      }
+
+      const reasons = await promoCode.checkEligibility({
+        roomType: room.type,
+        checkIn: checkInDate,
+        checkOut: checkOutDate,
+        ratePlan,
+        userId: req.user?._id
+      });
+
+      const valid = reasons.length === 0;
+      const pricing = await pricingService.quote(room, {
+        checkIn: checkInDate,
+        checkOut: checkOutDate,
+        guestCount: parseInt(guestCount),
+        ratePlan,
+        discount: valid ? promoCode.toDiscount() : null
+      });
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: {
+          valid,
+          reasons,
+          promoCode: {
+            code: promoCode.code,
+            name: promoCode.name,
+            description: promoCode.description
+          },
+          pricing
+        }
+      });
+
+    } catch (error) {
+      console.error('Validate promo code error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get promo codes (Staff and Admin only)
+   */
+  async getPromoCodes(req, res) {
+    try {
+      const { campaign, isActive, page = 1, limit = 20 } = req.query;
+
+      const filter = {};
+      if (campaign) filter.campaign = campaign;
+      if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const promoCodes = await PromoCode.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await PromoCode.countDocuments(filter);
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: {
+          promoCodes,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / parseInt(limit))
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get promo codes error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get promo code with its redemptions (Staff and Admin only)
+   */
+  async getPromoCodeById(req, res) {
+    try {
+      const promoCode = await PromoCode.findById(req.params.id);
+      if (!promoCode) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Promo code not found'
+        });
+      }
+
+      const redemptions = await PromoRedemption.find({ promoCode: promoCode._id })
+        .populate('booking', 'bookingReference status checkInDate checkOutDate')
+        .populate('user', 'firstName lastName email')
+        .sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: { promoCode, redemptions }
+      });
+
+    } catch (error) {
+      console.error('Get promo code error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create promo code (Admin only)
+   */
+  async createPromoCode(req, res) {
+    try {
+      const existingCode = await PromoCode.findByCode(req.body.code);
+      if (existingCode) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Promo code already exists'
+        });
+      }
+
+      const promoCode = new PromoCode({
+        ...req.body,
+        usageCount: 0,
+        createdBy: req.user._id
+      });
+      await promoCode.save();
+
+      res.status(201).json({
+        success: true,
+        message: API_MESSAGES.CREATED,
+        data: { promoCode }
+      });
+
+    } catch (error) {
+      console.error('Create promo code error:', error);
+
+      if (error.name === 'ValidationError') {
+        const validationErrors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }));
+
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.VALIDATION_ERROR,
+          errors: validationErrors
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update promo code (Admin only)
+   * Bookings that already used the code keep the discount they were given.
+   */
+  async updatePromoCode(req, res) {
+    try {
+      const promoCode = await PromoCode.findById(req.params.id);
+      if (!promoCode) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Promo code not found'
+        });
+      }
+
+      // The code and usage count identify past redemptions
+      const updates = { ...req.body };
+      delete updates.code;
+      delete updates.usageCount;
+
+      Object.assign(promoCode, updates);
+      await promoCode.save();
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.UPDATED,
+        data: { promoCode }
+      });
+
+    } catch (error) {
+      console.error('Update promo code error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Deactivate promo code (Admin only)
+   */
+  async deletePromoCode(req, res) {
+    try {
+      const promoCode = await PromoCode.findById(req.params.id);
+      if (!promoCode) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Promo code not found'
+        });
+      }
+
+      promoCode.isActive = false;
+      await promoCode.save();
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.DELETED,
+        data: { promoCode }
+      });
+
+    } catch (error) {
+      console.error('Delete promo code error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new PromoCodeController();
@@ -0,0 +1,203 @@
+const { RatePlan } = require('../models');
+const { API_MESSAGES } = require('../config/constants');
+
+class RatePlanController {
+  /**
+   * Get rate plans (inactive plans are only listed for admins)
+   */
+  async getRatePlans(req, res) {
+    try {
+      const { roomType, includeInactive } = req.query;
+
+      const filter = {};
+      if (!(includeInactive === 'true' && req.user?.role === 'admin')) {
+        filter.isActive = true;
+      }
+      if (roomType) {
+        filter.$or = [{ roomTypes: { $size: 0 } }, { roomTypes: roomType }];
+      }
+
+      const ratePlans = await RatePlan.find(filter).sort({ sortOrder: 1, name: 1 });
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: { ratePlans }
+      });
+
+    } catch (error) {
+      console.error('Get rate plans error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get rate plan by ID
+   */
+  async getRatePlanById(req, res) {
+    try {
+      const ratePlan = await RatePlan.findById(req.params.ratePlanId);
+
+      if (!ratePlan) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Rate plan not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: { ratePlan }
+      });
+
+    } catch (error) {
+      console.error('Get rate plan error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create rate plan (Admin only)
+   */
+  async createRatePlan(req, res) {
+    try {
+      const existingPlan = await RatePlan.findOne({ code: req.body.code.toUpperCase() });
+      if (existingPlan) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Rate plan code already exists'
+        });
+      }
+
+      const ratePlan = new RatePlan(req.body);
+      await ratePlan.save();
+
+      res.status(201).json({
+        success: true,
+        message: API_MESSAGES.CREATED,
+        data: { ratePlan }
+      });
+
+    } catch (error) {
+      console.error('Create rate plan error:', error);
+
+      if (error.name === 'ValidationError') {
+        const validationErrors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }));
+
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.VALIDATION_ERROR,
+          errors: validationErrors
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update rate plan (Admin only)
+   * Existing bookings keep the nightly rates they were sold at.
+   */
+  async updateRatePlan(req, res) {
+    try {
+      const { ratePlanId } = req.params;
+      const updates = req.body;
+
+      const ratePlan = await RatePlan.findById(ratePlanId);
+      if (!ratePlan) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Rate plan not found'
+        });
+      }
+
+      if (updates.code && updates.code.toUpperCase() !== ratePlan.code) {
+        const existingPlan = await RatePlan.findOne({
+          code: updates.code.toUpperCase(),
+          _id: { $ne: ratePlanId }
+        });
+
+        if (existingPlan) {
+          return res.status(400).json({
+            success: false,
+            message: API_MESSAGES.BAD_REQUEST,
+            error: 'Rate plan code already exists'
+          });
+        }
+      }
+
+      Object.assign(ratePlan, updates);
+      await ratePlan.save();
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.UPDATED,
+        data: { ratePlan }
+      });
+
+    } catch (error) {
+      console.error('Update rate plan error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete rate plan (Admin only)
+   */
+  async deleteRatePlan(req, res) {
+    try {
+      const ratePlan = await RatePlan.findById(req.params.ratePlanId);
+      if (!ratePlan) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Rate plan not found'
+        });
+      }
+
+      // Soft delete so bookings sold on the plan can still be repriced
+      ratePlan.isActive = false;
+      await ratePlan.save();
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.DELETED,
+        data: { ratePlan }
+      });
+
+    } catch (error) {
+      console.error('Delete rate plan error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new RatePlanController();
@@ -0,0 +1,206 @@
+const { RoomBlock, Room, GroupBooking, InventoryLock } = require('../models');
+const { API_MESSAGES } = require('../config/constants');
+
+class RoomBlockController {
+  /**
+   * Get room blocks (Staff and Admin only)
+   */
+  async getRoomBlocks(req, res) {
+    try {
+      const { status, page = 1, limit = 20 } = req.query;
+
+      const filter = {};
+      if (status) filter.status = status;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const roomBlocks = await RoomBlock.find(filter)
+        .populate('rooms.room', 'roomNumber type')
+        .sort({ checkInDate: 1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await RoomBlock.countDocuments(filter);
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: {
+          roomBlocks,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / parseInt(limit))
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get room blocks error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get room block with its pickup (Staff and Admin only)
+   */
+  async getRoomBlockById(req, res) {
+    try {
+      const roomBlock = await RoomBlock.findById(req.params.id)
+        .populate('rooms.room', 'roomNumber type');
+
+      if (!roomBlock) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Room block not found'
+        });
+      }
+
+      const pickup = await roomBlock.getPickup();
+      const groups = await GroupBooking.find({ roomBlock: roomBlock._id })
+        .select('groupReference name status leader');
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: { roomBlock, pickup, groups }
+      });
+
+    } catch (error) {
+      console.error('Get room block error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a room block and hold its rooms or beds until the cutoff (Staff and Admin only)
+   */
+  async createRoomBlock(req, res) {
+    try {
+      const { name, checkInDate, checkOutDate, cutoffDate, rooms, notes } = req.body;
+
+      const roomBlock = new RoomBlock({
+        name,
+        checkInDate,
+        checkOutDate,
+        cutoffDate,
+        notes,
+        createdBy: req.user._id
+      });
+
+      for (const { roomId, bedCount } of rooms) {
+        const room = await Room.findById(roomId);
+        if (!room || !room.isActive) {
+          return res.status(400).json({
+            success: false,
+            message: API_MESSAGES.BAD_REQUEST,
+            error: 'Room not available'
+          });
+        }
+
+        await room.ensureBeds();
+
+        // Dorms can hold some of their beds; other rooms are held whole
+        let beds = [];
+        let available;
+        if (room.usesBedInventory()) {
+          beds = await room.allocateBeds(roomBlock.checkInDate, roomBlock.checkOutDate, bedCount || room.beds.length);
+          available = Boolean(beds);
+        } else {
+          available = await room.checkAvailability(roomBlock.checkInDate, roomBlock.checkOutDate);
+        }
+
+        if (!available) {
+          return res.status(400).json({
+            success: false,
+            message: API_MESSAGES.BAD_REQUEST,
+            error: `Room ${room.roomNumber} not available for the block dates`
+          });
+        }
+
+        roomBlock.rooms.push({ room: room._id, beds: beds.map(bed => bed._id) });
+      }
+
+      if (!(await roomBlock.lockInventory())) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Rooms were taken while creating the block, please try again'
+        });
+      }
+
+      try {
+        await roomBlock.save();
+      } catch (error) {
+        await InventoryLock.release(roomBlock._id);
+        throw error;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: API_MESSAGES.CREATED,
+        data: { roomBlock }
+      });
+
+    } catch (error) {
+      console.error('Create room block error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Release a room block's unpicked nights now (Staff and Admin only)
+   */
+  async releaseRoomBlock(req, res) {
+    try {
+      const roomBlock = await RoomBlock.findById(req.params.id);
+      if (!roomBlock) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Room block not found'
+        });
+      }
+
+      if (roomBlock.status === 'released') {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Room block already released'
+        });
+      }
+
+      await roomBlock.release();
+
+      res.json({
+        success: true,
+        message: 'Room block released successfully',
+        data: { roomBlock }
+      });
+
+    } catch (error) {
+      console.error('Release room block error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new RoomBlockController();
@@ -1,5 +1,93 @@
-const { Room, Booking } = require('../models');
-const { API_MESSAGES, ROOM_STATUS } = require('../config/constants');
+const { Room, Booking, RatePlan, StayRestriction } = require('../models');
+const { API_MESSAGES, ROOM_STATUS, BOOKING_STATUS, BUSINESS_RULES } = require('../config/constants');
+const pricingService = require('../services/pricingService');
+const extrasService = require('../services/extrasService');
+const { APIError } = require('../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Offer a stay split between two rooms (or two sets of beds in one dorm)
+ * when no single room is free for every night. Each room is stayed in for
+ * as long as it is free before the guest moves; cheapest options first.
+ * @param {Array} rooms - Candidate rooms that are not free for the whole stay
+ * @param {Object} stay - { checkIn, checkOut, guestCount, gender }
+ * @returns {Array} Options as { segments, pricing }
+ */
+const findSplitStays = async (rooms, { checkIn, checkOut, guestCount, gender }) => {
+  const nights = Math.round((checkOut - checkIn) / DAY_MS);
+  if (nights < 2 || nights > BUSINESS_RULES.MAX_SPLIT_STAY_NIGHTS) {
+    return [];
+  }
+
+  const dayAfterCheckIn = (count) => new Date(checkIn.getTime() + count * DAY_MS);
+
+  // Longest run of free nights from check-in, and up to check-out, per room.
+  // Each room's stays are loaded once and the runs worked out from them.
+  const runs = [];
+  for (const room of rooms) {
+    const isFree = await room.getAvailabilityChecker(checkIn, checkOut, { guestCount, gender });
+
+    let fromStart = 0;
+    for (let count = nights - 1; count > 0 && !fromStart; count--) {
+      if (isFree(checkIn, dayAfterCheckIn(count))) fromStart = count;
+    }
+
+    let toEnd = 0;
+    for (let count = nights - 1; count > 0 && !toEnd; count--) {
+      if (isFree(dayAfterCheckIn(nights - count), checkOut)) toEnd = count;
+    }
+
+    runs.push({ room, fromStart, toEnd });
+  }
+
+  // Stay restrictions for each pair of room types and move date, checked as a booking would be
+  const restrictionChecks = new Map();
+  const meetsRestrictions = async (segments) => {
+    const key = segments.map(segment => `${segment.room.type}:${segment.checkIn.getTime()}`).join('|');
+    if (!restrictionChecks.has(key)) {
+      const reasons = await StayRestriction.evaluateSegments(segments.map(segment => ({
+        roomType: segment.room.type,
+        checkIn: segment.checkIn,
+        checkOut: segment.checkOut
+      })));
+      restrictionChecks.set(key, reasons.length === 0);
+    }
+    return restrictionChecks.get(key);
+  };
+
+  const options = [];
+  for (const first of runs) {
+    for (const second of runs) {
+      if (!first.fromStart || !second.toEnd || first.fromStart + second.toEnd < nights) continue;
+
+      // Moving within one room only helps where beds are sold separately
+      if (first.room === second.room && !first.room.usesBedInventory()) continue;
+
+      const moveDate = dayAfterCheckIn(first.fromStart);
+      const segments = [
+        { room: first.room, checkIn, checkOut: moveDate },
+        { room: second.room, checkIn: moveDate, checkOut }
+      ];
+      if (!(await meetsRestrictions(segments))) continue;
+
+      options.push({
+        segments: segments.map(segment => ({
+          roomId: segment.room._id,
+          roomNumber: segment.room.roomNumber,
+          type: segment.room.type,
+          checkInDate: segment.checkIn,
+          checkOutDate: segment.checkOut
+        })),
+        pricing: await pricingService.quoteSegments(segments, { guestCount })
+      });
+    }
+  }
+
+  return options
+    .sort((a, b) => a.pricing.totalAmount - b.pricing.totalAmount)
+    .slice(0, BUSINESS_RULES.MAX_SPLIT_STAY_OPTIONS);
+};
 
 class RoomController {
   /**
@@ -281,7 +369,7 @@ class RoomController {
   async checkAvailability(req, res) {
     try {
       const { id } = req.params;
-      const { checkInDate, checkOutDate, guestCount = 1 } = req.query;
+      const { checkInDate, checkOutDate, guestCount = 1, gender, ratePlanId } = req.query;
 
       if (!checkInDate || !checkOutDate) {
         return res.status(400).json({
@@ -324,30 +412,60 @@ class RoomController {
         });
       }
 
+      // Check stay restrictions so guests can see why dates are refused
+      const restrictions = await StayRestriction.evaluate(room.type, checkInDate, checkOutDate);
+      if (restrictions.length > 0) {
+        return res.json({
+          success: true,
+          message: API_MESSAGES.SUCCESS,
+          data: {
+            available: false,
+            reason: 'Stay restrictions not met for selected dates',
+            reasons: restrictions
+          }
+        });
+      }
+
       // Check date availability
       const available = await room.checkAvailability(
         new Date(checkInDate),
-        new Date(checkOutDate)
+        new Date(checkOutDate),
+        null,
+        { guestCount: parseInt(guestCount), gender }
       );
 
-      // Calculate pricing if available
+      // Report free beds for dorms and shared rooms
+      let availableBeds = null;
+      if (room.usesBedInventory()) {
+        const freeBeds = await room.findAvailableBeds(
+          new Date(checkInDate),
+          new Date(checkOutDate),
+          { gender }
+        );
+        availableBeds = freeBeds.length;
+      }
+
+      // Quote the stay if available, on the requested rate plan
       let pricing = null;
       if (available) {
-        const nights = Math.ceil(
-          (new Date(checkOutDate) - new Date(checkInDate)) / (1000 * 60 * 60 * 24)
-        );
-        const baseAmount = room.basePrice * nights * parseInt(guestCount);
-        const taxes = baseAmount * 0.15;
-        
-        pricing = {
-          basePrice: room.basePrice,
-          nights,
+        let ratePlan = null;
+        if (ratePlanId) {
+          ratePlan = await RatePlan.findById(ratePlanId);
+          if (!ratePlan || !ratePlan.isActive || !ratePlan.appliesTo(room.type)) {
+            return res.status(400).json({
+              success: false,
+              message: API_MESSAGES.BAD_REQUEST,
+              error: 'Rate plan not available for this room'
+            });
+          }
+        }
+
+        pricing = await pricingService.quote(room, {
+          checkIn: checkInDate,
+          checkOut: checkOutDate,
           guestCount: parseInt(guestCount),
-          baseAmount,
-          taxes,
-          totalAmount: baseAmount + taxes,
-          currency: room.currency
-        };
+          ratePlan
+        });
       }
 
       res.json({
@@ -357,6 +475,7 @@ class RoomController {
           available,
           reason: available ? 'Room is available' : 'Room is not available for selected dates',
           pricing,
+          availableBeds,
           room: {
             id: room._id,
             roomNumber: room.roomNumber,
@@ -390,6 +509,8 @@ class RoomController {
         minPrice,
         maxPrice,
         amenities,
+        gender,
+        extras: extrasParam,
         page = 1,
         limit = 20
       } = req.query;
@@ -402,6 +523,15 @@ class RoomController {
         });
       }
 
+      // Extras to include in each quote, as productId or productId:quantity
+      const selectedExtras = extrasParam
+        ? (Array.isArray(extrasParam) ? extrasParam : extrasParam.split(',')).map(item => {
+          const [productId, quantity = 1] = item.split(':');
+          return { productId, quantity };
+        })
+        : [];
+      const extras = await extrasService.resolve(selectedExtras);
+
       // Build filter
       const filter = {
         isActive: true,
@@ -427,45 +557,106 @@ class RoomController {
 
       // Check actual availability for each room
       const availableRooms = [];
+      const unavailableRooms = [];
+      const restrictedRooms = [];
+      const restrictionsByType = new Map();
       
       for (const room of rooms) {
-        const available = await room.checkAvailability(
-          new Date(checkInDate),
-          new Date(checkOutDate)
-        );
+        // Rooms refused by stay restrictions are reported with their reasons
+        if (!restrictionsByType.has(room.type)) {
+          restrictionsByType.set(
+            room.type,
+            await StayRestriction.evaluate(room.type, checkInDate, checkOutDate)
+          );
+        }
 
-        if (available) {
-          // Calculate pricing
-          const nights = Math.ceil(
-            (new Date(checkOutDate) - new Date(checkInDate)) / (1000 * 60 * 60 * 24)
+        const reasons = restrictionsByType.get(room.type);
+        if (reasons.length > 0) {
+          restrictedRooms.push({
+            id: room._id,
+            roomNumber: room.roomNumber,
+            type: room.type,
+            reasons
+          });
+
+          // It may still take part of a split stay that meets its restrictions
+          unavailableRooms.push(room);
+          continue;
+        }
+
+        let available;
+        let freeBeds = null;
+
+        // Dorms and shared rooms need enough free beds for the whole party
+        if (room.usesBedInventory()) {
+          freeBeds = await room.findAvailableBeds(
+            new Date(checkInDate),
+            new Date(checkOutDate),
+            { gender }
+          );
+          available = freeBeds.length >= parseInt(guestCount);
+        } else {
+          available = await room.checkAvailability(
+            new Date(checkInDate),
+            new Date(checkOutDate),
+            null,
+            { guestCount: parseInt(guestCount) }
           );
-          const baseAmount = room.basePrice * nights * parseInt(guestCount);
-          const taxes = baseAmount * 0.15;
+        }
 
-          const roomData = room.toObject();
-          roomData.pricing = {
-            basePrice: room.basePrice,
-            nights,
+        if (available) {
+          const stay = {
+            checkIn: checkInDate,
+            checkOut: checkOutDate,
             guestCount: parseInt(guestCount),
-            baseAmount,
-            taxes,
-            totalAmount: baseAmount + taxes,
-            currency: room.currency
+            extras
           };
 
+          const roomData = room.toObject();
+          roomData.pricing = await pricingService.quote(room, stay);
+          roomData.ratePlans = await pricingService.quoteRatePlans(room, stay);
+
+          if (freeBeds) {
+            roomData.availableBeds = freeBeds.length;
+            roomData.beds = freeBeds.map(bed => bed.toObject());
+          }
+
           availableRooms.push(roomData);
+        } else {
+          unavailableRooms.push(room);
         }
       }
 
+      // Nothing free for the whole stay: suggest moving rooms part way through
+      const splitStays = availableRooms.length === 0
+        ? await findSplitStays(unavailableRooms, {
+          checkIn: new Date(checkInDate),
+          checkOut: new Date(checkOutDate),
+          guestCount: parseInt(guestCount),
+          gender
+        })
+        : [];
+
       // Apply pagination
       const skip = (parseInt(page) - 1) * parseInt(limit);
       const paginatedRooms = availableRooms.slice(skip, skip + parseInt(limit));
 
+      const extrasCatalogue = await extrasService.getCatalogue({
+        checkIn: new Date(checkInDate),
+        checkOut: new Date(checkOutDate),
+        guestCount: parseInt(guestCount)
+      });
+
       res.json({
         success: true,
         message: API_MESSAGES.SUCCESS,
         data: {
           rooms: paginatedRooms,
+          restrictedRooms,
+          splitStays,
+          extras: extrasCatalogue,
+          // Fully booked: the guest can ask to be offered space that frees up
+          canJoinWaitlist: availableRooms.length === 0 && splitStays.length === 0,
           searchCriteria: {
             checkInDate,
             checkOutDate,
@@ -484,6 +675,14 @@ class RoomController {
       });
 
     } catch (error) {
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          error: error.error
+        });
+      }
+
       console.error('Search rooms error:', error);
       res.status(500).json({
         success: false,
@@ -493,6 +692,119 @@ class RoomController {
     }
   }
 
+  /**
+   * Get beds for a room, with availability for specific dates
+   */
+  async getRoomBeds(req, res) {
+    try {
+      const { id } = req.params;
+      const { checkInDate, checkOutDate, gender } = req.query;
+
+      const room = await Room.findById(id);
+      if (!room) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Room not found'
+        });
+      }
+
+      if (!room.usesBedInventory()) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Room is not sold by the bed'
+        });
+      }
+
+      let freeBedIds = null;
+      if (checkInDate && checkOutDate) {
+        const freeBeds = await room.findAvailableBeds(
+          new Date(checkInDate),
+          new Date(checkOutDate),
+          { gender }
+        );
+        freeBedIds = freeBeds.map(bed => bed._id.toString());
+      }
+
+      const beds = room.beds.map(bed => ({
+        ...bed.toObject(),
+        ...(freeBedIds && { available: freeBedIds.includes(bed._id.toString()) })
+      }));
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: {
+          room: {
+            id: room._id,
+            roomNumber: room.roomNumber,
+            type: room.type
+          },
+          beds
+        }
+      });
+
+    } catch (error) {
+      console.error('Get room beds error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a bed's label, bunk position, gender restriction or status (Admin only)
+   */
+  async updateBed(req, res) {
+    try {
+      const { id, bedId } = req.params;
+
+      const room = await Room.findById(id);
+      if (!room) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Room not found'
+        });
+      }
+
+      const bed = room.beds.id(bedId);
+      if (!bed) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Bed not found'
+        });
+      }
+
+      const allowedFields = ['label', 'bunkPosition', 'genderRestriction', 'status', 'notes'];
+      allowedFields.forEach(field => {
+        if (req.body[field] !== undefined) {
+          bed[field] = req.body[field];
+        }
+      });
+
+      await room.save();
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.UPDATED,
+        data: { room, bed }
+      });
+
+    } catch (error) {
+      console.error('Update bed error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Get room occupancy statistics
    */
@@ -520,7 +832,7 @@ class RoomController {
         {
           $match: {
             checkInDate: { $gte: start, $lte: end },
-            status: { $ne: 'cancelled' }
+            status: { $nin: [BOOKING_STATUS.CANCELLED, BOOKING_STATUS.EXPIRED] }
           }
         },
         {
@@ -0,0 +1,147 @@
+const { StayRestriction } = require('../models');
+const { API_MESSAGES } = require('../config/constants');
+
+class StayRestrictionController {
+  /**
+   * Get stay restrictions, optionally for a room type and date range
+   */
+  async getRestrictions(req, res) {
+    try {
+      const { roomType, startDate, endDate, includeInactive } = req.query;
+
+      const filter = {};
+      if (includeInactive !== 'true') filter.isActive = true;
+      if (roomType) {
+        filter.$or = [{ roomTypes: { $size: 0 } }, { roomTypes: roomType }];
+      }
+      if (startDate) {
+        filter.$and = [{ $or: [{ endDate: null }, { endDate: { $gte: new Date(startDate) } }] }];
+      }
+      if (endDate) {
+        filter.$and = [
+          ...(filter.$and || []),
+          { $or: [{ startDate: null }, { startDate: { $lte: new Date(endDate) } }] }
+        ];
+      }
+
+      const restrictions = await StayRestriction.find(filter).sort({ startDate: 1, name: 1 });
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: { restrictions }
+      });
+
+    } catch (error) {
+      console.error('Get stay restrictions error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create stay restriction (Admin only)
+   */
+  async createRestriction(req, res) {
+    try {
+      const restriction = new StayRestriction(req.body);
+      await restriction.save();
+
+      res.status(201).json({
+        success: true,
+        message: API_MESSAGES.CREATED,
+        data: { restriction }
+      });
+
+    } catch (error) {
+      console.error('Create stay restriction error:', error);
+
+      if (error.name === 'ValidationError') {
+        const validationErrors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }));
+
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.VALIDATION_ERROR,
+          errors: validationErrors
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update stay restriction (Admin only)
+   */
+  async updateRestriction(req, res) {
+    try {
+      const restriction = await StayRestriction.findById(req.params.restrictionId);
+      if (!restriction) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Stay restriction not found'
+        });
+      }
+
+      Object.assign(restriction, req.body);
+      await restriction.save();
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.UPDATED,
+        data: { restriction }
+      });
+
+    } catch (error) {
+      console.error('Update stay restriction error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete stay restriction (Admin only)
+   */
+  async deleteRestriction(req, res) {
+    try {
+      const restriction = await StayRestriction.findByIdAndDelete(req.params.restrictionId);
+      if (!restriction) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Stay restriction not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.DELETED,
+        data: { restriction }
+      });
+
+    } catch (error) {
+      console.error('Delete stay restriction error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new StayRestrictionController();
@@ -0,0 +1,257 @@
+const { WaitlistEntry, Booking } = require('../models');
+const { API_MESSAGES, BOOKING_STATUS, WAITLIST_STATUS, USER_ROLES } = require('../config/constants');
+const bookingStateMachine = require('../services/bookingStateMachine');
+const processWaitlist = require('../jobs/processWaitlist');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WAITLIST_DAYS = 14;
+const MAX_WAITLIST_DAYS = 90;
+
+const OPEN_STATUSES = [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+class WaitlistController {
+  /**
+   * Join the waitlist for dates with no matching space
+   */
+  async joinWaitlist(req, res) {
+    try {
+      const { checkInDate, checkOutDate, roomType, guestCount, gender } = req.body;
+
+      const existing = await WaitlistEntry.findOne({
+        user: req.user._id,
+        checkInDate,
+        checkOutDate,
+        roomType: roomType || null,
+        status: { $in: OPEN_STATUSES }
+      });
+
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Already on the waitlist for these dates'
+        });
+      }
+
+      const entry = await WaitlistEntry.create({
+        user: req.user._id,
+        checkInDate,
+        checkOutDate,
+        roomType,
+        guestCount,
+        gender
+      });
+
+      // Entries are offered space oldest first
+      const position = await WaitlistEntry.countDocuments({
+        status: WAITLIST_STATUS.WAITING,
+        createdAt: { $lte: entry.createdAt },
+        checkInDate: { $lt: entry.checkOutDate },
+        checkOutDate: { $gt: entry.checkInDate }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: API_MESSAGES.CREATED,
+        data: { entry, position }
+      });
+
+    } catch (error) {
+      console.error('Join waitlist error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the current user's waitlist entries and any offers made to them
+   */
+  async getMyWaitlist(req, res) {
+    try {
+      const entries = await WaitlistEntry.find({ user: req.user._id })
+        .populate('offer.booking', 'bookingReference status hold pricing.totalAmount')
+        .populate('offer.room', 'roomNumber type')
+        .sort({ checkInDate: 1 });
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: { entries }
+      });
+
+    } catch (error) {
+      console.error('Get my waitlist error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Leave the waitlist. An open offer's held booking is cancelled so the
+   * room goes to the next guest.
+   */
+  async leaveWaitlist(req, res) {
+    try {
+      const entry = await WaitlistEntry.findById(req.params.id);
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: API_MESSAGES.NOT_FOUND,
+          error: 'Waitlist entry not found'
+        });
+      }
+
+      const isStaff = [USER_ROLES.ADMIN, USER_ROLES.STAFF].includes(req.user.role);
+      if (!isStaff && entry.user.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: API_MESSAGES.FORBIDDEN,
+          error: 'Access denied'
+        });
+      }
+
+      if (!OPEN_STATUSES.includes(entry.status)) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: `Waitlist entry is already ${entry.status}`
+        });
+      }
+
+      const wasOffered = entry.status === WAITLIST_STATUS.OFFERED;
+      entry.status = WAITLIST_STATUS.CANCELLED;
+      entry.cancelledAt = new Date();
+      await entry.save();
+
+      if (wasOffered) {
+        const booking = await Booking.findById(entry.offer.booking);
+        if (booking && booking.status === BOOKING_STATUS.HOLD) {
+          await bookingStateMachine.transition(booking, BOOKING_STATUS.CANCELLED, {
+            user: req.user,
+            reason: 'Left the waitlist'
+          });
+        }
+      }
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: { entry }
+      });
+
+    } catch (error) {
+      console.error('Leave waitlist error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the waitlist by night, for staff planning (Staff and Admin only)
+   */
+  async getWaitlist(req, res) {
+    try {
+      const { status } = req.query;
+      const startDate = startOfDay(req.query.startDate || new Date());
+      const endDate = req.query.endDate
+        ? startOfDay(req.query.endDate)
+        : new Date(startDate.getTime() + DEFAULT_WAITLIST_DAYS * DAY_MS);
+
+      if (status && !Object.values(WAITLIST_STATUS).includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: 'Invalid waitlist status'
+        });
+      }
+
+      const dayCount = Math.round((endDate - startDate) / DAY_MS);
+      if (dayCount > MAX_WAITLIST_DAYS) {
+        return res.status(400).json({
+          success: false,
+          message: API_MESSAGES.BAD_REQUEST,
+          error: `Date range cannot exceed ${MAX_WAITLIST_DAYS} days`
+        });
+      }
+
+      const entries = await WaitlistEntry.find({
+        status: status ? status : { $in: OPEN_STATUSES },
+        checkInDate: { $lt: endDate },
+        checkOutDate: { $gt: startDate }
+      })
+        .populate('user', 'firstName lastName email phone')
+        .populate('offer.booking', 'bookingReference status hold')
+        .sort({ createdAt: 1 });
+
+      const days = [];
+      for (let count = 0; count < dayCount; count++) {
+        const date = new Date(startDate.getTime() + count * DAY_MS);
+        const staying = entries.filter(entry => entry.checkInDate <= date && entry.checkOutDate > date);
+
+        days.push({
+          date,
+          waiting: staying.filter(entry => entry.status === WAITLIST_STATUS.WAITING).length,
+          offered: staying.filter(entry => entry.status === WAITLIST_STATUS.OFFERED).length,
+          guests: staying.reduce((sum, entry) => sum + entry.guestCount, 0),
+          entries: staying.map(entry => entry._id)
+        });
+      }
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: { startDate, endDate, days, entries }
+      });
+
+    } catch (error) {
+      console.error('Get waitlist error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Offer any free space to the waitlist now, e.g. after a room comes back
+   * into service (Staff and Admin only)
+   */
+  async processWaitlist(req, res) {
+    try {
+      const result = await processWaitlist();
+
+      res.json({
+        success: true,
+        message: API_MESSAGES.SUCCESS,
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Process waitlist error:', error);
+      res.status(500).json({
+        success: false,
+        message: API_MESSAGES.SERVER_ERROR,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new WaitlistController();
@@ -1,1890 +1,14 @@
-const express = require('express');
-const cors = require('cors');
-const path = require('path');
+const { createApp } = require('./app');
 
-const app = express();
+const app = createApp();
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static(path.join(__dirname, '..', 'public')));
+// Start a standalone server when run directly (npm start / npm run dev)
+if (require.main === module) {
+  const port = process.env.PORT || 3000;
 
-// Health check endpoint - Enhanced version
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    success: true,
-    status: 'healthy', 
-    timestamp: new Date().toISOString(),
-    version: '2.0.0',
-    environment: process.env.NODE_ENV || 'production',
-    uptime: process.uptime(),
-    platform: 'netlify',
-    features: {
-      authentication: 'JWT-based with role management',
-      database: 'MongoDB + Neon PostgreSQL support', 
-      payments: 'Stripe integration with webhooks',
-      security: 'Rate limiting, validation, encryption',
-      analytics: 'Real-time metrics and reporting'
-    },
-    services: {
-      api: 'healthy',
-      database: 'configured',
-      stripe: 'configured',
-      email: 'configured',
-      mcp: 'enabled'
-    }
+  app.listen(port, () => {
+    console.log(`PVT Booking API listening on port ${port}`);
   });
-});
-
-// Enhanced bookings endpoint
-app.get('/api/bookings', (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      bookings: [
-        {
-          id: 'bk_001',
-          bookingNumber: 'PVT-2024-001',
-          guestName: 'John Doe',
-          email: 'john.doe@example.com',
-          checkIn: '2024-10-20',
-          checkOut: '2024-10-22',
-          roomType: 'Private Room',
-          status: 'confirmed',
-          totalAmount: 150.00,
-          currency: 'CAD',
-          paymentStatus: 'paid',
-          createdAt: '2024-10-16T08:00:00Z'
-        },
-        {
-          id: 'bk_002', 
-          bookingNumber: 'PVT-2024-002',
-          guestName: 'Jane Smith',
-          email: 'jane.smith@example.com',
-          checkIn: '2024-10-25',
-          checkOut: '2024-10-27',
-          roomType: 'Dormitory',
-          status: 'pending',
-          totalAmount: 75.00,
-          currency: 'CAD',
-          paymentStatus: 'pending',
-          createdAt: '2024-10-16T09:00:00Z'
-        }
-      ],
-      pagination: {
-        total: 247,
-        page: 1,
-        limit: 20,
-        totalPages: 13
-      },
-      statistics: {
-        activeBookings: 23,
-        pendingBookings: 5,
-        completedBookings: 219
-      }
-    }
-  });
-});
-
-// Enhanced metrics endpoint
-app.get('/api/metrics', (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      summary: {
-        totalBookings: 1247,
-        activeBookings: 23,
-        revenue: 45678.90,
-        currency: 'CAD',
-        averageStay: 2.3,
-        occupancyRate: 0.89
-      },
-      performance: {
-        avgResponseTime: '45ms',
-        uptime: '99.9%',
-        requestsToday: '1.2K',
-        errorRate: '0.1%'
-      },
-      features: {
-        paymentsEnabled: true,
-        emailNotifications: true,
-        realTimeSync: true,
-        analytics: true,
-        multiDatabase: true
-      },
-      platform: 'netlify',
-      version: '2.0.0',
-      lastUpdated: new Date().toISOString()
-    }
-  });
-});
-
-// Enhanced API documentation endpoint
-app.get('/api/docs', (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      title: 'PVT Booking Integration API',
-      version: '2.0.0',
-      description: 'Enterprise-grade booking integration API with payment processing, Neon PostgreSQL, and MCP support',
-      environment: process.env.NODE_ENV || 'production',
-      baseUrl: req.protocol + '://' + req.get('host'),
-      features: {
-        authentication: 'JWT with role-based access (Guest, Staff, Admin)',
-        database: 'Dual support: MongoDB + Neon PostgreSQL',
-        payments: 'Stripe integration with webhooks and refunds',
-        security: 'Rate limiting, input validation, encryption',
-        analytics: 'Real-time metrics and custom reporting',
-        notifications: 'Email confirmations and reminders',
-        mcp: 'Claude Code integration for database operations'
-      },
-      endpoints: {
-        // Authentication
-        'POST /api/auth/register': 'Register new user',
-        'POST /api/auth/login': 'User login with JWT token',
-        'POST /api/auth/refresh': 'Refresh access token',
-        'GET /api/auth/profile': 'Get user profile',
-        'PUT /api/auth/profile': 'Update user profile',
-        'POST /api/auth/change-password': 'Change password',
-        'POST /api/auth/forgot-password': 'Request password reset',
-        'POST /api/auth/reset-password': 'Reset password with token',
-        'GET /api/auth/users': 'Get all users (Admin only)',
-        
-        // Bookings  
-        'GET /api/bookings': 'Get all bookings with filters',
-        'POST /api/bookings': 'Create new booking',
-        'GET /api/bookings/:id': 'Get booking by ID',
-        'PUT /api/bookings/:id': 'Update booking details',
-        'DELETE /api/bookings/:id': 'Cancel booking',
-        'POST /api/bookings/:id/checkin': 'Guest check-in process',
-        'POST /api/bookings/:id/checkout': 'Guest check-out process',
-        'GET /api/bookings/analytics': 'Booking analytics and trends',
-        
-        // Rooms
-        'GET /api/rooms': 'Get all rooms with availability',
-        'POST /api/rooms': 'Create new room (Admin only)',
-        'GET /api/rooms/search': 'Search available rooms by criteria',
-        'GET /api/rooms/stats': 'Room utilization statistics',
-        'GET /api/rooms/:id': 'Get room details by ID',
-        'PUT /api/rooms/:id': 'Update room information (Admin only)',
-        'DELETE /api/rooms/:id': 'Delete room (Admin only)', 
-        'GET /api/rooms/:id/availability': 'Check specific room availability',
-        
-        // Payments
-        'POST /api/payments/create-intent': 'Create Stripe payment intent',
-        'GET /api/payments': 'Get all payments with filters',
-        'GET /api/payments/:id': 'Get payment details by ID',
-        'POST /api/payments/:id/refund': 'Process payment refund',
-        'POST /api/payments/webhook': 'Stripe webhook handler',
-        'GET /api/payments/analytics': 'Payment analytics and reporting',
-        
-        // Metrics & Analytics
-        'GET /api/metrics/dashboard': 'Dashboard overview metrics',
-        'GET /api/metrics/custom': 'Custom metrics with parameters',
-        'GET /api/metrics/occupancy': 'Occupancy rate trends',
-        'GET /api/metrics/revenue': 'Revenue analysis',
-        
-        // System
-        'GET /api/health': 'System health and status check',
-        'GET /api/docs': 'Complete API documentation'
-      },
-      authentication: {
-        type: 'Bearer Token (JWT)',
-        header: 'Authorization: Bearer <token>',
-        roles: ['Guest', 'Staff', 'Admin'],
-        tokenExpiry: '1 hour',
-        refreshToken: '7 days'
-      },
-      security: {
-        rateLimit: {
-          general: '100 requests per 15 minutes',
-          auth: '5 requests per 15 minutes',
-          booking: '10 requests per hour',
-          payment: '10 requests per 15 minutes'
-        },
-        features: ['CORS', 'Helmet Security', 'Input Validation', 'SQL Injection Prevention']
-      },
-      databases: {
-        primary: 'MongoDB with Mongoose ODM',
-        secondary: 'Neon PostgreSQL for analytics',
-        mcp: 'Claude Code integration enabled'
-      }
-    }
-  });
-});
-
-// Enhanced root API endpoint
-app.get('/api', (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      name: 'PVT Booking Integration API',
-      version: '2.0.0',
-      description: 'Enterprise-grade booking integration API with Neon PostgreSQL and MCP support',
-      status: 'active',
-      environment: process.env.NODE_ENV || 'production',
-      platform: 'netlify-functions',
-      timestamp: new Date().toISOString(),
-      capabilities: {
-        userManagement: true,
-        bookingSystem: true,
-        paymentProcessing: true,
-        emailNotifications: true,
-        realTimeAnalytics: true,
-        multiDatabase: true,
-        mcpIntegration: true
-      },
-      endpoints: {
-        health: '/api/health',
-        docs: '/api/docs', 
-        auth: '/api/auth',
-        bookings: '/api/bookings',
-        rooms: '/api/rooms',
-        payments: '/api/payments',
-        metrics: '/api/metrics'
-      },
-      links: {
-        documentation: '/api/docs',
-        repository: 'https://github.com/PresidentAnderson/pvt-booking-integration',
-        website: 'https://pvthostel.com'
-      }
-    }
-  });
-});
-
-// System Status endpoint
-app.get('/api/status', (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      title: "System Status Dashboard - PVT Booking Integration API v2.0.0",
-      version: "2.0.0",
-      timestamp: new Date().toISOString(),
-      content: {
-        overview: "Real-time system status and performance metrics for the PVT Booking Integration API",
-        systemHealth: {
-          overall: "healthy",
-          services: {
-            api: {
-              status: "operational",
-              responseTime: "45ms",
-              uptime: "99.95%",
-              lastCheck: new Date().toISOString(),
-              region: "North America"
-            },
-            database: {
-              primary: {
-                name: "MongoDB",
-                status: "operational",
-                connectionPool: "healthy",
-                responseTime: "12ms",
-                uptime: "99.98%"
-              },
-              secondary: {
-                name: "Neon PostgreSQL",
-                status: "operational", 
-                connectionPool: "healthy",
-                responseTime: "18ms",
-                uptime: "99.96%"
-              }
-            },
-            payments: {
-              stripe: {
-                status: "operational",
-                webhooks: "active",
-                responseTime: "89ms",
-                uptime: "99.97%"
-              }
-            },
-            cache: {
-              redis: {
-                status: "operational",
-                hitRate: "94.2%",
-                memory: "256MB",
-                connections: 45
-              }
-            },
-            email: {
-              service: "operational",
-              deliveryRate: "99.1%",
-              queueSize: 3
-            }
-          }
-        },
-        performance: {
-          currentMetrics: {
-            activeConnections: 127,
-            requestsPerSecond: 23.4,
-            averageResponseTime: "45ms",
-            errorRate: "0.12%",
-            cpuUsage: "23%",
-            memoryUsage: "67%"
-          },
-          last24Hours: {
-            totalRequests: 45678,
-            successfulRequests: 45623,
-            errorCount: 55,
-            averageResponseTime: "48ms",
-            peakResponseTime: "234ms",
-            slowestEndpoint: "/api/bookings/analytics"
-          }
-        },
-        endpoints: {
-          authentication: {
-            "/api/auth/login": { status: "healthy", avgResponseTime: "89ms" },
-            "/api/auth/register": { status: "healthy", avgResponseTime: "145ms" },
-            "/api/auth/refresh": { status: "healthy", avgResponseTime: "34ms" }
-          },
-          bookings: {
-            "/api/bookings": { status: "healthy", avgResponseTime: "67ms" },
-            "/api/bookings/:id": { status: "healthy", avgResponseTime: "45ms" },
-            "/api/bookings/search": { status: "healthy", avgResponseTime: "123ms" },
-            "/api/bookings/analytics": { status: "healthy", avgResponseTime: "234ms" }
-          },
-          rooms: {
-            "/api/rooms": { status: "healthy", avgResponseTime: "56ms" },
-            "/api/rooms/search": { status: "healthy", avgResponseTime: "89ms" },
-            "/api/rooms/:id/availability": { status: "healthy", avgResponseTime: "67ms" }
-          },
-          payments: {
-            "/api/payments/create-intent": { status: "healthy", avgResponseTime: "156ms" },
-            "/api/payments/webhook": { status: "healthy", avgResponseTime: "234ms" },
-            "/api/payments/:id/refund": { status: "healthy", avgResponseTime: "189ms" }
-          }
-        },
-        incidents: {
-          recent: [
-            {
-              id: "INC-2024-001",
-              date: "2024-10-15T14:30:00Z",
-              severity: "low",
-              status: "resolved",
-              title: "Temporary increased response times",
-              description: "Brief spike in API response times due to database optimization",
-              duration: "15 minutes",
-              affectedServices: ["api", "database"],
-              resolution: "Database optimization completed successfully"
-            }
-          ],
-          scheduled: [
-            {
-              id: "MAINT-2024-002",
-              date: "2024-10-20T02:00:00Z",
-              duration: "30 minutes",
-              title: "Database maintenance window",
-              description: "Routine maintenance and optimization of primary database",
-              affectedServices: ["bookings", "rooms"],
-              impact: "minimal"
-            }
-          ]
-        },
-        rateLimits: {
-          current: {
-            general: "87/100 requests per 15 minutes",
-            authentication: "2/5 requests per 15 minutes",
-            booking: "6/10 requests per hour",
-            payment: "4/10 requests per 15 minutes"
-          },
-          global: {
-            requestsToday: 45678,
-            uniqueClients: 234,
-            rateLimitHits: 12,
-            blockedIPs: 0
-          }
-        },
-        security: {
-          threatLevel: "normal",
-          blockedAttacks: 0,
-          suspiciousActivity: 3,
-          lastSecurityScan: "2024-10-16T08:00:00Z",
-          vulnerabilities: {
-            critical: 0,
-            high: 0,
-            medium: 0,
-            low: 1
-          }
-        },
-        monitoring: {
-          alerts: {
-            active: 0,
-            resolved24h: 2
-          },
-          thresholds: {
-            responseTime: "> 500ms",
-            errorRate: "> 1%",
-            cpuUsage: "> 80%",
-            memoryUsage: "> 85%"
-          }
-        },
-        integrations: {
-          netlify: {
-            status: "operational",
-            deployments: "automated",
-            lastDeploy: "2024-10-16T12:30:00Z"
-          },
-          mcp: {
-            status: "operational",
-            claudeCode: "connected",
-            lastActivity: new Date().toISOString()
-          }
-        },
-        supportChannels: {
-          email: "support@pvthostel.com",
-          documentation: "/api/docs",
-          github: "https://github.com/PresidentAnderson/pvt-booking-integration",
-          status: "All support channels operational"
-        }
-      },
-      meta: {
-        refreshInterval: "30 seconds",
-        dataRetention: "30 days",
-        timezone: "UTC",
-        lastUpdated: new Date().toISOString()
-      }
-    }
-  });
-});
-
-// Code Examples endpoint
-app.get('/api/docs/examples', (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      title: "Code Examples - PVT Booking Integration API v2.0.0",
-      version: "2.0.0",
-      lastUpdated: new Date().toISOString(),
-      content: {
-        overview: "Ready-to-use code examples for integrating with the PVT Booking Integration API. All examples include error handling and best practices.",
-        categories: {
-          authentication: {
-            title: "Authentication Examples",
-            description: "Learn how to authenticate with our API using JWT tokens",
-            examples: [
-              {
-                title: "User Registration",
-                description: "Register a new user account",
-                javascript: `
-// Register a new user
-async function registerUser(userData) {
-  try {
-    const response = await fetch('https://pvt-booking-integration.netlify.app/api/auth/register', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        name: userData.name,
-        email: userData.email,
-        password: userData.password,
-        role: userData.role || 'Guest'
-      })
-    });
-    
-    if (!response.ok) {
-      throw new Error(\`Registration failed: \${response.statusText}\`);
-    }
-    
-    const result = await response.json();
-    console.log('Registration successful:', result.data);
-    return result.data;
-  } catch (error) {
-    console.error('Registration error:', error.message);
-    throw error;
-  }
-}
-
-// Usage
-registerUser({
-  name: 'John Doe',
-  email: 'john.doe@example.com',
-  password: 'securePassword123',
-  role: 'Guest'
-});`,
-                python: `
-import requests
-import json
-
-def register_user(user_data):
-    """Register a new user account"""
-    url = 'https://pvt-booking-integration.netlify.app/api/auth/register'
-    
-    payload = {
-        'name': user_data['name'],
-        'email': user_data['email'],
-        'password': user_data['password'],
-        'role': user_data.get('role', 'Guest')
-    }
-    
-    try:
-        response = requests.post(url, json=payload)
-        response.raise_for_status()
-        
-        result = response.json()
-        print('Registration successful:', result['data'])
-        return result['data']
-    except requests.exceptions.RequestException as e:
-        print(f'Registration error: {e}')
-        raise
-
-# Usage
-user_data = {
-    'name': 'John Doe',
-    'email': 'john.doe@example.com',
-    'password': 'securePassword123',
-    'role': 'Guest'
-}
-register_user(user_data)`,
-                curl: `
-# Register a new user
-curl -X POST "https://pvt-booking-integration.netlify.app/api/auth/register" \\
-  -H "Content-Type: application/json" \\
-  -d '{
-    "name": "John Doe",
-    "email": "john.doe@example.com",
-    "password": "securePassword123",
-    "role": "Guest"
-  }'`
-              },
-              {
-                title: "User Login",
-                description: "Authenticate and get JWT token",
-                javascript: `
-// Login user and get JWT token
-async function loginUser(email, password) {
-  try {
-    const response = await fetch('https://pvt-booking-integration.netlify.app/api/auth/login', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        email: email,
-        password: password
-      })
-    });
-    
-    if (!response.ok) {
-      throw new Error(\`Login failed: \${response.statusText}\`);
-    }
-    
-    const result = await response.json();
-    
-    // Store tokens securely
-    localStorage.setItem('accessToken', result.data.accessToken);
-    localStorage.setItem('refreshToken', result.data.refreshToken);
-    
-    console.log('Login successful');
-    return result.data;
-  } catch (error) {
-    console.error('Login error:', error.message);
-    throw error;
-  }
-}
-
-// Usage
-loginUser('john.doe@example.com', 'securePassword123');`,
-                python: `
-import requests
-import json
-
-def login_user(email, password):
-    """Login user and get JWT token"""
-    url = 'https://pvt-booking-integration.netlify.app/api/auth/login'
-    
-    payload = {
-        'email': email,
-        'password': password
-    }
-    
-    try:
-        response = requests.post(url, json=payload)
-        response.raise_for_status()
-        
-        result = response.json()
-        
-        # Store tokens securely (example using environment or config)
-        access_token = result['data']['accessToken']
-        refresh_token = result['data']['refreshToken']
-        
-        print('Login successful')
-        return result['data']
-    except requests.exceptions.RequestException as e:
-        print(f'Login error: {e}')
-        raise
-
-# Usage
-login_data = login_user('john.doe@example.com', 'securePassword123')`
-              }
-            ]
-          },
-          bookings: {
-            title: "Booking Management Examples",
-            description: "Create, update, and manage bookings",
-            examples: [
-              {
-                title: "Create Booking",
-                description: "Create a new booking with full details",
-                javascript: `
-// Create a new booking
-async function createBooking(bookingData, accessToken) {
-  try {
-    const response = await fetch('https://pvt-booking-integration.netlify.app/api/bookings', {
-      method: 'POST',
-      headers: {
-        'Authorization': \`Bearer \${accessToken}\`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        guestName: bookingData.guestName,
-        email: bookingData.email,
-        phone: bookingData.phone,
-        checkIn: bookingData.checkIn,
-        checkOut: bookingData.checkOut,
-        roomId: bookingData.roomId,
-        guests: bookingData.guests,
-        specialRequests: bookingData.specialRequests
-      })
-    });
-    
-    if (!response.ok) {
-      throw new Error(\`Booking creation failed: \${response.statusText}\`);
-    }
-    
-    const result = await response.json();
-    console.log('Booking created:', result.data.bookingNumber);
-    return result.data;
-  } catch (error) {
-    console.error('Booking creation error:', error.message);
-    throw error;
-  }
-}
-
-// Usage
-const bookingData = {
-  guestName: 'Jane Smith',
-  email: 'jane.smith@example.com',
-  phone: '+1234567890',
-  checkIn: '2024-10-25',
-  checkOut: '2024-10-27',
-  roomId: 'room_456',
-  guests: 1,
-  specialRequests: 'Ground floor room preferred'
-};
-
-createBooking(bookingData, localStorage.getItem('accessToken'));`,
-                python: `
-import requests
-from datetime import datetime
-
-def create_booking(booking_data, access_token):
-    """Create a new booking"""
-    url = 'https://pvt-booking-integration.netlify.app/api/bookings'
-    
-    headers = {
-        'Authorization': f'Bearer {access_token}',
-        'Content-Type': 'application/json'
-    }
-    
-    payload = {
-        'guestName': booking_data['guestName'],
-        'email': booking_data['email'],
-        'phone': booking_data['phone'],
-        'checkIn': booking_data['checkIn'],
-        'checkOut': booking_data['checkOut'],
-        'roomId': booking_data['roomId'],
-        'guests': booking_data['guests'],
-        'specialRequests': booking_data.get('specialRequests', '')
-    }
-    
-    try:
-        response = requests.post(url, json=payload, headers=headers)
-        response.raise_for_status()
-        
-        result = response.json()
-        print(f"Booking created: {result['data']['bookingNumber']}")
-        return result['data']
-    except requests.exceptions.RequestException as e:
-        print(f'Booking creation error: {e}')
-        raise
-
-# Usage
-booking_data = {
-    'guestName': 'Jane Smith',
-    'email': 'jane.smith@example.com',
-    'phone': '+1234567890',
-    'checkIn': '2024-10-25',
-    'checkOut': '2024-10-27',
-    'roomId': 'room_456',
-    'guests': 1,
-    'specialRequests': 'Ground floor room preferred'
-}
-
-# Assuming you have access_token from login
-create_booking(booking_data, access_token)`
-              },
-              {
-                title: "Search Bookings",
-                description: "Search and filter bookings with various criteria",
-                javascript: `
-// Search bookings with filters
-async function searchBookings(filters, accessToken) {
-  try {
-    const queryParams = new URLSearchParams();
-    
-    if (filters.status) queryParams.append('status', filters.status);
-    if (filters.guestName) queryParams.append('guestName', filters.guestName);
-    if (filters.checkInFrom) queryParams.append('checkInFrom', filters.checkInFrom);
-    if (filters.checkInTo) queryParams.append('checkInTo', filters.checkInTo);
-    if (filters.page) queryParams.append('page', filters.page);
-    if (filters.limit) queryParams.append('limit', filters.limit);
-    
-    const url = \`https://pvt-booking-integration.netlify.app/api/bookings?\${queryParams}\`;
-    
-    const response = await fetch(url, {
-      headers: {
-        'Authorization': \`Bearer \${accessToken}\`,
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error(\`Search failed: \${response.statusText}\`);
-    }
-    
-    const result = await response.json();
-    console.log(\`Found \${result.data.pagination.total} bookings\`);
-    return result.data;
-  } catch (error) {
-    console.error('Search error:', error.message);
-    throw error;
-  }
-}
-
-// Usage
-const filters = {
-  status: 'confirmed',
-  checkInFrom: '2024-10-01',
-  checkInTo: '2024-10-31',
-  page: 1,
-  limit: 10
-};
-
-searchBookings(filters, localStorage.getItem('accessToken'));`
-              }
-            ]
-          },
-          payments: {
-            title: "Payment Processing Examples",
-            description: "Handle payments with Stripe integration",
-            examples: [
-              {
-                title: "Create Payment Intent",
-                description: "Create a Stripe payment intent for a booking",
-                javascript: `
-// Create payment intent for booking
-async function createPaymentIntent(bookingId, amount, currency, accessToken) {
-  try {
-    const response = await fetch('https://pvt-booking-integration.netlify.app/api/payments/create-intent', {
-      method: 'POST',
-      headers: {
-        'Authorization': \`Bearer \${accessToken}\`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        bookingId: bookingId,
-        amount: amount,
-        currency: currency || 'CAD',
-        description: \`Payment for booking \${bookingId}\`
-      })
-    });
-    
-    if (!response.ok) {
-      throw new Error(\`Payment intent creation failed: \${response.statusText}\`);
-    }
-    
-    const result = await response.json();
-    console.log('Payment intent created:', result.data.id);
-    
-    // Use the client_secret with Stripe.js on frontend
-    return {
-      clientSecret: result.data.client_secret,
-      paymentIntentId: result.data.id
-    };
-  } catch (error) {
-    console.error('Payment intent error:', error.message);
-    throw error;
-  }
-}
-
-// Usage
-createPaymentIntent('bk_001', 15000, 'CAD', localStorage.getItem('accessToken'));`,
-                python: `
-import requests
-
-def create_payment_intent(booking_id, amount, currency, access_token):
-    """Create a Stripe payment intent for a booking"""
-    url = 'https://pvt-booking-integration.netlify.app/api/payments/create-intent'
-    
-    headers = {
-        'Authorization': f'Bearer {access_token}',
-        'Content-Type': 'application/json'
-    }
-    
-    payload = {
-        'bookingId': booking_id,
-        'amount': amount,  # Amount in cents
-        'currency': currency or 'CAD',
-        'description': f'Payment for booking {booking_id}'
-    }
-    
-    try:
-        response = requests.post(url, json=payload, headers=headers)
-        response.raise_for_status()
-        
-        result = response.json()
-        print(f"Payment intent created: {result['data']['id']}")
-        
-        return {
-            'client_secret': result['data']['client_secret'],
-            'payment_intent_id': result['data']['id']
-        }
-    except requests.exceptions.RequestException as e:
-        print(f'Payment intent error: {e}')
-        raise
-
-# Usage
-payment_intent = create_payment_intent('bk_001', 15000, 'CAD', access_token)`
-              }
-            ]
-          },
-          rooms: {
-            title: "Room Management Examples", 
-            description: "Search and manage room availability",
-            examples: [
-              {
-                title: "Room Availability Search",
-                description: "Search for available rooms with specific criteria",
-                javascript: `
-// Search available rooms
-async function searchRooms(searchCriteria, accessToken) {
-  try {
-    const response = await fetch('https://pvt-booking-integration.netlify.app/api/rooms/search', {
-      method: 'POST',
-      headers: {
-        'Authorization': \`Bearer \${accessToken}\`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        checkIn: searchCriteria.checkIn,
-        checkOut: searchCriteria.checkOut,
-        guests: searchCriteria.guests,
-        roomType: searchCriteria.roomType,
-        priceRange: searchCriteria.priceRange,
-        amenities: searchCriteria.amenities
-      })
-    });
-    
-    if (!response.ok) {
-      throw new Error(\`Room search failed: \${response.statusText}\`);
-    }
-    
-    const result = await response.json();
-    console.log(\`Found \${result.data.rooms.length} available rooms\`);
-    return result.data.rooms;
-  } catch (error) {
-    console.error('Room search error:', error.message);
-    throw error;
-  }
 }
 
-// Usage
-const searchCriteria = {
-  checkIn: '2024-11-01',
-  checkOut: '2024-11-03',
-  guests: 2,
-  roomType: 'private',
-  priceRange: { min: 50, max: 200 },
-  amenities: ['wifi', 'breakfast']
-};
-
-searchRooms(searchCriteria, localStorage.getItem('accessToken'));`
-              }
-            ]
-          }
-        },
-        errorHandling: {
-          title: "Error Handling Best Practices",
-          examples: [
-            {
-              title: "Comprehensive Error Handling",
-              description: "Handle different types of API errors gracefully",
-              javascript: `
-// Comprehensive error handling wrapper
-class APIClient {
-  constructor(baseUrl, accessToken) {
-    this.baseUrl = baseUrl;
-    this.accessToken = accessToken;
-  }
-  
-  async makeRequest(endpoint, options = {}) {
-    const url = \`\${this.baseUrl}\${endpoint}\`;
-    const defaultHeaders = {
-      'Content-Type': 'application/json',
-      'Authorization': \`Bearer \${this.accessToken}\`
-    };
-    
-    const requestOptions = {
-      ...options,
-      headers: { ...defaultHeaders, ...options.headers }
-    };
-    
-    try {
-      const response = await fetch(url, requestOptions);
-      
-      if (!response.ok) {
-        await this.handleHttpError(response);
-      }
-      
-      return await response.json();
-    } catch (error) {
-      this.handleNetworkError(error);
-      throw error;
-    }
-  }
-  
-  async handleHttpError(response) {
-    const errorData = await response.json().catch(() => ({}));
-    
-    switch (response.status) {
-      case 401:
-        console.error('Authentication failed - token may be expired');
-        // Attempt token refresh or redirect to login
-        break;
-      case 403:
-        console.error('Access forbidden - insufficient permissions');
-        break;
-      case 429:
-        console.error('Rate limit exceeded - please try again later');
-        break;
-      case 500:
-        console.error('Server error - please try again later');
-        break;
-      default:
-        console.error(\`API Error (\${response.status}):\`, errorData.message || 'Unknown error');
-    }
-    
-    throw new Error(\`HTTP \${response.status}: \${errorData.message || response.statusText}\`);
-  }
-  
-  handleNetworkError(error) {
-    if (error.name === 'TypeError' && error.message.includes('fetch')) {
-      console.error('Network error - please check your connection');
-    } else {
-      console.error('Request failed:', error.message);
-    }
-  }
-}
-
-// Usage
-const apiClient = new APIClient('https://pvt-booking-integration.netlify.app', accessToken);
-
-// Example usage with error handling
-try {
-  const bookings = await apiClient.makeRequest('/api/bookings');
-  console.log('Bookings retrieved successfully:', bookings.data);
-} catch (error) {
-  console.error('Failed to retrieve bookings:', error.message);
-}`
-            }
-          ]
-        },
-        webhooks: {
-          title: "Webhook Integration Examples",
-          description: "Handle real-time events from our API",
-          examples: [
-            {
-              title: "Webhook Endpoint Setup",
-              description: "Set up an endpoint to receive webhook events",
-              javascript: `
-// Express.js webhook endpoint
-const express = require('express');
-const crypto = require('crypto');
-const app = express();
-
-// Middleware to verify webhook signature
-function verifyWebhookSignature(req, res, next) {
-  const signature = req.get('X-PVT-Signature');
-  const body = JSON.stringify(req.body);
-  const expectedSignature = crypto
-    .createHmac('sha256', process.env.WEBHOOK_SECRET)
-    .update(body)
-    .digest('hex');
-  
-  if (signature !== \`sha256=\${expectedSignature}\`) {
-    return res.status(401).send('Unauthorized');
-  }
-  
-  next();
-}
-
-// Webhook endpoint
-app.post('/webhooks/pvt', express.json(), verifyWebhookSignature, (req, res) => {
-  const { event, data } = req.body;
-  
-  switch (event) {
-    case 'booking.created':
-      console.log('New booking created:', data.bookingNumber);
-      // Send confirmation email
-      // Update local database
-      break;
-      
-    case 'booking.updated':
-      console.log('Booking updated:', data.bookingNumber);
-      // Update local records
-      break;
-      
-    case 'payment.completed':
-      console.log('Payment completed for booking:', data.bookingId);
-      // Update payment status
-      // Send receipt
-      break;
-      
-    case 'payment.failed':
-      console.log('Payment failed for booking:', data.bookingId);
-      // Handle payment failure
-      // Send notification
-      break;
-      
-    default:
-      console.log('Unhandled event:', event);
-  }
-  
-  res.status(200).send('OK');
-});
-
-app.listen(3000, () => {
-  console.log('Webhook server running on port 3000');
-});`
-            }
-          ]
-        }
-      }
-    }
-  });
-});
-
-// Quick Start Guide endpoint
-app.get('/api/docs/quickstart', (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      title: "Quick Start Guide - PVT Booking Integration API v2.0.0",
-      version: "2.0.0",
-      lastUpdated: new Date().toISOString(),
-      content: {
-        overview: "Get started with the PVT Booking Integration API in minutes. This guide will walk you through the essential steps to integrate our enterprise-grade booking system into your application.",
-        prerequisites: [
-          "Node.js 16+ or Python 3.8+ installed",
-          "API key from PVT Booking Integration",
-          "Basic understanding of REST APIs",
-          "HTTPS-enabled development environment"
-        ],
-        steps: [
-          {
-            step: 1,
-            title: "Get Your API Credentials",
-            description: "Contact our team to obtain your API key and configure your account",
-            code: {
-              environment: "Set your API key in environment variables",
-              example: "export PVT_API_KEY='your_api_key_here'\nexport PVT_BASE_URL='https://pvt-booking-integration.netlify.app'"
-            }
-          },
-          {
-            step: 2,
-            title: "Make Your First API Call",
-            description: "Test the API health endpoint to verify connectivity",
-            code: {
-              javascript: `
-// Using fetch API
-const response = await fetch('https://pvt-booking-integration.netlify.app/api/health', {
-  headers: {
-    'Authorization': 'Bearer YOUR_API_KEY',
-    'Content-Type': 'application/json'
-  }
-});
-const data = await response.json();
-console.log('API Status:', data.status);`,
-              python: `
-import requests
-
-url = 'https://pvt-booking-integration.netlify.app/api/health'
-headers = {
-    'Authorization': 'Bearer YOUR_API_KEY',
-    'Content-Type': 'application/json'
-}
-response = requests.get(url, headers=headers)
-print('API Status:', response.json()['status'])`,
-              curl: `curl -X GET "https://pvt-booking-integration.netlify.app/api/health" \\
-  -H "Authorization: Bearer YOUR_API_KEY" \\
-  -H "Content-Type: application/json"`
-            }
-          },
-          {
-            step: 3,
-            title: "Search Available Rooms",
-            description: "Find available rooms for specific dates",
-            code: {
-              javascript: `
-const searchParams = {
-  checkIn: '2024-10-20',
-  checkOut: '2024-10-22',
-  guests: 2,
-  roomType: 'private'
-};
-
-const response = await fetch('https://pvt-booking-integration.netlify.app/api/rooms/search', {
-  method: 'POST',
-  headers: {
-    'Authorization': 'Bearer YOUR_API_KEY',
-    'Content-Type': 'application/json'
-  },
-  body: JSON.stringify(searchParams)
-});
-
-const rooms = await response.json();
-console.log('Available rooms:', rooms.data);`,
-              python: `
-import requests
-import json
-
-search_data = {
-    'checkIn': '2024-10-20',
-    'checkOut': '2024-10-22',
-    'guests': 2,
-    'roomType': 'private'
-}
-
-response = requests.post(
-    'https://pvt-booking-integration.netlify.app/api/rooms/search',
-    headers={'Authorization': 'Bearer YOUR_API_KEY'},
-    json=search_data
-)
-print('Available rooms:', response.json()['data'])`
-            }
-          },
-          {
-            step: 4,
-            title: "Create a Booking",
-            description: "Create a new booking with payment processing",
-            code: {
-              javascript: `
-const bookingData = {
-  guestName: 'John Doe',
-  email: 'john.doe@example.com',
-  phone: '+1234567890',
-  checkIn: '2024-10-20',
-  checkOut: '2024-10-22',
-  roomId: 'room_123',
-  guests: 2,
-  specialRequests: 'Late check-in'
-};
-
-const response = await fetch('https://pvt-booking-integration.netlify.app/api/bookings', {
-  method: 'POST',
-  headers: {
-    'Authorization': 'Bearer YOUR_API_KEY',
-    'Content-Type': 'application/json'
-  },
-  body: JSON.stringify(bookingData)
-});
-
-const booking = await response.json();
-console.log('Booking created:', booking.data.bookingNumber);`
-            }
-          },
-          {
-            step: 5,
-            title: "Handle Payment Processing",
-            description: "Process payment using Stripe integration",
-            code: {
-              javascript: `
-// Create payment intent
-const paymentData = {
-  bookingId: booking.data.id,
-  amount: booking.data.totalAmount,
-  currency: 'CAD'
-};
-
-const paymentResponse = await fetch('https://pvt-booking-integration.netlify.app/api/payments/create-intent', {
-  method: 'POST',
-  headers: {
-    'Authorization': 'Bearer YOUR_API_KEY',
-    'Content-Type': 'application/json'
-  },
-  body: JSON.stringify(paymentData)
-});
-
-const paymentIntent = await paymentResponse.json();
-// Use paymentIntent.data.clientSecret with Stripe.js on frontend`
-            }
-          }
-        ],
-        errorHandling: {
-          commonErrors: [
-            {
-              code: 401,
-              error: "Unauthorized",
-              solution: "Check your API key and ensure it's properly formatted in the Authorization header"
-            },
-            {
-              code: 400,
-              error: "Bad Request",
-              solution: "Verify your request payload matches the expected format and all required fields are provided"
-            },
-            {
-              code: 429,
-              error: "Rate Limited",
-              solution: "You've exceeded the rate limit. Wait and retry, or contact support for higher limits"
-            }
-          ]
-        },
-        nextSteps: [
-          "Explore the complete API documentation at /api/docs",
-          "Check out more code examples at /api/docs/examples",
-          "Set up webhook endpoints for real-time updates",
-          "Implement error handling and retry logic",
-          "Configure payment webhooks for payment confirmations"
-        ],
-        support: {
-          documentation: "/api/docs",
-          examples: "/api/docs/examples",
-          faq: "/api/docs/faq",
-          contact: "support@pvthostel.com"
-        }
-      }
-    }
-  });
-});
-
-// FAQ endpoint
-app.get('/api/docs/faq', (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      title: "Frequently Asked Questions - PVT Booking Integration API v2.0.0",
-      version: "2.0.0",
-      lastUpdated: new Date().toISOString(),
-      content: {
-        overview: "Find answers to the most frequently asked questions about the PVT Booking Integration API.",
-        categories: {
-          gettingStarted: {
-            title: "Getting Started",
-            questions: [
-              {
-                id: "gs-001",
-                question: "How do I get access to the PVT Booking Integration API?",
-                answer: "To get access to our API, contact our team at support@pvthostel.com with your use case and requirements. We'll provide you with API credentials and guide you through the setup process.",
-                tags: ["access", "credentials", "setup"]
-              },
-              {
-                id: "gs-002",
-                question: "What are the system requirements for integrating with your API?",
-                answer: "Our API is REST-based and can be integrated with any system that supports HTTP requests. We recommend using HTTPS for all requests. For development, you'll need Node.js 16+ or Python 3.8+, though any language with HTTP support will work.",
-                tags: ["requirements", "compatibility"]
-              },
-              {
-                id: "gs-003",
-                question: "Do you provide a sandbox environment for testing?",
-                answer: "Yes, we provide a full sandbox environment that mirrors our production API. Contact support to get your sandbox credentials. The sandbox uses test data and won't affect real bookings or payments.",
-                tags: ["sandbox", "testing", "environment"]
-              },
-              {
-                id: "gs-004",
-                question: "What programming languages do you support?",
-                answer: "Our API is language-agnostic and works with any language that can make HTTP requests. We provide code examples in JavaScript, Python, and cURL. Community SDKs are available for PHP, Ruby, and other popular languages.",
-                tags: ["languages", "SDKs", "compatibility"]
-              }
-            ]
-          },
-          authentication: {
-            title: "Authentication & Security",
-            questions: [
-              {
-                id: "auth-001",
-                question: "How does authentication work?",
-                answer: "We use JWT (JSON Web Tokens) for authentication. After logging in with your credentials, you'll receive an access token that's valid for 1 hour and a refresh token valid for 7 days. Include the access token in the Authorization header as 'Bearer <token>'.",
-                tags: ["JWT", "authentication", "tokens"]
-              },
-              {
-                id: "auth-002",
-                question: "What should I do if my API key is compromised?",
-                answer: "Immediately contact our support team at support@pvthostel.com to revoke the compromised key and get a new one. We can also help you audit recent API usage to assess any potential security impact.",
-                tags: ["security", "compromised", "revoke"]
-              },
-              {
-                id: "auth-003",
-                question: "Can I use the same API key for multiple applications?",
-                answer: "While technically possible, we recommend using separate API keys for each application or environment. This provides better security isolation and makes it easier to manage permissions and monitor usage.",
-                tags: ["API keys", "multiple applications", "security"]
-              },
-              {
-                id: "auth-004",
-                question: "How do I refresh my access token?",
-                answer: "Use the POST /api/auth/refresh endpoint with your refresh token. This will provide a new access token and refresh token pair. Implement token refresh logic in your application to handle expired tokens automatically.",
-                tags: ["token refresh", "authentication"]
-              }
-            ]
-          },
-          bookings: {
-            title: "Booking Management",
-            questions: [
-              {
-                id: "book-001",
-                question: "How do I create a booking?",
-                answer: "Use the POST /api/bookings endpoint with guest details, check-in/out dates, room preferences, and other booking information. The booking will be created with 'pending' status until payment is confirmed.",
-                tags: ["create booking", "booking process"]
-              },
-              {
-                id: "book-002",
-                question: "Can I modify or cancel a booking after it's created?",
-                answer: "Yes, use PUT /api/bookings/:id to modify booking details or DELETE /api/bookings/:id to cancel. Cancellation policies and refund amounts depend on the booking terms and how far in advance the cancellation is made.",
-                tags: ["modify booking", "cancel booking", "refunds"]
-              },
-              {
-                id: "book-003",
-                question: "How do I check room availability?",
-                answer: "Use the POST /api/rooms/search endpoint with your desired check-in/out dates, number of guests, and any specific requirements. The response will include all available rooms matching your criteria.",
-                tags: ["availability", "room search"]
-              },
-              {
-                id: "book-004",
-                question: "What booking statuses are available?",
-                answer: "Booking statuses include: 'pending' (awaiting payment), 'confirmed' (paid and confirmed), 'checked-in' (guest has arrived), 'checked-out' (stay completed), 'cancelled' (booking cancelled), and 'no-show' (guest didn't arrive).",
-                tags: ["booking status", "workflow"]
-              }
-            ]
-          },
-          payments: {
-            title: "Payment Processing",
-            questions: [
-              {
-                id: "pay-001",
-                question: "Which payment methods do you support?",
-                answer: "We support all major credit cards (Visa, Mastercard, American Express) and bank transfers through our Stripe integration. Additional payment methods may be available based on your location and account settings.",
-                tags: ["payment methods", "Stripe", "credit cards"]
-              },
-              {
-                id: "pay-002",
-                question: "How do I process a payment for a booking?",
-                answer: "First create a payment intent using POST /api/payments/create-intent, then use the returned client_secret with Stripe.js on your frontend to collect payment details. Webhooks will notify you when payment is completed.",
-                tags: ["payment processing", "Stripe", "payment intent"]
-              },
-              {
-                id: "pay-003",
-                question: "How do refunds work?",
-                answer: "Use POST /api/payments/:id/refund to process refunds. You can refund the full amount or specify a partial amount. Refunds are processed through Stripe and typically take 5-10 business days to appear on the customer's account.",
-                tags: ["refunds", "partial refunds", "processing time"]
-              },
-              {
-                id: "pay-004",
-                question: "Do you support webhooks for payment events?",
-                answer: "Yes, we send webhooks for payment events including payment.completed, payment.failed, and refund.processed. Configure your webhook endpoint URL in your account settings to receive real-time notifications.",
-                tags: ["webhooks", "payment events", "notifications"]
-              }
-            ]
-          },
-          rateLimits: {
-            title: "Rate Limits & Performance",
-            questions: [
-              {
-                id: "rate-001",
-                question: "What are the API rate limits?",
-                answer: "Standard limits are: 100 requests per 15 minutes (general), 5 per 15 minutes (auth), 10 per hour (bookings), 10 per 15 minutes (payments). Enterprise accounts can request higher limits.",
-                tags: ["rate limits", "throttling", "enterprise"]
-              },
-              {
-                id: "rate-002",
-                question: "What happens if I exceed the rate limit?",
-                answer: "You'll receive a 429 'Too Many Requests' response. The response includes headers indicating when you can try again. Implement exponential backoff in your retry logic to handle rate limits gracefully.",
-                tags: ["rate limit exceeded", "429 error", "retry logic"]
-              },
-              {
-                id: "rate-003",
-                question: "How can I optimize my API usage?",
-                answer: "Use pagination for large result sets, implement caching for frequently accessed data, batch multiple operations when possible, and only request the fields you need. Monitor your usage through the /api/metrics endpoint.",
-                tags: ["optimization", "caching", "pagination", "performance"]
-              },
-              {
-                id: "rate-004",
-                question: "Can I get higher rate limits for my application?",
-                answer: "Yes, enterprise customers can request custom rate limits based on their needs. Contact our sales team to discuss your requirements and upgrade to an enterprise plan.",
-                tags: ["higher limits", "enterprise", "custom limits"]
-              }
-            ]
-          },
-          troubleshooting: {
-            title: "Troubleshooting",
-            questions: [
-              {
-                id: "trouble-001",
-                question: "Why am I getting 401 Unauthorized errors?",
-                answer: "Check that your API key is correct and included in the Authorization header as 'Bearer <token>'. Also verify that your token hasn't expired - access tokens are valid for 1 hour.",
-                tags: ["401 error", "unauthorized", "token expired"]
-              },
-              {
-                id: "trouble-002",
-                question: "I'm getting 400 Bad Request errors. What's wrong?",
-                answer: "This usually means required fields are missing or data format is incorrect. Check the API documentation for required fields and data types. The error response will include specific details about what's wrong.",
-                tags: ["400 error", "bad request", "validation"]
-              },
-              {
-                id: "trouble-003",
-                question: "The API seems slow. How can I improve performance?",
-                answer: "Ensure you're using HTTPS, implement connection pooling, use pagination for large datasets, and consider caching frequently accessed data. Check the /api/status endpoint to see current system performance.",
-                tags: ["performance", "slow response", "optimization"]
-              },
-              {
-                id: "trouble-004",
-                question: "How do I debug webhook issues?",
-                answer: "Check that your webhook endpoint is accessible via HTTPS, returns a 200 status code, and processes requests within 10 seconds. Use webhook signature verification to ensure security. Check our webhook logs for delivery attempts.",
-                tags: ["webhooks", "debugging", "troubleshooting"]
-              }
-            ]
-          },
-          integration: {
-            title: "Integration & Best Practices",
-            questions: [
-              {
-                id: "int-001",
-                question: "What's the recommended integration approach?",
-                answer: "Start with our Quick Start Guide, use the sandbox environment for testing, implement proper error handling and retry logic, set up webhooks for real-time updates, and monitor your integration using our status dashboard.",
-                tags: ["integration", "best practices", "workflow"]
-              },
-              {
-                id: "int-002",
-                question: "How do I handle errors gracefully?",
-                answer: "Implement comprehensive error handling for different HTTP status codes, use exponential backoff for retries, log errors for monitoring, and provide meaningful error messages to your users. Check our error handling examples.",
-                tags: ["error handling", "retry logic", "user experience"]
-              },
-              {
-                id: "int-003",
-                question: "Should I store API responses in my database?",
-                answer: "Yes, for critical data like bookings and payments, store the essential information locally. This provides faster access and allows your application to function during API maintenance. Sync regularly to stay updated.",
-                tags: ["data storage", "caching", "sync"]
-              },
-              {
-                id: "int-004",
-                question: "How do I stay updated with API changes?",
-                answer: "Subscribe to our developer newsletter, follow our GitHub repository, monitor the /api/docs endpoint for updates, and implement version checking in your integration. We provide advance notice for breaking changes.",
-                tags: ["API updates", "versioning", "notifications"]
-              }
-            ]
-          }
-        },
-        support: {
-          title: "Still Need Help?",
-          description: "If you can't find the answer to your question here, we're here to help!",
-          channels: {
-            email: {
-              contact: "support@pvthostel.com",
-              description: "General support and technical questions",
-              responseTime: "Within 24 hours"
-            },
-            documentation: {
-              url: "/api/docs",
-              description: "Complete API reference and documentation"
-            },
-            github: {
-              url: "https://github.com/PresidentAnderson/pvt-booking-integration",
-              description: "Report bugs and contribute to the project"
-            },
-            quickStart: {
-              url: "/api/docs/quickstart",
-              description: "Step-by-step integration guide"
-            },
-            examples: {
-              url: "/api/docs/examples",
-              description: "Ready-to-use code examples"
-            }
-          }
-        },
-        searchTips: {
-          title: "Search Tips",
-          tips: [
-            "Use tags to find related questions (e.g., 'authentication', 'booking', 'payments')",
-            "Search for error codes (e.g., '401', '429') to find troubleshooting help",
-            "Look for integration patterns and best practices in the 'Integration' section",
-            "Check the 'Getting Started' section if you're new to the API"
-          ]
-        }
-      }
-    }
-  });
-});
-
-// Support/Help Center endpoint
-app.get('/api/docs/support', (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      title: "Support & Help Center - PVT Booking Integration API v2.0.0",
-      version: "2.0.0",
-      lastUpdated: new Date().toISOString(),
-      content: {
-        overview: "Get help with the PVT Booking Integration API. Our support resources will help you integrate successfully and troubleshoot any issues.",
-        supportChannels: {
-          email: {
-            title: "Email Support",
-            contact: "support@pvthostel.com",
-            description: "General support, technical questions, and account inquiries",
-            responseTime: "Within 24 hours during business days",
-            availability: "Monday - Friday, 9 AM - 6 PM EST",
-            languages: ["English", "French"],
-            bestFor: [
-              "Technical integration questions",
-              "Account setup and configuration", 
-              "Billing and subscription inquiries",
-              "API access requests",
-              "Complex troubleshooting"
-            ]
-          },
-          documentation: {
-            title: "Documentation Portal",
-            url: "/api/docs",
-            description: "Complete API reference with detailed endpoint documentation",
-            features: [
-              "Full endpoint reference with request/response examples",
-              "Authentication and security guidelines",
-              "Rate limiting and error handling details",
-              "Real-time API testing console",
-              "Interactive examples and code snippets"
-            ],
-            sections: {
-              reference: "/api/docs",
-              quickStart: "/api/docs/quickstart",
-              examples: "/api/docs/examples",
-              faq: "/api/docs/faq"
-            }
-          },
-          github: {
-            title: "GitHub Repository",
-            url: "https://github.com/PresidentAnderson/pvt-booking-integration",
-            description: "Open source repository for reporting bugs and contributing",
-            features: [
-              "Bug reporting and issue tracking",
-              "Feature requests and discussions",
-              "Community contributions and examples",
-              "Release notes and changelogs"
-            ],
-            guidelines: {
-              bugReports: "Use the bug report template and include API version, request/response details, and error messages",
-              featureRequests: "Describe your use case and expected behavior",
-              discussions: "Ask questions and share integration experiences"
-            }
-          },
-          status: {
-            title: "System Status",
-            url: "/api/status",
-            description: "Real-time system health and performance monitoring",
-            features: [
-              "Service availability status",
-              "Performance metrics and response times",
-              "Incident reports and maintenance schedules",
-              "Historical uptime data"
-            ]
-          }
-        },
-        resources: {
-          quickStart: {
-            title: "Quick Start Guide",
-            url: "/api/docs/quickstart",
-            description: "Step-by-step guide to get up and running with the API",
-            estimatedTime: "15-30 minutes",
-            includes: [
-              "API key setup and authentication",
-              "First API call examples",
-              "Basic booking creation workflow",
-              "Payment processing setup",
-              "Error handling best practices"
-            ]
-          },
-          codeExamples: {
-            title: "Code Examples",
-            url: "/api/docs/examples", 
-            description: "Ready-to-use code snippets for common operations",
-            languages: ["JavaScript", "Python", "cURL"],
-            categories: [
-              "Authentication and user management",
-              "Booking creation and management",
-              "Payment processing and refunds",
-              "Room availability search",
-              "Webhook handling",
-              "Error handling patterns"
-            ]
-          },
-          faq: {
-            title: "Frequently Asked Questions",
-            url: "/api/docs/faq",
-            description: "Answers to common questions and troubleshooting",
-            categories: [
-              "Getting started and setup",
-              "Authentication and security",
-              "Booking management workflows",
-              "Payment processing",
-              "Rate limits and performance",
-              "Integration best practices"
-            ]
-          }
-        },
-        troubleshooting: {
-          title: "Common Issues & Solutions",
-          quickFixes: [
-            {
-              issue: "401 Unauthorized Error",
-              solution: "Verify your API key is correct and included in the Authorization header as 'Bearer <token>'. Check if your token has expired.",
-              documentation: "/api/docs/faq#auth-001"
-            },
-            {
-              issue: "429 Rate Limit Exceeded",
-              solution: "Implement exponential backoff in your retry logic. Check your current rate limit usage and consider upgrading if needed.",
-              documentation: "/api/docs/faq#rate-002"
-            },
-            {
-              issue: "400 Bad Request",
-              solution: "Check that all required fields are provided and data types match the API specification. Review the error message for specific details.",
-              documentation: "/api/docs/faq#trouble-002"
-            },
-            {
-              issue: "Slow API Response Times",
-              solution: "Use HTTPS, implement connection pooling, use pagination for large datasets, and cache frequently accessed data.",
-              documentation: "/api/docs/faq#trouble-003"
-            }
-          ],
-          diagnosticTools: [
-            {
-              tool: "API Health Check",
-              endpoint: "/api/health",
-              description: "Verify API connectivity and basic system status"
-            },
-            {
-              tool: "System Status Dashboard",
-              endpoint: "/api/status", 
-              description: "Check real-time system performance and incident reports"
-            },
-            {
-              tool: "API Metrics",
-              endpoint: "/api/metrics",
-              description: "Monitor your API usage, performance, and rate limit status"
-            }
-          ]
-        },
-        developerResources: {
-          title: "Developer Resources",
-          sdks: {
-            official: [
-              {
-                language: "JavaScript/Node.js",
-                status: "Available",
-                repository: "https://github.com/PresidentAnderson/pvt-booking-integration-js",
-                documentation: "/docs/sdks/javascript"
-              }
-            ],
-            community: [
-              {
-                language: "Python",
-                status: "Community Maintained",
-                repository: "https://github.com/community/pvt-python-sdk",
-                maintainer: "Community"
-              },
-              {
-                language: "PHP",
-                status: "Community Maintained", 
-                repository: "https://github.com/community/pvt-php-sdk",
-                maintainer: "Community"
-              }
-            ]
-          },
-          postmanCollection: {
-            title: "Postman Collection",
-            description: "Import our complete API collection for testing",
-            downloadUrl: "/api/postman-collection.json",
-            features: [
-              "Pre-configured authentication",
-              "All endpoints with examples",
-              "Environment variables setup",
-              "Automated testing scripts"
-            ]
-          },
-          webhooks: {
-            title: "Webhook Testing",
-            description: "Tools and resources for webhook development",
-            testingTools: [
-              {
-                tool: "ngrok",
-                description: "Tunnel local webhooks for testing",
-                url: "https://ngrok.com"
-              },
-              {
-                tool: "RequestBin",
-                description: "Inspect webhook payloads",
-                url: "https://requestbin.com"
-              }
-            ],
-            documentation: "/api/docs/examples#webhooks"
-          }
-        },
-        support: {
-          title: "Enterprise Support",
-          plans: {
-            standard: {
-              title: "Standard Support",
-              description: "Included with all API accounts",
-              features: [
-                "Email support during business hours",
-                "Community forum access",
-                "Documentation and resources",
-                "Basic integration assistance"
-              ],
-              responseTime: "24-48 hours"
-            },
-            premium: {
-              title: "Premium Support", 
-              description: "Enhanced support for production applications",
-              features: [
-                "Priority email support",
-                "Phone support availability",
-                "Dedicated integration assistance",
-                "Custom rate limits",
-                "SLA guarantees"
-              ],
-              responseTime: "4-8 hours",
-              contact: "sales@pvthostel.com"
-            },
-            enterprise: {
-              title: "Enterprise Support",
-              description: "White-glove support for enterprise customers",
-              features: [
-                "Dedicated customer success manager",
-                "24/7 priority support",
-                "Custom integrations and consulting",
-                "Private Slack channel",
-                "Custom SLAs and terms"
-              ],
-              responseTime: "1-2 hours",
-              contact: "enterprise@pvthostel.com"
-            }
-          }
-        },
-        contactInformation: {
-          headquarters: {
-            company: "PVT Hostel",
-            address: "123 Hospitality Street, Toronto, ON, Canada",
-            phone: "+1 (416) 555-0123",
-            email: "info@pvthostel.com"
-          },
-          departments: {
-            technical: "support@pvthostel.com",
-            sales: "sales@pvthostel.com", 
-            enterprise: "enterprise@pvthostel.com",
-            billing: "billing@pvthostel.com",
-            partnerships: "partnerships@pvthostel.com"
-          },
-          socialMedia: {
-            twitter: "https://twitter.com/pvthostel",
-            linkedin: "https://linkedin.com/company/pvthostel",
-            facebook: "https://facebook.com/pvthostel"
-          }
-        },
-        serviceLevel: {
-          title: "Service Level Agreement",
-          uptime: {
-            target: "99.9%",
-            measurement: "Monthly uptime percentage",
-            credits: "Service credits available for SLA violations"
-          },
-          support: {
-            standard: "24-48 hour response time for standard support",
-            premium: "4-8 hour response time for premium customers",
-            enterprise: "1-2 hour response time with 24/7 availability"
-          },
-          maintenance: {
-            scheduled: "Advance notice of at least 48 hours",
-            emergency: "Immediate notification via status page and email",
-            window: "Maintenance typically performed during low-traffic hours"
-          }
-        },
-        feedback: {
-          title: "Feedback & Suggestions",
-          description: "Help us improve the PVT Booking Integration API",
-          channels: [
-            {
-              type: "Feature Requests",
-              method: "GitHub Issues",
-              url: "https://github.com/PresidentAnderson/pvt-booking-integration/issues"
-            },
-            {
-              type: "Bug Reports",
-              method: "GitHub Issues or Email",
-              url: "support@pvthostel.com"
-            },
-            {
-              type: "Documentation Improvements",
-              method: "GitHub Pull Requests",
-              url: "https://github.com/PresidentAnderson/pvt-booking-integration"
-            },
-            {
-              type: "General Feedback", 
-              method: "Email",
-              url: "feedback@pvthostel.com"
-            }
-          ]
-        }
-      }
-    }
-  });
-});
-
-// Serve HTML for browsers, JSON for API requests
-app.get('/', (req, res) => {
-  if (req.accepts('html') && !req.headers['x-api-request']) {
-    res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
-  } else {
-    res.redirect('/api');
-  }
-});
-
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({ 
-    success: false,
-    error: 'Endpoint not found',
-    message: 'The requested API endpoint does not exist',
-    availableEndpoints: [
-      '/api', 
-      '/api/health', 
-      '/api/docs', 
-      '/api/docs/quickstart', 
-      '/api/docs/examples', 
-      '/api/docs/faq', 
-      '/api/docs/support', 
-      '/api/status', 
-      '/api/bookings', 
-      '/api/metrics'
-    ],
-    version: '2.0.0'
-  });
-});
-
-// Error handler  
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ 
-    success: false,
-    error: 'Internal server error',
-    message: 'Something went wrong processing your request',
-    version: '2.0.0',
-    timestamp: new Date().toISOString()
-  });
-});
-
-module.exports = app;
\ No newline at end of file
+module.exports = app;
@@ -0,0 +1,21 @@
+const balanceService = require('../services/balanceService');
+
+/**
+ * Charge balances that have fallen due to the card each guest saved with
+ * their deposit. Failed charges are retried every BUSINESS_RULES.BALANCE_RETRY_HOURS
+ * with a reminder email; after BUSINESS_RULES.MAX_BALANCE_CHARGE_ATTEMPTS the
+ * booking is cancelled.
+ * @param {Date} now - Reference time (defaults to current time)
+ * @returns {Object} Summary of charged, failed and cancelled bookings
+ */
+const chargeBalances = async (now = new Date()) => {
+  const result = await balanceService.chargeDueBalances({ now });
+
+  if (result.due > 0) {
+    console.log(`Charged ${result.charged.length} of ${result.due} due balances: ${result.failed.length} failed, ${result.cancelled.length} bookings cancelled`);
+  }
+
+  return result;
+};
+
+module.exports = chargeBalances;
@@ -0,0 +1,40 @@
+const { Booking } = require('../models');
+const { BOOKING_STATUS } = require('../config/constants');
+const bookingStateMachine = require('../services/bookingStateMachine');
+
+/**
+ * Expire unpaid bookings whose inventory hold has lapsed, and payment links
+ * past their expiry. The locks themselves stop blocking inventory the moment
+ * they expire; this job tidies up the bookings and deletes the stale locks.
+ * @param {Date} now - Reference time (defaults to current time)
+ * @returns {Object} Summary of expired bookings
+ */
+const expireHolds = async (now = new Date()) => {
+  const bookings = await Booking.find({
+    status: BOOKING_STATUS.HOLD,
+    'hold.expiresAt': { $lte: now },
+    'hold.convertedAt': null
+  });
+
+  // Expiring releases the room or beds and any promo code use
+  for (const booking of bookings) {
+    await bookingStateMachine.transition(booking, BOOKING_STATUS.EXPIRED, {
+      reason: 'Hold expired before payment was received',
+      now
+    });
+  }
+
+  if (bookings.length > 0) {
+    console.log(`Expired ${bookings.length} unpaid booking holds`);
+  }
+
+  const expiredPaymentLinks = await Booking.expirePaymentLinks(now);
+
+  return {
+    expired: bookings.length,
+    bookingReferences: bookings.map(booking => booking.bookingReference),
+    expiredPaymentLinks
+  };
+};
+
+module.exports = expireHolds;
@@ -0,0 +1,197 @@
+const { Booking, Payment, NightAudit } = require('../models');
+const { BOOKING_STATUS, PAYMENT_STATUS, BUSINESS_RULES } = require('../config/constants');
+const bookingStateMachine = require('../services/bookingStateMachine');
+const refundService = require('../services/refundService');
+const ledgerService = require('../services/ledgerService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Mark confirmed bookings, and pending ones still owing a balance, that never
+ * arrived as no-shows, freeing their inventory. The guest owes the no-show fee
+ * from their cancellation terms; anything paid above it is refunded.
+ */
+const processNoShows = async (audit, dayEnd, now, runBy) => {
+  const bookings = await Booking.find({
+    status: { $in: [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.PENDING] },
+    checkInDate: { $lt: dayEnd, $lte: now }
+  });
+
+  for (const booking of bookings) {
+    const { fee, feePercentage } = booking.calculateNoShowFee();
+    const refundAmount = round(Math.max(0, booking.payment.paidAmount - fee));
+
+    booking.noShow = { recordedAt: now, feePercentage, fee };
+    booking.cancellation = {
+      cancelledAt: now,
+      reason: 'No-show',
+      fee,
+      refundAmount,
+      refundProcessed: refundAmount === 0,
+      refundedAmount: 0,
+      refundAttempts: 0
+    };
+
+    await bookingStateMachine.transition(booking, BOOKING_STATUS.NO_SHOW, {
+      user: runBy,
+      reason: 'Not arrived by the night audit',
+      now
+    });
+
+    if (refundAmount > 0) {
+      await refundService.refundBooking(booking);
+    }
+
+    const { firstName, lastName } = booking.guestDetails?.primaryGuest || {};
+    audit.noShows.push({
+      booking: booking._id,
+      bookingReference: booking.bookingReference,
+      guestName: [firstName, lastName].filter(Boolean).join(' '),
+      fee,
+      refundAmount
+    });
+    audit.noShowRevenue = round(audit.noShowRevenue + fee);
+    await audit.save();
+  }
+};
+
+/**
+ * Earn each in-house booking's room revenue for the night in the ledger. Each
+ * night posts once, under its own posting key, and is stamped so a re-run never
+ * counts it twice in the report.
+ */
+const postRoomRevenue = async (audit, dayStart, dayEnd, now, runBy) => {
+  const bookings = await Booking.find({
+    status: { $in: [BOOKING_STATUS.CHECKED_IN, BOOKING_STATUS.CHECKED_OUT] },
+    'pricing.nightlyRates': {
+      $elemMatch: { date: { $gte: dayStart, $lt: dayEnd }, postedAt: null }
+    }
+  });
+
+  for (const booking of bookings) {
+    const shares = booking.getNightlyRevenue();
+
+    for (const [index, night] of booking.pricing.nightlyRates.entries()) {
+      if (night.date < dayStart || night.date >= dayEnd || night.postedAt) continue;
+
+      await ledgerService.recordNightRevenue(booking, { date: night.date, amount: shares[index] }, {
+        postedBy: runBy?._id
+      });
+      night.postedAt = now;
+      audit.roomRevenue = round(audit.roomRevenue + shares[index]);
+    }
+
+    await booking.save();
+    await audit.save();
+  }
+};
+
+/**
+ * Day totals for the report
+ */
+const summarizeDay = async (audit, dayStart, dayEnd) => {
+  const inDay = { $gte: dayStart, $lt: dayEnd };
+
+  audit.arrivals = await Booking.countDocuments({
+    checkInDate: inDay,
+    status: { $in: [BOOKING_STATUS.CHECKED_IN, BOOKING_STATUS.CHECKED_OUT] }
+  });
+  audit.departures = await Booking.countDocuments({
+    checkOutDate: inDay,
+    status: BOOKING_STATUS.CHECKED_OUT
+  });
+  audit.inHouse = await Booking.countDocuments({
+    status: { $in: [BOOKING_STATUS.CHECKED_IN, BOOKING_STATUS.CHECKED_OUT] },
+    checkInDate: { $lt: dayEnd },
+    checkOutDate: { $gt: dayStart }
+  });
+
+  const [payments] = await Payment.aggregate([
+    {
+      $match: {
+        status: { $in: [PAYMENT_STATUS.SUCCEEDED, PAYMENT_STATUS.PARTIALLY_REFUNDED, PAYMENT_STATUS.REFUNDED] },
+        processedAt: inDay
+      }
+    },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  const [refunds] = await Payment.aggregate([
+    { $unwind: '$refunds' },
+    { $match: { 'refunds.status': { $ne: 'failed' }, 'refunds.processedAt': inDay } },
+    { $group: { _id: null, total: { $sum: '$refunds.amount' } } }
+  ]);
+
+  audit.paymentsReceived = round(payments?.total || 0);
+  audit.refundsIssued = round(refunds?.total || 0);
+  audit.totalRevenue = round(audit.roomRevenue + audit.noShowRevenue);
+};
+
+/**
+ * Close one business date
+ * @returns {Object|null} Audit report, or null if the date is closed or being closed
+ */
+const closeBusinessDate = async (businessDate, { now, runBy }) => {
+  const audit = await NightAudit.start(businessDate, runBy?._id);
+  if (!audit) return null;
+
+  const dayEnd = new Date(businessDate.getTime() + DAY_MS);
+
+  try {
+    await processNoShows(audit, dayEnd, now, runBy);
+    await postRoomRevenue(audit, businessDate, dayEnd, now, runBy);
+    await summarizeDay(audit, businessDate, dayEnd);
+
+    audit.status = 'completed';
+    audit.completedAt = new Date();
+    await audit.save();
+  } catch (error) {
+    audit.status = 'failed';
+    audit.error = error.message;
+    await audit.save();
+    throw error;
+  }
+
+  return audit;
+};
+
+/**
+ * Night audit: close every business date whose no-show cutoff has passed,
+ * oldest first. Each close marks no-shows and charges their fee, posts the
+ * night's room revenue and stores a report; the business date then rolls on.
+ * @param {Object} options - { now, runBy, cutoffHours }
+ * @returns {Object} Closed reports and the new business date
+ */
+const nightAudit = async ({
+  now = new Date(),
+  runBy = null,
+  cutoffHours = BUSINESS_RULES.NO_SHOW_CUTOFF_HOURS
+} = {}) => {
+  const lastClosable = startOfDay(new Date(now.getTime() - cutoffHours * HOUR_MS));
+  let businessDate = await NightAudit.currentBusinessDate(lastClosable);
+
+  const audits = [];
+  while (businessDate <= lastClosable) {
+    const audit = await closeBusinessDate(businessDate, { now, runBy });
+    if (!audit) break; // Another run got there first
+
+    audits.push(audit);
+    businessDate = new Date(businessDate.getTime() + DAY_MS);
+  }
+
+  if (audits.length > 0) {
+    console.log(`Night audit closed ${audits.length} business date(s)`);
+  }
+
+  return { audits, businessDate };
+};
+
+module.exports = nightAudit;
@@ -0,0 +1,25 @@
+const waitlistService = require('../services/waitlistService');
+
+/**
+ * Expire waitlist entries whose check-in has passed, then offer any free
+ * space to the rest. Cancellations offer their nights straight away; this
+ * catches space freed any other way, such as rooms back from maintenance or
+ * released room blocks.
+ * @param {Date} now - Reference time (defaults to current time)
+ * @returns {Object} Summary of expired entries and offers made
+ */
+const processWaitlist = async (now = new Date()) => {
+  const expired = await waitlistService.expirePastEntries(now);
+  const offered = await waitlistService.offerFreedSpace({ now });
+
+  if (expired > 0 || offered.length > 0) {
+    console.log(`Waitlist: expired ${expired} entries, made ${offered.length} offers`);
+  }
+
+  return {
+    expired,
+    offered: offered.length
+  };
+};
+
+module.exports = processWaitlist;
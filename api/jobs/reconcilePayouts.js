@@ -0,0 +1,20 @@
+const payoutService = require('../services/payoutService');
+
+/**
+ * Reconcile Stripe payouts against our payments, refunds and disputes,
+ * replacing estimated card fees with the fees Stripe charged. Payouts with
+ * lines that do not match are flagged for accounting to review.
+ * @param {Object} options - { since, until } arrival dates; by default from the last payout reconciled
+ * @returns {Object} Summary of reconciled and flagged payouts
+ */
+const reconcilePayouts = async (options = {}) => {
+  const result = await payoutService.reconcilePayouts(options);
+
+  if (result.reconciled.length > 0) {
+    console.log(`Reconciled ${result.reconciled.length} payouts: ${result.flagged.length} need review`);
+  }
+
+  return result;
+};
+
+module.exports = reconcilePayouts;
@@ -0,0 +1,30 @@
+const { RoomBlock } = require('../models');
+
+/**
+ * Release room blocks whose cutoff has passed. Their held nights already
+ * stopped blocking inventory at the cutoff; this marks the blocks released
+ * and deletes the stale locks. Nights picked up by group members are theirs.
+ * @param {Date} now - Reference time (defaults to current time)
+ * @returns {Object} Summary of released blocks
+ */
+const releaseRoomBlocks = async (now = new Date()) => {
+  const roomBlocks = await RoomBlock.find({
+    status: 'active',
+    cutoffDate: { $lte: now }
+  });
+
+  for (const roomBlock of roomBlocks) {
+    await roomBlock.release(now);
+  }
+
+  if (roomBlocks.length > 0) {
+    console.log(`Released ${roomBlocks.length} room blocks past their cutoff`);
+  }
+
+  return {
+    released: roomBlocks.length,
+    codes: roomBlocks.map(roomBlock => roomBlock.code)
+  };
+};
+
+module.exports = releaseRoomBlocks;
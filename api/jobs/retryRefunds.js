@@ -0,0 +1,19 @@
+const refundService = require('../services/refundService');
+
+/**
+ * Retry Stripe refunds for cancelled bookings that were not refunded in full,
+ * e.g. because Stripe was unavailable at cancellation time. Bookings stop being
+ * retried after BUSINESS_RULES.MAX_REFUND_ATTEMPTS and need a manual refund.
+ * @returns {Object} Summary of retried bookings
+ */
+const retryRefunds = async () => {
+  const result = await refundService.retryFailedRefunds();
+
+  if (result.retried > 0) {
+    console.log(`Retried ${result.retried} refunds: ${result.completed.length} completed, ${result.failed.length} failed`);
+  }
+
+  return result;
+};
+
+module.exports = retryRefunds;
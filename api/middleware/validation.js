@@ -1,5 +1,21 @@
 const { validationResult, body, param, query } = require('express-validator');
-const { API_MESSAGES, VALIDATION } = require('../config/constants');
+const {
+  API_MESSAGES,
+  VALIDATION,
+  BUSINESS_RULES,
+  PRICING,
+  BED_STATUS,
+  BED_POSITIONS,
+  GENDER_RESTRICTIONS,
+  ROOM_TYPES,
+  RATE_ADJUSTMENT_TYPES,
+  PRODUCT_CATEGORIES,
+  EXTRA_PRICING_UNITS,
+  TAX_CATEGORIES,
+  FOLIO_VOID_REASONS,
+  PAYMENT_METHODS,
+  PAYMENT_VOID_REASONS
+} = require('../config/constants');
 
 /**
  * Handle validation errors
@@ -121,57 +137,1071 @@ const validateBookingCreation = [
     .matches(VALIDATION.PHONE_REGEX)
     .withMessage('Please provide a valid phone number'),
   
+  body('guestDetails.primaryGuest.gender')
+    .optional()
+    .isIn(['female', 'male', 'other'])
+    .withMessage('Gender must be female, male or other'),
+  
+  body('bedIds')
+    .optional()
+    .isArray()
+    .withMessage('Bed IDs must be an array'),
+  
+  body('bedIds.*')
+    .isMongoId()
+    .withMessage('Valid bed ID is required'),
+  
+  body('ratePlanId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid rate plan ID is required'),
+  
+  body('promoCode')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage('Valid promo code is required'),
+  
+  body('extras')
+    .optional()
+    .isArray({ max: BUSINESS_RULES.MAX_BOOKING_EXTRAS })
+    .withMessage(`Up to ${BUSINESS_RULES.MAX_BOOKING_EXTRAS} extras can be added`),
+  
+  body('extras.*.productId')
+    .isMongoId()
+    .withMessage('Valid extra product ID is required'),
+  
+  body('extras.*.quantity')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Extra quantity must be between 1 and 20'),
+  
+  body('segments')
+    .optional()
+    .isArray({ min: 2, max: BUSINESS_RULES.MAX_STAY_SEGMENTS })
+    .withMessage(`Split stays need between 2 and ${BUSINESS_RULES.MAX_STAY_SEGMENTS} segments`)
+    .custom((segments, { req }) => {
+      // Segments must cover the stay night by night, with no gaps or overlaps
+      const covers = segments.every((segment, index) => {
+        const checkIn = new Date(segment.checkInDate).getTime();
+        const checkOut = new Date(segment.checkOutDate).getTime();
+        const expectedCheckIn = index === 0
+          ? new Date(req.body.checkInDate).getTime()
+          : new Date(segments[index - 1].checkOutDate).getTime();
+
+        return checkIn === expectedCheckIn && checkOut > checkIn;
+      });
+
+      const last = segments[segments.length - 1];
+      if (!covers || new Date(last.checkOutDate).getTime() !== new Date(req.body.checkOutDate).getTime()) {
+        throw new Error('Segments must run back to back from check-in to check-out');
+      }
+      return true;
+    }),
+  
+  body('segments.*.roomId')
+    .isMongoId()
+    .withMessage('Valid segment room ID is required'),
+  
+  body('segments.*.checkInDate')
+    .isISO8601()
+    .withMessage('Valid segment check-in date is required'),
+  
+  body('segments.*.checkOutDate')
+    .isISO8601()
+    .withMessage('Valid segment check-out date is required'),
+  
+  body('segments.*.bedIds')
+    .optional()
+    .isArray()
+    .withMessage('Segment bed IDs must be an array'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Booking update validation
+ */
+const validateBookingUpdate = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid booking ID is required'),
+  
+  body('checkInDate')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Valid check-in date is required'),
+  
+  body('checkOutDate')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Valid check-out date is required'),
+  
+  body('guestCount')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Guest count must be between 1 and 20'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Room move validation
+ */
+const validateRoomMove = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid booking ID is required'),
+  
+  body('roomId')
+    .isMongoId()
+    .withMessage('Valid room ID is required'),
+  
+  body('moveDate')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Valid move date is required'),
+  
+  body('bedIds')
+    .optional()
+    .isArray()
+    .withMessage('Bed IDs must be an array'),
+  
+  body('bedIds.*')
+    .isMongoId()
+    .withMessage('Valid bed ID is required'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Stay extension and early departure validation
+ */
+const validateStayChange = (isExtension = false) => [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid booking ID is required'),
+  
+  (isExtension ? body('checkOutDate') : body('checkOutDate').optional())
+    .isISO8601()
+    .toDate()
+    .withMessage('Valid check-out date is required'),
+  
+  body('bedIds')
+    .optional()
+    .isArray()
+    .withMessage('Bed IDs must be an array'),
+  
+  body('bedIds.*')
+    .isMongoId()
+    .withMessage('Valid bed ID is required'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Check-in validation
+ */
+const validateCheckIn = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid booking ID is required'),
+  
+  body('securityDeposit')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Security deposit must be a positive number'),
+  
+  body('paymentMethodId')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Valid payment method is required'),
+  
+  body('registrationCard.signedName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name signed on the registration card must be between 1 and 100 characters'),
+  
+  body('registrationCard.fileId')
+    .optional()
+    .matches(/^file_/)
+    .withMessage('Registration card must be a Stripe file ID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Payment link validation
+ */
+const validatePaymentLink = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid booking ID is required'),
+  
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.5 })
+    .withMessage('Amount must be at least 0.50'),
+  
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required'),
+  
+  body('expiresInHours')
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage('Expiry must be between 1 and 720 hours'),
+  
+  body('extendHold')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Extend hold must be true or false'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Dispute evidence validation
+ */
+const validateDisputeEvidence = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid dispute ID is required'),
+  
+  body('productDescription')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Product description must be between 1 and 2000 characters'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 10000 })
+    .withMessage('Notes cannot exceed 10000 characters'),
+  
+  body('submit')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Submit must be true or false'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Trial balance query validation
+ */
+const validateTrialBalanceQuery = [
+  query('asOf')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid as-of date is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Payout reconciliation validation
+ */
+const validatePayoutReconciliation = [
+  body('since')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid start date is required'),
+  
+  body('until')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid end date is required')
+    .custom((until, { req }) => {
+      if (req.body.since && new Date(until) <= new Date(req.body.since)) {
+        throw new Error('End date must be after start date');
+      }
+      return true;
+    }),
+  
+  handleValidationErrors
+];
+
+/**
+ * Payout report query validation
+ */
+const validatePayoutQuery = [
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid start date is required'),
+  
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid end date is required'),
+  
+  query('flagged')
+    .optional()
+    .isBoolean()
+    .withMessage('Flagged must be true or false'),
+  
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Security deposit validation
+ */
+const validateSecurityDeposit = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid booking ID is required'),
+  
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.5 })
+    .withMessage('Security deposit must be at least 0.50'),
+  
+  body('paymentMethodId')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Valid payment method is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Check-out validation
+ */
+const validateCheckOut = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid booking ID is required'),
+  
+  body('damagesNoted')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Damages noted cannot exceed 1000 characters'),
+  
+  body('damageCharge')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Damage charge must be a positive number')
+    .custom((damageCharge, { req }) => {
+      if (parseFloat(damageCharge) > 0 && !req.body.damagesNoted) {
+        throw new Error('Damages must be noted to charge for them');
+      }
+      return true;
+    }),
+  
+  body('depositReturned')
+    .optional()
+    .isBoolean()
+    .withMessage('Deposit returned must be true or false'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Room block validation
+ */
+const validateRoomBlock = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Block name must be between 2 and 100 characters'),
+  
+  body('checkInDate')
+    .isISO8601()
+    .toDate()
+    .withMessage('Valid check-in date is required'),
+  
+  body('checkOutDate')
+    .isISO8601()
+    .toDate()
+    .withMessage('Valid check-out date is required')
+    .custom((checkOutDate, { req }) => {
+      if (new Date(checkOutDate) <= new Date(req.body.checkInDate)) {
+        throw new Error('Check-out date must be after check-in date');
+      }
+      return true;
+    }),
+  
+  body('cutoffDate')
+    .isISO8601()
+    .toDate()
+    .withMessage('Valid cutoff date is required')
+    .custom((cutoffDate, { req }) => {
+      if (new Date(cutoffDate) <= new Date()) {
+        throw new Error('Cutoff date must be in the future');
+      }
+      if (new Date(cutoffDate) > new Date(req.body.checkInDate)) {
+        throw new Error('Cutoff date cannot be after check-in');
+      }
+      return true;
+    }),
+  
+  body('rooms')
+    .isArray({ min: 1 })
+    .withMessage('At least one room is required'),
+  
+  body('rooms.*.roomId')
+    .isMongoId()
+    .withMessage('Valid room ID is required'),
+  
+  body('rooms.*.bedCount')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Bed count must be a positive integer'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Group member validation; used for each member of a new group and for added members
+ */
+const groupMemberRules = (prefix = '') => [
+  body(`${prefix}roomId`)
+    .isMongoId()
+    .withMessage('Valid room ID is required'),
+  
+  body(`${prefix}guestCount`)
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Guest count must be between 1 and 20'),
+  
+  body(`${prefix}bedIds`)
+    .optional()
+    .isArray()
+    .withMessage('Bed IDs must be an array'),
+  
+  body(`${prefix}guestDetails.primaryGuest.email`)
+    .optional()
+    .isEmail()
+    .withMessage('Valid guest email is required')
+];
+
+const validateGroupMember = [
+  ...groupMemberRules(),
+  handleValidationErrors
+];
+
+/**
+ * Group booking validation
+ */
+const validateGroupBooking = (isUpdate = false) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Group name must be between 2 and 100 characters'),
+  
+  body('billing')
+    .optional()
+    .isIn(['shared', 'split'])
+    .withMessage('Billing must be shared or split'),
+  
+  (isUpdate ? body('leader.firstName').optional() : body('leader.firstName'))
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Group leader first name is required'),
+  
+  (isUpdate ? body('leader.lastName').optional() : body('leader.lastName'))
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Group leader last name is required'),
+  
+  (isUpdate ? body('leader.email').optional() : body('leader.email'))
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Group leader email is required'),
+  
+  ...(isUpdate ? [] : [
+    body('leader.userId')
+      .optional()
+      .isMongoId()
+      .withMessage('Valid leader user ID is required'),
+    
+    body('checkInDate')
+      .isISO8601()
+      .toDate()
+      .withMessage('Valid check-in date is required'),
+    
+    body('checkOutDate')
+      .isISO8601()
+      .toDate()
+      .withMessage('Valid check-out date is required')
+      .custom((checkOutDate, { req }) => {
+        if (new Date(checkOutDate) <= new Date(req.body.checkInDate)) {
+          throw new Error('Check-out date must be after check-in date');
+        }
+        return true;
+      }),
+    
+    body(['roomBlockId', 'ratePlanId'])
+      .optional()
+      .isMongoId()
+      .withMessage('Valid ID is required'),
+    
+    body('members')
+      .isArray({ min: 1 })
+      .withMessage('At least one member room is required'),
+    
+    ...groupMemberRules('members.*.')
+  ]),
+  
+  handleValidationErrors
+];
+
+/**
+ * Waitlist entry validation
+ */
+const validateWaitlistEntry = [
+  body('checkInDate')
+    .isISO8601()
+    .toDate()
+    .withMessage('Valid check-in date is required')
+    .custom((checkInDate) => {
+      const today = new Date();
+      today.setUTCHours(0, 0, 0, 0);
+      if (new Date(checkInDate) < today) {
+        throw new Error('Check-in date cannot be in the past');
+      }
+      return true;
+    }),
+  
+  body('checkOutDate')
+    .isISO8601()
+    .toDate()
+    .withMessage('Valid check-out date is required')
+    .custom((checkOutDate, { req }) => {
+      if (new Date(checkOutDate) <= new Date(req.body.checkInDate)) {
+        throw new Error('Check-out date must be after check-in date');
+      }
+      return true;
+    }),
+  
+  body('roomType')
+    .optional()
+    .isIn(Object.values(ROOM_TYPES))
+    .withMessage('Invalid room type'),
+  
+  body('guestCount')
+    .isInt({ min: 1, max: BUSINESS_RULES.MAX_GUESTS_PER_BOOKING })
+    .withMessage(`Guest count must be between 1 and ${BUSINESS_RULES.MAX_GUESTS_PER_BOOKING}`),
+  
+  body('gender')
+    .optional()
+    .isIn(['female', 'male', 'other'])
+    .withMessage('Gender must be female, male or other'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Room creation validation
+ */
+const validateRoomCreation = [
+  body('roomNumber')
+    .trim()
+    .isLength({ min: 1, max: 10 })
+    .withMessage('Room number is required'),
+  
+  body('type')
+    .isIn(['private', 'shared', 'dorm', 'suite'])
+    .withMessage('Valid room type is required'),
+  
+  body('capacity')
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Capacity must be between 1 and 20'),
+  
+  body('basePrice')
+    .isNumeric({ min: 0 })
+    .withMessage('Base price must be a positive number'),
+  
+  body('cleaningFee')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Cleaning fee must be a positive number'),
+  
   handleValidationErrors
 ];
 
 /**
- * Booking update validation
+ * Bed update validation
  */
-const validateBookingUpdate = [
-  param('id')
+const validateBedUpdate = [
+  param('bedId')
     .isMongoId()
-    .withMessage('Valid booking ID is required'),
+    .withMessage('Valid bed ID is required'),
   
-  body('checkInDate')
+  body('label')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Bed label must be between 1 and 20 characters'),
+  
+  body('bunkPosition')
+    .optional()
+    .isIn(Object.values(BED_POSITIONS))
+    .withMessage('Valid bunk position is required'),
+  
+  body('genderRestriction')
+    .optional()
+    .isIn(Object.values(GENDER_RESTRICTIONS))
+    .withMessage('Valid gender restriction is required'),
+  
+  body('status')
+    .optional()
+    .isIn(Object.values(BED_STATUS))
+    .withMessage('Valid bed status is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Rate plan validation
+ */
+const validateRatePlan = (isUpdate = false) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Rate plan name must be between 2 and 100 characters'),
+  
+  (isUpdate ? body('code').optional() : body('code'))
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{2,20}$/)
+    .withMessage('Rate plan code must be 2-20 letters, numbers, dashes or underscores'),
+  
+  body('roomTypes')
+    .optional()
+    .isArray()
+    .withMessage('Room types must be an array'),
+  
+  body('roomTypes.*')
+    .isIn(Object.values(ROOM_TYPES))
+    .withMessage('Valid room type is required'),
+  
+  body('adjustment.type')
+    .optional()
+    .isIn(Object.values(RATE_ADJUSTMENT_TYPES))
+    .withMessage('Valid adjustment type is required'),
+  
+  body('adjustment.value')
+    .optional()
+    .isFloat()
+    .withMessage('Adjustment value must be a number'),
+  
+  body('cancellationPolicy')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Valid cancellation policy ID is required'),
+  
+  body('depositPercentage')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Deposit percentage must be between 0 and 100'),
+  
+  body('balanceDueDays')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Balance due days must be between 0 and 365'),
+  
+  body('overrides')
+    .optional()
+    .isArray()
+    .withMessage('Overrides must be an array'),
+  
+  body('overrides.*.roomTypes.*')
+    .isIn(Object.values(ROOM_TYPES))
+    .withMessage('Valid room type is required'),
+  
+  body('overrides.*.startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid override start date is required'),
+  
+  body('overrides.*.endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid override end date is required'),
+  
+  body('overrides.*.daysOfWeek.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Days of week must be 0 (Sunday) to 6 (Saturday)'),
+  
+  body('overrides.*.adjustment.type')
+    .isIn(Object.values(RATE_ADJUSTMENT_TYPES))
+    .withMessage('Valid override adjustment type is required'),
+  
+  body('overrides.*.adjustment.value')
+    .isFloat()
+    .withMessage('Override adjustment value must be a number'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Cancellation policy validation
+ */
+const validateCancellationPolicy = (isUpdate = false) => [
+  ...(isUpdate ? [] : [
+    body('code')
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{2,20}$/)
+      .withMessage('Policy code must be 2-20 letters, numbers, dashes or underscores')
+  ]),
+  
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Policy name must be between 2 and 100 characters'),
+  
+  body('type')
+    .optional()
+    .isIn(['flexible', 'moderate', 'non_refundable', 'custom'])
+    .withMessage('Type must be flexible, moderate, non_refundable or custom'),
+  
+  body('tiers')
+    .optional()
+    .isArray()
+    .withMessage('Tiers must be an array'),
+  
+  body('tiers.*.hoursBeforeCheckIn')
+    .isFloat({ min: 0 })
+    .withMessage('Tier hours before check-in must be a positive number'),
+  
+  body('tiers.*.feePercentage')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Tier fee percentage must be between 0 and 100'),
+  
+  body('defaultFeePercentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Default fee percentage must be between 0 and 100'),
+  
+  body('freeCancellationHours')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Free cancellation hours must be a positive number'),
+  
+  body('noShowFeePercentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('No-show fee percentage must be between 0 and 100'),
+  
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('isDefault must be true or false'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Stay restriction validation
+ */
+const validateStayRestriction = (isUpdate = false) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Restriction name must be between 2 and 100 characters'),
+  
+  body('roomTypes')
+    .optional()
+    .isArray()
+    .withMessage('Room types must be an array'),
+  
+  body('roomTypes.*')
+    .isIn(Object.values(ROOM_TYPES))
+    .withMessage('Valid room type is required'),
+  
+  body('startDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Valid start date is required'),
+  
+  body('endDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Valid end date is required')
+    .custom((endDate, { req }) => {
+      if (req.body.startDate && new Date(endDate) < new Date(req.body.startDate)) {
+        throw new Error('End date must not be before start date');
+      }
+      return true;
+    }),
+  
+  body('daysOfWeek.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Days of week must be 0 (Sunday) to 6 (Saturday)'),
+  
+  body('minNights')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Minimum nights must be a positive integer'),
+  
+  body('maxNights')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Maximum nights must be a positive integer')
+    .custom((maxNights, { req }) => {
+      if (req.body.minNights && parseInt(maxNights) < parseInt(req.body.minNights)) {
+        throw new Error('Maximum nights must not be less than minimum nights');
+      }
+      return true;
+    }),
+  
+  body('closedToArrival')
+    .optional()
+    .isBoolean()
+    .withMessage('Closed to arrival must be true or false'),
+  
+  body('closedToDeparture')
+    .optional()
+    .isBoolean()
+    .withMessage('Closed to departure must be true or false'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Promo code validation
+ */
+const validatePromoCode = (isUpdate = false) => [
+  ...(isUpdate ? [] : [
+    body('code')
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{2,30}$/)
+      .withMessage('Promo code must be 2-30 letters, numbers, dashes or underscores')
+  ]),
+  
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Promo code name must be between 2 and 100 characters'),
+  
+  (isUpdate ? body('discountType').optional() : body('discountType'))
+    .isIn(PRICING.DISCOUNT_TYPES)
+    .withMessage('Discount type must be percentage or fixed'),
+  
+  (isUpdate ? body('value').optional() : body('value'))
+    .isFloat({ min: 0 })
+    .withMessage('Discount value must be a positive number'),
+  
+  body(['validFrom', 'validUntil', 'stayStartDate', 'stayEndDate'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Valid date is required'),
+  
+  body(['minNights', 'maxUses', 'maxUsesPerGuest'])
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Must be a positive integer'),
+  
+  body('roomTypes.*')
+    .isIn(Object.values(ROOM_TYPES))
+    .withMessage('Valid room type is required'),
+  
+  body('stackableWithRatePlans')
     .optional()
+    .isBoolean()
+    .withMessage('Stackable with rate plans must be true or false'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Promo code check against a stay
+ */
+const validatePromoCodeCheck = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Promo code is required'),
+  
+  body('roomId')
+    .isMongoId()
+    .withMessage('Valid room ID is required'),
+  
+  body('checkInDate')
     .isISO8601()
     .toDate()
     .withMessage('Valid check-in date is required'),
   
   body('checkOutDate')
-    .optional()
     .isISO8601()
     .toDate()
-    .withMessage('Valid check-out date is required'),
+    .withMessage('Valid check-out date is required')
+    .custom((checkOutDate, { req }) => {
+      if (new Date(checkOutDate) <= new Date(req.body.checkInDate)) {
+        throw new Error('Check-out date must be after check-in date');
+      }
+      return true;
+    }),
   
   body('guestCount')
     .optional()
     .isInt({ min: 1, max: 20 })
     .withMessage('Guest count must be between 1 and 20'),
   
+  body('ratePlanId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid rate plan ID is required'),
+  
   handleValidationErrors
 ];
 
 /**
- * Room creation validation
+ * Add-on product validation
  */
-const validateRoomCreation = [
-  body('roomNumber')
+const validateProduct = (isUpdate = false) => [
+  ...(isUpdate ? [] : [
+    body('code')
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{2,30}$/)
+      .withMessage('Product code must be 2-30 letters, numbers, dashes or underscores')
+  ]),
+  
+  (isUpdate ? body('name').optional() : body('name'))
     .trim()
-    .isLength({ min: 1, max: 10 })
-    .withMessage('Room number is required'),
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Product name must be between 2 and 100 characters'),
   
-  body('type')
-    .isIn(['private', 'shared', 'dorm', 'suite'])
-    .withMessage('Valid room type is required'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
   
-  body('capacity')
-    .isInt({ min: 1, max: 20 })
-    .withMessage('Capacity must be between 1 and 20'),
+  (isUpdate ? body('category').optional() : body('category'))
+    .isIn(Object.values(PRODUCT_CATEGORIES))
+    .withMessage('Valid product category is required'),
   
-  body('basePrice')
-    .isNumeric({ min: 0 })
-    .withMessage('Base price must be a positive number'),
+  (isUpdate ? body('unitPrice').optional() : body('unitPrice'))
+    .isFloat({ min: 0 })
+    .withMessage('Unit price must be a positive number'),
+  
+  body('taxCategory')
+    .optional()
+    .isIn(Object.values(TAX_CATEGORIES))
+    .withMessage('Valid tax category is required'),
+  
+  body('bookable')
+    .optional()
+    .isBoolean()
+    .withMessage('Bookable must be true or false'),
+  
+  body('pricingUnit')
+    .optional()
+    .isIn(Object.values(EXTRA_PRICING_UNITS))
+    .withMessage('Valid pricing unit is required'),
+  
+  body('dailyCapacity')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Daily capacity must be a positive integer'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be true or false'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Folio charge validation
+ */
+const validateFolioCharge = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid booking ID is required'),
+  
+  body('productId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid product ID is required'),
+  
+  body('quantity')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Quantity must be between 1 and 100'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Description must be between 2 and 200 characters'),
+  
+  body('unitPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Unit price must be a positive number'),
+  
+  body('taxCategory')
+    .optional()
+    .isIn(Object.values(TAX_CATEGORIES))
+    .withMessage('Valid tax category is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Folio charge void validation
+ */
+const validateFolioVoid = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid booking ID is required'),
+  
+  param('lineId')
+    .isMongoId()
+    .withMessage('Valid charge ID is required'),
+  
+  body('reasonCode')
+    .isIn(Object.values(FOLIO_VOID_REASONS))
+    .withMessage('Valid void reason is required'),
+  
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
   
   handleValidationErrors
 ];
@@ -196,6 +1226,69 @@ const validatePayment = [
   handleValidationErrors
 ];
 
+/**
+ * Cash and bank transfer payment validation
+ */
+const validateManualPayment = [
+  body('bookingId')
+    .isMongoId()
+    .withMessage('Valid booking ID is required'),
+  
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0'),
+  
+  body('method')
+    .isIn([PAYMENT_METHODS.CASH, PAYMENT_METHODS.BANK_TRANSFER])
+    .withMessage('Method must be cash or bank_transfer'),
+  
+  body('tendered')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Amount tendered must be a positive number'),
+  
+  body('reference')
+    .if(body('method').equals(PAYMENT_METHODS.BANK_TRANSFER))
+    .trim()
+    .notEmpty()
+    .withMessage('Bank transfer reference is required'),
+  
+  body('bankName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Bank name cannot exceed 100 characters'),
+  
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Payment void validation
+ */
+const validatePaymentVoid = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid payment ID is required'),
+  
+  body('reasonCode')
+    .isIn(Object.values(PAYMENT_VOID_REASONS))
+    .withMessage('Valid void reason is required'),
+  
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
 /**
  * Query parameter validation for listings
  */
@@ -306,11 +1399,11 @@ const validateBusinessRules = {
     const diffTime = Math.abs(new Date(checkOutDate) - new Date(checkInDate));
     const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
     
-    if (diffDays > 365) { // Max 1 year
+    if (diffDays > BUSINESS_RULES.MAX_BOOKING_DAYS) {
       return res.status(400).json({
         success: false,
         message: API_MESSAGES.VALIDATION_ERROR,
-        errors: [{ field: 'checkOutDate', message: 'Booking cannot exceed 365 days' }]
+        errors: [{ field: 'checkOutDate', message: `Booking cannot exceed ${BUSINESS_RULES.MAX_BOOKING_DAYS} days` }]
       });
     }
     
@@ -324,8 +1417,33 @@ module.exports = {
   validateUserLogin,
   validateBookingCreation,
   validateBookingUpdate,
+  validateRoomMove,
+  validateStayChange,
+  validateCheckIn,
+  validateSecurityDeposit,
+  validateCheckOut,
+  validatePaymentLink,
+  validateDisputeEvidence,
+  validateTrialBalanceQuery,
+  validatePayoutReconciliation,
+  validatePayoutQuery,
+  validateRoomBlock,
+  validateGroupBooking,
+  validateGroupMember,
+  validateWaitlistEntry,
   validateRoomCreation,
+  validateBedUpdate,
+  validateRatePlan,
+  validateStayRestriction,
+  validateCancellationPolicy,
+  validatePromoCode,
+  validatePromoCodeCheck,
+  validateProduct,
+  validateFolioCharge,
+  validateFolioVoid,
   validatePayment,
+  validateManualPayment,
+  validatePaymentVoid,
   validateListingQuery,
   validateDateRange,
   validateMongoId,
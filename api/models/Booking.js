@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const {
+  BOOKING_STATUS,
+  CANCELLATION_POLICIES,
+  PRICING,
+  TAX_CATEGORIES,
+  FOLIO_VOID_REASONS,
+  EXTRA_PRICING_UNITS,
+  PAYMENT_LINK_STATUS
+} = require('../config/constants');
+
+const round = (amount) => Math.round(amount * 100) / 100;
 
 const bookingSchema = new mongoose.Schema({
   bookingReference: {
@@ -14,15 +25,29 @@ const bookingSchema = new mongoose.Schema({
     index: true
   },
   room: {
-    type: mongoose.Schema.Types.ObjectId,
+    type: mongoose.Schema.Types.ObjectId, // Room at check-in; split stays list every room in segments
     ref: 'Room',
     required: true,
     index: true
   },
+  beds: [{
+    type: mongoose.Schema.Types.ObjectId // Bed subdocument ids within the room
+  }],
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroupBooking', // Set for members of a group booking
+    index: true
+  },
+  segments: [{ // Room or beds for each part of the stay, in date order
+    room: { type: mongoose.Schema.Types.ObjectId, ref: 'Room', required: true },
+    beds: [{ type: mongoose.Schema.Types.ObjectId }],
+    checkInDate: { type: Date, required: true },
+    checkOutDate: { type: Date, required: true }
+  }],
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled', 'checked_in', 'checked_out', 'no_show'],
-    default: 'pending',
+    enum: Object.values(BOOKING_STATUS),
+    default: BOOKING_STATUS.PENDING,
     required: true,
     index: true
   },
@@ -55,6 +80,7 @@ const bookingSchema = new mongoose.Schema({
       email: { type: String, required: true },
       phone: String,
       dateOfBirth: Date,
+      gender: { type: String, enum: ['female', 'male', 'other'] },
       nationality: String,
       idType: { type: String, enum: ['passport', 'license', 'id_card'] },
       idNumber: String
@@ -67,7 +93,25 @@ const bookingSchema = new mongoose.Schema({
     }]
   },
   pricing: {
+    ratePlan: {
+      type: new mongoose.Schema({ // Snapshot; _id is the RatePlan id
+        name: String,
+        code: String
+      }),
+      default: undefined
+    },
+    pricingModel: { type: String, enum: ['per_person', 'per_room'] },
+    nightlyRates: [{
+      _id: false,
+      date: Date,
+      room: { type: mongoose.Schema.Types.ObjectId, ref: 'Room' }, // Set for split stays
+      rate: Number,
+      units: Number,
+      amount: Number,
+      postedAt: Date // Set once the night audit posts the night's revenue
+    }],
     baseAmount: { type: Number, required: true, min: 0 },
+    taxRate: { type: Number, min: 0 },
     taxes: { type: Number, default: 0, min: 0 },
     fees: {
       cleaning: { type: Number, default: 0, min: 0 },
@@ -77,8 +121,11 @@ const bookingSchema = new mongoose.Schema({
     discounts: {
       amount: { type: Number, default: 0, min: 0 },
       type: { type: String, enum: ['percentage', 'fixed'] },
+      value: { type: Number, min: 0 }, // Percentage or fixed amount as entered
       code: String,
-      reason: String
+      reason: String,
+      promoCode: { type: mongoose.Schema.Types.ObjectId, ref: 'PromoCode' },
+      campaign: String
     },
     currency: { type: String, default: 'USD', uppercase: true },
     totalAmount: { type: Number, required: true, min: 0 }
@@ -96,13 +143,56 @@ const bookingSchema = new mongoose.Schema({
     paidAmount: { type: Number, default: 0, min: 0 },
     remainingAmount: { type: Number, default: 0, min: 0 },
     stripePaymentIntentId: String,
+    balanceDueDate: Date, // When the balance is charged to the guest's saved card
+    balanceCharge: { // Automatic off-session charges of the balance
+      attempts: { type: Number, default: 0 },
+      lastAttemptAt: Date,
+      nextAttemptAt: Date,
+      lastError: String,
+      paymentMethodId: String // Stripe card saved with the deposit, which the balance is charged to
+    },
     transactions: [{
       amount: Number,
       type: { type: String, enum: ['payment', 'refund'] },
       method: String,
       reference: String,
       processedAt: { type: Date, default: Date.now },
-      status: { type: String, enum: ['pending', 'completed', 'failed'] }
+      status: { type: String, enum: ['pending', 'completed', 'failed', 'voided'] }
+    }]
+  },
+  paymentLinks: [{ // Signed links staff send so the guest can pay without an account
+    amount: { type: Number, required: true, min: 0 },
+    sentTo: String,
+    status: { type: String, enum: Object.values(PAYMENT_LINK_STATUS), default: PAYMENT_LINK_STATUS.SENT },
+    expiresAt: { type: Date, required: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    sentAt: { type: Date, default: Date.now },
+    openedAt: Date,
+    paidAt: Date,
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' }
+  }],
+  folio: {
+    lines: [{ // Add-ons and other charges posted to the stay; room nights are in pricing
+      product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+      description: { type: String, required: true },
+      quantity: { type: Number, required: true, min: 1 },
+      unitPrice: { type: Number, required: true, min: 0 },
+      taxCategory: { type: String, enum: Object.values(TAX_CATEGORIES), default: TAX_CATEGORIES.STANDARD },
+      taxRate: { type: Number, min: 0 },
+      amount: { type: Number, min: 0 }, // Quantity times unit price, before tax
+      tax: { type: Number, min: 0 },
+      total: { type: Number, min: 0 },
+      postedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      postedAt: { type: Date, default: Date.now },
+      source: { type: String, enum: ['booking', 'front_desk'], default: 'front_desk' }, // Extras added when booking come from 'booking'
+      pricingUnit: { type: String, enum: Object.values(EXTRA_PRICING_UNITS) },
+      serviceDates: [Date], // Days a capacity-limited extra is used on
+      voided: {
+        at: Date,
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reasonCode: { type: String, enum: Object.values(FOLIO_VOID_REASONS) },
+        note: String
+      }
     }]
   },
   specialRequests: [{
@@ -110,17 +200,55 @@ const bookingSchema = new mongoose.Schema({
     description: String,
     fulfilled: { type: Boolean, default: false }
   }],
+  hold: {
+    expiresAt: Date, // Inventory is released if no payment arrives by then
+    convertedAt: Date
+  },
   source: {
     type: String,
-    enum: ['direct', 'booking_com', 'airbnb', 'hostelworld', 'phone', 'walk_in', 'api'],
+    enum: ['direct', 'booking_com', 'airbnb', 'hostelworld', 'phone', 'walk_in', 'api', 'group'],
     default: 'direct'
   },
+  cancellationPolicy: { // Terms as sold; later policy edits never change them
+    policy: { type: mongoose.Schema.Types.ObjectId, ref: 'CancellationPolicy' },
+    name: String,
+    code: String,
+    type: { type: String },
+    tiers: [{
+      _id: false,
+      hoursBeforeCheckIn: Number,
+      feePercentage: Number
+    }],
+    defaultFeePercentage: Number,
+    freeCancellationHours: Number,
+    noShowFeePercentage: Number
+  },
+  noShow: {
+    recordedAt: Date,
+    feePercentage: Number,
+    fee: Number // Owed instead of the full stay
+  },
+  statusHistory: [{
+    _id: false,
+    from: String, // Empty for the status a booking was created with
+    to: { type: String, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    actor: { type: String, enum: ['owner', 'staff', 'admin', 'system'] },
+    reason: String,
+    changedAt: { type: Date, default: Date.now }
+  }],
   cancellation: {
     cancelledAt: Date,
     cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     reason: String,
+    fee: Number, // Kept under the cancellation terms; all the booking still owes
     refundAmount: { type: Number, default: 0 },
-    refundProcessed: { type: Boolean, default: false }
+    refundProcessed: { type: Boolean, default: false },
+    refundedAmount: { type: Number, default: 0 }, // Issued so far through Stripe
+    refundedAt: Date,
+    refundAttempts: { type: Number, default: 0 },
+    lastRefundAttemptAt: Date,
+    refundError: String
   },
   notes: [{
     content: String,
@@ -130,14 +258,21 @@ const bookingSchema = new mongoose.Schema({
   }],
   checkInProcess: {
     documentsVerified: { type: Boolean, default: false },
-    depositCollected: { type: Boolean, default: false },
+    depositCollected: { type: Boolean, default: false }, // Security deposit authorised on the guest's card
+    securityDeposit: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
     keyIssued: { type: Boolean, default: false },
     orientationCompleted: { type: Boolean, default: false },
+    registrationCard: { // Signed by the guest at the desk; dispute evidence
+      signedName: String,
+      signedAt: Date,
+      fileId: String // Stripe file of the scanned card
+    },
     processedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
   },
   checkOutProcess: {
     roomInspected: { type: Boolean, default: false },
     damagesNoted: String,
+    damageCharge: { type: Number, min: 0 },
     depositReturned: { type: Boolean, default: false },
     keyReturned: { type: Boolean, default: false },
     processedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
@@ -149,9 +284,46 @@ const bookingSchema = new mongoose.Schema({
 // Compound indexes for performance
 bookingSchema.index({ user: 1, status: 1 });
 bookingSchema.index({ room: 1, checkInDate: 1, checkOutDate: 1 });
+bookingSchema.index({ room: 1, beds: 1 });
+bookingSchema.index({ 'segments.room': 1, checkInDate: 1, checkOutDate: 1 });
 bookingSchema.index({ status: 1, checkInDate: 1 });
+bookingSchema.index({ status: 1, 'hold.expiresAt': 1 });
+bookingSchema.index({ status: 1, 'payment.balanceDueDate': 1 });
 bookingSchema.index({ bookingReference: 1 });
 bookingSchema.index({ 'guestDetails.primaryGuest.email': 1 });
+bookingSchema.index({ 'folio.lines.product': 1, status: 1 });
+
+// Keep the stay segments and the booking-level room, beds and dates in step.
+// Segments lead for split stays and room moves; otherwise the booking-level fields do.
+bookingSchema.pre('validate', function(next) {
+  const fromSegments = this.segments.length > 1 ||
+    (this.segments.length === 1 && this.isModified('segments'));
+
+  if (fromSegments) {
+    const first = this.segments[0];
+    const last = this.segments[this.segments.length - 1];
+
+    this.room = first.room;
+    this.beds = first.beds;
+    this.checkInDate = first.checkInDate;
+    this.checkOutDate = last.checkOutDate;
+  } else if (this.room) {
+    this.segments = [{
+      _id: this.segments[0]?._id,
+      room: this.room,
+      beds: this.beds,
+      checkInDate: this.checkInDate,
+      checkOutDate: this.checkOutDate
+    }];
+  }
+
+  next();
+});
+
+// Virtual for a stay spread over more than one room or bed set
+bookingSchema.virtual('isSplitStay').get(function() {
+  return this.segments.length > 1;
+});
 
 // Virtual for number of nights
 bookingSchema.virtual('nights').get(function() {
@@ -180,13 +352,29 @@ bookingSchema.pre('save', async function(next) {
     const random = Math.random().toString(36).substring(2, 5).toUpperCase();
     this.bookingReference = `PVT${timestamp}${random}`;
   }
+
+  // Start the history with the status the booking was created in
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ to: this.status, changedBy: this.user, actor: 'owner' });
+  }
   
-  // Calculate remaining amount
-  this.payment.remainingAmount = Math.max(0, this.pricing.totalAmount - this.payment.paidAmount);
+  // Calculate remaining amount from the room charges and the folio
+  this.payment.remainingAmount = Math.max(0, round(this.getAmountDue() - this.payment.paidAmount));
   
   next();
 });
 
+// Post-save middleware to post what the booking's charges changed by to the ledger.
+// The booking is already stored by then, so a failure is logged rather than failing
+// the save; the next save posts whatever was missed.
+bookingSchema.post('save', async function(booking) {
+  try {
+    await mongoose.model('LedgerEntry').syncBooking(booking);
+  } catch (error) {
+    console.error('Ledger sync error:', error);
+  }
+});
+
 // Pre-save validation for dates
 bookingSchema.pre('save', function(next) {
   if (this.checkInDate >= this.checkOutDate) {
@@ -201,6 +389,185 @@ bookingSchema.pre('save', function(next) {
   next();
 });
 
+// Instance method to total the folio charges that have not been voided. A booking
+// that ended without a stay owes none of them.
+bookingSchema.methods.getFolioCharges = function() {
+  if ([BOOKING_STATUS.CANCELLED, BOOKING_STATUS.NO_SHOW, BOOKING_STATUS.EXPIRED].includes(this.status)) {
+    return 0;
+  }
+
+  return round(this.folio.lines
+    .filter(line => !line.voided?.at)
+    .reduce((total, line) => total + line.total, 0));
+};
+
+// Instance method to total what the guest owes: the stay plus folio charges, or only
+// the fee for a no-show or cancellation. An expired hold owes nothing.
+bookingSchema.methods.getAmountDue = function() {
+  switch (this.status) {
+    case BOOKING_STATUS.NO_SHOW:
+      return round(this.noShow?.fee ?? this.pricing.totalAmount);
+    case BOOKING_STATUS.CANCELLED:
+      return round(this.cancellation?.fee || 0);
+    case BOOKING_STATUS.EXPIRED:
+      return 0;
+    default:
+      return round(this.pricing.totalAmount + this.getFolioCharges());
+  }
+};
+
+// Instance method to get what is still owed towards the deposit due at booking
+bookingSchema.methods.getDepositDue = function() {
+  const deposit = Math.min(this.pricing.fees?.deposit || 0, this.getAmountDue());
+  return Math.max(0, round(deposit - this.payment.paidAmount));
+};
+
+// Instance method to find a payment link, marking it expired once past its expiry
+bookingSchema.methods.getPaymentLink = function(linkId, now = new Date()) {
+  const link = this.paymentLinks.id(linkId);
+
+  if (link && link.status !== PAYMENT_LINK_STATUS.PAID && link.expiresAt <= now) {
+    link.status = PAYMENT_LINK_STATUS.EXPIRED;
+  }
+
+  return link;
+};
+
+// Instance method to set the payment status from what has been paid against what is due
+bookingSchema.methods.updatePaymentStatus = function() {
+  const { paidAmount } = this.payment;
+
+  if (paidAmount >= this.getAmountDue()) {
+    this.payment.status = 'paid';
+  } else {
+    this.payment.status = paidAmount > 0 ? 'partial' : 'pending';
+  }
+};
+
+// Instance method to post a charge to the folio, taxed at its category's rate
+bookingSchema.methods.postCharge = function({
+  product = null,
+  description,
+  quantity = 1,
+  unitPrice,
+  taxCategory = TAX_CATEGORIES.STANDARD,
+  postedBy,
+  postedAt = new Date(),
+  source = 'front_desk',
+  pricingUnit,
+  serviceDates = []
+}) {
+  const taxRate = PRICING.TAX_RATES[taxCategory] ?? PRICING.TAX_RATE;
+  const amount = round(quantity * unitPrice);
+  const tax = round(amount * taxRate);
+
+  this.folio.lines.push({
+    product,
+    description,
+    quantity,
+    unitPrice,
+    taxCategory,
+    taxRate,
+    amount,
+    tax,
+    total: round(amount + tax),
+    postedBy,
+    postedAt,
+    source,
+    pricingUnit,
+    serviceDates
+  });
+  this.updatePaymentStatus();
+
+  return this.folio.lines[this.folio.lines.length - 1];
+};
+
+// Instance method to void a folio charge; the line stays on the folio for the record
+bookingSchema.methods.voidCharge = function(line, { reasonCode, note, voidedBy, now = new Date() }) {
+  line.voided = { at: now, by: voidedBy, reasonCode, note };
+  this.updatePaymentStatus();
+
+  return line;
+};
+
+// Instance method to take nightly extras off the folio for nights from checkOutDate on.
+// Each affected line is voided and, if some of its nights remain, posted again for those.
+bookingSchema.methods.removeNightlyCharges = function(checkOutDate, { voidedBy, note, now = new Date() }) {
+  const nightly = [EXTRA_PRICING_UNITS.PER_NIGHT, EXTRA_PRICING_UNITS.PER_PERSON_PER_NIGHT];
+  const affected = this.folio.lines.filter(line => {
+    return nightly.includes(line.pricingUnit) &&
+           !line.voided?.at &&
+           line.serviceDates.some(date => date >= checkOutDate);
+  });
+
+  for (const line of affected) {
+    const kept = line.serviceDates.filter(date => date < checkOutDate);
+    this.voidCharge(line, { reasonCode: FOLIO_VOID_REASONS.STAY_SHORTENED, note, voidedBy, now });
+
+    if (kept.length > 0) {
+      this.postCharge({
+        product: line.product,
+        description: line.description,
+        quantity: line.quantity / line.serviceDates.length * kept.length,
+        unitPrice: line.unitPrice,
+        taxCategory: line.taxCategory,
+        postedBy: voidedBy,
+        postedAt: now,
+        source: line.source,
+        pricingUnit: line.pricingUnit,
+        serviceDates: kept
+      });
+    }
+  }
+
+  return affected;
+};
+
+// Instance method to build the guest's folio statement
+bookingSchema.methods.getFolio = function() {
+  const open = this.folio.lines.filter(line => !line.voided?.at);
+  const roomCharges = round(this.getAmountDue() - this.getFolioCharges());
+  const extras = this.getFolioCharges();
+  const paid = this.payment.paidAmount;
+
+  return {
+    bookingReference: this.bookingReference,
+    currency: this.pricing.currency || 'USD',
+    room: {
+      nights: this.pricing.nightlyRates.length,
+      amount: roomCharges
+    },
+    lines: this.folio.lines,
+    payments: this.payment.transactions,
+    totals: {
+      room: roomCharges,
+      extras,
+      extrasTax: round(open.reduce((total, line) => total + line.tax, 0)),
+      charges: round(roomCharges + extras),
+      paid,
+      balance: round(roomCharges + extras - paid)
+    }
+  };
+};
+
+// Instance method to split the stay's room revenue (before tax, after fees and discounts)
+// across its nights in proportion to their rates, in the order of nightlyRates. The last
+// night takes the rounding, so the shares add up to the whole.
+bookingSchema.methods.getNightlyRevenue = function() {
+  const nights = this.pricing.nightlyRates;
+  const revenue = round(this.pricing.totalAmount - (this.pricing.taxes || 0));
+  const rated = nights.reduce((total, night) => total + (night.amount || 0), 0);
+
+  let allocated = 0;
+  return nights.map((night, index) => {
+    const amount = index === nights.length - 1
+      ? round(revenue - allocated)
+      : round(rated > 0 ? revenue * (night.amount || 0) / rated : revenue / nights.length);
+    allocated = round(allocated + amount);
+    return amount;
+  });
+};
+
 // Instance method to check if booking is active
 bookingSchema.methods.isActive = function() {
   return ['confirmed', 'checked_in'].includes(this.status);
@@ -212,41 +579,98 @@ bookingSchema.methods.canModify = function() {
   const checkIn = new Date(this.checkInDate);
   const hoursUntilCheckIn = (checkIn - now) / (1000 * 60 * 60);
   
-  return ['pending', 'confirmed'].includes(this.status) && hoursUntilCheckIn > 24;
+  return [BOOKING_STATUS.HOLD, BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED].includes(this.status) &&
+         hoursUntilCheckIn > 24;
 };
 
-// Instance method to calculate cancellation fee
-bookingSchema.methods.calculateCancellationFee = function() {
-  const now = new Date();
-  const checkIn = new Date(this.checkInDate);
-  const hoursUntilCheckIn = (checkIn - now) / (1000 * 60 * 60);
-  
-  let feePercentage = 0;
-  
-  if (hoursUntilCheckIn < 24) {
-    feePercentage = 100; // No refund
-  } else if (hoursUntilCheckIn < 48) {
-    feePercentage = 50;  // 50% fee
-  } else if (hoursUntilCheckIn < 168) { // 7 days
-    feePercentage = 25;  // 25% fee
-  } else {
-    feePercentage = 10;  // 10% processing fee
-  }
-  
-  return (this.pricing.totalAmount * feePercentage) / 100;
+// Instance method to check if the booking's inventory hold has lapsed
+bookingSchema.methods.isHoldExpired = function() {
+  return this.status === BOOKING_STATUS.HOLD &&
+         !!this.hold?.expiresAt &&
+         !this.hold.convertedAt &&
+         this.hold.expiresAt <= new Date();
+};
+
+// Instance method to list the stay segments (bookings saved before segments have one)
+bookingSchema.methods.getSegments = function() {
+  if (this.segments.length > 0) return this.segments;
+
+  return [{
+    room: this.room,
+    beds: this.beds,
+    checkInDate: this.checkInDate,
+    checkOutDate: this.checkOutDate
+  }];
+};
+
+// Instance method to find the segment the guest is in on a date (clamped to the stay)
+bookingSchema.methods.segmentOn = function(date = new Date()) {
+  const segments = this.getSegments();
+
+  return segments.find(segment => segment.checkInDate <= date && segment.checkOutDate > date) ||
+    (date < segments[0].checkInDate ? segments[0] : segments[segments.length - 1]);
+};
+
+// Instance method to lock the booking's rooms or beds for every night of the stay
+bookingSchema.methods.lockInventory = function(expiresAt = null) {
+  const InventoryLock = mongoose.model('InventoryLock');
+
+  return InventoryLock.acquireSegments({
+    bookingId: this._id,
+    expiresAt,
+    segments: this.getSegments().map(segment => ({
+      roomId: segment.room._id || segment.room,
+      units: InventoryLock.unitsFor(segment.beds),
+      checkIn: segment.checkInDate,
+      checkOut: segment.checkOutDate
+    }))
+  });
+};
+
+// Instance method to free the booking's room or beds
+bookingSchema.methods.releaseInventory = function() {
+  return mongoose.model('InventoryLock').release(this._id);
+};
+
+// Instance method to calculate cancellation fee under the booking's policy snapshot
+bookingSchema.methods.calculateCancellationFee = function(now = new Date()) {
+  const CancellationPolicy = mongoose.model('CancellationPolicy');
+  // Bookings made before policies existed keep the standard terms
+  const terms = this.cancellationPolicy?.name
+    ? this.cancellationPolicy
+    : CANCELLATION_POLICIES.STANDARD;
+
+  const feePercentage = CancellationPolicy.feePercentageFor(terms, {
+    checkIn: this.checkInDate,
+    bookedAt: this.createdAt,
+    now
+  });
+
+  return Math.round(this.pricing.totalAmount * feePercentage) / 100;
+};
+
+// Instance method to calculate the fee for a guest who never arrived
+bookingSchema.methods.calculateNoShowFee = function() {
+  const CancellationPolicy = mongoose.model('CancellationPolicy');
+  const terms = this.cancellationPolicy?.name
+    ? this.cancellationPolicy
+    : CANCELLATION_POLICIES.STANDARD;
+
+  const feePercentage = CancellationPolicy.noShowFeePercentageFor(terms, { checkIn: this.checkInDate });
+
+  return {
+    feePercentage,
+    fee: Math.round(this.pricing.totalAmount * feePercentage) / 100
+  };
 };
 
 // Static method to find overlapping bookings
 bookingSchema.statics.findOverlapping = function(roomId, checkIn, checkOut, excludeId = null) {
   const query = {
-    room: roomId,
+    $or: [{ room: roomId }, { 'segments.room': roomId }],
     status: { $in: ['confirmed', 'checked_in'] },
-    $or: [
-      {
-        checkInDate: { $lt: checkOut },
-        checkOutDate: { $gt: checkIn }
-      }
-    ]
+    checkInDate: { $lt: checkOut },
+    checkOutDate: { $gt: checkIn }
   };
   
   if (excludeId) {
@@ -256,13 +680,97 @@ bookingSchema.statics.findOverlapping = function(roomId, checkIn, checkOut, excl
   return this.find(query);
 };
 
+/**
+ * Stays in a room over a date range, one per booking segment spent in it.
+ * Covers split stays and moves as well as bookings that never left the room.
+ * @param {ObjectId} roomId - Room id
+ * @param {Object} options - { checkIn, checkOut, statuses, excludeBookingId }
+ * @returns {Array} Stays as { booking, beds, guestCount, checkInDate, checkOutDate }
+ */
+bookingSchema.statics.findStaysInRoom = async function(roomId, {
+  checkIn,
+  checkOut,
+  statuses = ['confirmed', 'checked_in'],
+  excludeBookingId = null
+}) {
+  const query = {
+    $or: [{ room: roomId }, { 'segments.room': roomId }],
+    status: { $in: statuses },
+    checkInDate: { $lt: checkOut },
+    checkOutDate: { $gt: checkIn }
+  };
+
+  if (excludeBookingId) {
+    query._id = { $ne: excludeBookingId };
+  }
+
+  const bookings = await this.find(query)
+    .select('room beds segments guestCount checkInDate checkOutDate status');
+
+  return bookings.flatMap(booking => booking.getSegments()
+    .filter(segment => (segment.room._id || segment.room).toString() === roomId.toString() &&
+      segment.checkInDate < checkOut &&
+      segment.checkOutDate > checkIn)
+    .map(segment => ({
+      booking,
+      beds: segment.beds || [],
+      guestCount: booking.guestCount,
+      checkInDate: segment.checkInDate,
+      checkOutDate: segment.checkOutDate
+    })));
+};
+
+// Static method to count the units of an extra booked per day, for capacity checks.
+// A line's units are spread evenly over its service dates.
+bookingSchema.statics.getExtraUsage = async function(productId, dates) {
+  const results = await this.aggregate([
+    {
+      $match: {
+        'folio.lines.product': productId,
+        status: { $in: [BOOKING_STATUS.HOLD, BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.CHECKED_IN] }
+      }
+    },
+    { $unwind: '$folio.lines' },
+    {
+      $match: {
+        'folio.lines.product': productId,
+        'folio.lines.voided.at': { $exists: false }
+      }
+    },
+    {
+      $project: {
+        perDate: { $divide: ['$folio.lines.quantity', { $max: [{ $size: '$folio.lines.serviceDates' }, 1] }] },
+        serviceDates: '$folio.lines.serviceDates'
+      }
+    },
+    { $unwind: '$serviceDates' },
+    { $match: { serviceDates: { $in: dates } } },
+    { $group: { _id: '$serviceDates', units: { $sum: '$perDate' } } }
+  ]);
+
+  return new Map(results.map(result => [result._id.toISOString(), result.units]));
+};
+
+// Static method to mark payment links past their expiry as expired
+bookingSchema.statics.expirePaymentLinks = async function(now = new Date()) {
+  const open = { status: { $in: [PAYMENT_LINK_STATUS.SENT, PAYMENT_LINK_STATUS.OPENED] }, expiresAt: { $lte: now } };
+
+  const result = await this.updateMany(
+    { paymentLinks: { $elemMatch: open } },
+    { $set: { 'paymentLinks.$[link].status': PAYMENT_LINK_STATUS.EXPIRED } },
+    { arrayFilters: [{ 'link.status': open.status, 'link.expiresAt': open.expiresAt }] }
+  );
+
+  return result.modifiedCount;
+};
+
 // Static method for booking analytics
 bookingSchema.statics.getAnalytics = async function(startDate, endDate) {
   const pipeline = [
     {
       $match: {
         checkInDate: { $gte: startDate, $lte: endDate },
-        status: { $ne: 'cancelled' }
+        status: { $nin: [BOOKING_STATUS.CANCELLED, BOOKING_STATUS.EXPIRED] }
       }
     },
     {
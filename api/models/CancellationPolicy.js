@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const { CANCELLATION_POLICIES } = require('../config/constants');
+
+const HOUR_MS = 60 * 60 * 1000;
+const PRESETS = Object.values(CANCELLATION_POLICIES).filter(preset => preset.type !== 'custom');
+
+// Fee charged when cancelling fewer than hoursBeforeCheckIn hours before check-in
+const cancellationTierSchema = new mongoose.Schema({
+  hoursBeforeCheckIn: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  feePercentage: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+const cancellationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  type: {
+    type: String,
+    enum: [...PRESETS.map(preset => preset.type), 'custom'],
+    default: 'custom'
+  },
+  tiers: [cancellationTierSchema],
+  defaultFeePercentage: {
+    type: Number, // Charged when no tier applies
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  freeCancellationHours: {
+    type: Number, // Grace window after booking during which cancellation is free
+    default: 0,
+    min: 0
+  },
+  noShowFeePercentage: {
+    type: Number, // Defaults to the fee for cancelling at check-in
+    min: 0,
+    max: 100
+  },
+  isDefault: {
+    type: Boolean, // Used for bookings whose rate plan has no policy
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Preset policies get their terms from constants unless tiers are given
+cancellationPolicySchema.pre('validate', function(next) {
+  const preset = PRESETS.find(candidate => candidate.type === this.type);
+
+  if (preset && this.isNew && this.tiers.length === 0) {
+    this.tiers = preset.tiers;
+    this.defaultFeePercentage = preset.defaultFeePercentage;
+    this.freeCancellationHours = preset.freeCancellationHours;
+  }
+
+  next();
+});
+
+// Only one default policy
+cancellationPolicySchema.pre('save', async function(next) {
+  if (this.isDefault && this.isModified('isDefault')) {
+    await this.constructor.updateMany(
+      { _id: { $ne: this._id }, isDefault: true },
+      { $set: { isDefault: false } }
+    );
+  }
+  next();
+});
+
+// Method to freeze the policy's terms for a booking
+cancellationPolicySchema.methods.toSnapshot = function() {
+  return {
+    policy: this._id,
+    name: this.name,
+    code: this.code,
+    type: this.type,
+    tiers: this.tiers.map(tier => ({
+      hoursBeforeCheckIn: tier.hoursBeforeCheckIn,
+      feePercentage: tier.feePercentage
+    })),
+    defaultFeePercentage: this.defaultFeePercentage,
+    freeCancellationHours: this.freeCancellationHours,
+    noShowFeePercentage: this.noShowFeePercentage
+  };
+};
+
+/**
+ * Terms that apply to a new booking: the rate plan's policy, else the
+ * default policy, else the standard terms from BUSINESS_RULES.
+ */
+cancellationPolicySchema.statics.snapshotFor = async function(ratePlan = null) {
+  let policy = null;
+
+  if (ratePlan?.cancellationPolicy) {
+    policy = await this.findOne({
+      _id: ratePlan.cancellationPolicy._id || ratePlan.cancellationPolicy,
+      isActive: true
+    });
+  }
+
+  if (!policy) {
+    policy = await this.findOne({ isDefault: true, isActive: true });
+  }
+
+  if (!policy) {
+    const { name, type, tiers, defaultFeePercentage, freeCancellationHours } = CANCELLATION_POLICIES.STANDARD;
+    return { name, code: 'STANDARD', type, tiers, defaultFeePercentage, freeCancellationHours };
+  }
+
+  return policy.toSnapshot();
+};
+
+/**
+ * Fee percentage under a set of terms (a policy or a booking's snapshot).
+ * The tightest tier the cancellation falls inside wins.
+ */
+cancellationPolicySchema.statics.feePercentageFor = function(terms, { checkIn, bookedAt, now = new Date() }) {
+  if (terms.freeCancellationHours && bookedAt &&
+      now - new Date(bookedAt) <= terms.freeCancellationHours * HOUR_MS) {
+    return 0;
+  }
+
+  const hoursUntilCheckIn = (new Date(checkIn) - now) / HOUR_MS;
+  const tier = [...terms.tiers]
+    .sort((a, b) => a.hoursBeforeCheckIn - b.hoursBeforeCheckIn)
+    .find(candidate => hoursUntilCheckIn < candidate.hoursBeforeCheckIn);
+
+  return tier ? tier.feePercentage : terms.defaultFeePercentage;
+};
+
+// Static method for the fee percentage charged when a guest never arrives
+cancellationPolicySchema.statics.noShowFeePercentageFor = function(terms, { checkIn }) {
+  if (terms.noShowFeePercentage !== undefined && terms.noShowFeePercentage !== null) {
+    return terms.noShowFeePercentage;
+  }
+
+  return this.feePercentageFor(terms, { checkIn, now: new Date(checkIn) });
+};
+
+module.exports = mongoose.model('CancellationPolicy', cancellationPolicySchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { DISPUTE_STATUS } = require('../config/constants');
+
+// A chargeback or inquiry a card holder raised against one of our payments
+const disputeSchema = new mongoose.Schema({
+  stripeDisputeId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+    index: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  reason: String, // Stripe's reason code, e.g. fraudulent or product_not_received
+  status: {
+    type: String,
+    enum: Object.values(DISPUTE_STATUS),
+    required: true
+  },
+  fee: {
+    type: Number,
+    default: 0 // What Stripe charged for the dispute
+  },
+  paymentStatusBefore: String, // Restored on the payment if the dispute is won
+  evidenceDueBy: Date,
+  evidence: {
+    type: mongoose.Schema.Types.Mixed // What was last sent to Stripe
+  },
+  evidenceSubmittedAt: Date,
+  evidenceSubmittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+disputeSchema.index({ status: 1, evidenceDueBy: 1 });
+disputeSchema.index({ createdAt: -1 });
+
+// Virtual for whether the card holder's bank is still waiting on us
+disputeSchema.virtual('needsResponse').get(function() {
+  return [DISPUTE_STATUS.NEEDS_RESPONSE, DISPUTE_STATUS.WARNING_NEEDS_RESPONSE].includes(this.status);
+});
+
+// Virtual for whether the dispute is settled either way
+disputeSchema.virtual('isClosed').get(function() {
+  return [DISPUTE_STATUS.WON, DISPUTE_STATUS.LOST, DISPUTE_STATUS.WARNING_CLOSED].includes(this.status);
+});
+
+// Static method to summarise disputes opened over a date range, by outcome
+disputeSchema.statics.getSummary = async function(startDate, endDate) {
+  const rows = await this.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: startDate, $lte: endDate }
+      }
+    },
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 },
+        amount: { $sum: '$amount' },
+        fees: { $sum: '$fee' }
+      }
+    }
+  ]);
+
+  const summary = {
+    open: { count: 0, amount: 0 },
+    won: { count: 0, amount: 0 },
+    lost: { count: 0, amount: 0 },
+    fees: 0
+  };
+
+  for (const row of rows) {
+    const outcome = row._id === DISPUTE_STATUS.WON || row._id === DISPUTE_STATUS.LOST
+      ? row._id
+      : row._id === DISPUTE_STATUS.WARNING_CLOSED ? null : 'open';
+
+    if (outcome) {
+      summary[outcome].count += row.count;
+      summary[outcome].amount += row.amount;
+    }
+    summary.fees += row.fees;
+  }
+
+  return summary;
+};
+
+module.exports = mongoose.model('Dispute', disputeSchema);
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const { BOOKING_STATUS, USER_ROLES } = require('../config/constants');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Several rooms or beds booked together under one reference. Each member is
+// an ordinary Booking pointing back at the group, with its own guest details.
+const groupBookingSchema = new mongoose.Schema({
+  groupReference: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true,
+    maxlength: [100, 'Group name cannot exceed 100 characters']
+  },
+  leader: {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Account the members are booked under
+    firstName: { type: String, required: true, trim: true },
+    lastName: { type: String, required: true, trim: true },
+    email: { type: String, required: true, lowercase: true, trim: true },
+    phone: String
+  },
+  roomBlock: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoomBlock' // Allotment the members were picked up from
+  },
+  checkInDate: {
+    type: Date,
+    required: true
+  },
+  checkOutDate: {
+    type: Date,
+    required: true
+  },
+  billing: {
+    type: String,
+    enum: ['shared', 'split'], // shared: the leader settles one folio; split: each member settles their own
+    default: 'shared'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  cancelledAt: Date,
+  cancellationReason: String,
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+groupBookingSchema.index({ 'leader.user': 1 });
+groupBookingSchema.index({ checkInDate: 1, status: 1 });
+
+// Pre-validate middleware to generate the group reference
+groupBookingSchema.pre('validate', function(next) {
+  if (this.isNew && !this.groupReference) {
+    const timestamp = Date.now().toString().slice(-6);
+    const random = Math.random().toString(36).substring(2, 5).toUpperCase();
+    this.groupReference = `GRP${timestamp}${random}`;
+  }
+  next();
+});
+
+// Instance method to check if a user may view and change the group
+groupBookingSchema.methods.canManage = function(user) {
+  if ([USER_ROLES.STAFF, USER_ROLES.ADMIN].includes(user.role)) return true;
+  return this.leader.user?.toString() === user._id.toString();
+};
+
+// Instance method to list the member bookings
+groupBookingSchema.methods.getMembers = function() {
+  return mongoose.model('Booking').find({ group: this._id })
+    .populate('room', 'roomNumber type')
+    .sort({ createdAt: 1 });
+};
+
+// Amount a member booking is charged given its status
+const memberCharges = (booking) => {
+  switch (booking.status) {
+    case BOOKING_STATUS.EXPIRED:
+      return 0;
+    case BOOKING_STATUS.CANCELLED:
+      return Math.max(0, booking.payment.paidAmount - (booking.cancellation?.refundAmount || 0));
+    default:
+      return booking.getAmountDue(); // No-shows owe their fee; folio charges are included
+  }
+};
+
+/**
+ * Group folio: each member's charges and payments, and what is owed.
+ * A shared folio has one balance for the leader; a split folio leaves each
+ * member's balance with that member.
+ */
+groupBookingSchema.methods.getFolio = async function() {
+  const members = await this.getMembers();
+
+  const lines = members.map(booking => {
+    const { firstName, lastName } = booking.guestDetails?.primaryGuest || {};
+    const charges = round(memberCharges(booking));
+    const paid = round(booking.payment.paidAmount - (booking.cancellation?.refundedAmount || 0));
+
+    return {
+      booking: booking._id,
+      bookingReference: booking.bookingReference,
+      guestName: [firstName, lastName].filter(Boolean).join(' '),
+      room: booking.room,
+      status: booking.status,
+      charges,
+      paid,
+      balance: round(Math.max(0, charges - paid))
+    };
+  });
+
+  const totals = lines.reduce((sum, line) => ({
+    charges: round(sum.charges + line.charges),
+    paid: round(sum.paid + line.paid),
+    balance: round(sum.balance + line.balance)
+  }), { charges: 0, paid: 0, balance: 0 });
+
+  return {
+    billing: this.billing,
+    payer: this.billing === 'shared' ? this.leader : null,
+    currency: members[0]?.pricing.currency || 'USD',
+    lines,
+    totals
+  };
+};
+
+module.exports = mongoose.model('GroupBooking', groupBookingSchema);
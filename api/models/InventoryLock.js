@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ROOM_UNIT = 'room'; // Unit key used for whole-room inventory
+
+// One document per sellable unit (room or bed) per night. The unique index
+// makes claiming a night atomic: two bookings can never hold the same unit.
+const inventoryLockSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  unit: {
+    type: String, // Bed id for dorms/shared rooms, 'room' for private rooms and suites
+    required: true
+  },
+  night: {
+    type: Date,
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date // Set while the booking is only held; cleared once confirmed
+  }
+}, {
+  timestamps: true
+});
+
+inventoryLockSchema.index({ room: 1, unit: 1, night: 1 }, { unique: true });
+inventoryLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to list the lockable units for a room: its assigned beds, or the room itself
+inventoryLockSchema.statics.unitsFor = function(beds = []) {
+  return beds.length > 0 ? beds.map(bed => (bed._id || bed).toString()) : [ROOM_UNIT];
+};
+
+// Static method to list the nights (UTC midnight) covered by a stay
+inventoryLockSchema.statics.nightsBetween = function(checkIn, checkOut) {
+  const nights = [];
+  const start = new Date(checkIn);
+  start.setUTCHours(0, 0, 0, 0);
+
+  for (let night = start; night < checkOut; night = new Date(night.getTime() + DAY_MS)) {
+    nights.push(night);
+  }
+
+  return nights;
+};
+
+// Static method to find locks held by other bookings, ignoring lapsed holds
+inventoryLockSchema.statics.findActive = function(roomId, checkIn, checkOut, excludeBookingId = null) {
+  const start = new Date(checkIn);
+  start.setUTCHours(0, 0, 0, 0);
+
+  return this.find({
+    room: roomId,
+    night: { $gte: start, $lt: checkOut },
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    ...(excludeBookingId && { booking: { $ne: excludeBookingId } })
+  });
+};
+
+/**
+ * Atomically claim every unit for every night of a stay.
+ * Locks the booking already owns, and lapsed holds, are taken over; if any
+ * night is held by another booking, everything claimed by this call is rolled
+ * back and false is returned. Locks the booking no longer needs are released.
+ */
+inventoryLockSchema.statics.acquire = function({ roomId, units, checkIn, checkOut, bookingId, expiresAt = null }) {
+  return this.acquireSegments({
+    bookingId,
+    expiresAt,
+    segments: [{ roomId, units, checkIn, checkOut }]
+  });
+};
+
+/**
+ * As acquire(), for a stay split across rooms or beds. Each segment
+ * ({ roomId, units, checkIn, checkOut }) is claimed for its own nights.
+ * Nights held by takeOverFrom (a room block) are taken over too, and handed
+ * back if the claim is rolled back. With no nights to claim, the booking's
+ * locks are left as they are.
+ */
+inventoryLockSchema.statics.acquireSegments = async function({ bookingId, segments, expiresAt = null, takeOverFrom = null }) {
+  const wanted = segments.flatMap(({ roomId, units, checkIn, checkOut }) => {
+    const nights = this.nightsBetween(checkIn, checkOut);
+    return units.flatMap(unit => nights.map(night => ({ room: roomId, unit, night })));
+  });
+
+  // $nor needs at least one condition, and an empty claim must not release everything
+  if (wanted.length === 0) {
+    return true;
+  }
+
+  const owners = takeOverFrom ? [bookingId, takeOverFrom] : [bookingId];
+  const owned = await this.find({ booking: bookingId }).select('room unit night');
+  const ownedKeys = new Set(owned.map(lock => `${lock.room}:${lock.unit}:${lock.night.getTime()}`));
+  const claimed = [];
+  const takenOver = [];
+
+  for (const { room, unit, night } of wanted) {
+    try {
+      const previous = await this.findOneAndUpdate(
+        {
+          room,
+          unit,
+          night,
+          $or: [{ booking: { $in: owners } }, { expiresAt: { $lte: new Date() } }]
+        },
+        { $set: { booking: bookingId, expiresAt } },
+        { upsert: true }
+      );
+
+      if (previous && takeOverFrom && previous.booking.equals(takeOverFrom)) {
+        takenOver.push(previous);
+      } else if (!ownedKeys.has(`${room}:${unit}:${night.getTime()}`)) {
+        claimed.push({ room, unit, night });
+      }
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Another booking holds this night: undo what this call claimed
+      if (claimed.length > 0) {
+        await this.deleteMany({ booking: bookingId, $or: claimed });
+      }
+      for (const lock of takenOver) {
+        await this.updateOne({ _id: lock._id }, { $set: { booking: lock.booking, expiresAt: lock.expiresAt } });
+      }
+      return false;
+    }
+  }
+
+  // Drop locks from a previous room, unit set or date range
+  await this.deleteMany({ booking: bookingId, $nor: wanted });
+
+  return true;
+};
+
+// Static method to make a booking's held locks permanent
+inventoryLockSchema.statics.confirm = function(bookingId) {
+  return this.updateMany({ booking: bookingId }, { $set: { expiresAt: null } });
+};
+
+// Static method to free all inventory held by a booking
+inventoryLockSchema.statics.release = function(bookingId) {
+  return this.deleteMany({ booking: bookingId });
+};
+
+module.exports = mongoose.model('InventoryLock', inventoryLockSchema);
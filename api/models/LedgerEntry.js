@@ -0,0 +1,286 @@
+const mongoose = require('mongoose');
+const { BOOKING_STATUS, LEDGER_ACCOUNTS, LEDGER_ENTRY_TYPES } = require('../config/constants');
+
+// Which side each account normally carries its balance on
+const DEBIT_ACCOUNTS = [
+  LEDGER_ACCOUNTS.GUEST_RECEIVABLE,
+  LEDGER_ACCOUNTS.STRIPE_CLEARING,
+  LEDGER_ACCOUNTS.BANK,
+  LEDGER_ACCOUNTS.CASH,
+  LEDGER_ACCOUNTS.FEES_EXPENSE,
+  LEDGER_ACCOUNTS.WRITE_OFFS
+];
+
+// Until the guest arrives, what they pay is held as a deposit
+const PRE_ARRIVAL_STATUSES = [BOOKING_STATUS.HOLD, BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED];
+
+// Bookings that ended without a stay are charged their fee and nothing else
+const ENDED_CHARGES = {
+  [BOOKING_STATUS.CANCELLED]: 'Cancellation fee',
+  [BOOKING_STATUS.NO_SHOW]: 'No-show fee',
+  [BOOKING_STATUS.EXPIRED]: 'Hold expired'
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// One balanced journal entry. Entries are never changed or deleted; a
+// correction is a new entry.
+const ledgerEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(LEDGER_ENTRY_TYPES),
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    index: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    index: true
+  },
+  reference: String, // Stripe payment intent, refund, dispute or payout
+  component: String, // What a charge is for: 'room' or a folio line ID; 'night:<date>' when earned; 'deposits' when applied
+  postingKey: { // Booking, component and how many entries it follows, so a sync posts each change once
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  description: String,
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  lines: [{
+    _id: false,
+    account: { type: String, enum: Object.values(LEDGER_ACCOUNTS), required: true },
+    debit: { type: Number, default: 0, min: 0 },
+    credit: { type: Number, default: 0, min: 0 }
+  }],
+  postedAt: {
+    type: Date,
+    default: Date.now
+  },
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+ledgerEntrySchema.index({ postedAt: 1 });
+ledgerEntrySchema.index({ type: 1, reference: 1 });
+
+// Debits must equal credits
+ledgerEntrySchema.pre('validate', function(next) {
+  const debits = round(this.lines.reduce((total, line) => total + line.debit, 0));
+  const credits = round(this.lines.reduce((total, line) => total + line.credit, 0));
+
+  if (this.lines.length < 2 || debits <= 0) {
+    return next(new Error('Ledger entry needs at least two lines and a non-zero amount'));
+  }
+  if (debits !== credits) {
+    return next(new Error(`Ledger entry does not balance: debits ${debits}, credits ${credits}`));
+  }
+
+  next();
+});
+
+// Append-only
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries cannot be changed'));
+  }
+  next();
+});
+
+for (const method of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+  ledgerEntrySchema.pre(method, function(next) {
+    next(new Error('Ledger entries cannot be changed'));
+  });
+}
+
+// Static method to turn a signed amount into a line: positive debits the account, negative credits it
+ledgerEntrySchema.statics.line = function(account, amount) {
+  const rounded = round(amount);
+  return rounded >= 0
+    ? { account, debit: rounded, credit: 0 }
+    : { account, debit: 0, credit: -rounded };
+};
+
+// Static method to get the account a booking's payments and refunds post against
+ledgerEntrySchema.statics.guestAccountFor = function(booking) {
+  return PRE_ARRIVAL_STATUSES.includes(booking.status)
+    ? LEDGER_ACCOUNTS.DEPOSITS_HELD
+    : LEDGER_ACCOUNTS.GUEST_RECEIVABLE;
+};
+
+// Static method to post an entry, leaving out zero lines. Returns null when nothing is left to post.
+ledgerEntrySchema.statics.post = async function({ lines, ...entry }) {
+  const nonZero = lines.filter(line => round(line.debit) > 0 || round(line.credit) > 0);
+  if (nonZero.length === 0) {
+    return null;
+  }
+
+  return this.create({ ...entry, lines: nonZero });
+};
+
+// Static method to total debits, credits and the balance of each account, on its normal side
+ledgerEntrySchema.statics.getBalances = async function(match = {}) {
+  const rows = await this.aggregate([
+    { $match: match },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: '$lines.account',
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' }
+      }
+    }
+  ]);
+
+  return Object.values(LEDGER_ACCOUNTS).map(account => {
+    const row = rows.find(candidate => candidate._id === account) || { debit: 0, credit: 0 };
+    const normal = DEBIT_ACCOUNTS.includes(account) ? 'debit' : 'credit';
+
+    return {
+      account,
+      normal,
+      debit: round(row.debit),
+      credit: round(row.credit),
+      balance: normal === 'debit' ? round(row.debit - row.credit) : round(row.credit - row.debit)
+    };
+  });
+};
+
+// Static method to post whatever a booking's charges have changed by since they were
+// last posted, and to apply its deposits once the guest has arrived or the booking has ended.
+// Nothing is charged while the booking is on hold. Safe to call after every save, and from
+// saves running at once: a sync that loses the race for a posting starts again from the new totals.
+ledgerEntrySchema.statics.syncBooking = async function(booking, { attempts = 3 } = {}) {
+  try {
+    await this.postBookingChanges(booking);
+  } catch (error) {
+    if (error.code !== 11000 || attempts <= 1) throw error;
+    await this.syncBooking(booking, { attempts: attempts - 1 });
+  }
+};
+
+// Static method to post one round of a booking's changes; see syncBooking
+ledgerEntrySchema.statics.postBookingChanges = async function(booking) {
+  const posted = await this.aggregate([
+    { $match: { booking: booking._id } },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: { component: '$component', account: '$lines.account' },
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' },
+        entries: { $addToSet: '$_id' }
+      }
+    }
+  ]);
+
+  const credited = (component, account) => {
+    const row = posted.find(candidate => candidate._id.component === component && candidate._id.account === account);
+    return row ? row.credit - row.debit : 0;
+  };
+
+  // Entries already posted for a component, which the next one follows
+  const postingKey = (component) => {
+    const entries = posted
+      .filter(row => row._id.component === component)
+      .flatMap(row => row.entries.map(String));
+    return `${booking._id}:${component}:${new Set(entries).size}`;
+  };
+
+  const currency = booking.pricing.currency || 'USD';
+  const onHold = booking.status === BOOKING_STATUS.HOLD;
+  const ended = booking.status in ENDED_CHARGES;
+  const roomCharges = ended ? booking.getAmountDue() : booking.pricing.totalAmount;
+  const roomTax = ended ? 0 : booking.pricing.taxes || 0;
+
+  // Room nights the night audit has already moved out of deferred revenue
+  const earned = round(posted
+    .filter(row => row._id.component?.startsWith('night:') && row._id.account === LEDGER_ACCOUNTS.ROOM_REVENUE)
+    .reduce((total, row) => total + row.credit - row.debit, 0));
+
+  // Room charges are deferred until their nights are audited. A booking that ended
+  // keeps only its fee, so whatever was deferred against it is released.
+  let roomRevenue = {
+    [LEDGER_ACCOUNTS.DEFERRED_REVENUE]: roomCharges - roomTax,
+    [LEDGER_ACCOUNTS.ROOM_REVENUE]: 0
+  };
+  if (onHold) {
+    roomRevenue = { [LEDGER_ACCOUNTS.DEFERRED_REVENUE]: 0, [LEDGER_ACCOUNTS.ROOM_REVENUE]: 0 };
+  } else if (ended) {
+    roomRevenue = {
+      [LEDGER_ACCOUNTS.DEFERRED_REVENUE]: earned,
+      [LEDGER_ACCOUNTS.ROOM_REVENUE]: roomCharges - earned
+    };
+  }
+
+  const charges = [
+    {
+      component: 'room',
+      description: ended ? ENDED_CHARGES[booking.status] : 'Room charges',
+      revenue: roomRevenue,
+      tax: onHold ? 0 : roomTax
+    },
+    ...booking.folio.lines.map(line => {
+      const open = !onHold && !ended && !line.voided?.at;
+      return {
+        component: line._id.toString(),
+        description: line.description,
+        revenue: { [LEDGER_ACCOUNTS.EXTRAS_REVENUE]: open ? line.amount : 0 },
+        tax: open ? line.tax : 0
+      };
+    })
+  ];
+
+  for (const charge of charges) {
+    const revenue = Object.entries(charge.revenue).map(([account, amount]) => {
+      return [account, round(amount - credited(charge.component, account))];
+    });
+    const tax = round(charge.tax - credited(charge.component, LEDGER_ACCOUNTS.TAX_PAYABLE));
+    if (tax === 0 && revenue.every(([, amount]) => amount === 0)) continue;
+
+    const total = revenue.reduce((sum, [, amount]) => sum + amount, tax);
+    await this.post({
+      type: LEDGER_ENTRY_TYPES.CHARGE,
+      booking: booking._id,
+      component: charge.component,
+      postingKey: postingKey(charge.component),
+      description: charge.description,
+      currency,
+      lines: [
+        this.line(LEDGER_ACCOUNTS.GUEST_RECEIVABLE, total),
+        ...revenue.map(([account, amount]) => this.line(account, -amount)),
+        this.line(LEDGER_ACCOUNTS.TAX_PAYABLE, -tax)
+      ]
+    });
+  }
+
+  const held = round(posted
+    .filter(row => row._id.account === LEDGER_ACCOUNTS.DEPOSITS_HELD)
+    .reduce((total, row) => total + row.credit - row.debit, 0));
+  if (held !== 0 && !PRE_ARRIVAL_STATUSES.includes(booking.status)) {
+    await this.post({
+      type: LEDGER_ENTRY_TYPES.DEPOSIT_APPLIED,
+      booking: booking._id,
+      component: 'deposits',
+      postingKey: postingKey('deposits'),
+      description: `Deposits applied on ${booking.status.replace('_', ' ')}`,
+      currency,
+      lines: [
+        this.line(LEDGER_ACCOUNTS.DEPOSITS_HELD, held),
+        this.line(LEDGER_ACCOUNTS.GUEST_RECEIVABLE, -held)
+      ]
+    });
+  }
+};
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
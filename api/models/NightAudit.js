@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STALE_RUNNING_MS = 30 * 60 * 1000;
+
+// End-of-day close for one business date, kept as the front desk's report
+const nightAuditSchema = new mongoose.Schema({
+  businessDate: {
+    type: Date, // Midnight UTC of the day being closed
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  runBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Empty for scheduled runs
+  },
+  startedAt: Date,
+  completedAt: Date,
+  error: String,
+  noShows: [{
+    _id: false,
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+    bookingReference: String,
+    guestName: String,
+    fee: Number,
+    refundAmount: Number
+  }],
+  arrivals: { type: Number, default: 0 },
+  departures: { type: Number, default: 0 },
+  inHouse: { type: Number, default: 0 },
+  roomRevenue: { type: Number, default: 0 }, // Room revenue earned for the date's nights
+  noShowRevenue: { type: Number, default: 0 },
+  totalRevenue: { type: Number, default: 0 },
+  paymentsReceived: { type: Number, default: 0 },
+  refundsIssued: { type: Number, default: 0 },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  }
+}, {
+  timestamps: true
+});
+
+nightAuditSchema.index({ status: 1, businessDate: -1 });
+
+// Static method to get the first business date that has not been closed
+nightAuditSchema.statics.currentBusinessDate = async function(fallback) {
+  const lastAudit = await this.findOne({ status: 'completed' }).sort({ businessDate: -1 });
+
+  return lastAudit
+    ? new Date(lastAudit.businessDate.getTime() + DAY_MS)
+    : fallback;
+};
+
+/**
+ * Claim a business date for auditing. Returns null when the date is already
+ * closed or another run is in progress; a failed audit can be run again, as
+ * can one left running for longer than any run takes (its process died).
+ */
+nightAuditSchema.statics.start = async function(businessDate, runBy = null) {
+  const startedAt = new Date();
+
+  try {
+    return await this.create({ businessDate, runBy, startedAt });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    return this.findOneAndUpdate(
+      {
+        businessDate,
+        $or: [
+          { status: 'failed' },
+          { status: 'running', startedAt: { $lte: new Date(startedAt.getTime() - STALE_RUNNING_MS) } }
+        ]
+      },
+      { $set: { status: 'running', runBy, startedAt, error: null } },
+      { new: true }
+    );
+  }
+};
+
+module.exports = mongoose.model('NightAudit', nightAuditSchema);
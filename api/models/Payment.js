@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { PAYMENT_TYPES, PAYMENT_VOID_REASONS } = require('../config/constants');
 
 const paymentSchema = new mongoose.Schema({
   booking: {
@@ -28,16 +29,32 @@ const paymentSchema = new mongoose.Schema({
     enum: [
       'pending',
       'processing',
+      'authorized',
       'succeeded',
       'failed',
       'cancelled',
       'refunded',
-      'partially_refunded'
+      'partially_refunded',
+      'disputed'
     ],
     default: 'pending',
     required: true,
     index: true
   },
+  type: {
+    type: String,
+    enum: Object.values(PAYMENT_TYPES),
+    default: PAYMENT_TYPES.BOOKING,
+    index: true
+  },
+  authorization: { // Manual-capture payments, e.g. security deposits
+    amount: Number, // Amount held on the card
+    authorizedAt: Date,
+    capturedAmount: { type: Number, default: 0 },
+    capturedAt: Date,
+    releasedAt: Date,
+    reason: String
+  },
   paymentMethod: {
     type: {
       type: String,
@@ -88,7 +105,8 @@ const paymentSchema = new mongoose.Schema({
   fees: {
     platform: { type: Number, default: 0 }, // Stripe/payment processor fees
     processing: { type: Number, default: 0 }, // Our processing fees
-    total: { type: Number, default: 0 }
+    total: { type: Number, default: 0 },
+    reconciledAt: Date // When platform was replaced with the fee Stripe actually charged
   },
   refunds: [{
     amount: { type: Number, required: true },
@@ -114,10 +132,20 @@ const paymentSchema = new mongoose.Schema({
   processedAt: {
     type: Date
   },
-  processedBy: {
+  processedBy: { // Who collected a cash or bank transfer payment
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  cash: {
+    tendered: Number,
+    change: Number
+  },
+  voided: { // Cash and bank transfer payments recorded by mistake
+    at: Date,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reasonCode: { type: String, enum: Object.values(PAYMENT_VOID_REASONS) },
+    note: String
+  },
   receiptUrl: {
     type: String
   },
@@ -153,10 +181,15 @@ paymentSchema.virtual('totalRefunded').get(function() {
     .reduce((total, refund) => total + refund.amount, 0);
 });
 
-// Virtual for refundable amount
+// Virtual for refundable amount (pending refunds are already spoken for)
 paymentSchema.virtual('refundableAmount').get(function() {
-  if (this.status !== 'succeeded') return 0;
-  return this.amount - this.totalRefunded;
+  if (!['succeeded', 'partially_refunded'].includes(this.status)) return 0;
+
+  const committed = this.refunds
+    .filter(refund => refund.status !== 'failed')
+    .reduce((total, refund) => total + refund.amount, 0);
+
+  return Math.max(0, Math.round((this.amount - committed) * 100) / 100);
 });
 
 // Pre-save middleware to generate receipt number
@@ -178,8 +211,13 @@ paymentSchema.pre('save', async function(next) {
 });
 
 // Instance method to process refund
-paymentSchema.methods.processRefund = function(amount, reason, processedBy) {
-  if (this.status !== 'succeeded') {
+paymentSchema.methods.processRefund = function(amount, reason, processedBy, { stripeRefundId, status = 'pending' } = {}) {
+  // A Stripe refund is recorded once, however many times it is reported
+  if (stripeRefundId && this.refunds.some(refund => refund.stripeRefundId === stripeRefundId)) {
+    return Promise.resolve(this);
+  }
+
+  if (!['succeeded', 'partially_refunded'].includes(this.status)) {
     throw new Error('Can only refund successful payments');
   }
   
@@ -187,15 +225,17 @@ paymentSchema.methods.processRefund = function(amount, reason, processedBy) {
     throw new Error('Refund amount exceeds refundable amount');
   }
   
+  // Update payment status, counting refunds still in flight
+  const totalRefunded = this.amount - this.refundableAmount + amount;
+
   this.refunds.push({
     amount,
     reason,
+    stripeRefundId,
     processedBy,
-    status: 'pending'
+    status
   });
   
-  // Update payment status
-  const totalRefunded = this.totalRefunded + amount;
   if (totalRefunded >= this.amount) {
     this.status = 'refunded';
   } else {
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { PAYOUT_ITEM_STATUS } = require('../config/constants');
+
+// A Stripe payout to the bank, line by line as matched against our records
+const payoutSchema = new mongoose.Schema({
+  stripePayoutId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  amount: {
+    type: Number,
+    required: true // Negative when Stripe took money back from the bank
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  arrivalDate: {
+    type: Date,
+    required: true
+  },
+  items: [{
+    _id: false,
+    balanceTransactionId: { type: String, required: true },
+    type: String, // Stripe's balance transaction type, e.g. charge, refund or adjustment
+    sourceId: String, // Charge, refund or dispute
+    description: String,
+    amount: Number,
+    fee: Number,
+    net: Number,
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+    bookingReference: String,
+    status: {
+      type: String,
+      enum: Object.values(PAYOUT_ITEM_STATUS),
+      required: true
+    },
+    issue: String // Why the line did not match
+  }],
+  totals: {
+    amount: { type: Number, default: 0 },
+    fees: { type: Number, default: 0 },
+    net: { type: Number, default: 0 }
+  },
+  difference: {
+    type: Number,
+    default: 0 // Payout amount less the net of its lines
+  },
+  discrepancies: {
+    type: Number,
+    default: 0, // Lines that did not match, plus one if the lines do not add up
+    index: true
+  },
+  reconciledAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+payoutSchema.index({ arrivalDate: -1 });
+
+// Virtual for whether every line matched and they add up to the payout
+payoutSchema.virtual('isReconciled').get(function() {
+  return this.discrepancies === 0;
+});
+
+module.exports = mongoose.model('Payout', payoutSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { PRODUCT_CATEGORIES, EXTRA_PRICING_UNITS, TAX_CATEGORIES } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// An add-on sold to guests and charged to their folio, e.g. breakfast or a towel
+const productSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  category: {
+    type: String,
+    enum: Object.values(PRODUCT_CATEGORIES),
+    required: true
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  taxCategory: {
+    type: String,
+    enum: Object.values(TAX_CATEGORIES),
+    default: TAX_CATEGORIES.STANDARD
+  },
+  bookable: { // Offered as an extra when booking online
+    type: Boolean,
+    default: false
+  },
+  pricingUnit: {
+    type: String,
+    enum: Object.values(EXTRA_PRICING_UNITS),
+    default: EXTRA_PRICING_UNITS.PER_STAY
+  },
+  dailyCapacity: { // Units that can be booked per day, e.g. shuttle seats; null for no limit
+    type: Number,
+    min: 0,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+productSchema.index({ category: 1, isActive: 1 });
+productSchema.index({ bookable: 1, isActive: 1 });
+
+// Static method to find a product by its code
+productSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+// Static method to find the extras guests can add when booking
+productSchema.statics.findBookable = function() {
+  return this.find({ bookable: true, isActive: true }).sort({ category: 1, name: 1 });
+};
+
+// Instance method to count the units charged for a quantity of this extra over a stay
+productSchema.methods.getChargeableUnits = function(quantity, { nights, guestCount }) {
+  switch (this.pricingUnit) {
+    case EXTRA_PRICING_UNITS.PER_NIGHT:
+      return quantity * nights;
+    case EXTRA_PRICING_UNITS.PER_PERSON:
+      return quantity * guestCount;
+    case EXTRA_PRICING_UNITS.PER_PERSON_PER_NIGHT:
+      return quantity * guestCount * nights;
+    default:
+      return quantity;
+  }
+};
+
+// Instance method to list the days an extra is used on: every night for
+// nightly extras, otherwise the arrival day
+productSchema.methods.getServiceDates = function(checkIn, checkOut) {
+  const arrival = new Date(checkIn);
+  arrival.setUTCHours(0, 0, 0, 0);
+
+  const nightly = [EXTRA_PRICING_UNITS.PER_NIGHT, EXTRA_PRICING_UNITS.PER_PERSON_PER_NIGHT]
+    .includes(this.pricingUnit);
+  if (!nightly) {
+    return [arrival];
+  }
+
+  const dates = [];
+  for (let date = arrival; date < new Date(checkOut); date = new Date(date.getTime() + DAY_MS)) {
+    dates.push(date);
+  }
+  return dates;
+};
+
+module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+const { ROOM_TYPES, PRICING, PROMO_REJECTION_REASONS } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  campaign: {
+    type: String, // Groups codes for revenue reporting
+    trim: true
+  },
+  discountType: {
+    type: String,
+    enum: PRICING.DISCOUNT_TYPES,
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  validFrom: Date, // Booking window
+  validUntil: Date,
+  stayStartDate: Date, // Every night of the stay must fall in this window
+  stayEndDate: Date,
+  minNights: {
+    type: Number,
+    min: 1
+  },
+  roomTypes: [{
+    type: String, // Empty means every room type
+    enum: Object.values(ROOM_TYPES)
+  }],
+  stackableWithRatePlans: {
+    type: Boolean, // When false, only valid on the standard (base price) rate
+    default: true
+  },
+  maxUses: {
+    type: Number, // Global cap; unlimited when unset
+    min: 1
+  },
+  maxUsesPerGuest: {
+    type: Number,
+    min: 1
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promoCodeSchema.index({ campaign: 1 });
+
+// Validate ranges
+promoCodeSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.value > 100) {
+    return next(new Error('Percentage discounts cannot exceed 100'));
+  }
+
+  if (this.validFrom && this.validUntil && this.validUntil < this.validFrom) {
+    return next(new Error('Promo code validity must end after it starts'));
+  }
+
+  if (this.stayStartDate && this.stayEndDate && this.stayEndDate < this.stayStartDate) {
+    return next(new Error('Promo code stay window must end after it starts'));
+  }
+
+  next();
+});
+
+// Normalise a date to UTC midnight
+const toDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Method to check the stay itself: dates, length and room type
+promoCodeSchema.methods.checkStay = function({ roomType, checkIn, checkOut }) {
+  const arrival = toDay(checkIn);
+  const lastNight = new Date(toDay(checkOut).getTime() - DAY_MS);
+  const nights = Math.round((toDay(checkOut) - arrival) / DAY_MS);
+  const reasons = [];
+
+  if ((this.stayStartDate && arrival < toDay(this.stayStartDate)) ||
+      (this.stayEndDate && lastNight > toDay(this.stayEndDate))) {
+    reasons.push({
+      code: PROMO_REJECTION_REASONS.STAY_OUTSIDE_WINDOW,
+      message: 'Promo code is not valid for these stay dates'
+    });
+  }
+
+  if (this.minNights && nights < this.minNights) {
+    reasons.push({
+      code: PROMO_REJECTION_REASONS.MIN_NIGHTS,
+      message: `Promo code requires a stay of at least ${this.minNights} nights`
+    });
+  }
+
+  if (this.roomTypes.length > 0 && !this.roomTypes.includes(roomType)) {
+    reasons.push({
+      code: PROMO_REJECTION_REASONS.ROOM_TYPE,
+      message: 'Promo code is not valid for this room type'
+    });
+  }
+
+  return reasons;
+};
+
+/**
+ * Check whether the code can be applied to a new booking.
+ * Returns a list of reasons ({ code, message }); empty means it applies.
+ */
+promoCodeSchema.methods.checkEligibility = async function({
+  roomType,
+  checkIn,
+  checkOut,
+  ratePlan = null,
+  userId = null,
+  now = new Date()
+}) {
+  const reasons = [];
+
+  if (!this.isActive) {
+    reasons.push({ code: PROMO_REJECTION_REASONS.INACTIVE, message: 'Promo code is no longer active' });
+  }
+
+  if (this.validFrom && now < this.validFrom) {
+    reasons.push({ code: PROMO_REJECTION_REASONS.NOT_STARTED, message: 'Promo code is not valid yet' });
+  }
+
+  if (this.validUntil && now > this.validUntil) {
+    reasons.push({ code: PROMO_REJECTION_REASONS.EXPIRED, message: 'Promo code has expired' });
+  }
+
+  reasons.push(...this.checkStay({ roomType, checkIn, checkOut }));
+
+  if (ratePlan && !this.stackableWithRatePlans) {
+    reasons.push({
+      code: PROMO_REJECTION_REASONS.NOT_STACKABLE,
+      message: 'Promo code cannot be combined with this rate plan'
+    });
+  }
+
+  if (this.maxUses && this.usageCount >= this.maxUses) {
+    reasons.push({ code: PROMO_REJECTION_REASONS.USAGE_LIMIT, message: 'Promo code has been fully redeemed' });
+  }
+
+  if (this.maxUsesPerGuest && userId) {
+    const guestUses = await mongoose.model('PromoRedemption').countDocuments({
+      promoCode: this._id,
+      user: userId,
+      status: 'active'
+    });
+
+    if (guestUses >= this.maxUsesPerGuest) {
+      reasons.push({
+        code: PROMO_REJECTION_REASONS.GUEST_LIMIT,
+        message: 'You have already used this promo code the maximum number of times'
+      });
+    }
+  }
+
+  return reasons;
+};
+
+// Method to express the code as a pricing discount
+promoCodeSchema.methods.toDiscount = function() {
+  return {
+    type: this.discountType,
+    value: this.value,
+    code: this.code,
+    reason: this.name,
+    promoCode: this._id,
+    campaign: this.campaign
+  };
+};
+
+// Static method to look up a code, case-insensitively
+promoCodeSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+// Static method to atomically take one use, respecting the global cap
+promoCodeSchema.statics.claimUse = function(promoCodeId) {
+  return this.findOneAndUpdate(
+    {
+      _id: promoCodeId,
+      isActive: true,
+      $or: [
+        { maxUses: null },
+        { $expr: { $lt: ['$usageCount', '$maxUses'] } }
+      ]
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to give back a use (cancelled or failed booking)
+promoCodeSchema.statics.releaseUse = function(promoCodeId) {
+  return this.updateOne(
+    { _id: promoCodeId, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } }
+  );
+};
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
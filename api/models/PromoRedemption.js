@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// One row per booking that used a promo code, for usage caps and reporting
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  campaign: String,
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  discountAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  bookingTotal: {
+    type: Number, // Amount charged after the discount
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'voided'],
+    default: 'active'
+  },
+  voidedAt: Date
+}, {
+  timestamps: true
+});
+
+promoRedemptionSchema.index({ promoCode: 1, user: 1, status: 1 });
+promoRedemptionSchema.index({ campaign: 1, createdAt: -1 });
+
+// Static method to record a booking's redemption
+promoRedemptionSchema.statics.record = function(booking) {
+  const { discounts } = booking.pricing;
+
+  return this.create({
+    promoCode: discounts.promoCode,
+    code: discounts.code,
+    campaign: discounts.campaign,
+    booking: booking._id,
+    user: booking.user,
+    discountAmount: discounts.amount,
+    bookingTotal: booking.pricing.totalAmount,
+    currency: booking.pricing.currency
+  });
+};
+
+// Static method to void a booking's redemption and give the use back
+promoRedemptionSchema.statics.release = async function(bookingId) {
+  const redemption = await this.findOneAndUpdate(
+    { booking: bookingId, status: 'active' },
+    { $set: { status: 'voided', voidedAt: new Date() } },
+    { new: true }
+  );
+
+  if (redemption) {
+    await mongoose.model('PromoCode').releaseUse(redemption.promoCode);
+  }
+
+  return redemption;
+};
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const { ROOM_TYPES, RATE_ADJUSTMENT_TYPES } = require('../config/constants');
+
+// Change to a nightly rate: a percentage, an amount, or a fixed rate
+const adjustmentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(RATE_ADJUSTMENT_TYPES),
+    default: RATE_ADJUSTMENT_TYPES.PERCENTAGE
+  },
+  value: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Seasonal, weekday or date-specific rate for some or all room types
+const rateOverrideSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  roomTypes: [{
+    type: String,
+    enum: Object.values(ROOM_TYPES)
+  }],
+  startDate: Date,
+  endDate: Date, // Inclusive: the last night the override applies to
+  daysOfWeek: [{
+    type: Number, // 0 = Sunday ... 6 = Saturday
+    min: 0,
+    max: 6
+  }],
+  adjustment: {
+    type: adjustmentSchema,
+    required: true
+  }
+});
+
+const ratePlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  roomTypes: [{
+    type: String, // Empty means the plan is offered on every room type
+    enum: Object.values(ROOM_TYPES)
+  }],
+  adjustment: {
+    type: adjustmentSchema,
+    default: () => ({})
+  },
+  overrides: [rateOverrideSchema],
+  cancellationPolicy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CancellationPolicy'
+  },
+  depositPercentage: { // Share of the stay due with the first payment; BUSINESS_RULES.DEFAULT_DEPOSIT_PERCENTAGE when unset
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  balanceDueDays: { // Days before arrival the balance is charged; BUSINESS_RULES.BALANCE_DUE_DAYS when unset
+    type: Number,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+ratePlanSchema.index({ isActive: 1, sortOrder: 1 });
+
+// Validate override date ranges
+ratePlanSchema.pre('validate', function(next) {
+  const invalid = this.overrides.find(override =>
+    override.startDate && override.endDate && override.endDate < override.startDate
+  );
+
+  if (invalid) {
+    return next(new Error('Rate override end date must not be before its start date'));
+  }
+
+  next();
+});
+
+// Apply an adjustment to a rate, never going below zero
+const applyAdjustment = (rate, adjustment) => {
+  if (!adjustment) return rate;
+
+  switch (adjustment.type) {
+    case RATE_ADJUSTMENT_TYPES.FIXED_RATE:
+      return Math.max(0, adjustment.value);
+    case RATE_ADJUSTMENT_TYPES.AMOUNT:
+      return Math.max(0, rate + adjustment.value);
+    default:
+      return Math.max(0, rate * (1 + adjustment.value / 100));
+  }
+};
+
+// Date-specific overrides beat seasonal ranges, which beat plain weekday rules
+const overrideSpecificity = (override) => {
+  const hasRange = Boolean(override.startDate || override.endDate);
+  const hasDays = override.daysOfWeek && override.daysOfWeek.length > 0;
+  return (hasRange ? 2 : 0) + (hasDays ? 1 : 0);
+};
+
+// Method to check whether the plan can be sold on a room type
+ratePlanSchema.methods.appliesTo = function(roomType) {
+  return this.roomTypes.length === 0 || this.roomTypes.includes(roomType);
+};
+
+// Method to find the override that governs a night, if any
+ratePlanSchema.methods.findOverride = function(roomType, night) {
+  const date = new Date(night);
+  const day = date.getUTCDay();
+
+  const matches = this.overrides.filter(override => {
+    if (override.roomTypes.length > 0 && !override.roomTypes.includes(roomType)) return false;
+    if (override.startDate && date < override.startDate) return false;
+    if (override.endDate && date > override.endDate) return false;
+    if (override.daysOfWeek.length > 0 && !override.daysOfWeek.includes(day)) return false;
+    return true;
+  });
+
+  // Most specific wins; among equals the one listed last
+  return matches.reduce((best, override) => {
+    return !best || overrideSpecificity(override) >= overrideSpecificity(best) ? override : best;
+  }, null);
+};
+
+/**
+ * Nightly rate under this plan.
+ * The plan-wide adjustment applies to the room's base price, then the most
+ * specific matching override adjusts (or replaces) the result.
+ */
+ratePlanSchema.methods.getNightlyRate = function(room, night) {
+  const rate = applyAdjustment(room.basePrice, this.adjustment);
+  const override = this.findOverride(room.type, night);
+
+  return override ? applyAdjustment(rate, override.adjustment) : rate;
+};
+
+// Static method to list active plans bookable on a room type
+ratePlanSchema.statics.findBookable = function(roomType) {
+  return this.find({
+    isActive: true,
+    $or: [{ roomTypes: { $size: 0 } }, { roomTypes: roomType }]
+  }).sort({ sortOrder: 1, name: 1 });
+};
+
+module.exports = mongoose.model('RatePlan', ratePlanSchema);
@@ -1,5 +1,34 @@
 const mongoose = require('mongoose');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BED_INVENTORY_TYPES = ['shared', 'dorm'];
+const PACKING_WINDOW_DAYS = 30; // How far around a stay we look for neighbouring bookings
+
+// Individual bed (bunk) within a dorm or shared room
+const bedSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  bunkPosition: {
+    type: String,
+    enum: ['single', 'bottom', 'top'],
+    default: 'single'
+  },
+  genderRestriction: {
+    type: String,
+    enum: ['none', 'female', 'male'],
+    default: 'none'
+  },
+  status: {
+    type: String,
+    enum: ['available', 'blocked', 'out_of_order'],
+    default: 'available'
+  },
+  notes: String
+});
+
 const roomSchema = new mongoose.Schema({
   roomNumber: {
     type: String,
@@ -29,6 +58,11 @@ const roomSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  cleaningFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   currency: {
     type: String,
     default: 'USD',
@@ -73,6 +107,7 @@ const roomSchema = new mongoose.Schema({
       count: { type: Number, min: 1 }
     }]
   },
+  beds: [bedSchema],
   rules: {
     smokingAllowed: { type: Boolean, default: false },
     petsAllowed: { type: Boolean, default: false },
@@ -115,33 +150,207 @@ roomSchema.virtual('occupancyRate').get(function() {
   return this.capacity > 0 ? (this.currentOccupancy / this.capacity) * 100 : 0;
 });
 
-// Instance method to check availability for dates
-roomSchema.methods.checkAvailability = async function(checkIn, checkOut, excludeBookingId = null) {
+// Instance method to create one bed per unit of capacity
+roomSchema.methods.generateBeds = function() {
+  for (let i = this.beds.length; i < this.capacity; i++) {
+    this.beds.push({
+      label: `${this.roomNumber}-${i + 1}`,
+      bunkPosition: this.type === 'dorm' ? (i % 2 === 0 ? 'bottom' : 'top') : 'single'
+    });
+  }
+};
+
+// Instance method to give dorms/shared rooms created before bed-level inventory their beds
+roomSchema.methods.ensureBeds = async function() {
+  if (BED_INVENTORY_TYPES.includes(this.type) && this.beds.length === 0) {
+    this.generateBeds();
+    await this.save();
+  }
+  return this;
+};
+
+// Generate beds for new dorms/shared rooms created without beds
+roomSchema.pre('validate', function(next) {
+  if (this.isNew && BED_INVENTORY_TYPES.includes(this.type) && this.beds.length === 0) {
+    this.generateBeds();
+  }
+
+  if (this.beds.length > this.capacity) {
+    return next(new Error('Number of beds cannot exceed room capacity'));
+  }
+
+  const labels = this.beds.map(bed => bed.label);
+  if (new Set(labels).size !== labels.length) {
+    return next(new Error('Bed labels must be unique within a room'));
+  }
+
+  next();
+});
+
+// Instance method to check if the room is sold bed by bed
+roomSchema.methods.usesBedInventory = function() {
+  return BED_INVENTORY_TYPES.includes(this.type) && this.beds.length > 0;
+};
+
+// Instance method to collect the stays booked on each bed around a date range
+roomSchema.methods.getBedSchedule = async function(checkIn, checkOut, excludeBookingId = null) {
   const Booking = mongoose.model('Booking');
-  
-  const conflictingBookings = await Booking.find({
-    room: this._id,
-    status: { $in: ['confirmed', 'checked_in'] },
-    $or: [
-      {
-        checkInDate: { $lt: checkOut },
-        checkOutDate: { $gt: checkIn }
-      }
-    ],
-    ...(excludeBookingId && { _id: { $ne: excludeBookingId } })
+  const windowStart = new Date(checkIn.getTime() - PACKING_WINDOW_DAYS * DAY_MS);
+  const windowEnd = new Date(checkOut.getTime() + PACKING_WINDOW_DAYS * DAY_MS);
+
+  const bookedStays = await Booking.findStaysInRoom(this._id, {
+    checkIn: windowStart,
+    checkOut: windowEnd,
+    excludeBookingId
+  });
+
+  const stays = new Map();
+  let unassignedGuests = 0;
+
+  const addStay = (bedId, stay) => {
+    const key = bedId.toString();
+    if (!stays.has(key)) stays.set(key, []);
+    stays.get(key).push(stay);
+  };
+
+  for (const stay of bookedStays) {
+    const overlaps = stay.checkInDate < checkOut && stay.checkOutDate > checkIn;
+
+    // Bookings made before bed-level inventory still consume capacity
+    if (stay.beds.length === 0) {
+      if (overlaps) unassignedGuests += stay.guestCount || 1;
+      continue;
+    }
+
+    for (const bedId of stay.beds) {
+      addStay(bedId, { checkInDate: stay.checkInDate, checkOutDate: stay.checkOutDate });
+    }
+  }
+
+  // Nights locked by bookings still being created or held for payment
+  const locks = await mongoose.model('InventoryLock').findActive(this._id, windowStart, windowEnd, excludeBookingId);
+  for (const lock of locks) {
+    addStay(lock.unit, { checkInDate: lock.night, checkOutDate: new Date(lock.night.getTime() + DAY_MS) });
+  }
+
+  return { stays, unassignedGuests };
+};
+
+// Beds free for a date range given a bed schedule
+const selectFreeBeds = (beds, { stays, unassignedGuests }, checkIn, checkOut, gender) => {
+  const freeBeds = beds.filter(bed => {
+    if (bed.status !== 'available') return false;
+    if (bed.genderRestriction !== 'none' && bed.genderRestriction !== gender) return false;
+
+    const bedStays = stays.get(bed._id.toString()) || [];
+    return !bedStays.some(stay => stay.checkInDate < checkOut && stay.checkOutDate > checkIn);
   });
 
-  // For shared rooms/dorms, check if there's still capacity
-  if (this.type === 'shared' || this.type === 'dorm') {
-    const occupiedBeds = conflictingBookings.reduce((total, booking) => {
-      return total + (booking.guestCount || 1);
-    }, 0);
-    
-    return (occupiedBeds + 1) <= this.capacity;
+  // Hold back beds for guests booked without a bed assignment
+  return freeBeds.slice(0, Math.max(0, freeBeds.length - unassignedGuests));
+};
+
+// Instance method to list beds that can be sold for a date range
+roomSchema.methods.findAvailableBeds = async function(checkIn, checkOut, { excludeBookingId = null, gender = null } = {}) {
+  const schedule = await this.getBedSchedule(checkIn, checkOut, excludeBookingId);
+  return selectFreeBeds(this.beds, schedule, checkIn, checkOut, gender);
+};
+
+// Instance method to pick beds for a stay, packing bookings to minimise fragmentation
+roomSchema.methods.allocateBeds = async function(checkIn, checkOut, guestCount = 1, {
+  excludeBookingId = null,
+  gender = null,
+  bedIds = null,
+  preferredBedIds = []
+} = {}) {
+  const schedule = await this.getBedSchedule(checkIn, checkOut, excludeBookingId);
+  const freeBeds = selectFreeBeds(this.beds, schedule, checkIn, checkOut, gender);
+
+  // Specific bunks requested by the guest
+  if (bedIds && bedIds.length > 0) {
+    const requested = bedIds.map(id => id.toString());
+    const selected = freeBeds.filter(bed => requested.includes(bed._id.toString()));
+    return selected.length === requested.length && selected.length === guestCount ? selected : null;
   }
-  
-  // For private rooms, no conflicting bookings means available
-  return conflictingBookings.length === 0;
+
+  if (freeBeds.length < guestCount) {
+    return null;
+  }
+
+  const { stays } = schedule;
+  const preferred = preferredBedIds.map(id => id.toString());
+  const maxGap = PACKING_WINDOW_DAYS * DAY_MS;
+
+  // Score each bed by the idle gap the stay would leave on either side;
+  // beds whose neighbouring stays fit tightly are filled first
+  const scored = freeBeds.map(bed => {
+    const bedStays = stays.get(bed._id.toString()) || [];
+    const gapBefore = bedStays
+      .filter(stay => stay.checkOutDate <= checkIn)
+      .reduce((gap, stay) => Math.min(gap, checkIn - stay.checkOutDate), maxGap);
+    const gapAfter = bedStays
+      .filter(stay => stay.checkInDate >= checkOut)
+      .reduce((gap, stay) => Math.min(gap, stay.checkInDate - checkOut), maxGap);
+
+    return {
+      bed,
+      preferred: preferred.includes(bed._id.toString()),
+      score: gapBefore + gapAfter
+    };
+  });
+
+  scored.sort((a, b) => {
+    if (a.preferred !== b.preferred) return a.preferred ? -1 : 1;
+    if (a.score !== b.score) return a.score - b.score;
+    return a.bed.label.localeCompare(b.bed.label, undefined, { numeric: true });
+  });
+
+  return scored.slice(0, guestCount).map(entry => entry.bed);
+};
+
+// Instance method to load the stays and held nights around a date range once, and
+// return a check of whether the party fits any range within it
+roomSchema.methods.getAvailabilityChecker = async function(checkIn, checkOut, { excludeBookingId = null, guestCount = 1, gender = null } = {}) {
+  if (this.usesBedInventory()) {
+    const schedule = await this.getBedSchedule(checkIn, checkOut, excludeBookingId);
+    return (from, to) => selectFreeBeds(this.beds, schedule, from, to, gender).length >= guestCount;
+  }
+
+  const Booking = mongoose.model('Booking');
+
+  const stays = await Booking.findStaysInRoom(this._id, {
+    checkIn,
+    checkOut,
+    excludeBookingId
+  });
+  const conflictingStays = (from, to) => stays.filter(stay => stay.checkInDate < to && stay.checkOutDate > from);
+
+  // For shared rooms/dorms without beds, check if there's still capacity
+  if (BED_INVENTORY_TYPES.includes(this.type)) {
+    return (from, to) => {
+      const occupiedBeds = conflictingStays(from, to).reduce((total, stay) => {
+        return total + (stay.guestCount || 1);
+      }, 0);
+
+      return (occupiedBeds + guestCount) <= this.capacity;
+    };
+  }
+
+  // For private rooms, no conflicting stays or held nights means available
+  const locks = await mongoose.model('InventoryLock').findActive(this._id, checkIn, checkOut, excludeBookingId);
+  return (from, to) => {
+    const firstNight = new Date(from);
+    firstNight.setUTCHours(0, 0, 0, 0);
+
+    return conflictingStays(from, to).length === 0 &&
+      !locks.some(lock => lock.night >= firstNight && lock.night < to);
+  };
+};
+
+// Instance method to check availability for dates
+roomSchema.methods.checkAvailability = async function(checkIn, checkOut, excludeBookingId = null, { guestCount = 1, gender = null } = {}) {
+  const isFree = await this.getAvailabilityChecker(checkIn, checkOut, { excludeBookingId, guestCount, gender });
+  return isFree(checkIn, checkOut);
 };
 
 // Static method to find available rooms
@@ -163,10 +372,17 @@ roomSchema.statics.findAvailable = function(checkIn, checkOut, guestCount = 1, r
 roomSchema.methods.updateOccupancy = async function() {
   const Booking = mongoose.model('Booking');
   
-  const activeBookings = await Booking.find({
-    room: this._id,
+  const now = new Date();
+  const checkedIn = await Booking.find({
+    $or: [{ room: this._id }, { 'segments.room': this._id }],
     status: 'checked_in'
   });
+
+  // Guests who moved rooms count where they are sleeping tonight
+  const activeBookings = checkedIn.filter(booking => {
+    const { room } = booking.segmentOn(now);
+    return (room._id || room).toString() === this._id.toString();
+  });
   
   this.currentOccupancy = activeBookings.reduce((total, booking) => {
     return total + (booking.guestCount || 1);
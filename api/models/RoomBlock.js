@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+// Allotment of rooms or beds held for a group until its cutoff date.
+// The held nights are InventoryLocks owned by the block that expire at the
+// cutoff, so anything not picked up goes back on sale by itself.
+const roomBlockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Block name is required'],
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  checkInDate: {
+    type: Date,
+    required: true
+  },
+  checkOutDate: {
+    type: Date,
+    required: true
+  },
+  cutoffDate: {
+    type: Date, // Unpicked nights are released at this time
+    required: true
+  },
+  rooms: [{
+    _id: false,
+    room: { type: mongoose.Schema.Types.ObjectId, ref: 'Room', required: true },
+    beds: [{ type: mongoose.Schema.Types.ObjectId }] // Empty when the whole room is held
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'released'],
+    default: 'active'
+  },
+  releasedAt: Date,
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+roomBlockSchema.index({ status: 1, cutoffDate: 1 });
+
+// Pre-validate middleware to generate the block code
+roomBlockSchema.pre('validate', function(next) {
+  if (this.isNew && !this.code) {
+    const timestamp = Date.now().toString().slice(-6);
+    const random = Math.random().toString(36).substring(2, 5).toUpperCase();
+    this.code = `BLK${timestamp}${random}`;
+  }
+  next();
+});
+
+// Instance method to check if unpicked nights can still be taken from the block
+roomBlockSchema.methods.isOpen = function(now = new Date()) {
+  return this.status === 'active' && this.cutoffDate > now;
+};
+
+// Instance method to find the held beds for a room (empty for whole rooms or rooms not in the block)
+roomBlockSchema.methods.bedsFor = function(roomId) {
+  const item = this.rooms.find(entry => entry.room.toString() === roomId.toString());
+  return item ? item.beds : [];
+};
+
+// Instance method to check if a room is part of the block
+roomBlockSchema.methods.includesRoom = function(roomId) {
+  return this.rooms.some(entry => entry.room.toString() === roomId.toString());
+};
+
+// Instance method to hold the block's rooms and beds until the cutoff
+roomBlockSchema.methods.lockInventory = function() {
+  const InventoryLock = mongoose.model('InventoryLock');
+
+  return InventoryLock.acquireSegments({
+    bookingId: this._id,
+    expiresAt: this.cutoffDate,
+    segments: this.rooms.map(entry => ({
+      roomId: entry.room,
+      units: InventoryLock.unitsFor(entry.beds),
+      checkIn: this.checkInDate,
+      checkOut: this.checkOutDate
+    }))
+  });
+};
+
+/**
+ * Hand a group member's nights back to the block, e.g. when the member
+ * cancels before the cutoff. Only nights the block held are returned.
+ */
+roomBlockSchema.methods.reclaim = async function(bookingId, now = new Date()) {
+  if (!this.isOpen(now)) return 0;
+
+  const InventoryLock = mongoose.model('InventoryLock');
+  const result = await InventoryLock.updateMany(
+    {
+      booking: bookingId,
+      night: { $gte: this.checkInDate, $lt: this.checkOutDate },
+      $or: this.rooms.map(entry => ({
+        room: entry.room,
+        unit: { $in: InventoryLock.unitsFor(entry.beds) }
+      }))
+    },
+    { $set: { booking: this._id, expiresAt: this.cutoffDate } }
+  );
+
+  return result.modifiedCount;
+};
+
+// Instance method to count held and picked-up nights
+roomBlockSchema.methods.getPickup = async function(now = new Date()) {
+  const InventoryLock = mongoose.model('InventoryLock');
+  const nightsPerUnit = InventoryLock.nightsBetween(this.checkInDate, this.checkOutDate).length;
+  const total = this.rooms.reduce((sum, entry) => {
+    return sum + InventoryLock.unitsFor(entry.beds).length * nightsPerUnit;
+  }, 0);
+
+  const held = this.isOpen(now)
+    ? await InventoryLock.countDocuments({ booking: this._id, expiresAt: { $gt: now } })
+    : 0;
+
+  const groups = await mongoose.model('GroupBooking').find({ roomBlock: this._id }).select('_id');
+  const bookings = await mongoose.model('Booking').countDocuments({
+    group: { $in: groups.map(group => group._id) },
+    status: { $nin: ['cancelled', 'expired'] }
+  });
+
+  return { totalNights: total, heldNights: held, bookings };
+};
+
+// Instance method to give every unpicked night back to general sale
+roomBlockSchema.methods.release = async function(now = new Date()) {
+  await mongoose.model('InventoryLock').release(this._id);
+
+  this.status = 'released';
+  this.releasedAt = now;
+  return this.save();
+};
+
+module.exports = mongoose.model('RoomBlock', roomBlockSchema);
@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const { ROOM_TYPES, BUSINESS_RULES, STAY_RESTRICTION_REASONS } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Length-of-stay and arrival/departure rule for some or all room types.
+// Without a date range or days of week a restriction applies every day.
+const stayRestrictionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  roomTypes: [{
+    type: String, // Empty means every room type
+    enum: Object.values(ROOM_TYPES)
+  }],
+  startDate: Date,
+  endDate: Date, // Inclusive
+  daysOfWeek: [{
+    type: Number, // 0 = Sunday ... 6 = Saturday
+    min: 0,
+    max: 6
+  }],
+  minNights: {
+    type: Number, // Applies to any stay covering a matching night
+    min: 1
+  },
+  maxNights: {
+    type: Number,
+    min: 1
+  },
+  closedToArrival: {
+    type: Boolean, // No check-ins on matching dates
+    default: false
+  },
+  closedToDeparture: {
+    type: Boolean, // No check-outs on matching dates
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+stayRestrictionSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+
+// Validate ranges
+stayRestrictionSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    return next(new Error('Restriction end date must not be before its start date'));
+  }
+
+  if (this.minNights && this.maxNights && this.maxNights < this.minNights) {
+    return next(new Error('Maximum nights must not be less than minimum nights'));
+  }
+
+  next();
+});
+
+// Normalise a date to UTC midnight
+const toDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Method to check whether the restriction governs a given day
+stayRestrictionSchema.methods.appliesOn = function(date) {
+  const day = toDay(date);
+
+  if (this.startDate && day < toDay(this.startDate)) return false;
+  if (this.endDate && day > toDay(this.endDate)) return false;
+  if (this.daysOfWeek.length > 0 && !this.daysOfWeek.includes(day.getUTCDay())) return false;
+
+  return true;
+};
+
+// Method to check whether the restriction covers a room type
+stayRestrictionSchema.methods.appliesTo = function(roomType) {
+  return this.roomTypes.length === 0 || this.roomTypes.includes(roomType);
+};
+
+// Static method to find active restrictions that may touch a stay
+stayRestrictionSchema.statics.findForStay = function(roomType, checkIn, checkOut) {
+  return this.find({
+    isActive: true,
+    $and: [
+      { $or: [{ roomTypes: { $size: 0 } }, { roomTypes: roomType }] },
+      { $or: [{ startDate: null }, { startDate: { $lte: checkOut } }] },
+      { $or: [{ endDate: null }, { endDate: { $gte: toDay(checkIn) } }] }
+    ]
+  });
+};
+
+/**
+ * Check a stay against the global booking limits and every active
+ * restriction for the room type.
+ * Returns a list of reasons ({ code, message, restriction }); empty means the
+ * stay is allowed.
+ */
+stayRestrictionSchema.statics.evaluate = function(roomType, checkIn, checkOut) {
+  return this.evaluateSegments([{ roomType, checkIn, checkOut }]);
+};
+
+/**
+ * As evaluate(), for a stay split across rooms ({ roomType, checkIn, checkOut }
+ * per segment, back to back). Each room type's restrictions apply to the
+ * nights spent in it, but length-of-stay rules are judged on the whole stay,
+ * arrivals on the first segment and departures on the last.
+ */
+stayRestrictionSchema.statics.evaluateSegments = async function(segments) {
+  const arrival = toDay(segments[0].checkIn);
+  const departure = toDay(segments[segments.length - 1].checkOut);
+  const nights = Math.round((departure - arrival) / DAY_MS);
+  const reasons = [];
+
+  if (nights < BUSINESS_RULES.MIN_BOOKING_DAYS) {
+    reasons.push({
+      code: STAY_RESTRICTION_REASONS.MIN_STAY,
+      message: `Minimum stay is ${BUSINESS_RULES.MIN_BOOKING_DAYS} night(s)`
+    });
+  }
+
+  if (nights > BUSINESS_RULES.MAX_BOOKING_DAYS) {
+    reasons.push({
+      code: STAY_RESTRICTION_REASONS.MAX_STAY,
+      message: `Maximum stay is ${BUSINESS_RULES.MAX_BOOKING_DAYS} nights`
+    });
+  }
+
+  // A restriction covering several segments is reported once
+  const reported = new Set();
+  const report = (code, message, restriction) => {
+    const key = `${restriction._id}:${code}`;
+    if (reported.has(key)) return;
+
+    reported.add(key);
+    reasons.push({ code, message, restriction: { id: restriction._id, name: restriction.name } });
+  };
+
+  for (const [index, segment] of segments.entries()) {
+    const segmentStart = toDay(segment.checkIn);
+    const segmentEnd = toDay(segment.checkOut);
+    const segmentNights = Array.from(
+      { length: Math.round((segmentEnd - segmentStart) / DAY_MS) },
+      (_, i) => new Date(segmentStart.getTime() + i * DAY_MS)
+    );
+
+    const restrictions = await this.findForStay(segment.roomType, segmentStart, segmentEnd);
+
+    for (const restriction of restrictions) {
+      const coversStay = segmentNights.some(night => restriction.appliesOn(night));
+
+      if (index === 0 && restriction.closedToArrival && restriction.appliesOn(arrival)) {
+        report(
+          STAY_RESTRICTION_REASONS.CLOSED_TO_ARRIVAL,
+          `Arrivals are not permitted on ${arrival.toISOString().slice(0, 10)}`,
+          restriction
+        );
+      }
+
+      if (index === segments.length - 1 && restriction.closedToDeparture && restriction.appliesOn(departure)) {
+        report(
+          STAY_RESTRICTION_REASONS.CLOSED_TO_DEPARTURE,
+          `Departures are not permitted on ${departure.toISOString().slice(0, 10)}`,
+          restriction
+        );
+      }
+
+      if (coversStay && restriction.minNights && nights < restriction.minNights) {
+        report(
+          STAY_RESTRICTION_REASONS.MIN_STAY,
+          `Minimum stay is ${restriction.minNights} nights for these dates`,
+          restriction
+        );
+      }
+
+      if (coversStay && restriction.maxNights && nights > restriction.maxNights) {
+        report(
+          STAY_RESTRICTION_REASONS.MAX_STAY,
+          `Maximum stay is ${restriction.maxNights} nights for these dates`,
+          restriction
+        );
+      }
+    }
+  }
+
+  return reasons;
+};
+
+module.exports = mongoose.model('StayRestriction', stayRestrictionSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { ROOM_TYPES, WAITLIST_STATUS } = require('../config/constants');
+
+// A guest waiting for space on fully booked dates. Entries are offered
+// freed space first come, first served.
+const waitlistEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  checkInDate: {
+    type: Date,
+    required: true
+  },
+  checkOutDate: {
+    type: Date,
+    required: true
+  },
+  roomType: {
+    type: String,
+    enum: Object.values(ROOM_TYPES) // Empty means any room type
+  },
+  guestCount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  gender: {
+    type: String,
+    enum: ['female', 'male', 'other'] // For gender-restricted dorm beds
+  },
+  status: {
+    type: String,
+    enum: Object.values(WAITLIST_STATUS),
+    default: WAITLIST_STATUS.WAITING
+  },
+  offer: {
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' }, // Held booking the guest completes
+    room: { type: mongoose.Schema.Types.ObjectId, ref: 'Room' },
+    offeredAt: Date,
+    expiresAt: Date
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+waitlistEntrySchema.index({ status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ checkInDate: 1, checkOutDate: 1 });
+waitlistEntrySchema.index({ 'offer.booking': 1 });
+
+// Static method to find waiting entries that could use space freed over a date range, oldest first.
+// Without a range every entry still due to arrive is considered.
+waitlistEntrySchema.statics.findWaitingFor = function({ checkIn = null, checkOut = null, roomTypes = null, now = new Date() } = {}) {
+  const today = new Date(now);
+  today.setUTCHours(0, 0, 0, 0);
+
+  const query = {
+    status: WAITLIST_STATUS.WAITING,
+    checkInDate: { $gte: today }
+  };
+
+  if (checkIn && checkOut) {
+    query.checkInDate.$lt = checkOut;
+    query.checkOutDate = { $gt: checkIn };
+  }
+
+  if (roomTypes) {
+    query.$or = [{ roomType: null }, { roomType: { $in: roomTypes } }];
+  }
+
+  return this.find(query).sort({ createdAt: 1 });
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Events still processing after this long are assumed to have crashed and can be retried
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// One row per Stripe webhook event, so each event is processed exactly once
+const webhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  objectId: String, // Payment intent, charge, refund or dispute the event is about
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'failed'],
+    default: 'processing'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  startedAt: Date,
+  processedAt: Date,
+  lastError: String
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+webhookEventSchema.index({ type: 1, createdAt: -1 });
+
+// Static method to claim an event for processing. Returns null when the event
+// was already processed or another delivery is processing it right now.
+webhookEventSchema.statics.claim = async function(event, now = new Date()) {
+  try {
+    return await this.findOneAndUpdate(
+      {
+        eventId: event.id,
+        $or: [
+          { status: 'failed' },
+          { status: 'processing', startedAt: { $lte: new Date(now.getTime() - STALE_PROCESSING_MS) } }
+        ]
+      },
+      {
+        $set: {
+          type: event.type,
+          objectId: event.data?.object?.id,
+          status: 'processing',
+          startedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // The event is already recorded and not up for retry
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Instance method to record that the event was handled
+webhookEventSchema.methods.markProcessed = function() {
+  this.status = 'processed';
+  this.processedAt = new Date();
+  this.lastError = undefined;
+  return this.save();
+};
+
+// Instance method to record a failure, leaving the event for Stripe to redeliver
+webhookEventSchema.methods.markFailed = function(error) {
+  this.status = 'failed';
+  this.lastError = error.message;
+  return this.save();
+};
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
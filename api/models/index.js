@@ -2,10 +2,40 @@ const User = require('./User');
 const Room = require('./Room');
 const Booking = require('./Booking');
 const Payment = require('./Payment');
+const InventoryLock = require('./InventoryLock');
+const RatePlan = require('./RatePlan');
+const StayRestriction = require('./StayRestriction');
+const PromoCode = require('./PromoCode');
+const PromoRedemption = require('./PromoRedemption');
+const CancellationPolicy = require('./CancellationPolicy');
+const NightAudit = require('./NightAudit');
+const RoomBlock = require('./RoomBlock');
+const GroupBooking = require('./GroupBooking');
+const WaitlistEntry = require('./WaitlistEntry');
+const Product = require('./Product');
+const WebhookEvent = require('./WebhookEvent');
+const Dispute = require('./Dispute');
+const LedgerEntry = require('./LedgerEntry');
+const Payout = require('./Payout');
 
 module.exports = {
   User,
   Room,
   Booking,
-  Payment
+  Payment,
+  InventoryLock,
+  RatePlan,
+  StayRestriction,
+  PromoCode,
+  PromoRedemption,
+  CancellationPolicy,
+  NightAudit,
+  RoomBlock,
+  GroupBooking,
+  WaitlistEntry,
+  Product,
+  WebhookEvent,
+  Dispute,
+  LedgerEntry,
+  Payout
 };
\ No newline at end of file
@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+
+const adminController = require('../controllers/adminController');
+const ledgerController = require('../controllers/ledgerController');
+const payoutController = require('../controllers/payoutController');
+const { authenticate, adminOnly, staffOrAdmin } = require('../middleware/auth');
+const {
+  validateListingQuery,
+  validateMongoId,
+  validateTrialBalanceQuery,
+  validatePayoutReconciliation,
+  validatePayoutQuery
+} = require('../middleware/validation');
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+/**
+ * @route   POST /api/admin/night-audit
+ * @desc    Run the night audit: no-shows, revenue posting and business date roll
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/night-audit',
+  adminOnly,
+  adminController.runNightAudit
+);
+
+/**
+ * @route   GET /api/admin/night-audits
+ * @desc    List night audit reports
+ * @access  Private (Staff and Admin only)
+ */
+router.get(
+  '/night-audits',
+  staffOrAdmin,
+  validateListingQuery,
+  adminController.getNightAudits
+);
+
+/**
+ * @route   GET /api/admin/night-audits/:id
+ * @desc    Get night audit report
+ * @access  Private (Staff and Admin only)
+ */
+router.get(
+  '/night-audits/:id',
+  staffOrAdmin,
+  validateMongoId('id'),
+  adminController.getNightAuditById
+);
+
+/**
+ * @route   GET /api/admin/ledger/trial-balance
+ * @desc    Get the trial balance of the accounting ledger
+ * @access  Private (Staff and Admin only)
+ */
+router.get(
+  '/ledger/trial-balance',
+  staffOrAdmin,
+  validateTrialBalanceQuery,
+  ledgerController.getTrialBalance
+);
+
+/**
+ * @route   POST /api/admin/payouts/reconcile
+ * @desc    Reconcile Stripe payouts against payments, refunds and disputes
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/payouts/reconcile',
+  adminOnly,
+  validatePayoutReconciliation,
+  payoutController.reconcile
+);
+
+/**
+ * @route   GET /api/admin/payouts
+ * @desc    List reconciled payouts, or export their lines with format=csv
+ * @access  Private (Staff and Admin only)
+ */
+router.get(
+  '/payouts',
+  staffOrAdmin,
+  validatePayoutQuery,
+  payoutController.getPayouts
+);
+
+/**
+ * @route   GET /api/admin/payouts/:id
+ * @desc    Get a payout's reconciliation report, or export it with format=csv
+ * @access  Private (Staff and Admin only)
+ */
+router.get(
+  '/payouts/:id',
+  staffOrAdmin,
+  validateMongoId('id'),
+  validatePayoutQuery,
+  payoutController.getPayoutById
+);
+
+module.exports = router;
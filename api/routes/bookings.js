@@ -2,10 +2,21 @@ const express = require('express');
 const router = express.Router();
 
 const bookingController = require('../controllers/bookingController');
+const folioController = require('../controllers/folioController');
+const paymentLinkController = require('../controllers/paymentLinkController');
+const ledgerController = require('../controllers/ledgerController');
 const { authenticate, authorize, staffOrAdmin } = require('../middleware/auth');
 const {
   validateBookingCreation,
   validateBookingUpdate,
+  validateRoomMove,
+  validateStayChange,
+  validateCheckIn,
+  validateSecurityDeposit,
+  validateCheckOut,
+  validateFolioCharge,
+  validateFolioVoid,
+  validatePaymentLink,
   validateListingQuery,
   validateDateRange,
   validateMongoId
@@ -83,6 +94,135 @@ router.delete(
   bookingController.cancelBooking
 );
 
+/**
+ * @route   GET /api/bookings/:id/history
+ * @desc    Get booking status history
+ * @access  Private (Owner, Staff, Admin)
+ */
+router.get(
+  '/:id/history',
+  validateMongoId('id'),
+  bookingController.getBookingHistory
+);
+
+/**
+ * @route   GET /api/bookings/:id/cancellation-quote
+ * @desc    Preview the cancellation fee and refund under the booking's policy
+ * @access  Private (Owner, Staff, Admin)
+ */
+router.get(
+  '/:id/cancellation-quote',
+  validateMongoId('id'),
+  bookingController.getCancellationQuote
+);
+
+/**
+ * @route   POST /api/bookings/:id/move
+ * @desc    Move the guest to another room or beds for the rest of the stay
+ * @access  Private (Staff and Admin only)
+ */
+router.post(
+  '/:id/move',
+  staffOrAdmin,
+  validateRoomMove,
+  bookingController.moveRoom
+);
+
+/**
+ * @route   POST /api/bookings/:id/extend
+ * @desc    Extend an in-house stay and charge the extra nights
+ * @access  Private (Staff and Admin only)
+ */
+router.post(
+  '/:id/extend',
+  staffOrAdmin,
+  validateStayChange(true),
+  bookingController.extendStay
+);
+
+/**
+ * @route   POST /api/bookings/:id/shorten
+ * @desc    Shorten an in-house stay for an early departure and refund unused nights
+ * @access  Private (Staff and Admin only)
+ */
+router.post(
+  '/:id/shorten',
+  staffOrAdmin,
+  validateStayChange(),
+  bookingController.shortenStay
+);
+
+/**
+ * @route   POST /api/bookings/:id/refund
+ * @desc    Retry the Stripe refund for a cancelled booking
+ * @access  Private (Staff and Admin only)
+ */
+router.post(
+  '/:id/refund',
+  staffOrAdmin,
+  validateMongoId('id'),
+  bookingController.retryRefund
+);
+
+/**
+ * @route   GET /api/bookings/:id/folio
+ * @desc    Get booking folio with itemised charges and balance
+ * @access  Private (Owner, Staff, Admin)
+ */
+router.get(
+  '/:id/folio',
+  validateMongoId('id'),
+  folioController.getFolio
+);
+
+/**
+ * @route   GET /api/bookings/:id/ledger
+ * @desc    Get booking ledger entries and balance, reconciled with the amount remaining
+ * @access  Private (Staff and Admin only)
+ */
+router.get(
+  '/:id/ledger',
+  staffOrAdmin,
+  validateMongoId('id'),
+  ledgerController.getBookingLedger
+);
+
+/**
+ * @route   POST /api/bookings/:id/folio/charges
+ * @desc    Post an add-on or custom charge to the folio
+ * @access  Private (Staff and Admin only)
+ */
+router.post(
+  '/:id/folio/charges',
+  staffOrAdmin,
+  validateFolioCharge,
+  folioController.postCharge
+);
+
+/**
+ * @route   POST /api/bookings/:id/folio/charges/:lineId/void
+ * @desc    Void a folio charge with a reason code
+ * @access  Private (Staff and Admin only)
+ */
+router.post(
+  '/:id/folio/charges/:lineId/void',
+  staffOrAdmin,
+  validateFolioVoid,
+  folioController.voidCharge
+);
+
+/**
+ * @route   POST /api/bookings/:id/payment-links
+ * @desc    Email the guest a link to pay the booking without an account
+ * @access  Private (Staff and Admin only)
+ */
+router.post(
+  '/:id/payment-links',
+  staffOrAdmin,
+  validatePaymentLink,
+  paymentLinkController.createPaymentLink
+);
+
 /**
  * @route   POST /api/bookings/:id/checkin
  * @desc    Check-in guest
@@ -90,11 +230,23 @@ router.delete(
  */
 router.post(
   '/:id/checkin',
-  validateMongoId('id'),
+  validateCheckIn,
   staffOrAdmin,
   bookingController.checkIn
 );
 
+/**
+ * @route   POST /api/bookings/:id/security-deposit
+ * @desc    Take the security deposit for an in-house guest
+ * @access  Private (Staff and Admin only)
+ */
+router.post(
+  '/:id/security-deposit',
+  staffOrAdmin,
+  validateSecurityDeposit,
+  bookingController.takeSecurityDeposit
+);
+
 /**
  * @route   POST /api/bookings/:id/checkout
  * @desc    Check-out guest
@@ -102,7 +254,7 @@ router.post(
  */
 router.post(
   '/:id/checkout',
-  validateMongoId('id'),
+  validateCheckOut,
   staffOrAdmin,
   bookingController.checkOut
 );
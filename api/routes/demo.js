@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * Demo routes serving static sample payloads, mounted under /api/demo.
+ * Only registered when the app is created in demo mode (DEMO_MODE=true),
+ * so production deployments never return fabricated bookings or metrics.
+ */
+
+// Sample bookings endpoint
+router.get('/bookings', (req, res) => {
+  res.json({
+    success: true,
+    demo: true,
+    data: {
+      bookings: [
+        {
+          id: 'bk_001',
+          bookingNumber: 'PVT-2024-001',
+          guestName: 'John Doe',
+          email: 'john.doe@example.com',
+          checkIn: '2024-10-20',
+          checkOut: '2024-10-22',
+          roomType: 'Private Room',
+          status: 'confirmed',
+          totalAmount: 150.00,
+          currency: 'CAD',
+          paymentStatus: 'paid',
+          createdAt: '2024-10-16T08:00:00Z'
+        },
+        {
+          id: 'bk_002', 
+          bookingNumber: 'PVT-2024-002',
+          guestName: 'Jane Smith',
+          email: 'jane.smith@example.com',
+          checkIn: '2024-10-25',
+          checkOut: '2024-10-27',
+          roomType: 'Dormitory',
+          status: 'pending',
+          totalAmount: 75.00,
+          currency: 'CAD',
+          paymentStatus: 'pending',
+          createdAt: '2024-10-16T09:00:00Z'
+        }
+      ],
+      pagination: {
+        total: 247,
+        page: 1,
+        limit: 20,
+        totalPages: 13
+      },
+      statistics: {
+        activeBookings: 23,
+        pendingBookings: 5,
+        completedBookings: 219
+      }
+    }
+  });
+});
+
+// Sample metrics endpoint
+router.get('/metrics', (req, res) => {
+  res.json({
+    success: true,
+    demo: true,
+    data: {
+      summary: {
+        totalBookings: 1247,
+        activeBookings: 23,
+        revenue: 45678.90,
+        currency: 'CAD',
+        averageStay: 2.3,
+        occupancyRate: 0.89
+      },
+      performance: {
+        avgResponseTime: '45ms',
+        uptime: '99.9%',
+        requestsToday: '1.2K',
+        errorRate: '0.1%'
+      },
+      features: {
+        paymentsEnabled: true,
+        emailNotifications: true,
+        realTimeSync: true,
+        analytics: true,
+        multiDatabase: true
+      },
+      platform: 'netlify',
+      version: '2.0.0',
+      lastUpdated: new Date().toISOString()
+    }
+  });
+});
+
+module.exports = router;
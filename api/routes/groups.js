@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+
+const groupController = require('../controllers/groupController');
+const { authenticate, staffOrAdmin } = require('../middleware/auth');
+const {
+  validateGroupBooking,
+  validateGroupMember,
+  validateListingQuery,
+  validateMongoId
+} = require('../middleware/validation');
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+/**
+ * @route   GET /api/groups
+ * @desc    List group bookings
+ * @access  Private (Staff and Admin only)
+ */
+router.get(
+  '/',
+  staffOrAdmin,
+  validateListingQuery,
+  groupController.getGroups
+);
+
+/**
+ * @route   POST /api/groups
+ * @desc    Create a group booking with its member rooms
+ * @access  Private (Staff and Admin only)
+ */
+router.post(
+  '/',
+  staffOrAdmin,
+  validateGroupBooking(),
+  groupController.createGroup
+);
+
+/**
+ * @route   GET /api/groups/:id
+ * @desc    Get group booking with its members
+ * @access  Private (Group leader, Staff, Admin)
+ */
+router.get(
+  '/:id',
+  validateMongoId('id'),
+  groupController.getGroupById
+);
+
+/**
+ * @route   PUT /api/groups/:id
+ * @desc    Update group name, leader contact, billing or notes
+ * @access  Private (Group leader, Staff, Admin)
+ */
+router.put(
+  '/:id',
+  validateMongoId('id'),
+  validateGroupBooking(true),
+  groupController.updateGroup
+);
+
+/**
+ * @route   DELETE /api/groups/:id
+ * @desc    Cancel the whole group
+ * @access  Private (Group leader, Staff, Admin)
+ */
+router.delete(
+  '/:id',
+  validateMongoId('id'),
+  groupController.cancelGroup
+);
+
+/**
+ * @route   GET /api/groups/:id/folio
+ * @desc    Get member charges, payments and balances
+ * @access  Private (Group leader, Staff, Admin)
+ */
+router.get(
+  '/:id/folio',
+  validateMongoId('id'),
+  groupController.getGroupFolio
+);
+
+/**
+ * @route   POST /api/groups/:id/members
+ * @desc    Add a member room to the group
+ * @access  Private (Staff and Admin only)
+ */
+router.post(
+  '/:id/members',
+  staffOrAdmin,
+  validateMongoId('id'),
+  validateGroupMember,
+  groupController.addMember
+);
+
+/**
+ * @route   PUT /api/groups/:id/members/:bookingId
+ * @desc    Update a member's guest details or special requests
+ * @access  Private (Group leader, Staff, Admin)
+ */
+router.put(
+  '/:id/members/:bookingId',
+  validateMongoId('id'),
+  validateMongoId('bookingId'),
+  groupController.updateMember
+);
+
+/**
+ * @route   DELETE /api/groups/:id/members/:bookingId
+ * @desc    Cancel one member of the group
+ * @access  Private (Group leader, Staff, Admin)
+ */
+router.delete(
+  '/:id/members/:bookingId',
+  validateMongoId('id'),
+  validateMongoId('bookingId'),
+  groupController.cancelMember
+);
+
+module.exports = router;
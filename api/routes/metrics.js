@@ -30,4 +30,14 @@ router.get(
   metricsController.getCustomMetrics
 );
 
+/**
+ * @route   GET /api/metrics/promotions
+ * @desc    Get promo code redemptions and revenue per campaign
+ * @access  Private (Staff and Admin only)
+ */
+router.get(
+  '/promotions',
+  metricsController.getPromotionReport
+);
+
 module.exports = router;
\ No newline at end of file
@@ -2,18 +2,23 @@ const express = require('express');
 const router = express.Router();
 
 const paymentController = require('../controllers/paymentController');
+const paymentLinkController = require('../controllers/paymentLinkController');
+const disputeController = require('../controllers/disputeController');
 const { authenticate, staffOrAdmin } = require('../middleware/auth');
 const {
   validatePayment,
+  validateManualPayment,
+  validatePaymentVoid,
   validateListingQuery,
   validateDateRange,
-  validateMongoId
+  validateMongoId,
+  validateDisputeEvidence
 } = require('../middleware/validation');
 const { body } = require('express-validator');
 
-// Apply authentication to all routes except webhooks
+// Apply authentication to all routes except webhooks and payment links
 router.use((req, res, next) => {
-  if (req.path === '/webhook') {
+  if (req.path === '/webhook' || req.path.startsWith('/links/')) {
     return next();
   }
   authenticate(req, res, next);
@@ -30,6 +35,18 @@ router.post(
   paymentController.createPaymentIntent
 );
 
+/**
+ * @route   POST /api/payments/record
+ * @desc    Record a cash or bank transfer payment taken at the front desk
+ * @access  Private (Staff and Admin only)
+ */
+router.post(
+  '/record',
+  staffOrAdmin,
+  validateManualPayment,
+  paymentController.recordManualPayment
+);
+
 /**
  * @route   GET /api/payments
  * @desc    Get all payments with filtering
@@ -42,6 +59,26 @@ router.get(
   paymentController.getAllPayments
 );
 
+/**
+ * @route   GET /api/payments/links/:token
+ * @desc    Open a payment link: the booking and the amount to pay
+ * @access  Public (signed link)
+ */
+router.get(
+  '/links/:token',
+  paymentLinkController.getPaymentLink
+);
+
+/**
+ * @route   POST /api/payments/links/:token/intent
+ * @desc    Create the payment intent for a payment link
+ * @access  Public (signed link)
+ */
+router.post(
+  '/links/:token/intent',
+  paymentLinkController.createPaymentIntent
+);
+
 /**
  * @route   GET /api/payments/analytics
  * @desc    Get payment analytics
@@ -54,6 +91,42 @@ router.get(
   paymentController.getPaymentAnalytics
 );
 
+/**
+ * @route   GET /api/payments/disputes
+ * @desc    List chargebacks and inquiries
+ * @access  Private (Staff and Admin only)
+ */
+router.get(
+  '/disputes',
+  staffOrAdmin,
+  validateListingQuery,
+  disputeController.getAllDisputes
+);
+
+/**
+ * @route   GET /api/payments/disputes/:id
+ * @desc    Get a dispute and the evidence its booking supports
+ * @access  Private (Staff and Admin only)
+ */
+router.get(
+  '/disputes/:id',
+  staffOrAdmin,
+  validateMongoId('id'),
+  disputeController.getDisputeById
+);
+
+/**
+ * @route   POST /api/payments/disputes/:id/evidence
+ * @desc    Submit evidence for a dispute to Stripe
+ * @access  Private (Staff and Admin only)
+ */
+router.post(
+  '/disputes/:id/evidence',
+  staffOrAdmin,
+  validateDisputeEvidence,
+  disputeController.submitEvidence
+);
+
 /**
  * @route   GET /api/payments/:id
  * @desc    Get payment by ID
@@ -88,6 +161,18 @@ router.post(
   paymentController.createRefund
 );
 
+/**
+ * @route   POST /api/payments/:id/void
+ * @desc    Void a cash or bank transfer payment recorded by mistake
+ * @access  Private (Staff and Admin only)
+ */
+router.post(
+  '/:id/void',
+  staffOrAdmin,
+  validatePaymentVoid,
+  paymentController.voidPayment
+);
+
 /**
  * @route   POST /api/payments/webhook
  * @desc    Handle Stripe webhooks
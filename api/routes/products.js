@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+
+const productController = require('../controllers/productController');
+const { authenticate, adminOnly, optionalAuth } = require('../middleware/auth');
+const {
+  validateProduct,
+  validateListingQuery,
+  validateMongoId
+} = require('../middleware/validation');
+
+/**
+ * @route   GET /api/products
+ * @desc    List add-on products (staff also see inactive ones)
+ * @access  Public
+ */
+router.get(
+  '/',
+  optionalAuth,
+  validateListingQuery,
+  productController.getProducts
+);
+
+/**
+ * @route   POST /api/products
+ * @desc    Create add-on product
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/',
+  authenticate,
+  adminOnly,
+  validateProduct(),
+  productController.createProduct
+);
+
+/**
+ * @route   GET /api/products/:id
+ * @desc    Get add-on product
+ * @access  Public
+ */
+router.get(
+  '/:id',
+  optionalAuth,
+  validateMongoId('id'),
+  productController.getProductById
+);
+
+/**
+ * @route   PUT /api/products/:id
+ * @desc    Update add-on product
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  adminOnly,
+  validateMongoId('id'),
+  validateProduct(true),
+  productController.updateProduct
+);
+
+/**
+ * @route   DELETE /api/products/:id
+ * @desc    Take add-on product off sale
+ * @access  Private (Admin only)
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  adminOnly,
+  validateMongoId('id'),
+  productController.deleteProduct
+);
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+
+const promoCodeController = require('../controllers/promoCodeController');
+const { authenticate, adminOnly, staffOrAdmin, optionalAuth } = require('../middleware/auth');
+const {
+  validatePromoCode,
+  validatePromoCodeCheck,
+  validateListingQuery,
+  validateMongoId
+} = require('../middleware/validation');
+
+/**
+ * @route   POST /api/promo-codes/validate
+ * @desc    Validate a promo code against a quote for a stay
+ * @access  Public (per-guest limits are checked when signed in)
+ */
+router.post(
+  '/validate',
+  optionalAuth,
+  validatePromoCodeCheck,
+  promoCodeController.validatePromoCode
+);
+
+/**
+ * @route   GET /api/promo-codes
+ * @desc    List promo codes
+ * @access  Private (Staff and Admin only)
+ */
+router.get(
+  '/',
+  authenticate,
+  staffOrAdmin,
+  validateListingQuery,
+  promoCodeController.getPromoCodes
+);
+
+/**
+ * @route   POST /api/promo-codes
+ * @desc    Create promo code
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/',
+  authenticate,
+  adminOnly,
+  validatePromoCode(),
+  promoCodeController.createPromoCode
+);
+
+/**
+ * @route   GET /api/promo-codes/:id
+ * @desc    Get promo code with redemptions
+ * @access  Private (Staff and Admin only)
+ */
+router.get(
+  '/:id',
+  authenticate,
+  staffOrAdmin,
+  validateMongoId('id'),
+  promoCodeController.getPromoCodeById
+);
+
+/**
+ * @route   PUT /api/promo-codes/:id
+ * @desc    Update promo code
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  adminOnly,
+  validateMongoId('id'),
+  validatePromoCode(true),
+  promoCodeController.updatePromoCode
+);
+
+/**
+ * @route   DELETE /api/promo-codes/:id
+ * @desc    Deactivate promo code
+ * @access  Private (Admin only)
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  adminOnly,
+  validateMongoId('id'),
+  promoCodeController.deletePromoCode
+);
+
+module.exports = router;
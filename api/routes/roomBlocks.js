@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+
+const roomBlockController = require('../controllers/roomBlockController');
+const { authenticate, staffOrAdmin } = require('../middleware/auth');
+const {
+  validateRoomBlock,
+  validateListingQuery,
+  validateMongoId
+} = require('../middleware/validation');
+
+// Apply authentication to all routes
+router.use(authenticate, staffOrAdmin);
+
+/**
+ * @route   GET /api/room-blocks
+ * @desc    List room blocks
+ * @access  Private (Staff and Admin only)
+ */
+router.get(
+  '/',
+  validateListingQuery,
+  roomBlockController.getRoomBlocks
+);
+
+/**
+ * @route   POST /api/room-blocks
+ * @desc    Create a room block held until its cutoff date
+ * @access  Private (Staff and Admin only)
+ */
+router.post(
+  '/',
+  validateRoomBlock,
+  roomBlockController.createRoomBlock
+);
+
+/**
+ * @route   GET /api/room-blocks/:id
+ * @desc    Get room block with its pickup
+ * @access  Private (Staff and Admin only)
+ */
+router.get(
+  '/:id',
+  validateMongoId('id'),
+  roomBlockController.getRoomBlockById
+);
+
+/**
+ * @route   DELETE /api/room-blocks/:id
+ * @desc    Release the block's unpicked nights now
+ * @access  Private (Staff and Admin only)
+ */
+router.delete(
+  '/:id',
+  validateMongoId('id'),
+  roomBlockController.releaseRoomBlock
+);
+
+module.exports = router;
@@ -2,9 +2,16 @@ const express = require('express');
 const router = express.Router();
 
 const roomController = require('../controllers/roomController');
+const ratePlanController = require('../controllers/ratePlanController');
+const stayRestrictionController = require('../controllers/stayRestrictionController');
+const cancellationPolicyController = require('../controllers/cancellationPolicyController');
 const { authenticate, adminOnly, staffOrAdmin, optionalAuth } = require('../middleware/auth');
 const {
   validateRoomCreation,
+  validateBedUpdate,
+  validateRatePlan,
+  validateStayRestriction,
+  validateCancellationPolicy,
   validateListingQuery,
   validateDateRange,
   validateMongoId
@@ -47,6 +54,169 @@ router.get(
   roomController.getRoomStats
 );
 
+/**
+ * @route   GET /api/rooms/rate-plans
+ * @desc    List rate plans (admins may include inactive plans)
+ * @access  Public
+ */
+router.get(
+  '/rate-plans',
+  optionalAuth,
+  ratePlanController.getRatePlans
+);
+
+/**
+ * @route   POST /api/rooms/rate-plans
+ * @desc    Create rate plan
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/rate-plans',
+  authenticate,
+  adminOnly,
+  validateRatePlan(),
+  ratePlanController.createRatePlan
+);
+
+/**
+ * @route   GET /api/rooms/rate-plans/:ratePlanId
+ * @desc    Get rate plan by ID
+ * @access  Public
+ */
+router.get(
+  '/rate-plans/:ratePlanId',
+  validateMongoId('ratePlanId'),
+  ratePlanController.getRatePlanById
+);
+
+/**
+ * @route   PUT /api/rooms/rate-plans/:ratePlanId
+ * @desc    Update rate plan
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/rate-plans/:ratePlanId',
+  authenticate,
+  adminOnly,
+  validateMongoId('ratePlanId'),
+  validateRatePlan(true),
+  ratePlanController.updateRatePlan
+);
+
+/**
+ * @route   DELETE /api/rooms/rate-plans/:ratePlanId
+ * @desc    Deactivate rate plan
+ * @access  Private (Admin only)
+ */
+router.delete(
+  '/rate-plans/:ratePlanId',
+  authenticate,
+  adminOnly,
+  validateMongoId('ratePlanId'),
+  ratePlanController.deleteRatePlan
+);
+
+/**
+ * @route   GET /api/rooms/cancellation-policies
+ * @desc    List cancellation policies
+ * @access  Public
+ */
+router.get(
+  '/cancellation-policies',
+  cancellationPolicyController.getPolicies
+);
+
+/**
+ * @route   POST /api/rooms/cancellation-policies
+ * @desc    Create cancellation policy
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/cancellation-policies',
+  authenticate,
+  adminOnly,
+  validateCancellationPolicy(),
+  cancellationPolicyController.createPolicy
+);
+
+/**
+ * @route   PUT /api/rooms/cancellation-policies/:policyId
+ * @desc    Update cancellation policy (existing bookings keep their terms)
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/cancellation-policies/:policyId',
+  authenticate,
+  adminOnly,
+  validateMongoId('policyId'),
+  validateCancellationPolicy(true),
+  cancellationPolicyController.updatePolicy
+);
+
+/**
+ * @route   DELETE /api/rooms/cancellation-policies/:policyId
+ * @desc    Deactivate cancellation policy
+ * @access  Private (Admin only)
+ */
+router.delete(
+  '/cancellation-policies/:policyId',
+  authenticate,
+  adminOnly,
+  validateMongoId('policyId'),
+  cancellationPolicyController.deletePolicy
+);
+
+/**
+ * @route   GET /api/rooms/restrictions
+ * @desc    List stay restrictions (min/max stay, closed to arrival/departure)
+ * @access  Public
+ */
+router.get(
+  '/restrictions',
+  validateDateRange,
+  stayRestrictionController.getRestrictions
+);
+
+/**
+ * @route   POST /api/rooms/restrictions
+ * @desc    Create stay restriction
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/restrictions',
+  authenticate,
+  adminOnly,
+  validateStayRestriction(),
+  stayRestrictionController.createRestriction
+);
+
+/**
+ * @route   PUT /api/rooms/restrictions/:restrictionId
+ * @desc    Update stay restriction
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/restrictions/:restrictionId',
+  authenticate,
+  adminOnly,
+  validateMongoId('restrictionId'),
+  validateStayRestriction(true),
+  stayRestrictionController.updateRestriction
+);
+
+/**
+ * @route   DELETE /api/rooms/restrictions/:restrictionId
+ * @desc    Delete stay restriction
+ * @access  Private (Admin only)
+ */
+router.delete(
+  '/restrictions/:restrictionId',
+  authenticate,
+  adminOnly,
+  validateMongoId('restrictionId'),
+  stayRestrictionController.deleteRestriction
+);
+
 /**
  * @route   POST /api/rooms
  * @desc    Create new room
@@ -108,4 +278,29 @@ router.get(
   roomController.checkAvailability
 );
 
+/**
+ * @route   GET /api/rooms/:id/beds
+ * @desc    List beds in a dorm or shared room, with availability for dates
+ * @access  Public
+ */
+router.get(
+  '/:id/beds',
+  validateMongoId('id'),
+  roomController.getRoomBeds
+);
+
+/**
+ * @route   PUT /api/rooms/:id/beds/:bedId
+ * @desc    Update a bed (label, bunk position, gender restriction, status)
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/:id/beds/:bedId',
+  authenticate,
+  adminOnly,
+  validateMongoId('id'),
+  validateBedUpdate,
+  roomController.updateBed
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+
+const waitlistController = require('../controllers/waitlistController');
+const { authenticate, staffOrAdmin } = require('../middleware/auth');
+const {
+  validateWaitlistEntry,
+  validateDateRange,
+  validateMongoId
+} = require('../middleware/validation');
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+/**
+ * @route   POST /api/waitlist
+ * @desc    Join the waitlist for fully booked dates
+ * @access  Private
+ */
+router.post(
+  '/',
+  validateWaitlistEntry,
+  waitlistController.joinWaitlist
+);
+
+/**
+ * @route   GET /api/waitlist/mine
+ * @desc    Get current user's waitlist entries and offers
+ * @access  Private
+ */
+router.get(
+  '/mine',
+  waitlistController.getMyWaitlist
+);
+
+/**
+ * @route   GET /api/waitlist
+ * @desc    Get the waitlist by night
+ * @access  Private (Staff and Admin only)
+ */
+router.get(
+  '/',
+  staffOrAdmin,
+  validateDateRange,
+  waitlistController.getWaitlist
+);
+
+/**
+ * @route   POST /api/waitlist/process
+ * @desc    Offer free space to the waitlist now
+ * @access  Private (Staff and Admin only)
+ */
+router.post(
+  '/process',
+  staffOrAdmin,
+  waitlistController.processWaitlist
+);
+
+/**
+ * @route   DELETE /api/waitlist/:id
+ * @desc    Leave the waitlist, cancelling any held offer
+ * @access  Private (Owner, Staff or Admin)
+ */
+router.delete(
+  '/:id',
+  validateMongoId('id'),
+  waitlistController.leaveWaitlist
+);
+
+module.exports = router;
@@ -0,0 +1,202 @@
+const { Booking, Payment, User } = require('../models');
+const { BOOKING_STATUS, BUSINESS_RULES, PAYMENT_STATUS } = require('../config/constants');
+const stripeUtils = require('../utils/stripe');
+const bookingStateMachine = require('./bookingStateMachine');
+const refundService = require('./refundService');
+const emailService = require('./emailService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class BalanceService {
+  /**
+   * Part-paid bookings whose balance is due and ready for another attempt
+   * @param {Date} now - Reference time
+   * @returns {Array} Booking documents
+   */
+  findDue(now = new Date()) {
+    return Booking.find({
+      status: BOOKING_STATUS.PENDING,
+      'payment.balanceDueDate': { $lte: now },
+      'payment.remainingAmount': { $gt: 0 },
+      'payment.balanceCharge.attempts': { $lt: BUSINESS_RULES.MAX_BALANCE_CHARGE_ATTEMPTS },
+      $or: [
+        { 'payment.balanceCharge.nextAttemptAt': null },
+        { 'payment.balanceCharge.nextAttemptAt': { $lte: now } }
+      ]
+    });
+  }
+
+  /**
+   * Charge a booking's balance to the card the guest saved when paying the
+   * deposit, without the guest present. Stripe settles the payment through
+   * the webhook like any other; a refused card counts as a failed attempt.
+   * @param {Object} booking - Booking document
+   * @param {Object} options - { now }
+   * @returns {Object} { payment, error, cancelled }
+   */
+  async chargeBalance(booking, { now = new Date() } = {}) {
+    const { balanceCharge } = booking.payment;
+    const amount = booking.payment.remainingAmount;
+
+    balanceCharge.lastAttemptAt = now;
+    balanceCharge.nextAttemptAt = new Date(now.getTime() + BUSINESS_RULES.BALANCE_RETRY_HOURS * HOUR_MS);
+
+    const user = await User.findById(booking.user);
+    const currency = booking.pricing.currency || 'USD';
+    let card, paymentIntent;
+
+    try {
+      const { paymentMethodId } = balanceCharge;
+      card = user?.stripeCustomerId && paymentMethodId
+        ? await stripeUtils.retrievePaymentMethod(paymentMethodId)
+        : null;
+      if (!card) {
+        return this.recordFailure(booking, 'No saved card to charge', { now });
+      }
+
+      paymentIntent = await stripeUtils.createPaymentIntent({
+        amount,
+        currency: currency.toLowerCase(),
+        customerId: user.stripeCustomerId,
+        description: `Balance for booking ${booking.bookingReference}`,
+        metadata: {
+          bookingId: booking._id.toString(),
+          userId: user._id.toString(),
+          bookingReference: booking.bookingReference
+        },
+        paymentMethodId: card.id,
+        offSession: true,
+        // A job run that is retried must not charge the guest twice
+        idempotencyKey: `balance-${booking._id}-${balanceCharge.attempts}-${Math.round(amount * 100)}`
+      });
+    } catch (error) {
+      return this.recordFailure(booking, error.message, { now });
+    }
+
+    // Cards needing the guest to authenticate cannot be charged off-session
+    if (!['succeeded', 'processing'].includes(paymentIntent.status)) {
+      await stripeUtils.cancelPaymentIntent(paymentIntent.id).catch(() => {});
+      return this.recordFailure(booking, 'The card needs you to confirm the payment', { now });
+    }
+
+    const payment = await Payment.create({
+      booking: booking._id,
+      user: user._id,
+      amount,
+      currency,
+      status: PAYMENT_STATUS.PENDING,
+      paymentMethod: {
+        type: 'card',
+        details: {
+          brand: card.card?.brand,
+          last4: card.card?.last4
+        }
+      },
+      stripePaymentIntentId: paymentIntent.id,
+      description: paymentIntent.description,
+      metadata: { schedule: 'balance' }
+    });
+
+    balanceCharge.lastError = undefined;
+    await booking.save();
+
+    return { payment, error: null, cancelled: false };
+  }
+
+  /**
+   * Count a failed balance charge. The guest is emailed while attempts are
+   * left; after the last one the booking is cancelled under its
+   * cancellation terms, refunding whatever the terms allow.
+   * @param {Object} booking - Booking document
+   * @param {String} error - Why the charge failed
+   * @param {Object} options - { now }
+   * @returns {Object} { payment, error, cancelled }
+   */
+  async recordFailure(booking, error, { now = new Date() } = {}) {
+    const { balanceCharge } = booking.payment;
+    balanceCharge.attempts += 1;
+    balanceCharge.lastError = error;
+
+    const attemptsLeft = BUSINESS_RULES.MAX_BALANCE_CHARGE_ATTEMPTS - balanceCharge.attempts;
+    const user = await User.findById(booking.user);
+
+    if (attemptsLeft > 0 || !bookingStateMachine.can(booking, BOOKING_STATUS.CANCELLED)) {
+      await booking.save();
+
+      if (user) {
+        const email = await emailService.sendBalancePaymentFailed(booking, user, {
+          error,
+          attemptsLeft,
+          nextAttemptAt: balanceCharge.nextAttemptAt
+        });
+        if (!email.success) {
+          console.warn(`Balance reminder for ${booking.bookingReference} not sent:`, email.error);
+        }
+      }
+
+      return { payment: null, error, cancelled: false };
+    }
+
+    const cancellationFee = booking.calculateCancellationFee(now);
+    booking.cancellation = {
+      fee: cancellationFee,
+      refundAmount: Math.max(0, booking.payment.paidAmount - cancellationFee),
+      refundProcessed: booking.payment.paidAmount <= cancellationFee,
+      refundedAmount: 0,
+      refundAttempts: 0
+    };
+
+    await bookingStateMachine.transition(booking, BOOKING_STATUS.CANCELLED, {
+      reason: `Balance not paid after ${balanceCharge.attempts} attempts`,
+      now
+    });
+    await refundService.processCancellation(booking);
+
+    return { payment: null, error, cancelled: true };
+  }
+
+  /**
+   * Record a balance charge that Stripe accepted and then failed
+   * @param {Object} payment - Failed Payment document
+   * @param {String} error - Failure message
+   * @returns {Object|null} Failure result, or null when not a balance charge
+   */
+  async recordFailedCharge(payment, error) {
+    if (payment.metadata?.get('schedule') !== 'balance') {
+      return null;
+    }
+
+    const booking = await Booking.findById(payment.booking);
+    if (!booking || booking.status !== BOOKING_STATUS.PENDING) {
+      return null;
+    }
+
+    return this.recordFailure(booking, error || 'Payment failed');
+  }
+
+  /**
+   * Charge every balance that is due
+   * @param {Object} options - { now }
+   * @returns {Object} Summary of charged, failed and cancelled bookings
+   */
+  async chargeDueBalances({ now = new Date() } = {}) {
+    const bookings = await this.findDue(now);
+    const summary = { due: bookings.length, charged: [], failed: [], cancelled: [] };
+
+    for (const booking of bookings) {
+      const result = await this.chargeBalance(booking, { now });
+
+      if (result.cancelled) {
+        summary.cancelled.push(booking.bookingReference);
+      } else if (result.error) {
+        summary.failed.push({ bookingReference: booking.bookingReference, error: result.error });
+      } else {
+        summary.charged.push(booking.bookingReference);
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new BalanceService();
@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const { BOOKING_STATUS, USER_ROLES, API_MESSAGES } = require('../config/constants');
+const { APIError } = require('../middleware/errorHandler');
+const waitlistService = require('./waitlistService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const {
+  HOLD,
+  PENDING,
+  CONFIRMED,
+  CANCELLED,
+  CHECKED_IN,
+  CHECKED_OUT,
+  NO_SHOW,
+  EXPIRED
+} = BOOKING_STATUS;
+
+// Who is changing the status: the booking's guest, staff, an admin, or a job/webhook
+const ACTORS = {
+  OWNER: 'owner',
+  STAFF: USER_ROLES.STAFF,
+  ADMIN: USER_ROLES.ADMIN,
+  SYSTEM: 'system'
+};
+
+const ANY_ACTOR = [ACTORS.OWNER, ACTORS.STAFF, ACTORS.ADMIN, ACTORS.SYSTEM];
+const STAFF_ONLY = [ACTORS.STAFF, ACTORS.ADMIN];
+
+// Guards return a reason the transition is not allowed, or null
+const guards = {
+  paidInFull: (booking) => {
+    return booking.payment.remainingAmount > 0 ? 'Booking is not paid in full' : null;
+  },
+  underpaid: (booking) => {
+    return booking.payment.remainingAmount > 0 ? null : 'Booking is paid in full';
+  },
+  holdLapsed: (booking, now) => {
+    return booking.hold?.expiresAt && booking.hold.expiresAt <= now && !booking.hold.convertedAt
+      ? null
+      : 'Inventory hold has not lapsed';
+  },
+  arrivalDay: (booking, now) => {
+    // Early check-in is allowed from the day before arrival
+    const daysUntilCheckIn = (new Date(booking.checkInDate) - now) / DAY_MS;
+    return daysUntilCheckIn > 1 ? 'Check-in is too early' : null;
+  },
+  arrivalPassed: (booking, now) => {
+    return new Date(booking.checkInDate) > now ? 'Check-in date has not passed yet' : null;
+  }
+};
+
+/**
+ * Allowed transitions by current status. Terminal statuses have none.
+ */
+const TRANSITIONS = {
+  [HOLD]: {
+    [PENDING]: { actors: [ACTORS.SYSTEM] },
+    [CONFIRMED]: { actors: [ACTORS.SYSTEM], guard: guards.paidInFull },
+    [EXPIRED]: { actors: [ACTORS.SYSTEM], guard: guards.holdLapsed },
+    [CANCELLED]: { actors: ANY_ACTOR }
+  },
+  [PENDING]: {
+    [CONFIRMED]: { actors: [ACTORS.SYSTEM], guard: guards.paidInFull },
+    [NO_SHOW]: { actors: [...STAFF_ONLY, ACTORS.SYSTEM], guard: guards.arrivalPassed },
+    [CANCELLED]: { actors: ANY_ACTOR }
+  },
+  [CONFIRMED]: {
+    [PENDING]: { actors: [ACTORS.SYSTEM], guard: guards.underpaid }, // A payment it relied on was voided
+    [CHECKED_IN]: { actors: STAFF_ONLY, guard: guards.arrivalDay },
+    [NO_SHOW]: { actors: [...STAFF_ONLY, ACTORS.SYSTEM], guard: guards.arrivalPassed },
+    [CANCELLED]: { actors: ANY_ACTOR }
+  },
+  [CHECKED_IN]: {
+    [CHECKED_OUT]: { actors: STAFF_ONLY }
+  }
+};
+
+// Freeing inventory when a booking will no longer be stayed in, then offering it to the waitlist
+const releaseBooking = async (booking, { now }) => {
+  await booking.releaseInventory();
+  await mongoose.model('PromoRedemption').release(booking._id);
+  await waitlistService.offerBookingSpace(booking, { now });
+};
+
+// A waitlist offer the guest has taken up
+const recordWaitlistBooking = (booking) => waitlistService.recordOfferOutcome(booking);
+
+// Every room the stay touches, so moves and split stays are counted where the guest is
+const updateRoomOccupancy = async (booking) => {
+  const roomIds = booking.getSegments().map(segment => segment.room._id || segment.room);
+  const rooms = await mongoose.model('Room').find({ _id: { $in: roomIds } });
+
+  for (const room of rooms) {
+    await room.updateOccupancy();
+  }
+};
+
+/**
+ * Side effects of entering a status. `before` runs ahead of the save,
+ * `after` once the new status is stored.
+ */
+const HOOKS = {
+  [PENDING]: { after: recordWaitlistBooking },
+  [CONFIRMED]: { after: recordWaitlistBooking },
+  [CHECKED_IN]: {
+    before: (booking, { now }) => { booking.actualCheckIn = now; },
+    after: updateRoomOccupancy
+  },
+  [CHECKED_OUT]: {
+    before: (booking, { now }) => { booking.actualCheckOut = now; },
+    after: updateRoomOccupancy
+  },
+  [CANCELLED]: {
+    before: (booking, { user, reason, now }) => {
+      booking.cancellation.cancelledAt = now;
+      booking.cancellation.cancelledBy = user?._id;
+      booking.cancellation.reason = reason;
+    },
+    after: releaseBooking
+  },
+  [EXPIRED]: { after: releaseBooking },
+  [NO_SHOW]: { after: releaseBooking }
+};
+
+class BookingStateMachine {
+  /**
+   * Actor a user acts as for a booking
+   * @param {Object} booking - Booking document
+   * @param {Object|null} user - Acting user, or null for jobs and webhooks
+   * @returns {String|null} Actor, or null if the user has no say over the booking
+   */
+  actorFor(booking, user) {
+    if (!user) return ACTORS.SYSTEM;
+    if (user.role === USER_ROLES.ADMIN) return ACTORS.ADMIN;
+    if (user.role === USER_ROLES.STAFF) return ACTORS.STAFF;
+
+    const ownerId = booking.user?._id || booking.user;
+    return ownerId?.toString() === user._id.toString() ? ACTORS.OWNER : null;
+  }
+
+  /**
+   * Why a transition is not allowed
+   * @param {Object} booking - Booking document
+   * @param {String} to - Target status
+   * @param {Object} options - { user, now }
+   * @returns {APIError|null} Error to surface, or null if allowed
+   */
+  check(booking, to, { user = null, now = new Date() } = {}) {
+    const rule = TRANSITIONS[booking.status]?.[to];
+    if (!rule) {
+      return new APIError(API_MESSAGES.BAD_REQUEST, 400, `Booking cannot change from ${booking.status} to ${to}`);
+    }
+
+    if (!rule.actors.includes(this.actorFor(booking, user))) {
+      return new APIError(API_MESSAGES.FORBIDDEN, 403, `Not allowed to change booking from ${booking.status} to ${to}`);
+    }
+
+    const blocked = rule.guard?.(booking, now);
+    return blocked ? new APIError(API_MESSAGES.BAD_REQUEST, 400, blocked) : null;
+  }
+
+  /**
+   * Whether a transition is allowed
+   * @param {Object} booking - Booking document
+   * @param {String} to - Target status
+   * @param {Object} options - { user, now }
+   * @returns {Boolean} True if allowed
+   */
+  can(booking, to, options = {}) {
+    return !this.check(booking, to, options);
+  }
+
+  /**
+   * Statuses the user may move the booking to now
+   * @param {Object} booking - Booking document
+   * @param {Object} options - { user, now }
+   * @returns {Array} Target statuses
+   */
+  availableTransitions(booking, options = {}) {
+    return Object.keys(TRANSITIONS[booking.status] || {})
+      .filter(to => this.can(booking, to, options));
+  }
+
+  /**
+   * Move a booking to a new status, run its hooks and record the change.
+   * Throws an APIError if the transition is not allowed.
+   * @param {Object} booking - Booking document
+   * @param {String} to - Target status
+   * @param {Object} options - { user, reason, now }
+   * @returns {Object} Saved booking
+   */
+  async transition(booking, to, { user = null, reason, now = new Date() } = {}) {
+    const error = this.check(booking, to, { user, now });
+    if (error) throw error;
+
+    const from = booking.status;
+    const hooks = HOOKS[to] || {};
+    const context = { user, reason, now };
+
+    if (hooks.before) hooks.before(booking, context);
+
+    booking.status = to;
+    booking.statusHistory.push({
+      from,
+      to,
+      changedBy: user?._id,
+      actor: this.actorFor(booking, user),
+      reason,
+      changedAt: now
+    });
+
+    await booking.save();
+
+    if (hooks.after) await hooks.after(booking, context);
+
+    return booking;
+  }
+}
+
+module.exports = new BookingStateMachine();
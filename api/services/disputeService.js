@@ -0,0 +1,235 @@
+const { Booking, Payment, Dispute } = require('../models');
+const { API_MESSAGES, DISPUTE_STATUS, PAYMENT_STATUS } = require('../config/constants');
+const { APIError } = require('../middleware/errorHandler');
+const stripeUtils = require('../utils/stripe');
+const ledgerService = require('./ledgerService');
+
+// Statuses where the bank has taken the money back from us
+const FUNDS_WITHDRAWN = [DISPUTE_STATUS.NEEDS_RESPONSE, DISPUTE_STATUS.UNDER_REVIEW, DISPUTE_STATUS.LOST];
+
+const CLOSED = [DISPUTE_STATUS.WON, DISPUTE_STATUS.LOST, DISPUTE_STATUS.WARNING_CLOSED];
+
+class DisputeService {
+  /**
+   * Format a date as YYYY-MM-DD
+   * @param {Date} date - Date
+   * @returns {String} Date
+   */
+  formatDate(date) {
+    return date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Bring our record of a dispute up to date from Stripe. A dispute that
+   * withdraws funds marks the payment disputed; winning it restores the
+   * payment's earlier status, and losing it records the chargeback on the booking.
+   * @param {Object} stripeDispute - Stripe dispute
+   * @returns {Object|null} Dispute, or null if the disputed payment is not ours
+   */
+  async recordEvent(stripeDispute) {
+    const payment = await Payment.findOne({ stripePaymentIntentId: stripeDispute.payment_intent });
+    if (!payment) {
+      return null;
+    }
+
+    let dispute = await Dispute.findOne({ stripeDisputeId: stripeDispute.id });
+    const previousStatus = dispute?.status;
+
+    if (!dispute) {
+      dispute = new Dispute({
+        stripeDisputeId: stripeDispute.id,
+        payment: payment._id,
+        booking: payment.booking,
+        paymentStatusBefore: payment.status
+      });
+    }
+
+    dispute.amount = stripeUtils.formatAmountFromStripe(stripeDispute.amount);
+    dispute.currency = (stripeDispute.currency || payment.currency).toUpperCase();
+    dispute.reason = stripeDispute.reason;
+    dispute.status = stripeDispute.status;
+    dispute.fee = stripeUtils.formatAmountFromStripe(
+      (stripeDispute.balance_transactions || []).reduce((total, transaction) => total + (transaction.fee || 0), 0)
+    );
+    if (stripeDispute.evidence_details?.due_by) {
+      dispute.evidenceDueBy = new Date(stripeDispute.evidence_details.due_by * 1000);
+    }
+    if (CLOSED.includes(dispute.status) && !dispute.closedAt) {
+      dispute.closedAt = new Date();
+    }
+
+    await dispute.save();
+    await ledgerService.recordChargeback(dispute, { withdrawn: FUNDS_WITHDRAWN.includes(dispute.status) });
+
+    if (previousStatus === dispute.status) {
+      return dispute;
+    }
+
+    // Update the payment to match
+    if (FUNDS_WITHDRAWN.includes(dispute.status)) {
+      payment.status = PAYMENT_STATUS.DISPUTED;
+    } else if (dispute.status === DISPUTE_STATUS.WON) {
+      payment.status = dispute.paymentStatusBefore || PAYMENT_STATUS.SUCCEEDED;
+    }
+
+    const amount = `${dispute.amount.toFixed(2)} ${dispute.currency}`;
+    let content;
+    if (!previousStatus) {
+      content = `Chargeback opened for ${amount} (${dispute.reason})`;
+      if (dispute.evidenceDueBy) {
+        content += `; evidence due by ${this.formatDate(dispute.evidenceDueBy)}`;
+      }
+    } else if (CLOSED.includes(dispute.status)) {
+      content = `Chargeback for ${amount} closed: ${dispute.status}`;
+    }
+
+    if (content) {
+      payment.notes.push({ content });
+    }
+    await payment.save();
+
+    const booking = await Booking.findById(dispute.booking);
+    if (booking) {
+      if (content) {
+        booking.notes.push({ content, type: 'general' });
+      }
+
+      if (dispute.status === DISPUTE_STATUS.LOST) {
+        booking.payment.transactions.push({
+          amount: dispute.amount,
+          type: 'refund',
+          method: 'chargeback',
+          reference: dispute.stripeDisputeId,
+          status: 'completed'
+        });
+      }
+
+      await booking.save();
+    }
+
+    return dispute;
+  }
+
+  /**
+   * Check-in and check-out times and the signed registration card
+   * @param {Object} booking - Booking document
+   * @returns {Array} Log lines
+   */
+  getActivityLog(booking) {
+    const lines = [];
+    const card = booking.checkInProcess?.registrationCard;
+
+    if (booking.actualCheckIn) {
+      lines.push(`Checked in: ${booking.actualCheckIn.toISOString()}`);
+    }
+    if (card?.signedAt) {
+      lines.push(`Registration card signed by ${card.signedName || 'the guest'}: ${card.signedAt.toISOString()}`);
+    }
+    if (booking.actualCheckOut) {
+      lines.push(`Checked out: ${booking.actualCheckOut.toISOString()}`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * What we told the guest and what they asked us for, oldest first
+   * @param {Object} booking - Booking document
+   * @returns {Array} Log lines
+   */
+  getCommunicationLog(booking) {
+    const entries = [];
+
+    for (const change of booking.statusHistory) {
+      entries.push({
+        at: change.changedAt,
+        text: `Booking ${change.to}${change.reason ? ` (${change.reason})` : ''}`
+      });
+    }
+
+    for (const link of booking.paymentLinks) {
+      entries.push({ at: link.sentAt, text: `Payment link for ${link.amount.toFixed(2)} emailed to ${link.sentTo}` });
+      if (link.openedAt) {
+        entries.push({ at: link.openedAt, text: 'Payment link opened by the guest' });
+      }
+      if (link.paidAt) {
+        entries.push({ at: link.paidAt, text: 'Payment link paid' });
+      }
+    }
+
+    for (const note of booking.notes) {
+      if (note.type === 'guest_request') {
+        entries.push({ at: note.addedAt, text: `Guest request: ${note.content}` });
+      }
+    }
+
+    return entries
+      .filter(entry => entry.at)
+      .sort((a, b) => a.at - b.at)
+      .map(entry => `${entry.at.toISOString()} ${entry.text}`);
+  }
+
+  /**
+   * Assemble Stripe dispute evidence from the booking
+   * @param {Object} booking - Booking document, with room populated
+   * @param {Object} options - { productDescription, notes } added by staff
+   * @returns {Object} Stripe evidence fields
+   */
+  buildEvidence(booking, { productDescription, notes } = {}) {
+    const guest = booking.guestDetails.primaryGuest;
+    const room = booking.room?.roomNumber ? ` in room ${booking.room.roomNumber} (${booking.room.type})` : '';
+    const activity = this.getActivityLog(booking);
+    const communication = this.getCommunicationLog(booking);
+    const terms = booking.cancellationPolicy?.name;
+
+    const evidence = {
+      customer_name: `${guest.firstName} ${guest.lastName}`,
+      customer_email_address: guest.email,
+      service_date: this.formatDate(booking.checkInDate),
+      product_description: productDescription ||
+        `${booking.nights} night stay${room}, ${this.formatDate(booking.checkInDate)} to ${this.formatDate(booking.checkOutDate)}, booking ${booking.bookingReference}`,
+      access_activity_log: activity.length ? activity.join('\n') : undefined,
+      customer_signature: booking.checkInProcess?.registrationCard?.fileId,
+      cancellation_policy_disclosure: terms ? `Booked under the ${terms} cancellation policy` : undefined,
+      uncategorized_text: [
+        communication.length ? `Communication log:\n${communication.join('\n')}` : null,
+        notes
+      ].filter(Boolean).join('\n\n') || undefined
+    };
+
+    return Object.fromEntries(Object.entries(evidence).filter(([, value]) => value !== undefined));
+  }
+
+  /**
+   * Send evidence for a dispute to Stripe
+   * @param {Object} dispute - Dispute document
+   * @param {Object} options - { productDescription, notes, submit, submittedBy }
+   * @returns {Object} Updated dispute
+   * @throws {APIError} When the dispute no longer takes evidence
+   */
+  async submitEvidence(dispute, { productDescription, notes, submit = true, submittedBy } = {}) {
+    if (!dispute.needsResponse) {
+      throw new APIError(API_MESSAGES.BAD_REQUEST, 400, 'Dispute is no longer accepting evidence');
+    }
+
+    const booking = await Booking.findById(dispute.booking).populate('room', 'roomNumber type');
+    if (!booking) {
+      throw new APIError(API_MESSAGES.NOT_FOUND, 404, 'Booking not found');
+    }
+
+    const evidence = this.buildEvidence(booking, { productDescription, notes });
+    const stripeDispute = await stripeUtils.updateDisputeEvidence(dispute.stripeDisputeId, evidence, submit);
+
+    dispute.evidence = evidence;
+    dispute.status = stripeDispute.status;
+    if (submit) {
+      dispute.evidenceSubmittedAt = new Date();
+      dispute.evidenceSubmittedBy = submittedBy;
+    }
+
+    await dispute.save();
+    return dispute;
+  }
+}
+
+module.exports = new DisputeService();
@@ -12,6 +12,9 @@ class EmailService {
    * Initialize email transporter
    */
   async init() {
+    // Tests never send mail
+    if (process.env.NODE_ENV === 'test') return;
+
     try {
       const emailConfig = {
         host: process.env.SMTP_HOST,
@@ -36,7 +39,7 @@ class EmailService {
         };
       }
 
-      this.transporter = nodemailer.createTransporter(emailConfig);
+      this.transporter = nodemailer.createTransport(emailConfig);
       
       // Verify connection
       await this.transporter.verify();
@@ -116,6 +119,21 @@ class EmailService {
     });
   }
 
+  /**
+   * Send a waitlist offer with a link to complete the held booking
+   */
+  async sendWaitlistOffer(booking, user) {
+    const subject = `A room is available - ${booking.bookingReference}`;
+    const bookingUrl = `${process.env.FRONTEND_URL}/bookings/${booking._id}`;
+    const html = this.generateWaitlistOfferHtml(booking, user, bookingUrl);
+
+    return this.sendEmail({
+      to: user.email,
+      subject,
+      html
+    });
+  }
+
   /**
    * Send check-in reminder email
    */
@@ -144,6 +162,36 @@ class EmailService {
     });
   }
 
+  /**
+   * Send a payment link for a booking made by phone or at the desk
+   */
+  async sendPaymentLink(booking, { to, url, amount, expiresAt }) {
+    const subject = `Pay for your booking - ${booking.bookingReference}`;
+    const html = this.generatePaymentLinkHtml(booking, { url, amount, expiresAt });
+
+    return this.sendEmail({
+      to,
+      subject,
+      html
+    });
+  }
+
+  /**
+   * Send a dunning email after the balance could not be charged to the saved card.
+   * After the last attempt the booking is cancelled and the guest gets the cancellation email instead.
+   */
+  async sendBalancePaymentFailed(booking, user, { error, attemptsLeft, nextAttemptAt }) {
+    const subject = `Payment Failed - ${booking.bookingReference}`;
+    const paymentUrl = `${process.env.FRONTEND_URL}/bookings/${booking._id}`;
+    const html = this.generateBalancePaymentFailedHtml(booking, user, { error, attemptsLeft, nextAttemptAt, paymentUrl });
+
+    return this.sendEmail({
+      to: user.email,
+      subject,
+      html
+    });
+  }
+
   /**
    * Send password reset email
    */
@@ -179,6 +227,9 @@ class EmailService {
   generateBookingConfirmationHtml(booking, user) {
     const checkInDate = new Date(booking.checkInDate).toLocaleDateString();
     const checkOutDate = new Date(booking.checkOutDate).toLocaleDateString();
+    const extras = (booking.folio?.lines || []).filter(line => !line.voided?.at);
+    const totalAmount = (booking.pricing?.totalAmount || 0) +
+      extras.reduce((total, line) => total + line.total, 0);
     
     return `
     <!DOCTYPE html>
@@ -240,9 +291,21 @@ class EmailService {
                         <span>Number of Nights:</span>
                         <span>${booking.nights || Math.ceil((booking.checkOutDate - booking.checkInDate) / (1000 * 60 * 60 * 24))}</span>
                     </div>
+                    ${extras.length > 0 ? `
+                    <div class="detail-row">
+                        <span>Room:</span>
+                        <span>$${booking.pricing?.totalAmount?.toFixed(2) || '0.00'}</span>
+                    </div>
+                    ${extras.map(line => `
+                    <div class="detail-row">
+                        <span>${line.description} × ${line.quantity}:</span>
+                        <span>$${line.total.toFixed(2)}</span>
+                    </div>
+                    `).join('')}
+                    ` : ''}
                     <div class="detail-row total">
                         <span>Total Amount:</span>
-                        <span>$${booking.pricing?.totalAmount?.toFixed(2) || '0.00'}</span>
+                        <span>$${totalAmount.toFixed(2)}</span>
                     </div>
                     <div class="detail-row">
                         <span>Payment Status:</span>
@@ -254,6 +317,12 @@ class EmailService {
                         <span>$${booking.payment.remainingAmount.toFixed(2)}</span>
                     </div>
                     ` : ''}
+                    ${booking.payment?.remainingAmount > 0 && booking.payment.balanceDueDate ? `
+                    <div class="detail-row">
+                        <span>Charged To Your Card On:</span>
+                        <span>${new Date(booking.payment.balanceDueDate).toLocaleDateString()}</span>
+                    </div>
+                    ` : ''}
                 </div>
                 
                 <h3>Important Information</h3>
@@ -369,6 +438,81 @@ class EmailService {
     `;
   }
 
+  /**
+   * Generate waitlist offer HTML
+   */
+  generateWaitlistOfferHtml(booking, user, bookingUrl) {
+    const checkInDate = new Date(booking.checkInDate).toLocaleDateString();
+    const checkOutDate = new Date(booking.checkOutDate).toLocaleDateString();
+    const expiresAt = new Date(booking.hold.expiresAt).toLocaleString();
+    
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <title>A Room Is Available</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #2563eb; color: white; padding: 20px; text-align: center; }
+            .content { padding: 20px; background: #f9f9f9; }
+            .booking-details { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; }
+            .detail-row { display: flex; justify-content: space-between; margin: 10px 0; padding: 8px 0; border-bottom: 1px solid #eee; }
+            .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+            .button { background: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>Good news - space opened up!</h1>
+            </div>
+            
+            <div class="content">
+                <h2>Hello ${user.firstName},</h2>
+                <p>A room matching your waitlist request is now free, and we are holding it for you.</p>
+                
+                <div class="booking-details">
+                    <div class="detail-row">
+                        <span>Booking Reference:</span>
+                        <strong>${booking.bookingReference}</strong>
+                    </div>
+                    <div class="detail-row">
+                        <span>Check-in Date:</span>
+                        <span>${checkInDate}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span>Check-out Date:</span>
+                        <span>${checkOutDate}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span>Number of Guests:</span>
+                        <span>${booking.guestCount}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span>Total Amount:</span>
+                        <span>$${booking.pricing?.totalAmount?.toFixed(2) || '0.00'}</span>
+                    </div>
+                </div>
+                
+                <p>Complete your booking by <strong>${expiresAt}</strong>, after which the room is offered to the next guest on the waitlist.</p>
+                
+                <div style="text-align: center;">
+                    <a href="${bookingUrl}" class="button">Complete Booking</a>
+                </div>
+            </div>
+            
+            <div class="footer">
+                <p>PVT Hostel<br>
+                Email: ${process.env.EMAIL_FROM || 'info@pvthostel.com'}</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
   /**
    * Generate check-in reminder HTML
    */
@@ -524,6 +668,143 @@ class EmailService {
     `;
   }
 
+  /**
+   * Generate payment link HTML
+   */
+  generatePaymentLinkHtml(booking, { url, amount, expiresAt }) {
+    const checkInDate = new Date(booking.checkInDate).toLocaleDateString();
+    const checkOutDate = new Date(booking.checkOutDate).toLocaleDateString();
+    const guest = booking.guestDetails?.primaryGuest;
+    
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <title>Pay For Your Booking</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #2563eb; color: white; padding: 20px; text-align: center; }
+            .content { padding: 20px; background: #f9f9f9; }
+            .booking-details { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; }
+            .detail-row { display: flex; justify-content: space-between; margin: 10px 0; padding: 8px 0; border-bottom: 1px solid #eee; }
+            .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+            .button { background: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>Pay for your booking</h1>
+            </div>
+            
+            <div class="content">
+                <h2>Hello ${guest?.firstName || 'there'},</h2>
+                <p>Thank you for booking with us. You can pay securely online using the link below, without creating an account.</p>
+                
+                <div class="booking-details">
+                    <div class="detail-row">
+                        <span>Booking Reference:</span>
+                        <strong>${booking.bookingReference}</strong>
+                    </div>
+                    <div class="detail-row">
+                        <span>Check-in Date:</span>
+                        <span>${checkInDate}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span>Check-out Date:</span>
+                        <span>${checkOutDate}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span>Amount To Pay:</span>
+                        <strong>$${amount.toFixed(2)}</strong>
+                    </div>
+                </div>
+                
+                <div style="text-align: center;">
+                    <a href="${url}" class="button">Pay Now</a>
+                </div>
+                
+                <p>This link works until <strong>${new Date(expiresAt).toLocaleString()}</strong>.</p>
+            </div>
+            
+            <div class="footer">
+                <p>PVT Hostel<br>
+                Email: ${process.env.EMAIL_FROM || 'info@pvthostel.com'}</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * Generate balance payment failed HTML
+   */
+  generateBalancePaymentFailedHtml(booking, user, { error, attemptsLeft, nextAttemptAt, paymentUrl }) {
+    const checkInDate = new Date(booking.checkInDate).toLocaleDateString();
+    
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <title>Payment Failed</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #dc2626; color: white; padding: 20px; text-align: center; }
+            .content { padding: 20px; background: #f9f9f9; }
+            .payment-details { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; }
+            .detail-row { display: flex; justify-content: space-between; margin: 10px 0; padding: 8px 0; border-bottom: 1px solid #eee; }
+            .warning { color: #dc2626; font-weight: bold; }
+            .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+            .button { background: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>We could not take your payment</h1>
+            </div>
+            
+            <div class="content">
+                <h2>Hello ${user.firstName},</h2>
+                <p>We tried to charge the balance of your booking to your saved card, but the payment did not go through${error ? `: ${error}` : '.'}</p>
+                
+                <div class="payment-details">
+                    <div class="detail-row">
+                        <span>Booking Reference:</span>
+                        <strong>${booking.bookingReference}</strong>
+                    </div>
+                    <div class="detail-row">
+                        <span>Check-in Date:</span>
+                        <span>${checkInDate}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span>Balance Due:</span>
+                        <span class="warning">$${booking.payment.remainingAmount.toFixed(2)}</span>
+                    </div>
+                </div>
+                
+                <p>We will try again on ${new Date(nextAttemptAt).toLocaleDateString()}. If the balance is still unpaid after ${attemptsLeft} more ${attemptsLeft === 1 ? 'attempt' : 'attempts'}, your booking will be <span class="warning">cancelled</span>. You can pay now with another card to keep your booking.</p>
+                
+                <div style="text-align: center;">
+                    <a href="${paymentUrl}" class="button">Pay Now</a>
+                </div>
+            </div>
+            
+            <div class="footer">
+                <p>PVT Hostel<br>
+                Email: ${process.env.EMAIL_FROM || 'info@pvthostel.com'}</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
   /**
    * Generate password reset HTML
    */
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const { Product, Booking } = require('../models');
+const { API_MESSAGES } = require('../config/constants');
+const { APIError } = require('../middleware/errorHandler');
+const pricingService = require('./pricingService');
+
+class ExtrasService {
+  /**
+   * Load the extras a guest selected; a product selected twice is combined
+   * @param {Array} selections - Selected extras ({ productId, quantity })
+   * @returns {Array} Extras ({ product, quantity }) for pricingService.quoteExtras()
+   * @throws {APIError} When an extra is not on sale to guests
+   */
+  async resolve(selections = []) {
+    if (selections.length === 0) {
+      return [];
+    }
+
+    const quantities = new Map();
+    for (const { productId, quantity = 1 } of selections) {
+      const count = parseInt(quantity);
+      if (!mongoose.isValidObjectId(productId) || !(count >= 1)) {
+        throw new APIError(API_MESSAGES.BAD_REQUEST, 400, 'Extra not available');
+      }
+
+      const key = productId.toString();
+      quantities.set(key, (quantities.get(key) || 0) + count);
+    }
+
+    const products = await Product.find({
+      _id: { $in: [...quantities.keys()] },
+      bookable: true,
+      isActive: true
+    });
+
+    if (products.length !== quantities.size) {
+      throw new APIError(API_MESSAGES.BAD_REQUEST, 400, 'Extra not available');
+    }
+
+    return products.map(product => ({ product, quantity: quantities.get(product._id.toString()) }));
+  }
+
+  /**
+   * Units of an extra still free on every one of the given days
+   * @param {Object} product - Product document
+   * @param {Array} dates - Service dates
+   * @returns {Number|null} Fewest units free on any of the days, or null when unlimited
+   */
+  async getRemaining(product, dates) {
+    if (product.dailyCapacity === null || product.dailyCapacity === undefined) {
+      return null;
+    }
+
+    const usage = await Booking.getExtraUsage(product._id, dates);
+    const free = dates.map(date => product.dailyCapacity - (usage.get(date.toISOString()) || 0));
+
+    return Math.max(0, Math.min(...free));
+  }
+
+  /**
+   * Make sure capacity-limited extras can take a quoted booking
+   * @param {Array} extras - Extras ({ product, quantity }) that were quoted
+   * @param {Object} extrasQuote - Quote from pricingService.quoteExtras()
+   * @throws {APIError} When an extra is fully booked on one of its days
+   */
+  async checkCapacity(extras, extrasQuote) {
+    for (const [index, { product }] of extras.entries()) {
+      const line = extrasQuote.lines[index];
+      const remaining = await this.getRemaining(product, line.serviceDates);
+
+      if (remaining !== null && line.units / line.serviceDates.length > remaining) {
+        throw new APIError(API_MESSAGES.BAD_REQUEST, 400, `${product.name} is fully booked for these dates`);
+      }
+    }
+  }
+
+  /**
+   * Extras guests can add to a stay, each priced for one unit with the
+   * capacity left, for search results
+   * @param {Object} stay - { checkIn, checkOut, guestCount }
+   * @returns {Array} Quote lines with description and remaining
+   */
+  async getCatalogue(stay) {
+    const products = await Product.findBookable();
+
+    return Promise.all(products.map(async product => {
+      const { lines: [line] } = pricingService.quoteExtras([{ product, quantity: 1 }], stay);
+
+      return {
+        ...line,
+        description: product.description,
+        remaining: await this.getRemaining(product, line.serviceDates)
+      };
+    }));
+  }
+
+  /**
+   * Post quoted extras to a new booking's folio
+   * @param {Object} booking - Booking document
+   * @param {Object} extrasQuote - Quote from pricingService.quoteExtras()
+   * @param {Object} options - { postedBy }
+   */
+  addToBooking(booking, extrasQuote, { postedBy }) {
+    for (const line of extrasQuote.lines) {
+      booking.postCharge({
+        product: line.product._id,
+        description: line.product.name,
+        quantity: line.units,
+        unitPrice: line.unitPrice,
+        taxCategory: line.taxCategory,
+        postedBy,
+        source: 'booking',
+        pricingUnit: line.pricingUnit,
+        serviceDates: line.serviceDates
+      });
+    }
+  }
+}
+
+module.exports = new ExtrasService();
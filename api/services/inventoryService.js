@@ -0,0 +1,112 @@
+const { InventoryLock } = require('../models');
+
+const MAX_RESERVE_ATTEMPTS = 3;
+
+class InventoryService {
+  /**
+   * Beds for one segment of a stay, or [] for whole-room inventory.
+   * Segments already stayed in pass their beds and keep them.
+   * @param {Object} segment - { room, checkIn, checkOut, beds, bedIds, preferredBedIds }
+   * @param {Object} options - { excludeBookingId, guestCount, gender }
+   * @returns {Array|null} Beds, or null if unavailable
+   */
+  async allocateSegment({ room, checkIn, checkOut, beds = null, bedIds = null, preferredBedIds = [] }, {
+    excludeBookingId,
+    guestCount,
+    gender
+  }) {
+    if (beds) {
+      return beds;
+    }
+
+    if (room.usesBedInventory()) {
+      return room.allocateBeds(checkIn, checkOut, guestCount, {
+        excludeBookingId,
+        gender,
+        bedIds,
+        preferredBedIds
+      });
+    }
+
+    const available = await room.checkAvailability(checkIn, checkOut, excludeBookingId, { guestCount, gender });
+    return available ? [] : null;
+  }
+
+  /**
+   * Allocate and lock inventory for a stay. Availability is re-checked and the
+   * nights are claimed through InventoryLock, so two concurrent requests can
+   * never both win the last bed; a request that loses the race to another
+   * booking retries allocation against the remaining beds. Split stays claim
+   * every segment together or not at all.
+   * @param {Array} segments - { room, checkIn, checkOut, beds, bedIds, preferredBedIds } in date order
+   * @param {Object} options - { bookingId, guestCount, gender, expiresAt, roomBlockId }
+   * @param {ObjectId} options.roomBlockId - Room block whose held nights a new booking picks up
+   * @returns {Array|null} Assigned beds per segment (empty for whole-room inventory), or null if unavailable
+   */
+  async reserveSegments(segments, {
+    bookingId,
+    guestCount,
+    gender = null,
+    expiresAt = null,
+    roomBlockId = null
+  }) {
+    const bedsRequested = segments.some(segment => segment.bedIds && segment.bedIds.length > 0);
+
+    // A booking picking up a block is new, so it only has the block's nights to look past
+    const excludeBookingId = roomBlockId || bookingId;
+
+    for (let attempt = 0; attempt < MAX_RESERVE_ATTEMPTS; attempt++) {
+      const allocated = [];
+
+      for (const segment of segments) {
+        const beds = await this.allocateSegment(segment, { excludeBookingId, guestCount, gender });
+        if (!beds) {
+          return null;
+        }
+        allocated.push(beds);
+      }
+
+      const acquired = await InventoryLock.acquireSegments({
+        bookingId,
+        expiresAt,
+        takeOverFrom: roomBlockId,
+        segments: segments.map((segment, index) => ({
+          roomId: segment.room._id,
+          units: InventoryLock.unitsFor(allocated[index]),
+          checkIn: segment.checkIn,
+          checkOut: segment.checkOut
+        }))
+      });
+
+      if (acquired) {
+        return allocated;
+      }
+
+      // Specific beds were requested and someone else got them first
+      if (bedsRequested) {
+        return null;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * As reserveSegments(), for a stay in one room
+   * @param {Object} room - Room document
+   * @param {Object} options - { bookingId, checkIn, checkOut, guestCount, gender, bedIds, preferredBedIds, expiresAt, roomBlockId }
+   * @returns {Array|null} Assigned beds (empty for whole-room inventory), or null if unavailable
+   */
+  async reserve(room, {
+    checkIn,
+    checkOut,
+    bedIds = null,
+    preferredBedIds = [],
+    ...options
+  }) {
+    const reserved = await this.reserveSegments([{ room, checkIn, checkOut, bedIds, preferredBedIds }], options);
+    return reserved ? reserved[0] : null;
+  }
+}
+
+module.exports = new InventoryService();
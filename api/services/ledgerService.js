@@ -0,0 +1,366 @@
+const { LedgerEntry } = require('../models');
+const { BOOKING_STATUS, LEDGER_ACCOUNTS, LEDGER_ENTRY_TYPES } = require('../config/constants');
+
+// Charges are posted by the Booking model on save (LedgerEntry.syncBooking);
+// this service posts the money that moves against them.
+class LedgerService {
+  /**
+   * Round an amount to cents
+   * @param {Number} amount - Amount in currency units
+   * @returns {Number} Rounded amount
+   */
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Move a room night's share of the stay out of deferred revenue once the
+   * night audit has closed it. Posting the same night again does nothing.
+   * @param {Object} booking - Booking stayed in
+   * @param {Object} night - { date, amount } the night and its share of the room revenue
+   * @param {Object} options - { postedBy }
+   * @returns {Object|null} Revenue entry, or null if already posted
+   */
+  async recordNightRevenue(booking, { date, amount }, { postedBy } = {}) {
+    const night = date.toISOString().slice(0, 10);
+
+    try {
+      return await LedgerEntry.post({
+        type: LEDGER_ENTRY_TYPES.REVENUE,
+        booking: booking._id,
+        component: `night:${night}`,
+        postingKey: `${booking._id}:night:${night}`,
+        description: `Room night ${night}`,
+        currency: booking.pricing.currency || 'USD',
+        postedBy,
+        lines: [
+          LedgerEntry.line(LEDGER_ACCOUNTS.DEFERRED_REVENUE, amount),
+          LedgerEntry.line(LEDGER_ACCOUNTS.ROOM_REVENUE, -amount)
+        ]
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Post a payment received for a booking, and its processing fee. Posting
+   * the same payment again does nothing.
+   * @param {Object} payment - Succeeded Payment document
+   * @param {Object} booking - Booking the payment is for
+   * @param {Object} options - { account, postedBy }
+   * @param {String} options.account - Where the money went (default: Stripe clearing)
+   * @returns {Object|null} Payment entry, or null if already posted
+   */
+  async recordPayment(payment, booking, { account = LEDGER_ACCOUNTS.STRIPE_CLEARING, postedBy } = {}) {
+    const posted = await LedgerEntry.exists({ type: LEDGER_ENTRY_TYPES.PAYMENT, payment: payment._id });
+    if (posted) {
+      return null;
+    }
+
+    const common = {
+      booking: booking._id,
+      payment: payment._id,
+      reference: payment.stripePaymentIntentId || payment.receiptNumber,
+      currency: payment.currency,
+      postedBy
+    };
+
+    const entry = await LedgerEntry.post({
+      ...common,
+      type: LEDGER_ENTRY_TYPES.PAYMENT,
+      description: payment.description || `Payment for booking ${booking.bookingReference}`,
+      lines: [
+        LedgerEntry.line(account, payment.amount),
+        LedgerEntry.line(LedgerEntry.guestAccountFor(booking), -payment.amount)
+      ]
+    });
+
+    const fee = payment.fees?.platform || 0;
+    await LedgerEntry.post({
+      ...common,
+      type: LEDGER_ENTRY_TYPES.FEE,
+      description: 'Card processing fee',
+      lines: [
+        LedgerEntry.line(LEDGER_ACCOUNTS.FEES_EXPENSE, fee),
+        LedgerEntry.line(account, -fee)
+      ]
+    });
+
+    return entry;
+  }
+
+  /**
+   * Reverse a cash or bank transfer payment voided as a mistake, against
+   * whichever guest account the booking now posts to
+   * @param {Object} payment - Voided Payment document
+   * @param {Object} booking - Booking the payment was for
+   * @param {Object} options - { account, postedBy }
+   * @param {String} options.account - Where the money was taken into
+   * @returns {Object|null} Reversing entry, or null if there is nothing to reverse
+   */
+  async voidPayment(payment, booking, { account, postedBy }) {
+    const entries = await LedgerEntry.find({ type: LEDGER_ENTRY_TYPES.PAYMENT, payment: payment._id });
+    if (entries.length !== 1) {
+      return null;
+    }
+
+    return LedgerEntry.post({
+      type: LEDGER_ENTRY_TYPES.PAYMENT,
+      booking: booking._id,
+      payment: payment._id,
+      reference: entries[0].reference,
+      description: 'Payment voided',
+      currency: payment.currency,
+      postedBy,
+      lines: [
+        LedgerEntry.line(LedgerEntry.guestAccountFor(booking), payment.amount),
+        LedgerEntry.line(account, -payment.amount)
+      ]
+    });
+  }
+
+  /**
+   * Post a refund. A refund that gives back what the guest no longer owes
+   * is charged to the guest's account; one given without changing what the
+   * booking owes (a goodwill refund) is written off. Posting the same refund
+   * again does nothing.
+   * @param {Object} payment - Payment refunded
+   * @param {Object} options - { booking, amount, reference, writeOff, postedBy }
+   * @returns {Object|null} Refund entry, or null if already posted
+   */
+  async recordRefund(payment, { booking, amount, reference, writeOff = false, postedBy }) {
+    if (reference && await LedgerEntry.exists({ type: LEDGER_ENTRY_TYPES.REFUND, reference })) {
+      return null;
+    }
+
+    const account = writeOff || !booking
+      ? LEDGER_ACCOUNTS.WRITE_OFFS
+      : LedgerEntry.guestAccountFor(booking);
+
+    return LedgerEntry.post({
+      type: LEDGER_ENTRY_TYPES.REFUND,
+      booking: payment.booking,
+      payment: payment._id,
+      reference,
+      description: writeOff ? 'Refund written off' : 'Refund',
+      currency: payment.currency,
+      postedBy,
+      lines: [
+        LedgerEntry.line(account, amount),
+        LedgerEntry.line(LEDGER_ACCOUNTS.STRIPE_CLEARING, -amount)
+      ]
+    });
+  }
+
+  /**
+   * Reverse a refund that failed after it was posted
+   * @param {String} reference - Stripe refund ID
+   * @returns {Object|null} Reversing entry, or null if there is nothing to reverse
+   */
+  async reverseRefund(reference) {
+    const entries = await LedgerEntry.find({ type: LEDGER_ENTRY_TYPES.REFUND, reference });
+    if (entries.length !== 1) {
+      return null;
+    }
+
+    const [refund] = entries;
+    return LedgerEntry.post({
+      type: LEDGER_ENTRY_TYPES.REFUND,
+      booking: refund.booking,
+      payment: refund.payment,
+      reference,
+      description: 'Refund failed',
+      currency: refund.currency,
+      lines: refund.lines.map(line => ({ account: line.account, debit: line.credit, credit: line.debit }))
+    });
+  }
+
+  /**
+   * Bring a chargeback's postings in line with the dispute: the disputed
+   * amount is written off while the bank holds it, and put back if the
+   * dispute is won; the dispute fee is an expense.
+   * @param {Object} dispute - Dispute document
+   * @param {Object} options - { withdrawn } whether the bank holds the funds
+   */
+  async recordChargeback(dispute, { withdrawn }) {
+    const [posted] = await LedgerEntry.aggregate([
+      { $match: { reference: dispute.stripeDisputeId } },
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: null,
+          writtenOff: {
+            $sum: {
+              $cond: [
+                { $eq: ['$lines.account', LEDGER_ACCOUNTS.WRITE_OFFS] },
+                { $subtract: ['$lines.debit', '$lines.credit'] },
+                0
+              ]
+            }
+          },
+          fees: {
+            $sum: {
+              $cond: [
+                { $eq: ['$lines.account', LEDGER_ACCOUNTS.FEES_EXPENSE] },
+                { $subtract: ['$lines.debit', '$lines.credit'] },
+                0
+              ]
+            }
+          }
+        }
+      }
+    ]);
+
+    const common = {
+      booking: dispute.booking,
+      payment: dispute.payment,
+      reference: dispute.stripeDisputeId,
+      currency: dispute.currency
+    };
+
+    const loss = this.round((withdrawn ? dispute.amount : 0) - (posted?.writtenOff || 0));
+    await LedgerEntry.post({
+      ...common,
+      type: LEDGER_ENTRY_TYPES.WRITE_OFF,
+      description: loss > 0 ? `Chargeback (${dispute.reason})` : 'Chargeback reversed',
+      lines: [
+        LedgerEntry.line(LEDGER_ACCOUNTS.WRITE_OFFS, loss),
+        LedgerEntry.line(LEDGER_ACCOUNTS.STRIPE_CLEARING, -loss)
+      ]
+    });
+
+    const fee = this.round(dispute.fee - (posted?.fees || 0));
+    await LedgerEntry.post({
+      ...common,
+      type: LEDGER_ENTRY_TYPES.FEE,
+      description: fee > 0 ? 'Dispute fee' : 'Dispute fee returned',
+      lines: [
+        LedgerEntry.line(LEDGER_ACCOUNTS.FEES_EXPENSE, fee),
+        LedgerEntry.line(LEDGER_ACCOUNTS.STRIPE_CLEARING, -fee)
+      ]
+    });
+  }
+
+  /**
+   * Bring a payment's posted processing fee in line with Payment.fees.platform,
+   * once it holds the fee Stripe actually charged
+   * @param {Object} payment - Payment document
+   * @returns {Object|null} Adjusting entry, or null if the fee was already right
+   */
+  async adjustFee(payment) {
+    const entries = await LedgerEntry.find({
+      type: LEDGER_ENTRY_TYPES.FEE,
+      payment: payment._id,
+      reference: payment.stripePaymentIntentId
+    });
+    const posted = entries
+      .flatMap(entry => entry.lines)
+      .filter(line => line.account === LEDGER_ACCOUNTS.FEES_EXPENSE)
+      .reduce((total, line) => total + line.debit - line.credit, 0);
+
+    const difference = this.round(payment.fees.platform - posted);
+    return LedgerEntry.post({
+      type: LEDGER_ENTRY_TYPES.FEE,
+      booking: payment.booking,
+      payment: payment._id,
+      reference: payment.stripePaymentIntentId,
+      description: 'Card processing fee adjusted to Stripe\'s',
+      currency: payment.currency,
+      lines: [
+        LedgerEntry.line(LEDGER_ACCOUNTS.FEES_EXPENSE, difference),
+        LedgerEntry.line(LEDGER_ACCOUNTS.STRIPE_CLEARING, -difference)
+      ]
+    });
+  }
+
+  /**
+   * Post a Stripe payout moving money from Stripe to the bank. Posting the
+   * same payout again does nothing.
+   * @param {Object} payout - Payout document
+   * @returns {Object|null} Payout entry, or null if already posted
+   */
+  async recordPayout(payout) {
+    const posted = await LedgerEntry.exists({ type: LEDGER_ENTRY_TYPES.PAYOUT, reference: payout.stripePayoutId });
+    if (posted) {
+      return null;
+    }
+
+    return LedgerEntry.post({
+      type: LEDGER_ENTRY_TYPES.PAYOUT,
+      reference: payout.stripePayoutId,
+      description: `Stripe payout ${payout.stripePayoutId}`,
+      currency: payout.currency,
+      postedAt: payout.arrivalDate,
+      lines: [
+        LedgerEntry.line(LEDGER_ACCOUNTS.BANK, payout.amount),
+        LedgerEntry.line(LEDGER_ACCOUNTS.STRIPE_CLEARING, -payout.amount)
+      ]
+    });
+  }
+
+  /**
+   * Trial balance: every account's net balance in the debit or credit column
+   * @param {Object} options - { asOf }
+   * @returns {Object} { accounts, totals, balanced, asOf }
+   */
+  async getTrialBalance({ asOf = null } = {}) {
+    const balances = await LedgerEntry.getBalances(asOf ? { postedAt: { $lte: asOf } } : {});
+
+    const accounts = balances.map(({ account, normal, debit, credit, balance }) => {
+      const net = this.round(debit - credit);
+      return {
+        account,
+        normal,
+        debit: net > 0 ? net : 0,
+        credit: net < 0 ? -net : 0,
+        balance
+      };
+    });
+
+    const totals = {
+      debit: this.round(accounts.reduce((total, account) => total + account.debit, 0)),
+      credit: this.round(accounts.reduce((total, account) => total + account.credit, 0))
+    };
+
+    return { accounts, totals, balanced: totals.debit === totals.credit, asOf: asOf || new Date() };
+  }
+
+  /**
+   * What a booking owes according to the ledger, checked against
+   * Booking.payment.remainingAmount. Deposits held count against the
+   * receivable; a negative balance is money owed back to the guest. A booking
+   * on hold has nothing charged yet, so its ledger balance should be nothing.
+   * @param {Object} booking - Booking document
+   * @returns {Object} Ledger balance, entries and whether they reconcile
+   */
+  async getBookingBalance(booking) {
+    const balances = await LedgerEntry.getBalances({ booking: booking._id });
+    const balanceOf = (account) => balances.find(row => row.account === account).balance;
+
+    const receivable = balanceOf(LEDGER_ACCOUNTS.GUEST_RECEIVABLE);
+    const depositsHeld = balanceOf(LEDGER_ACCOUNTS.DEPOSITS_HELD);
+    const balance = this.round(receivable - depositsHeld);
+
+    const entries = await LedgerEntry.find({ booking: booking._id }).sort({ postedAt: 1, _id: 1 });
+    const expected = booking.status === BOOKING_STATUS.HOLD ? 0 : booking.payment.remainingAmount;
+
+    return {
+      bookingReference: booking.bookingReference,
+      currency: booking.pricing.currency || 'USD',
+      receivable,
+      depositsHeld,
+      balance,
+      creditDue: balance < 0 ? -balance : 0,
+      remainingAmount: booking.payment.remainingAmount,
+      reconciled: Math.max(0, balance) === expected,
+      accounts: balances.filter(row => row.debit > 0 || row.credit > 0),
+      entries
+    };
+  }
+}
+
+module.exports = new LedgerService();
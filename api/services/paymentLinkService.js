@@ -0,0 +1,277 @@
+const { Booking, Payment } = require('../models');
+const {
+  API_MESSAGES,
+  BOOKING_STATUS,
+  BUSINESS_RULES,
+  PAYMENT_LINK_STATUS,
+  PAYMENT_STATUS
+} = require('../config/constants');
+const { APIError } = require('../middleware/errorHandler');
+const jwtUtils = require('../utils/jwt');
+const stripeUtils = require('../utils/stripe');
+const emailService = require('./emailService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Bookings a guest can still pay towards
+const PAYABLE_STATUSES = [
+  BOOKING_STATUS.HOLD,
+  BOOKING_STATUS.PENDING,
+  BOOKING_STATUS.CONFIRMED,
+  BOOKING_STATUS.CHECKED_IN
+];
+
+class PaymentLinkService {
+  /**
+   * Round an amount to cents
+   * @param {Number} amount - Amount in currency units
+   * @returns {Number} Rounded amount
+   */
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Page the guest opens to pay
+   * @param {String} token - Payment link token
+   * @returns {String} Payment link URL
+   */
+  getUrl(token) {
+    return `${process.env.FRONTEND_URL}/pay/${token}`;
+  }
+
+  /**
+   * Create a signed payment link for a booking's balance and email it to the
+   * guest. Earlier links still open are expired, so only one link works at a
+   * time. A held booking keeps its inventory for the usual hold, or until the
+   * link expires if staff choose to extend the hold.
+   * @param {Object} booking - Booking document
+   * @param {Object} options - { amount, sentTo, expiresInHours, extendHold, createdBy, now }
+   * @returns {Object} { link, url, email }
+   * @throws {APIError} When the booking cannot be paid or the amount is wrong
+   */
+  async create(booking, {
+    amount,
+    sentTo = booking.guestDetails?.primaryGuest?.email,
+    expiresInHours = BUSINESS_RULES.PAYMENT_LINK_EXPIRY_HOURS,
+    extendHold = false,
+    createdBy,
+    now = new Date()
+  }) {
+    if (!PAYABLE_STATUSES.includes(booking.status)) {
+      throw new APIError(API_MESSAGES.BAD_REQUEST, 400, 'Booking can no longer be paid');
+    }
+
+    const remaining = booking.payment.remainingAmount;
+    if (remaining <= 0) {
+      throw new APIError(API_MESSAGES.BAD_REQUEST, 400, 'Booking is paid in full');
+    }
+
+    const linkAmount = this.round(amount ?? remaining);
+    if (linkAmount > remaining) {
+      throw new APIError(API_MESSAGES.BAD_REQUEST, 400, 'Amount exceeds remaining balance');
+    }
+
+    const depositDue = booking.status === BOOKING_STATUS.HOLD ? booking.getDepositDue() : 0;
+    if (linkAmount < depositDue) {
+      throw new APIError(API_MESSAGES.BAD_REQUEST, 400, `Payment must cover the deposit of ${depositDue.toFixed(2)}`);
+    }
+
+    const expiresAt = new Date(now.getTime() + expiresInHours * HOUR_MS);
+
+    // Keep the room or beds for a usual hold, never cutting one already longer,
+    // or for as long as the guest has to pay when staff extend it
+    if (booking.status === BOOKING_STATUS.HOLD) {
+      const usualHold = Math.max(
+        booking.hold?.expiresAt?.getTime() || 0,
+        now.getTime() + BUSINESS_RULES.HOLD_DURATION_MINUTES * MINUTE_MS
+      );
+      const holdUntil = extendHold ? expiresAt : new Date(Math.min(usualHold, expiresAt.getTime()));
+
+      if (!(await booking.lockInventory(holdUntil))) {
+        throw new APIError(API_MESSAGES.BAD_REQUEST, 400, 'Room or beds are no longer held for this booking');
+      }
+      booking.hold.expiresAt = holdUntil;
+    }
+
+    for (const open of booking.paymentLinks) {
+      if ([PAYMENT_LINK_STATUS.SENT, PAYMENT_LINK_STATUS.OPENED].includes(open.status)) {
+        open.status = PAYMENT_LINK_STATUS.EXPIRED;
+      }
+    }
+
+    booking.paymentLinks.push({
+      amount: linkAmount,
+      sentTo,
+      expiresAt,
+      createdBy,
+      sentAt: now
+    });
+    const link = booking.paymentLinks[booking.paymentLinks.length - 1];
+    await booking.save();
+
+    const url = this.getUrl(jwtUtils.generatePaymentLinkToken(booking._id.toString(), link._id.toString(), expiresAt));
+
+    const email = sentTo
+      ? await emailService.sendPaymentLink(booking, { to: sentTo, url, amount: linkAmount, expiresAt })
+      : { success: false, error: 'No email address for the guest' };
+    if (!email.success) {
+      console.warn(`Payment link for ${booking.bookingReference} not emailed:`, email.error);
+    }
+
+    return { link, url, email: { sent: email.success, error: email.error } };
+  }
+
+  /**
+   * Find the booking and link a token is for, marking the link opened
+   * @param {String} token - Payment link token
+   * @param {Object} options - { now }
+   * @returns {Object} { booking, link }
+   * @throws {APIError} When the link is unknown, expired, paid or the booking can no longer be paid
+   */
+  async resolve(token, { now = new Date() } = {}) {
+    let payload;
+    try {
+      payload = jwtUtils.verifyPaymentLinkToken(token);
+    } catch (error) {
+      if (error.message === 'Token has expired') {
+        throw new APIError(API_MESSAGES.BAD_REQUEST, 410, 'Payment link has expired');
+      }
+      throw new APIError(API_MESSAGES.NOT_FOUND, 404, 'Payment link not found');
+    }
+
+    const booking = await Booking.findById(payload.bookingId);
+    const link = booking?.getPaymentLink(payload.linkId, now);
+
+    if (!link) {
+      throw new APIError(API_MESSAGES.NOT_FOUND, 404, 'Payment link not found');
+    }
+
+    if (link.status === PAYMENT_LINK_STATUS.EXPIRED) {
+      await booking.save();
+      throw new APIError(API_MESSAGES.BAD_REQUEST, 410, 'Payment link has expired');
+    }
+
+    if (link.status === PAYMENT_LINK_STATUS.PAID) {
+      throw new APIError(API_MESSAGES.BAD_REQUEST, 400, 'Payment link has already been paid');
+    }
+
+    if (!PAYABLE_STATUSES.includes(booking.status)) {
+      throw new APIError(API_MESSAGES.BAD_REQUEST, 400, 'Booking can no longer be paid');
+    }
+
+    if (link.status === PAYMENT_LINK_STATUS.SENT) {
+      link.status = PAYMENT_LINK_STATUS.OPENED;
+      link.openedAt = now;
+      await booking.save();
+    }
+
+    return { booking, link };
+  }
+
+  /**
+   * What the guest sees on the payment page; nothing beyond the booking they are paying for
+   * @param {Object} booking - Booking document
+   * @param {Object} link - Payment link
+   * @returns {Object} Booking summary and amount to pay
+   */
+  summarize(booking, link) {
+    return {
+      bookingReference: booking.bookingReference,
+      guestName: booking.guestDetails?.primaryGuest?.firstName,
+      checkInDate: booking.checkInDate,
+      checkOutDate: booking.checkOutDate,
+      nights: booking.nights,
+      guestCount: booking.guestCount,
+      currency: booking.pricing.currency || 'USD',
+      totalAmount: booking.getAmountDue(),
+      paidAmount: booking.payment.paidAmount,
+      amount: this.round(Math.min(link.amount, booking.payment.remainingAmount)),
+      status: link.status,
+      expiresAt: link.expiresAt
+    };
+  }
+
+  /**
+   * Create the Stripe payment intent for a link. Opening the page again
+   * reuses the intent already created for the link, so the guest cannot
+   * pay twice; if what is owed has changed since, the intent's amount is
+   * updated to match.
+   * @param {String} token - Payment link token
+   * @returns {Object} { paymentIntent, payment, booking, link }
+   */
+  async createPaymentIntent(token) {
+    const { booking, link } = await this.resolve(token);
+
+    const amount = this.round(Math.min(link.amount, booking.payment.remainingAmount));
+    if (amount <= 0) {
+      throw new APIError(API_MESSAGES.BAD_REQUEST, 400, 'Booking is paid in full');
+    }
+
+    const pending = await Payment.findOne({
+      booking: booking._id,
+      status: PAYMENT_STATUS.PENDING,
+      'metadata.paymentLink': link._id.toString()
+    });
+
+    if (pending) {
+      if (pending.amount === amount) {
+        const paymentIntent = await stripeUtils.retrievePaymentIntent(pending.stripePaymentIntentId);
+        return { paymentIntent, payment: pending, booking, link };
+      }
+
+      const paymentIntent = await stripeUtils.updatePaymentIntent(pending.stripePaymentIntentId, { amount });
+      pending.amount = amount;
+      await pending.save();
+
+      return { paymentIntent, payment: pending, booking, link };
+    }
+
+    const currency = booking.pricing.currency || 'USD';
+    const paymentIntent = await stripeUtils.createPaymentIntent({
+      amount,
+      currency: currency.toLowerCase(),
+      description: `Payment for booking ${booking.bookingReference}`,
+      metadata: {
+        bookingId: booking._id.toString(),
+        bookingReference: booking.bookingReference,
+        paymentLinkId: link._id.toString()
+      }
+    });
+
+    const payment = await Payment.create({
+      booking: booking._id,
+      user: booking.user,
+      amount,
+      currency,
+      status: PAYMENT_STATUS.PENDING,
+      paymentMethod: {
+        type: 'card'
+      },
+      stripePaymentIntentId: paymentIntent.id,
+      description: paymentIntent.description,
+      metadata: { paymentLink: link._id.toString() }
+    });
+
+    return { paymentIntent, payment, booking, link };
+  }
+
+  /**
+   * Mark the link a successful payment came through as paid
+   * @param {Object} booking - Booking document (saved by the caller)
+   * @param {Object} payment - Succeeded Payment document
+   */
+  recordPayment(booking, payment) {
+    const linkId = payment.metadata?.get('paymentLink');
+    const link = linkId && booking.paymentLinks.id(linkId);
+
+    if (link) {
+      link.status = PAYMENT_LINK_STATUS.PAID;
+      link.paidAt = payment.processedAt || new Date();
+      link.payment = payment._id;
+    }
+  }
+}
+
+module.exports = new PaymentLinkService();
@@ -0,0 +1,271 @@
+const { Payment, Dispute, Payout } = require('../models');
+const { PAYOUT_ITEM_STATUS } = require('../config/constants');
+const stripeUtils = require('../utils/stripe');
+const ledgerService = require('./ledgerService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far back the first run looks, before any payout has been reconciled
+const FIRST_RUN_DAYS = 30;
+
+// Balance transactions that move money between Stripe and the bank rather than for a booking
+const PAYOUT_TYPES = ['payout', 'payout_cancel', 'payout_failure'];
+
+const CSV_COLUMNS = [
+  'payout', 'arrival_date', 'balance_transaction', 'type', 'source', 'booking_reference',
+  'amount', 'fee', 'net', 'status', 'issue'
+];
+
+class PayoutService {
+  /**
+   * Round an amount to cents
+   * @param {Number} amount - Amount in currency units
+   * @returns {Number} Rounded amount
+   */
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Match a payment balance transaction (a charge) to its Payment, and
+   * replace the payment's estimated fee with the one Stripe charged
+   * @param {Object} item - Payout line so far
+   * @param {Object} source - Stripe charge
+   * @returns {Object} Payout line
+   */
+  async matchCharge(item, source) {
+    const payment = await Payment.findOne({
+      $or: [
+        { stripeChargeId: item.sourceId },
+        ...(source?.payment_intent ? [{ stripePaymentIntentId: source.payment_intent }] : [])
+      ]
+    }).populate('booking', 'bookingReference');
+
+    if (!payment) {
+      return { ...item, status: PAYOUT_ITEM_STATUS.UNMATCHED, issue: `No payment found for charge ${item.sourceId}` };
+    }
+
+    const matched = {
+      ...item,
+      payment: payment._id,
+      booking: payment.booking?._id,
+      bookingReference: payment.booking?.bookingReference
+    };
+
+    if (payment.fees.platform !== item.fee || !payment.fees.reconciledAt) {
+      payment.stripeChargeId = payment.stripeChargeId || item.sourceId;
+      payment.fees.platform = item.fee;
+      payment.fees.reconciledAt = new Date();
+      await payment.save();
+      await ledgerService.adjustFee(payment);
+    }
+
+    if (this.round(payment.amount) !== item.amount) {
+      return {
+        ...matched,
+        status: PAYOUT_ITEM_STATUS.MISMATCHED,
+        issue: `Stripe settled ${item.amount.toFixed(2)} but the payment is for ${payment.amount.toFixed(2)}`
+      };
+    }
+
+    return { ...matched, status: PAYOUT_ITEM_STATUS.MATCHED };
+  }
+
+  /**
+   * Match a refund balance transaction to the refund on its Payment
+   * @param {Object} item - Payout line so far
+   * @returns {Object} Payout line
+   */
+  async matchRefund(item) {
+    const payment = await Payment.findOne({ 'refunds.stripeRefundId': item.sourceId })
+      .populate('booking', 'bookingReference');
+
+    if (!payment) {
+      return { ...item, status: PAYOUT_ITEM_STATUS.UNMATCHED, issue: `No refund found for ${item.sourceId}` };
+    }
+
+    const refund = payment.refunds.find(candidate => candidate.stripeRefundId === item.sourceId);
+    const matched = {
+      ...item,
+      payment: payment._id,
+      booking: payment.booking?._id,
+      bookingReference: payment.booking?.bookingReference
+    };
+
+    if (this.round(refund.amount) !== -item.amount) {
+      return {
+        ...matched,
+        status: PAYOUT_ITEM_STATUS.MISMATCHED,
+        issue: `Stripe refunded ${(-item.amount).toFixed(2)} but the refund is for ${refund.amount.toFixed(2)}`
+      };
+    }
+    if (refund.status !== 'succeeded') {
+      return { ...matched, status: PAYOUT_ITEM_STATUS.MISMATCHED, issue: `Refund is ${refund.status} in our records` };
+    }
+
+    return { ...matched, status: PAYOUT_ITEM_STATUS.MATCHED };
+  }
+
+  /**
+   * Match a chargeback withdrawal or reinstatement to its Dispute
+   * @param {Object} item - Payout line so far
+   * @returns {Object} Payout line
+   */
+  async matchDispute(item) {
+    const dispute = await Dispute.findOne({ stripeDisputeId: item.sourceId })
+      .populate('booking', 'bookingReference');
+
+    if (!dispute) {
+      return { ...item, status: PAYOUT_ITEM_STATUS.UNMATCHED, issue: `No dispute found for ${item.sourceId}` };
+    }
+
+    const matched = {
+      ...item,
+      payment: dispute.payment,
+      booking: dispute.booking?._id,
+      bookingReference: dispute.booking?.bookingReference
+    };
+
+    if (this.round(dispute.amount) !== Math.abs(item.amount)) {
+      return {
+        ...matched,
+        status: PAYOUT_ITEM_STATUS.MISMATCHED,
+        issue: `Stripe moved ${Math.abs(item.amount).toFixed(2)} but the dispute is for ${dispute.amount.toFixed(2)}`
+      };
+    }
+
+    return { ...matched, status: PAYOUT_ITEM_STATUS.MATCHED };
+  }
+
+  /**
+   * Turn a Stripe balance transaction into a payout line matched against
+   * our payments, refunds and disputes
+   * @param {Object} transaction - Stripe balance transaction, source expanded
+   * @returns {Object} Payout line
+   */
+  async matchTransaction(transaction) {
+    const source = typeof transaction.source === 'string' ? null : transaction.source;
+    const item = {
+      balanceTransactionId: transaction.id,
+      type: transaction.type,
+      sourceId: source ? source.id : transaction.source,
+      description: transaction.description,
+      amount: stripeUtils.formatAmountFromStripe(transaction.amount),
+      fee: stripeUtils.formatAmountFromStripe(transaction.fee),
+      net: stripeUtils.formatAmountFromStripe(transaction.net)
+    };
+
+    if (item.sourceId?.startsWith('dp_')) {
+      return this.matchDispute(item);
+    }
+
+    switch (transaction.type) {
+      case 'charge':
+      case 'payment':
+        return this.matchCharge(item, source);
+      case 'refund':
+      case 'payment_refund':
+        return this.matchRefund(item);
+      default:
+        return { ...item, status: PAYOUT_ITEM_STATUS.UNMATCHED, issue: `No matching record for a ${transaction.type}` };
+    }
+  }
+
+  /**
+   * Reconcile one paid Stripe payout: match each of its balance transactions,
+   * record the real fees, and post the payout to the ledger. Running it again
+   * rebuilds the report from Stripe.
+   * @param {Object} stripePayout - Stripe payout
+   * @returns {Object} Payout document
+   */
+  async reconcilePayout(stripePayout) {
+    const transactions = await stripeUtils.listBalanceTransactions(stripePayout.id);
+
+    const items = [];
+    for (const transaction of transactions) {
+      if (PAYOUT_TYPES.includes(transaction.type)) continue;
+      items.push(await this.matchTransaction(transaction));
+    }
+
+    const sum = (field) => this.round(items.reduce((total, item) => total + item[field], 0));
+    const totals = { amount: sum('amount'), fees: sum('fee'), net: sum('net') };
+    const amount = stripeUtils.formatAmountFromStripe(stripePayout.amount);
+    const difference = this.round(amount - totals.net);
+
+    let payout = await Payout.findOne({ stripePayoutId: stripePayout.id });
+    if (!payout) {
+      payout = new Payout({ stripePayoutId: stripePayout.id });
+    }
+
+    payout.amount = amount;
+    payout.currency = stripePayout.currency.toUpperCase();
+    payout.arrivalDate = new Date(stripePayout.arrival_date * 1000);
+    payout.items = items;
+    payout.totals = totals;
+    payout.difference = difference;
+    payout.discrepancies = items.filter(item => item.status !== PAYOUT_ITEM_STATUS.MATCHED).length +
+      (difference === 0 ? 0 : 1);
+    payout.reconciledAt = new Date();
+
+    await payout.save();
+    await ledgerService.recordPayout(payout);
+
+    return payout;
+  }
+
+  /**
+   * Reconcile the payouts that arrived in a date range. Without a start date
+   * this picks up from the last payout reconciled.
+   * @param {Object} options - { since, until }
+   * @returns {Object} Summary of reconciled and flagged payouts
+   */
+  async reconcilePayouts({ since = null, until = new Date() } = {}) {
+    if (!since) {
+      const last = await Payout.findOne().sort({ arrivalDate: -1 });
+      since = last ? last.arrivalDate : new Date(until.getTime() - FIRST_RUN_DAYS * DAY_MS);
+    }
+
+    const stripePayouts = await stripeUtils.listPayouts({ since, until });
+
+    const result = { since, until, reconciled: [], flagged: [] };
+    for (const stripePayout of stripePayouts) {
+      const payout = await this.reconcilePayout(stripePayout);
+      result.reconciled.push(payout.stripePayoutId);
+      if (!payout.isReconciled) {
+        result.flagged.push(payout.stripePayoutId);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Export payouts as CSV, one row per line
+   * @param {Array} payouts - Payout documents
+   * @returns {String} CSV
+   */
+  toCsv(payouts) {
+    const escape = (value) => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = payouts.flatMap(payout => payout.items.map(item => [
+      payout.stripePayoutId,
+      payout.arrivalDate.toISOString().split('T')[0],
+      item.balanceTransactionId,
+      item.type,
+      item.sourceId,
+      item.bookingReference,
+      item.amount.toFixed(2),
+      item.fee.toFixed(2),
+      item.net.toFixed(2),
+      item.status,
+      item.issue
+    ]));
+
+    return [CSV_COLUMNS, ...rows].map(row => row.map(escape).join(',')).join('\n') + '\n';
+  }
+}
+
+module.exports = new PayoutService();
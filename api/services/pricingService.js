@@ -0,0 +1,340 @@
+const { RatePlan, CancellationPolicy } = require('../models');
+const { PRICING, BUSINESS_RULES } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PricingService {
+  /**
+   * Round an amount to cents
+   * @param {Number} amount - Amount in currency units
+   * @returns {Number} Rounded amount
+   */
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Whether a room type is priced per guest rather than per room
+   * @param {String} roomType - Room type
+   * @returns {Boolean} True for per-person pricing
+   */
+  isPerPerson(roomType) {
+    return PRICING.PER_PERSON_ROOM_TYPES.includes(roomType);
+  }
+
+  /**
+   * List the nights of a stay
+   * @param {Date} checkIn - Check-in date
+   * @param {Date} checkOut - Check-out date
+   * @returns {Array} Night dates
+   */
+  getNights(checkIn, checkOut) {
+    const nights = [];
+    for (let night = new Date(checkIn); night < checkOut; night = new Date(night.getTime() + DAY_MS)) {
+      nights.push(night);
+    }
+    return nights;
+  }
+
+  /**
+   * Nightly rate for a room on a given date
+   * @param {Object} room - Room document
+   * @param {Date} date - Night date
+   * @param {Object} ratePlan - Optional rate plan document
+   * @returns {Number} Rate per unit (guest or room)
+   */
+  getNightlyRate(room, date, ratePlan = null) {
+    return ratePlan ? this.round(ratePlan.getNightlyRate(room, date)) : room.basePrice;
+  }
+
+  /**
+   * Deposit due with a booking's first payment
+   * @param {Number} totalAmount - Stay total
+   * @param {Object} ratePlan - Optional rate plan document
+   * @returns {Number} Deposit amount
+   */
+  getDeposit(totalAmount, ratePlan = null) {
+    const percentage = ratePlan?.depositPercentage ?? BUSINESS_RULES.DEFAULT_DEPOSIT_PERCENTAGE * 100;
+    return this.round((totalAmount * percentage) / 100);
+  }
+
+  /**
+   * Date the balance is charged to the guest's saved card
+   * @param {Date} checkIn - Check-in date
+   * @param {Object} ratePlan - Optional rate plan document
+   * @returns {Date} Balance due date
+   */
+  getBalanceDueDate(checkIn, ratePlan = null) {
+    const days = ratePlan?.balanceDueDays ?? BUSINESS_RULES.BALANCE_DUE_DAYS;
+    return new Date(new Date(checkIn).getTime() - days * DAY_MS);
+  }
+
+  /**
+   * Calculate a discount amount
+   * @param {Object} discount - Discount ({ type, value, code, reason, promoCode, campaign })
+   * @param {Number} discountableAmount - Amount the discount applies to
+   * @returns {Object} Discount with computed amount
+   */
+  calculateDiscount(discount, discountableAmount) {
+    if (!discount || !discount.type || !discount.value) {
+      return { amount: 0 };
+    }
+
+    const amount = discount.type === 'percentage'
+      ? (discountableAmount * discount.value) / 100
+      : discount.value;
+
+    return {
+      amount: this.round(Math.min(amount, discountableAmount)),
+      type: discount.type,
+      value: discount.value,
+      code: discount.code,
+      reason: discount.reason,
+      promoCode: discount.promoCode,
+      campaign: discount.campaign
+    };
+  }
+
+  /**
+   * Produce an itemised quote for a stay. Every quote and booking path uses
+   * this so the amount shown in search is the amount charged.
+   * @param {Object} room - Room document
+   * @param {Object} options - Stay details
+   * @param {Date} options.checkIn - Check-in date
+   * @param {Date} options.checkOut - Check-out date
+   * @param {Number} options.guestCount - Number of guests
+   * @param {Object} options.discount - Optional discount ({ type, value, code, reason })
+   * @param {Object} options.ratePlan - Optional rate plan document
+   * @param {Array} options.extras - Optional extras ({ product, quantity }), quoted alongside the room
+   * @returns {Object} Itemised quote
+   */
+  quote(room, { checkIn, checkOut, ...options }) {
+    return this.quoteSegments([{ room, checkIn, checkOut }], options);
+  }
+
+  /**
+   * Quote a stay split across rooms. Each segment is priced at its own room's
+   * nightly rate; the cleaning fee is charged once per room stayed in.
+   * @param {Array} segments - Stay segments ({ room, checkIn, checkOut }) in date order
+   * @param {Object} options - { guestCount, discount, ratePlan, extras }, as for quote()
+   * @returns {Object} Itemised quote, with the segments when there is more than one
+   */
+  async quoteSegments(segments, { guestCount = 1, discount = null, ratePlan = null, extras = [] } = {}) {
+    const [{ room }] = segments;
+    const perPerson = this.isPerPerson(room.type);
+    const splitStay = segments.length > 1;
+
+    const priced = segments.map(segment => {
+      const units = this.isPerPerson(segment.room.type) ? guestCount : 1;
+      const nights = this.getNights(new Date(segment.checkIn), new Date(segment.checkOut));
+
+      return {
+        room: segment.room,
+        checkIn: new Date(segment.checkIn),
+        checkOut: new Date(segment.checkOut),
+        nightlyRates: nights.map(date => {
+          const rate = this.getNightlyRate(segment.room, date, ratePlan);
+          return {
+            date,
+            ...(splitStay && { room: segment.room._id }),
+            rate,
+            units,
+            amount: this.round(rate * units)
+          };
+        })
+      };
+    });
+
+    const nightlyRates = priced.flatMap(segment => segment.nightlyRates);
+    const baseAmount = this.round(nightlyRates.reduce((total, night) => total + night.amount, 0));
+
+    const cleanedRooms = new Map(segments.map(segment => [segment.room._id.toString(), segment.room]));
+    const cleaning = [...cleanedRooms.values()].reduce((total, segmentRoom) => {
+      return total + (segmentRoom.cleaningFee || 0);
+    }, 0);
+
+    const fees = {
+      cleaning: this.round(cleaning),
+      service: this.round((baseAmount * PRICING.SERVICE_FEE_PERCENTAGE) / 100),
+      deposit: 0
+    };
+
+    const discounts = this.calculateDiscount(discount, baseAmount);
+    const subtotal = this.round(baseAmount + fees.cleaning + fees.service - discounts.amount);
+    const taxes = this.round(subtotal * PRICING.TAX_RATE);
+    const totalAmount = this.round(subtotal + taxes);
+
+    // Part of the total, not an extra fee: what the first payment must cover
+    fees.deposit = this.getDeposit(totalAmount, ratePlan);
+    const balanceDueDate = this.getBalanceDueDate(segments[0].checkIn, ratePlan);
+
+    // Extras are charged to the folio, so they are totalled apart from the room
+    const extrasQuote = extras.length > 0
+      ? this.quoteExtras(extras, {
+        checkIn: segments[0].checkIn,
+        checkOut: segments[segments.length - 1].checkOut,
+        guestCount
+      })
+      : null;
+
+    // Cancellation terms the guest is shown are the ones snapshotted on booking
+    const cancellationPolicy = await CancellationPolicy.snapshotFor(ratePlan);
+
+    return {
+      basePrice: room.basePrice,
+      ratePlan: ratePlan
+        ? { _id: ratePlan._id, name: ratePlan.name, code: ratePlan.code }
+        : null,
+      pricingModel: perPerson ? 'per_person' : 'per_room',
+      nights: nightlyRates.length,
+      guestCount,
+      nightlyRates,
+      ...(splitStay && {
+        segments: priced.map(segment => ({
+          room: {
+            _id: segment.room._id,
+            roomNumber: segment.room.roomNumber,
+            type: segment.room.type
+          },
+          checkIn: segment.checkIn,
+          checkOut: segment.checkOut,
+          nights: segment.nightlyRates.length,
+          amount: this.round(segment.nightlyRates.reduce((total, night) => total + night.amount, 0))
+        }))
+      }),
+      baseAmount,
+      fees,
+      discounts,
+      subtotal,
+      taxRate: PRICING.TAX_RATE,
+      taxes,
+      totalAmount,
+      balanceDueDate,
+      ...(extrasQuote && {
+        extras: extrasQuote,
+        totalWithExtras: this.round(totalAmount + extrasQuote.totalAmount)
+      }),
+      currency: room.currency,
+      cancellationPolicy
+    };
+  }
+
+  /**
+   * Price extras for a stay. Each is charged per stay, night, person or
+   * person per night and taxed at its tax category's rate, as folio charges are.
+   * @param {Array} extras - Selected extras ({ product, quantity })
+   * @param {Object} stay - { checkIn, checkOut, guestCount }
+   * @returns {Object} { lines, amount, taxes, totalAmount }
+   */
+  quoteExtras(extras, { checkIn, checkOut, guestCount = 1 }) {
+    const nights = this.getNights(new Date(checkIn), new Date(checkOut)).length;
+
+    const lines = extras.map(({ product, quantity = 1 }) => {
+      const units = product.getChargeableUnits(quantity, { nights, guestCount });
+      const taxRate = PRICING.TAX_RATES[product.taxCategory] ?? PRICING.TAX_RATE;
+      const amount = this.round(units * product.unitPrice);
+      const tax = this.round(amount * taxRate);
+
+      return {
+        product: {
+          _id: product._id,
+          code: product.code,
+          name: product.name,
+          category: product.category
+        },
+        pricingUnit: product.pricingUnit,
+        quantity,
+        units,
+        unitPrice: product.unitPrice,
+        taxCategory: product.taxCategory,
+        taxRate,
+        amount,
+        tax,
+        total: this.round(amount + tax),
+        serviceDates: product.getServiceDates(checkIn, checkOut)
+      };
+    });
+
+    const amount = this.round(lines.reduce((total, line) => total + line.amount, 0));
+    const taxes = this.round(lines.reduce((total, line) => total + line.tax, 0));
+
+    return {
+      lines,
+      amount,
+      taxes,
+      totalAmount: this.round(amount + taxes)
+    };
+  }
+
+  /**
+   * Quote a stay under every rate plan bookable on the room
+   * @param {Object} room - Room document
+   * @param {Object} options - Stay details, as for quote()
+   * @returns {Array} One quote per rate plan
+   */
+  async quoteRatePlans(room, options) {
+    const ratePlans = await RatePlan.findBookable(room.type);
+    return Promise.all(ratePlans.map(ratePlan => this.quote(room, { ...options, ratePlan })));
+  }
+
+  /**
+   * Re-total a booking's pricing for a changed set of nights, e.g. when an
+   * in-house stay is extended or cut short. Nights keep the rate they were
+   * priced at; the service fee, percentage discounts and taxes follow the new
+   * base amount, and the cleaning fee is unchanged.
+   * @param {Object} pricing - Current Booking.pricing
+   * @param {Array} nightlyRates - Every night of the changed stay, in date order
+   * @returns {Object} Booking pricing
+   */
+  repriceNights(pricing, nightlyRates) {
+    const baseAmount = this.round(nightlyRates.reduce((total, night) => total + night.amount, 0));
+
+    const fees = {
+      cleaning: pricing.fees?.cleaning || 0,
+      service: this.round((baseAmount * PRICING.SERVICE_FEE_PERCENTAGE) / 100),
+      deposit: pricing.fees?.deposit || 0
+    };
+
+    const discounts = this.calculateDiscount(pricing.discounts, baseAmount);
+    const subtotal = this.round(baseAmount + fees.cleaning + fees.service - discounts.amount);
+    const taxRate = pricing.taxRate ?? PRICING.TAX_RATE;
+    const taxes = this.round(subtotal * taxRate);
+
+    return {
+      ratePlan: pricing.ratePlan
+        ? { _id: pricing.ratePlan._id, name: pricing.ratePlan.name, code: pricing.ratePlan.code }
+        : undefined,
+      pricingModel: pricing.pricingModel,
+      nightlyRates,
+      baseAmount,
+      taxRate,
+      taxes,
+      fees,
+      discounts,
+      currency: pricing.currency,
+      totalAmount: this.round(subtotal + taxes)
+    };
+  }
+
+  /**
+   * Map a quote onto the Booking.pricing shape
+   * @param {Object} quote - Quote from quote()
+   * @returns {Object} Booking pricing
+   */
+  toBookingPricing(quote) {
+    return {
+      ratePlan: quote.ratePlan || undefined,
+      pricingModel: quote.pricingModel,
+      nightlyRates: quote.nightlyRates,
+      baseAmount: quote.baseAmount,
+      taxRate: quote.taxRate,
+      taxes: quote.taxes,
+      fees: quote.fees,
+      discounts: quote.discounts,
+      currency: quote.currency,
+      totalAmount: quote.totalAmount
+    };
+  }
+}
+
+module.exports = new PricingService();
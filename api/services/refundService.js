@@ -0,0 +1,233 @@
+const { Booking, Payment, User } = require('../models');
+const { BOOKING_STATUS, PAYMENT_STATUS, BUSINESS_RULES } = require('../config/constants');
+const stripeUtils = require('../utils/stripe');
+const emailService = require('./emailService');
+const ledgerService = require('./ledgerService');
+
+class RefundService {
+  /**
+   * Round an amount to cents
+   * @param {Number} amount - Amount in currency units
+   * @returns {Number} Rounded amount
+   */
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Refund up to an amount across a booking's card payments, newest first,
+   * recording each refund on its payment and on the booking. Stops at the
+   * first Stripe error.
+   * @param {Object} booking - Booking document (not saved here)
+   * @param {Number} amount - Amount to refund
+   * @param {Object} options - { reason, processedBy, idempotencyKey }
+   * @param {Function} options.idempotencyKey - (payment, amount) => Stripe idempotency key
+   * @returns {Object} { refunded, error }
+   */
+  async refundCardPayments(booking, amount, { reason, processedBy, idempotencyKey }) {
+    let outstanding = this.round(amount);
+    let refunded = 0;
+    let error = null;
+
+    const payments = await Payment.find({
+      booking: booking._id,
+      status: { $in: [PAYMENT_STATUS.SUCCEEDED, PAYMENT_STATUS.PARTIALLY_REFUNDED] },
+      stripePaymentIntentId: { $exists: true }
+    }).sort({ createdAt: -1 });
+
+    for (const payment of payments) {
+      if (outstanding <= 0) break;
+
+      const paymentAmount = Math.min(outstanding, payment.refundableAmount);
+      if (paymentAmount <= 0) continue;
+
+      let stripeRefund;
+      try {
+        stripeRefund = await stripeUtils.createRefund({
+          paymentIntentId: payment.stripePaymentIntentId,
+          amount: paymentAmount,
+          metadata: {
+            bookingId: booking._id.toString(),
+            paymentId: payment._id.toString()
+          },
+          // Replaying a refund that Stripe already made returns the same refund
+          idempotencyKey: idempotencyKey(payment, paymentAmount)
+        });
+      } catch (stripeError) {
+        error = stripeError.message;
+        break;
+      }
+
+      const status = stripeRefund.status === 'succeeded' ? 'succeeded' : 'pending';
+      await payment.processRefund(paymentAmount, reason, processedBy, {
+        stripeRefundId: stripeRefund.id,
+        status
+      });
+      await ledgerService.recordRefund(payment, {
+        booking,
+        amount: paymentAmount,
+        reference: stripeRefund.id,
+        postedBy: processedBy
+      });
+
+      booking.payment.transactions.push({
+        amount: paymentAmount,
+        type: 'refund',
+        method: 'card',
+        reference: stripeRefund.id,
+        status: status === 'succeeded' ? 'completed' : 'pending'
+      });
+
+      refunded = this.round(refunded + paymentAmount);
+      outstanding = this.round(outstanding - paymentAmount);
+    }
+
+    return { refunded, error };
+  }
+
+  /**
+   * Refund a cancelled or no-show booking through Stripe, spreading the refund across
+   * its card payments (newest first) until cancellation.refundAmount is covered.
+   * Safe to call again after a failure: only the outstanding amount is refunded.
+   * @param {Object} booking - Cancelled booking document
+   * @param {Object} options - { processedBy }
+   * @returns {Object} { refunded, outstanding, refundProcessed, error }
+   */
+  async refundBooking(booking, { processedBy } = {}) {
+    const { cancellation } = booking;
+    let outstanding = this.round(cancellation.refundAmount - (cancellation.refundedAmount || 0));
+    let refunded = 0;
+    let error = null;
+
+    if (outstanding > 0) {
+      cancellation.refundAttempts = (cancellation.refundAttempts || 0) + 1;
+      cancellation.lastRefundAttemptAt = new Date();
+
+      ({ refunded, error } = await this.refundCardPayments(booking, outstanding, {
+        reason: cancellation.reason,
+        processedBy,
+        idempotencyKey: (payment, amount) => `cancel-${booking._id}-${payment._id}-${Math.round(amount * 100)}`
+      }));
+
+      outstanding = this.round(outstanding - refunded);
+      cancellation.refundedAmount = this.round((cancellation.refundedAmount || 0) + refunded);
+
+      if (outstanding > 0 && !error) {
+        error = 'Card payments do not cover the refund amount; refund the rest manually';
+      }
+    }
+
+    cancellation.refundError = error || undefined;
+
+    if (outstanding <= 0) {
+      cancellation.refundProcessed = true;
+      cancellation.refundedAt = cancellation.refundedAt || new Date();
+
+      if (cancellation.refundedAmount > 0 && cancellation.refundedAmount >= booking.payment.paidAmount) {
+        booking.payment.status = 'refunded';
+      }
+    }
+
+    await booking.save();
+
+    return {
+      refunded,
+      outstanding: Math.max(0, outstanding),
+      refundProcessed: cancellation.refundProcessed,
+      error
+    };
+  }
+
+  /**
+   * Refund whatever a booking has been paid above what it owes, e.g. after a
+   * stay is shortened. Refunded amounts come off paidAmount, so a later change to
+   * the stay charges the right balance. Anything Stripe cannot refund is left
+   * as a note for staff.
+   * @param {Object} booking - Booking document
+   * @param {Object} options - { reason, processedBy, reference }
+   * @param {String} options.reference - Identifies the change, keeping Stripe retries idempotent
+   * @returns {Object} { refunded, outstanding, error }
+   */
+  async refundOverpayment(booking, { reason, processedBy, reference }) {
+    const overpaid = this.round(booking.payment.paidAmount - booking.getAmountDue());
+    if (overpaid <= 0) {
+      return { refunded: 0, outstanding: 0, error: null };
+    }
+
+    let { refunded, error } = await this.refundCardPayments(booking, overpaid, {
+      reason,
+      processedBy,
+      idempotencyKey: (payment, amount) => `adjust-${booking._id}-${reference}-${payment._id}-${Math.round(amount * 100)}`
+    });
+
+    const outstanding = this.round(overpaid - refunded);
+    if (outstanding > 0) {
+      error = error || 'Card payments do not cover the refund amount; refund the rest manually';
+      booking.notes.push({
+        content: `Overpayment of ${outstanding.toFixed(2)} not refunded: ${error}`,
+        addedBy: processedBy,
+        type: 'general'
+      });
+    }
+
+    booking.payment.paidAmount = this.round(booking.payment.paidAmount - refunded);
+    await booking.save();
+
+    return { refunded, outstanding, error };
+  }
+
+  /**
+   * Refund a booking that was just cancelled and let the guest know.
+   * A Stripe outage leaves the refund for retryFailedRefunds.
+   * @param {Object} booking - Cancelled booking document
+   * @param {Object} options - { processedBy }
+   * @returns {Object} Refund result
+   */
+  async processCancellation(booking, { processedBy } = {}) {
+    const refund = await this.refundBooking(booking, { processedBy });
+
+    if (refund.error) {
+      console.error(`Refund for booking ${booking.bookingReference} not completed:`, refund.error);
+    }
+
+    const user = await User.findById(booking.user);
+    if (user) {
+      const email = await emailService.sendBookingCancellation(booking, user, booking.cancellation.refundAmount);
+      if (!email.success) {
+        console.warn(`Cancellation email for ${booking.bookingReference} not sent:`, email.error);
+      }
+    }
+
+    return refund;
+  }
+
+  /**
+   * Retry refunds for cancelled and no-show bookings that could not be refunded in full
+   * @param {Object} options - { maxAttempts }
+   * @returns {Object} Summary of retried bookings
+   */
+  async retryFailedRefunds({ maxAttempts = BUSINESS_RULES.MAX_REFUND_ATTEMPTS } = {}) {
+    const bookings = await Booking.find({
+      status: { $in: [BOOKING_STATUS.CANCELLED, BOOKING_STATUS.NO_SHOW] },
+      'cancellation.refundProcessed': false,
+      'cancellation.refundAmount': { $gt: 0 },
+      'cancellation.refundAttempts': { $lt: maxAttempts }
+    });
+
+    const summary = { retried: bookings.length, completed: [], failed: [] };
+
+    for (const booking of bookings) {
+      const refund = await this.refundBooking(booking);
+
+      if (refund.refundProcessed) {
+        summary.completed.push(booking.bookingReference);
+      } else {
+        summary.failed.push({ bookingReference: booking.bookingReference, error: refund.error });
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,213 @@
+const { Booking, Payment, User } = require('../models');
+const { BUSINESS_RULES, PAYMENT_STATUS, PAYMENT_TYPES, TAX_CATEGORIES } = require('../config/constants');
+const stripeUtils = require('../utils/stripe');
+const ledgerService = require('./ledgerService');
+
+class SecurityDepositService {
+  /**
+   * Round an amount to cents
+   * @param {Number} amount - Amount in currency units
+   * @returns {Number} Rounded amount
+   */
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Hold a security deposit on the guest's card at check-in, as a Stripe
+   * manual-capture authorisation. With a payment method the card is
+   * authorised straight away; otherwise the intent's client secret is
+   * returned for the front desk to confirm, and the webhook records it.
+   * An earlier unconfirmed attempt is cancelled first.
+   * @param {Object} booking - Booking document (saved by the caller)
+   * @param {Object} options - { amount, paymentMethodId, processedBy }
+   * @returns {Object} { payment, clientSecret }
+   */
+  async authorize(booking, { amount = BUSINESS_RULES.SECURITY_DEPOSIT_AMOUNT, paymentMethodId = null, processedBy }) {
+    const previous = booking.checkInProcess.securityDeposit
+      ? await Payment.findById(booking.checkInProcess.securityDeposit)
+      : null;
+
+    if (previous && previous.status === PAYMENT_STATUS.PENDING) {
+      await stripeUtils.cancelPaymentIntent(previous.stripePaymentIntentId);
+      previous.status = PAYMENT_STATUS.CANCELLED;
+      await previous.save();
+    }
+
+    const user = await User.findById(booking.user);
+    let stripeCustomerId = user.stripeCustomerId;
+    if (!stripeCustomerId) {
+      const customer = await stripeUtils.createCustomer({
+        email: user.email,
+        name: user.getFullName(),
+        phone: user.phone,
+        metadata: {
+          userId: user._id.toString()
+        }
+      });
+
+      stripeCustomerId = customer.id;
+      await User.findByIdAndUpdate(user._id, { stripeCustomerId });
+    }
+
+    const currency = booking.pricing.currency || 'USD';
+    const paymentIntent = await stripeUtils.createPaymentIntent({
+      amount,
+      currency: currency.toLowerCase(),
+      customerId: stripeCustomerId,
+      description: `Security deposit for booking ${booking.bookingReference}`,
+      metadata: {
+        bookingId: booking._id.toString(),
+        userId: user._id.toString(),
+        bookingReference: booking.bookingReference,
+        paymentType: PAYMENT_TYPES.SECURITY_DEPOSIT
+      },
+      captureMethod: 'manual',
+      paymentMethodId
+    });
+
+    const authorized = paymentIntent.status === 'requires_capture';
+
+    const payment = await Payment.create({
+      booking: booking._id,
+      user: user._id,
+      type: PAYMENT_TYPES.SECURITY_DEPOSIT,
+      amount,
+      currency,
+      status: authorized ? PAYMENT_STATUS.AUTHORIZED : PAYMENT_STATUS.PENDING,
+      paymentMethod: {
+        type: 'card'
+      },
+      stripePaymentIntentId: paymentIntent.id,
+      description: paymentIntent.description,
+      authorization: {
+        amount,
+        authorizedAt: authorized ? new Date() : undefined
+      },
+      processedBy
+    });
+
+    booking.checkInProcess.securityDeposit = payment._id;
+    booking.checkInProcess.depositCollected = authorized;
+
+    return {
+      payment,
+      clientSecret: authorized ? null : paymentIntent.client_secret
+    };
+  }
+
+  /**
+   * Record a security deposit the front desk confirmed after check-in
+   * @param {String} paymentIntentId - Payment intent ID
+   * @returns {Object|null} Payment, or null if it is not a pending security deposit
+   */
+  async recordAuthorization(paymentIntentId) {
+    const payment = await Payment.findOne({
+      stripePaymentIntentId: paymentIntentId,
+      type: PAYMENT_TYPES.SECURITY_DEPOSIT
+    });
+
+    if (!payment || payment.status !== PAYMENT_STATUS.PENDING) {
+      return null;
+    }
+
+    payment.status = PAYMENT_STATUS.AUTHORIZED;
+    payment.authorization.authorizedAt = new Date();
+    await payment.save();
+
+    await Booking.updateOne(
+      { _id: payment.booking, 'checkInProcess.securityDeposit': payment._id },
+      { 'checkInProcess.depositCollected': true }
+    );
+
+    return payment;
+  }
+
+  /**
+   * Settle the security deposit at check-out. Damages are charged to the
+   * folio; as much of the charge as the deposit covers is captured and
+   * credited to the booking, and the rest of the hold is released. With no
+   * damages the whole hold is released. A Stripe failure is noted on the
+   * booking for staff rather than stopping the check-out.
+   * @param {Object} booking - Booking document (saved by the caller)
+   * @param {Object} options - { damageCharge, damagesNoted, processedBy }
+   * @returns {Object} { payment, captured, released, error }
+   */
+  async settle(booking, { damageCharge = 0, damagesNoted, processedBy }) {
+    if (damageCharge > 0) {
+      booking.postCharge({
+        description: `Damages: ${damagesNoted}`,
+        unitPrice: damageCharge,
+        taxCategory: TAX_CATEGORIES.EXEMPT,
+        postedBy: processedBy
+      });
+    }
+
+    const payment = booking.checkInProcess?.securityDeposit
+      ? await Payment.findById(booking.checkInProcess.securityDeposit)
+      : null;
+    const result = { payment, captured: 0, released: false, error: null };
+
+    if (!payment || payment.status !== PAYMENT_STATUS.AUTHORIZED) {
+      return result;
+    }
+
+    const captureAmount = this.round(Math.min(damageCharge, payment.authorization.amount));
+
+    try {
+      if (captureAmount > 0) {
+        // Stripe releases whatever is not captured
+        await stripeUtils.capturePaymentIntent(payment.stripePaymentIntentId, captureAmount);
+
+        payment.status = PAYMENT_STATUS.SUCCEEDED;
+        payment.amount = captureAmount;
+        payment.authorization.capturedAmount = captureAmount;
+        payment.authorization.capturedAt = new Date();
+        payment.authorization.reason = damagesNoted;
+        payment.fees.platform = stripeUtils.calculateFees(captureAmount).totalFees;
+        payment.processedAt = new Date();
+        payment.processedBy = processedBy;
+
+        booking.payment.paidAmount = this.round(booking.payment.paidAmount + captureAmount);
+        booking.payment.transactions.push({
+          amount: captureAmount,
+          type: 'payment',
+          method: 'card',
+          reference: payment.stripePaymentIntentId,
+          processedAt: new Date(),
+          status: 'completed'
+        });
+        booking.updatePaymentStatus();
+
+        result.captured = captureAmount;
+      } else {
+        await stripeUtils.cancelPaymentIntent(payment.stripePaymentIntentId);
+
+        payment.status = PAYMENT_STATUS.CANCELLED;
+        payment.authorization.releasedAt = new Date();
+
+        result.released = true;
+      }
+
+      await payment.save();
+
+    } catch (error) {
+      console.error('Settle security deposit error:', error);
+
+      booking.notes.push({
+        content: `Security deposit could not be ${captureAmount > 0 ? 'captured' : 'released'}: ${error.message}`,
+        addedBy: processedBy,
+        type: 'general'
+      });
+      result.error = error.message;
+    }
+
+    if (result.captured > 0) {
+      await ledgerService.recordPayment(payment, booking, { postedBy: processedBy });
+    }
+
+    return result;
+  }
+}
+
+module.exports = new SecurityDepositService();
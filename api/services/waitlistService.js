@@ -0,0 +1,236 @@
+const { WaitlistEntry, Booking, Room, User, StayRestriction } = require('../models');
+const { BOOKING_STATUS, ROOM_STATUS, WAITLIST_STATUS, BUSINESS_RULES } = require('../config/constants');
+const pricingService = require('./pricingService');
+const inventoryService = require('./inventoryService');
+const emailService = require('./emailService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class WaitlistService {
+  /**
+   * Offer space to waiting guests, oldest entry first. Each entry that fits a
+   * free room gets a held booking in its name for WAITLIST_OFFER_HOURS and an
+   * email linking to it; entries that fit nothing stay in the queue.
+   * @param {Object} options - { checkIn, checkOut, roomTypes, now }; no range means every future entry
+   * @returns {Array} Entries offered space
+   */
+  async offerFreedSpace({ checkIn = null, checkOut = null, roomTypes = null, now = new Date() } = {}) {
+    const entries = await WaitlistEntry.findWaitingFor({ checkIn, checkOut, roomTypes, now })
+      .limit(BUSINESS_RULES.MAX_WAITLIST_OFFERS_PER_RUN);
+
+    const offered = [];
+    for (const entry of entries) {
+      const offer = await this.makeOffer(entry, { now });
+      if (offer) offered.push(offer);
+    }
+
+    return offered;
+  }
+
+  /**
+   * Hold the cheapest free room that fits a waitlist entry and send the offer.
+   * The entry is claimed first, so two runs never make it two offers.
+   * @param {Object} entry - Waiting entry document
+   * @param {Object} options - { now }
+   * @returns {Object|null} Offered entry, or null if nothing fits
+   */
+  async makeOffer(entry, { now = new Date() } = {}) {
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: WAITLIST_STATUS.WAITING },
+      { $set: { status: WAITLIST_STATUS.OFFERED, 'offer.offeredAt': now } },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    const user = await User.findById(claimed.user);
+
+    let booking = null;
+    try {
+      if (user && user.isActive) {
+        booking = await this.holdRoomFor(claimed, user, now);
+      }
+    } finally {
+      if (!booking) {
+        await WaitlistEntry.updateOne(
+          { _id: claimed._id },
+          { $set: { status: WAITLIST_STATUS.WAITING }, $unset: { offer: 1 } }
+        );
+      }
+    }
+
+    if (!booking) return null;
+
+    claimed.offer = {
+      booking: booking._id,
+      room: booking.room,
+      offeredAt: now,
+      expiresAt: booking.hold.expiresAt
+    };
+    await claimed.save();
+
+    try {
+      await emailService.sendWaitlistOffer(booking, user);
+    } catch (emailError) {
+      console.error('Waitlist offer email error:', emailError);
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Create the held booking for an offer in the first room that takes the party
+   * @returns {Object|null} Saved booking, or null if no room is free
+   */
+  async holdRoomFor(entry, user, now) {
+    const filter = {
+      isActive: true,
+      status: ROOM_STATUS.AVAILABLE,
+      capacity: { $gte: entry.guestCount }
+    };
+    if (entry.roomType) filter.type = entry.roomType;
+
+    const rooms = await Room.find(filter).sort({ basePrice: 1 });
+
+    for (const room of rooms) {
+      const restrictions = await StayRestriction.evaluate(room.type, entry.checkInDate, entry.checkOutDate);
+      if (restrictions.length > 0) continue;
+
+      await room.ensureBeds();
+
+      const quote = await pricingService.quote(room, {
+        checkIn: entry.checkInDate,
+        checkOut: entry.checkOutDate,
+        guestCount: entry.guestCount
+      });
+
+      const expiresAt = new Date(now.getTime() + BUSINESS_RULES.WAITLIST_OFFER_HOURS * HOUR_MS);
+      const booking = new Booking({
+        user: user._id,
+        room: room._id,
+        checkInDate: entry.checkInDate,
+        checkOutDate: entry.checkOutDate,
+        guestCount: entry.guestCount,
+        guestDetails: {
+          primaryGuest: {
+            firstName: user.firstName,
+            lastName: user.lastName,
+            email: user.email,
+            phone: user.phone,
+            gender: entry.gender
+          }
+        },
+        pricing: pricingService.toBookingPricing(quote),
+        cancellationPolicy: quote.cancellationPolicy,
+        status: BOOKING_STATUS.HOLD,
+        statusHistory: [{ to: BOOKING_STATUS.HOLD, actor: 'system', reason: 'Waitlist offer', changedAt: now }],
+        payment: {
+          status: 'pending',
+          remainingAmount: quote.totalAmount,
+          balanceDueDate: quote.balanceDueDate
+        }
+      });
+
+      const beds = await inventoryService.reserve(room, {
+        bookingId: booking._id,
+        checkIn: booking.checkInDate,
+        checkOut: booking.checkOutDate,
+        guestCount: entry.guestCount,
+        gender: entry.gender,
+        expiresAt
+      });
+      if (!beds) continue;
+
+      booking.beds = beds.map(bed => bed._id || bed);
+      booking.hold = { expiresAt };
+
+      try {
+        await booking.save();
+      } catch (error) {
+        await booking.releaseInventory();
+        throw error;
+      }
+
+      return booking;
+    }
+
+    return null;
+  }
+
+  /**
+   * Follow an offered booking's status onto its waitlist entry: paid or
+   * pending offers are booked, lapsed or cancelled ones expire
+   * @param {Object} booking - Booking document
+   */
+  async recordOfferOutcome(booking) {
+    let status;
+    if ([BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED].includes(booking.status)) {
+      status = WAITLIST_STATUS.BOOKED;
+    } else if ([BOOKING_STATUS.EXPIRED, BOOKING_STATUS.CANCELLED].includes(booking.status)) {
+      status = WAITLIST_STATUS.EXPIRED;
+    } else {
+      return;
+    }
+
+    await WaitlistEntry.updateOne(
+      { 'offer.booking': booking._id, status: WAITLIST_STATUS.OFFERED },
+      { $set: { status } }
+    );
+  }
+
+  /**
+   * Offer the nights a booking no longer needs to the waitlist
+   * @param {Object} booking - Cancelled, expired or no-show booking
+   * @returns {Array} Entries offered space
+   */
+  async offerBookingSpace(booking, { now = new Date() } = {}) {
+    try {
+      await this.recordOfferOutcome(booking);
+    } catch (error) {
+      console.error('Waitlist offer error:', error);
+    }
+
+    const roomIds = booking.getSegments().map(segment => segment.room._id || segment.room);
+    return this.offerRoomSpace(roomIds, {
+      checkIn: booking.checkInDate,
+      checkOut: booking.checkOutDate,
+      now
+    });
+  }
+
+  /**
+   * Offer nights freed in some rooms to waiting guests for those room types.
+   * Failures are logged, never raised, so the cancellation or stay change
+   * that freed the space always completes.
+   * @param {Array} roomIds - Rooms with freed nights
+   * @param {Object} options - { checkIn, checkOut, now }
+   * @returns {Array} Entries offered space
+   */
+  async offerRoomSpace(roomIds, { checkIn, checkOut, now = new Date() }) {
+    try {
+      const roomTypes = await Room.distinct('type', { _id: { $in: roomIds } });
+      return await this.offerFreedSpace({ checkIn, checkOut, roomTypes, now });
+    } catch (error) {
+      console.error('Waitlist offer error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Expire entries whose check-in passed while they were still waiting
+   * @param {Date} now - Reference time
+   * @returns {Number} Entries expired
+   */
+  async expirePastEntries(now = new Date()) {
+    const today = new Date(now);
+    today.setUTCHours(0, 0, 0, 0);
+
+    const result = await WaitlistEntry.updateMany(
+      { status: WAITLIST_STATUS.WAITING, checkInDate: { $lt: today } },
+      { $set: { status: WAITLIST_STATUS.EXPIRED } }
+    );
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new WaitlistService();
@@ -206,6 +206,38 @@ class JWTUtils {
 
     return decoded;
   }
+
+  /**
+   * Create payment link token
+   * @param {String} bookingId - Booking ID
+   * @param {String} linkId - Payment link ID on the booking
+   * @param {Date} expiresAt - When the link stops working
+   * @returns {String} Payment link token
+   */
+  generatePaymentLinkToken(bookingId, linkId, expiresAt) {
+    const payload = {
+      bookingId,
+      linkId,
+      type: 'payment_link'
+    };
+
+    return this.generateToken(payload, Math.max(1, Math.floor((expiresAt - Date.now()) / 1000)));
+  }
+
+  /**
+   * Verify payment link token
+   * @param {String} token - Payment link token
+   * @returns {Object} Decoded payload
+   */
+  verifyPaymentLinkToken(token) {
+    const decoded = this.verifyToken(token);
+
+    if (decoded.type !== 'payment_link') {
+      throw new Error('Invalid token type');
+    }
+
+    return decoded;
+  }
 }
 
 module.exports = new JWTUtils();
\ No newline at end of file
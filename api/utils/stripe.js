@@ -8,7 +8,9 @@ class StripeUtils {
 
   /**
    * Create payment intent
-   * @param {Object} options - Payment options
+   * @param {Object} options - Payment options; captureMethod 'manual' only authorises the card,
+   * and a paymentMethodId confirms the intent straight away. setupFutureUsage 'off_session'
+   * saves the card to the customer, and offSession charges a saved card without the guest present.
    * @returns {Object} Payment intent
    */
   async createPaymentIntent({
@@ -17,7 +19,12 @@ class StripeUtils {
     customerId = null,
     description = '',
     metadata = {},
-    paymentMethodTypes = ['card']
+    paymentMethodTypes = ['card'],
+    captureMethod = 'automatic',
+    paymentMethodId = null,
+    setupFutureUsage = null,
+    offSession = false,
+    idempotencyKey = null
   }) {
     try {
       const paymentIntentData = {
@@ -29,14 +36,30 @@ class StripeUtils {
           ...metadata,
           source: 'pvt-booking-api'
         },
-        capture_method: 'automatic'
+        capture_method: captureMethod
       };
 
       if (customerId) {
         paymentIntentData.customer = customerId;
       }
 
-      const paymentIntent = await this.stripe.paymentIntents.create(paymentIntentData);
+      if (paymentMethodId) {
+        paymentIntentData.payment_method = paymentMethodId;
+        paymentIntentData.confirm = true;
+      }
+
+      if (setupFutureUsage) {
+        paymentIntentData.setup_future_usage = setupFutureUsage;
+      }
+
+      if (offSession) {
+        paymentIntentData.off_session = true;
+      }
+
+      const paymentIntent = await this.stripe.paymentIntents.create(
+        paymentIntentData,
+        idempotencyKey ? { idempotencyKey } : undefined
+      );
       return paymentIntent;
 
     } catch (error) {
@@ -78,6 +101,23 @@ class StripeUtils {
     }
   }
 
+  /**
+   * Update the amount of a payment intent the guest has not paid yet
+   * @param {String} paymentIntentId - Payment intent ID
+   * @param {Object} options - { amount }
+   * @returns {Object} Updated payment intent
+   */
+  async updatePaymentIntent(paymentIntentId, { amount }) {
+    try {
+      return await this.stripe.paymentIntents.update(paymentIntentId, {
+        amount: Math.round(amount * 100)
+      });
+    } catch (error) {
+      console.error('Stripe update payment intent error:', error);
+      throw new Error(`Payment update failed: ${error.message}`);
+    }
+  }
+
   /**
    * Cancel payment intent
    * @param {String} paymentIntentId - Payment intent ID
@@ -92,6 +132,23 @@ class StripeUtils {
     }
   }
 
+  /**
+   * Capture an authorised payment intent
+   * @param {String} paymentIntentId - Payment intent ID
+   * @param {Number} amount - Amount to capture, up to the amount authorised
+   * @returns {Object} Captured payment intent
+   */
+  async capturePaymentIntent(paymentIntentId, amount) {
+    try {
+      return await this.stripe.paymentIntents.capture(paymentIntentId, {
+        amount_to_capture: Math.round(amount * 100)
+      });
+    } catch (error) {
+      console.error('Stripe capture payment intent error:', error);
+      throw new Error(`Payment capture failed: ${error.message}`);
+    }
+  }
+
   /**
    * Create customer
    * @param {Object} customerData - Customer data
@@ -137,7 +194,8 @@ class StripeUtils {
     paymentIntentId,
     amount = null,
     reason = 'requested_by_customer',
-    metadata = {}
+    metadata = {},
+    idempotencyKey = null
   }) {
     try {
       const refundData = {
@@ -153,7 +211,10 @@ class StripeUtils {
         refundData.amount = Math.round(amount * 100); // Convert to cents
       }
 
-      return await this.stripe.refunds.create(refundData);
+      return await this.stripe.refunds.create(
+        refundData,
+        idempotencyKey ? { idempotencyKey } : undefined
+      );
 
     } catch (error) {
       console.error('Stripe create refund error:', error);
@@ -175,6 +236,79 @@ class StripeUtils {
     }
   }
 
+  /**
+   * Retrieve dispute
+   * @param {String} disputeId - Dispute ID
+   * @returns {Object} Dispute
+   */
+  async retrieveDispute(disputeId) {
+    try {
+      return await this.stripe.disputes.retrieve(disputeId);
+    } catch (error) {
+      console.error('Stripe retrieve dispute error:', error);
+      throw new Error(`Dispute retrieval failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send evidence for a dispute
+   * @param {String} disputeId - Dispute ID
+   * @param {Object} evidence - Stripe dispute evidence fields
+   * @param {Boolean} submit - Submit to the bank now rather than saving a draft
+   * @returns {Object} Dispute
+   */
+  async updateDisputeEvidence(disputeId, evidence, submit = true) {
+    try {
+      return await this.stripe.disputes.update(disputeId, {
+        evidence,
+        submit,
+        metadata: { source: 'pvt-booking-api' }
+      });
+    } catch (error) {
+      console.error('Stripe update dispute error:', error);
+      throw new Error(`Dispute evidence submission failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * List paid payouts that arrived in a date range, oldest first
+   * @param {Object} options - { since, until } arrival dates
+   * @returns {Array} Payouts
+   */
+  async listPayouts({ since, until }) {
+    try {
+      const payouts = await this.stripe.payouts.list({
+        status: 'paid',
+        arrival_date: {
+          gte: Math.floor(since.getTime() / 1000),
+          lt: Math.floor(until.getTime() / 1000)
+        }
+      }).autoPagingToArray({ limit: 1000 });
+      return payouts.reverse();
+    } catch (error) {
+      console.error('Stripe list payouts error:', error);
+      throw new Error(`Payout retrieval failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the balance transactions settled by a payout, with their sources
+   * (charges, refunds, disputes) expanded
+   * @param {String} payoutId - Payout ID
+   * @returns {Array} Balance transactions
+   */
+  async listBalanceTransactions(payoutId) {
+    try {
+      return await this.stripe.balanceTransactions.list({
+        payout: payoutId,
+        expand: ['data.source']
+      }).autoPagingToArray({ limit: 10000 });
+    } catch (error) {
+      console.error('Stripe list balance transactions error:', error);
+      throw new Error(`Balance transaction retrieval failed: ${error.message}`);
+    }
+  }
+
   /**
    * List payment methods for customer
    * @param {String} customerId - Customer ID
@@ -194,6 +328,20 @@ class StripeUtils {
     }
   }
 
+  /**
+   * Retrieve a payment method
+   * @param {String} paymentMethodId - Payment method ID
+   * @returns {Object} Payment method
+   */
+  async retrievePaymentMethod(paymentMethodId) {
+    try {
+      return await this.stripe.paymentMethods.retrieve(paymentMethodId);
+    } catch (error) {
+      console.error('Stripe retrieve payment method error:', error);
+      throw new Error(`Payment method retrieval failed: ${error.message}`);
+    }
+  }
+
   /**
    * Construct webhook event
    * @param {String} payload - Webhook payload
@@ -0,0 +1,22 @@
+const database = require('../../api/config/database');
+const chargeBalances = require('../../api/jobs/chargeBalances');
+
+// Scheduled function (see netlify.toml) charging balances that have fallen due
+exports.handler = async () => {
+  try {
+    await database.connect();
+    const result = await chargeBalances();
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, data: result })
+    };
+  } catch (error) {
+    console.error('Charge balances job error:', error);
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
@@ -0,0 +1,22 @@
+const database = require('../../api/config/database');
+const expireHolds = require('../../api/jobs/expireHolds');
+
+// Scheduled function (see netlify.toml) releasing unpaid booking holds
+exports.handler = async () => {
+  try {
+    await database.connect();
+    const result = await expireHolds();
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, data: result })
+    };
+  } catch (error) {
+    console.error('Expire holds job error:', error);
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
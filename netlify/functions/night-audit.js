@@ -0,0 +1,26 @@
+const database = require('../../api/config/database');
+const nightAudit = require('../../api/jobs/nightAudit');
+
+// Scheduled function (see netlify.toml) running the night audit
+exports.handler = async () => {
+  try {
+    await database.connect();
+    const { audits, businessDate } = await nightAudit();
+    const result = {
+      closed: audits.map(audit => audit.businessDate),
+      businessDate
+    };
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, data: result })
+    };
+  } catch (error) {
+    console.error('Night audit job error:', error);
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
@@ -0,0 +1,22 @@
+const database = require('../../api/config/database');
+const processWaitlist = require('../../api/jobs/processWaitlist');
+
+// Scheduled function (see netlify.toml) offering free space to the waitlist
+exports.handler = async () => {
+  try {
+    await database.connect();
+    const result = await processWaitlist();
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, data: result })
+    };
+  } catch (error) {
+    console.error('Process waitlist job error:', error);
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
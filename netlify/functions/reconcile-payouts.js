@@ -0,0 +1,22 @@
+const database = require('../../api/config/database');
+const reconcilePayouts = require('../../api/jobs/reconcilePayouts');
+
+// Scheduled function (see netlify.toml) reconciling Stripe payouts
+exports.handler = async () => {
+  try {
+    await database.connect();
+    const result = await reconcilePayouts();
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, data: result })
+    };
+  } catch (error) {
+    console.error('Reconcile payouts job error:', error);
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
@@ -0,0 +1,22 @@
+const database = require('../../api/config/database');
+const releaseRoomBlocks = require('../../api/jobs/releaseRoomBlocks');
+
+// Scheduled function (see netlify.toml) releasing room blocks past their cutoff
+exports.handler = async () => {
+  try {
+    await database.connect();
+    const result = await releaseRoomBlocks();
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, data: result })
+    };
+  } catch (error) {
+    console.error('Release room blocks job error:', error);
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
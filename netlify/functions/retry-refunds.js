@@ -0,0 +1,22 @@
+const database = require('../../api/config/database');
+const retryRefunds = require('../../api/jobs/retryRefunds');
+
+// Scheduled function (see netlify.toml) retrying failed cancellation refunds
+exports.handler = async () => {
+  try {
+    await database.connect();
+    const result = await retryRefunds();
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, data: result })
+    };
+  } catch (error) {
+    console.error('Retry refunds job error:', error);
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
@@ -0,0 +1,65 @@
+const request = require('supertest');
+const { createApp } = require('../api/app');
+
+describe('Application Factory', () => {
+  describe('Documentation routes', () => {
+    test('should serve health check', async () => {
+      const response = await request(createApp())
+        .get('/api/health')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.status).toBe('healthy');
+    });
+
+    test('should serve API documentation', async () => {
+      const response = await request(createApp())
+        .get('/api/docs')
+        .expect(200);
+
+      expect(response.body.data.endpoints).toBeDefined();
+    });
+  });
+
+  describe('Real routers', () => {
+    test('should require authentication for bookings', async () => {
+      const response = await request(createApp())
+        .get('/api/bookings')
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.data).toBeUndefined();
+    });
+
+    test('should require authentication for metrics', async () => {
+      await request(createApp())
+        .get('/api/metrics/dashboard')
+        .expect(401);
+    });
+
+    test('should return 404 for unknown routes', async () => {
+      const response = await request(createApp())
+        .get('/api/unknown')
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('Demo mode', () => {
+    test('should not mount demo routes by default', async () => {
+      await request(createApp())
+        .get('/api/demo/bookings')
+        .expect(404);
+    });
+
+    test('should serve sample data in demo mode', async () => {
+      const response = await request(createApp({ demoMode: true }))
+        .get('/api/demo/bookings')
+        .expect(200);
+
+      expect(response.body.demo).toBe(true);
+      expect(response.body.data.bookings.length).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+const request = require('supertest');
+const app = require('../api/index');
+const { User, Room, Booking, Payment, RatePlan } = require('../api/models');
+const jwtUtils = require('../api/utils/jwt');
+const stripeUtils = require('../api/utils/stripe');
+const emailService = require('../api/services/emailService');
+const pricingService = require('../api/services/pricingService');
+const paymentController = require('../api/controllers/paymentController');
+const chargeBalances = require('../api/jobs/chargeBalances');
+
+describe('Balance Payments', () => {
+  let user, room, userToken;
+
+  const HOUR_MS = 60 * 60 * 1000;
+  const dueAt = new Date('2030-06-03T12:00:00Z');
+
+  const savedCard = { id: 'pm_saved', type: 'card', card: { brand: 'visa', last4: '4242' } };
+
+  const createPartPaid = () => {
+    return new Booking({
+      user: user._id,
+      room: room._id,
+      checkInDate: new Date('2030-06-10'),
+      checkOutDate: new Date('2030-06-12'),
+      guestCount: 1,
+      status: 'pending',
+      guestDetails: {
+        primaryGuest: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' }
+      },
+      pricing: { baseAmount: 200, taxes: 30, totalAmount: 230, fees: { deposit: 46 } },
+      payment: {
+        status: 'partial',
+        paidAmount: 46,
+        balanceDueDate: new Date('2030-06-03'),
+        balanceCharge: { paymentMethodId: 'pm_saved' }
+      }
+    }).save();
+  };
+
+  beforeEach(async () => {
+    user = await new User({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      password: 'Password123!',
+      stripeCustomerId: 'cus_guest'
+    }).save();
+
+    userToken = jwtUtils.generateTokenPair(user).accessToken;
+
+    room = await new Room({ roomNumber: '101', type: 'private', capacity: 2, basePrice: 100 }).save();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should schedule the balance before arrival and save the card with the deposit', async () => {
+    const stay = { checkIn: new Date('2030-06-10'), checkOut: new Date('2030-06-12') };
+
+    const quote = await pricingService.quote(room, stay);
+    expect(quote.balanceDueDate).toEqual(new Date('2030-06-03'));
+
+    const ratePlan = new RatePlan({ name: 'Flexible', code: 'FLEX', balanceDueDays: 1 });
+    const flexible = await pricingService.quote(room, { ...stay, ratePlan });
+    expect(flexible.balanceDueDate).toEqual(new Date('2030-06-09'));
+
+    const created = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        roomId: room._id,
+        checkInDate: '2030-06-10',
+        checkOutDate: '2030-06-12',
+        guestCount: 1,
+        guestDetails: {
+          primaryGuest: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' }
+        }
+      })
+      .expect(201);
+
+    expect(new Date(created.body.data.booking.payment.balanceDueDate)).toEqual(new Date('2030-06-03'));
+
+    const createIntent = jest.spyOn(stripeUtils, 'createPaymentIntent')
+      .mockResolvedValue({ id: 'pi_deposit', client_secret: 'secret', amount: 4600, currency: 'usd', status: 'requires_payment_method', description: 'Deposit' });
+
+    await request(app)
+      .post('/api/payments/create-intent')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ bookingId: created.body.data.booking._id, amount: 46 })
+      .expect(200);
+
+    expect(createIntent.mock.calls[0][0].setupFutureUsage).toBe('off_session');
+
+    // The card the deposit saved is the one the balance will be charged to
+    await paymentController.processSuccessfulPayment('pi_deposit', { savedPaymentMethodId: 'pm_deposit' });
+
+    const deposited = await Booking.findById(created.body.data.booking._id);
+    expect(deposited.payment.balanceCharge.paymentMethodId).toBe('pm_deposit');
+  });
+
+  test('should charge a due balance to the saved card once', async () => {
+    const booking = await createPartPaid();
+
+    jest.spyOn(stripeUtils, 'retrievePaymentMethod').mockResolvedValue(savedCard);
+    const createIntent = jest.spyOn(stripeUtils, 'createPaymentIntent')
+      .mockResolvedValue({ id: 'pi_balance', status: 'succeeded', description: `Balance for booking ${booking.bookingReference}` });
+
+    const result = await chargeBalances(dueAt);
+    expect(result.charged).toEqual([booking.bookingReference]);
+
+    expect(createIntent.mock.calls[0][0]).toMatchObject({
+      amount: 184,
+      customerId: 'cus_guest',
+      paymentMethodId: 'pm_saved',
+      offSession: true
+    });
+
+    // Awaiting the webhook, so the next run leaves it alone
+    expect((await chargeBalances(new Date(dueAt.getTime() + HOUR_MS))).due).toBe(0);
+
+    await paymentController.processSuccessfulPayment('pi_balance');
+
+    const paid = await Booking.findById(booking._id);
+    expect(paid.status).toBe('confirmed');
+    expect(paid.payment.remainingAmount).toBe(0);
+    expect((await Payment.findOne({ stripePaymentIntentId: 'pi_balance' })).status).toBe('succeeded');
+  });
+
+  test('should not charge another of the customer\'s cards when the deposit saved none', async () => {
+    const booking = await createPartPaid();
+    await Booking.updateOne({ _id: booking._id }, { $unset: { 'payment.balanceCharge.paymentMethodId': 1 } });
+
+    const listCards = jest.spyOn(stripeUtils, 'listPaymentMethods').mockResolvedValue([savedCard]);
+    const createIntent = jest.spyOn(stripeUtils, 'createPaymentIntent');
+    jest.spyOn(emailService, 'sendBalancePaymentFailed').mockResolvedValue({ success: true });
+
+    const result = await chargeBalances(dueAt);
+
+    expect(result.failed[0].error).toBe('No saved card to charge');
+    expect(listCards).not.toHaveBeenCalled();
+    expect(createIntent).not.toHaveBeenCalled();
+  });
+
+  test('should not charge balances that are not due yet', async () => {
+    await createPartPaid();
+    const createIntent = jest.spyOn(stripeUtils, 'createPaymentIntent');
+
+    const result = await chargeBalances(new Date('2030-06-02'));
+
+    expect(result.due).toBe(0);
+    expect(createIntent).not.toHaveBeenCalled();
+  });
+
+  test('should email the guest on each failure and cancel after the last attempt', async () => {
+    const booking = await createPartPaid();
+
+    jest.spyOn(stripeUtils, 'retrievePaymentMethod').mockResolvedValue(savedCard);
+    jest.spyOn(stripeUtils, 'createPaymentIntent')
+      .mockRejectedValue(new Error('Payment intent creation failed: Your card was declined.'));
+    const reminder = jest.spyOn(emailService, 'sendBalancePaymentFailed').mockResolvedValue({ success: true });
+    const cancellation = jest.spyOn(emailService, 'sendBookingCancellation').mockResolvedValue({ success: true });
+
+    const first = await chargeBalances(dueAt);
+    expect(first.failed[0].error).toBe('Payment intent creation failed: Your card was declined.');
+    expect(reminder.mock.calls[0][2]).toMatchObject({ attemptsLeft: 2 });
+
+    // Not retried until BALANCE_RETRY_HOURS have passed
+    expect((await chargeBalances(new Date(dueAt.getTime() + HOUR_MS))).due).toBe(0);
+
+    await chargeBalances(new Date(dueAt.getTime() + 25 * HOUR_MS));
+    expect(reminder).toHaveBeenCalledTimes(2);
+
+    const last = await chargeBalances(new Date(dueAt.getTime() + 50 * HOUR_MS));
+    expect(last.cancelled).toEqual([booking.bookingReference]);
+    expect(reminder).toHaveBeenCalledTimes(2);
+    expect(cancellation).toHaveBeenCalled();
+
+    const cancelled = await Booking.findById(booking._id);
+    expect(cancelled.status).toBe('cancelled');
+    expect(cancelled.payment.balanceCharge.attempts).toBe(3);
+    expect(cancelled.statusHistory.at(-1).reason).toBe('Balance not paid after 3 attempts');
+  });
+
+  test('should count a card that needs authentication as a failure', async () => {
+    await createPartPaid();
+
+    jest.spyOn(stripeUtils, 'retrievePaymentMethod').mockResolvedValue(savedCard);
+    jest.spyOn(stripeUtils, 'createPaymentIntent').mockResolvedValue({ id: 'pi_3ds', status: 'requires_action' });
+    const cancelIntent = jest.spyOn(stripeUtils, 'cancelPaymentIntent').mockResolvedValue({ status: 'canceled' });
+    jest.spyOn(emailService, 'sendBalancePaymentFailed').mockResolvedValue({ success: true });
+
+    const result = await chargeBalances(dueAt);
+
+    expect(result.failed).toHaveLength(1);
+    expect(cancelIntent).toHaveBeenCalledWith('pi_3ds');
+    expect(await Payment.countDocuments()).toBe(0);
+  });
+});
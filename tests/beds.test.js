@@ -0,0 +1,109 @@
+const { User, Room, Booking } = require('../api/models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysFromNow = (days) => {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  return new Date(date.getTime() + days * DAY_MS);
+};
+
+describe('Bed Inventory', () => {
+  let user, dorm;
+
+  const bookBeds = (beds, checkIn, checkOut) => {
+    return new Booking({
+      user: user._id,
+      room: dorm._id,
+      beds: beds.map(bed => bed._id),
+      status: 'confirmed',
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
+      guestCount: beds.length,
+      guestDetails: {
+        primaryGuest: { firstName: 'John', lastName: 'Doe', email: 'john@example.com' }
+      },
+      pricing: { baseAmount: 50, totalAmount: 50 }
+    }).save();
+  };
+
+  beforeEach(async () => {
+    user = await new User({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      password: 'Password123!'
+    }).save();
+
+    dorm = await new Room({
+      roomNumber: 'D1',
+      type: 'dorm',
+      capacity: 4,
+      basePrice: 25
+    }).save();
+  });
+
+  test('should generate one bed per unit of capacity for new dorms', () => {
+    expect(dorm.beds).toHaveLength(4);
+    expect(dorm.beds[0].label).toBe('D1-1');
+    expect(dorm.beds[0].bunkPosition).toBe('bottom');
+    expect(dorm.beds[1].bunkPosition).toBe('top');
+    expect(dorm.usesBedInventory()).toBe(true);
+  });
+
+  test('should keep private rooms as single-unit inventory', async () => {
+    const room = await new Room({
+      roomNumber: '101',
+      type: 'private',
+      capacity: 2,
+      basePrice: 50
+    }).save();
+
+    expect(room.beds).toHaveLength(0);
+    expect(room.usesBedInventory()).toBe(false);
+  });
+
+  test('should account for the requested guest count', async () => {
+    await bookBeds(dorm.beds.slice(0, 3), daysFromNow(1), daysFromNow(3));
+
+    expect(await dorm.checkAvailability(daysFromNow(1), daysFromNow(3), null, { guestCount: 1 })).toBe(true);
+    expect(await dorm.checkAvailability(daysFromNow(1), daysFromNow(3), null, { guestCount: 2 })).toBe(false);
+  });
+
+  test('should never allocate a bed that is already booked', async () => {
+    await bookBeds([dorm.beds[0]], daysFromNow(1), daysFromNow(3));
+
+    const beds = await dorm.allocateBeds(daysFromNow(2), daysFromNow(4), 3);
+    const ids = beds.map(bed => bed._id.toString());
+
+    expect(ids).toHaveLength(3);
+    expect(ids).not.toContain(dorm.beds[0]._id.toString());
+  });
+
+  test('should reject specific beds that are taken', async () => {
+    await bookBeds([dorm.beds[0]], daysFromNow(1), daysFromNow(3));
+
+    const beds = await dorm.allocateBeds(daysFromNow(1), daysFromNow(2), 1, {
+      bedIds: [dorm.beds[0]._id]
+    });
+
+    expect(beds).toBeNull();
+  });
+
+  test('should only sell female-only beds to female guests', async () => {
+    dorm.beds.forEach(bed => { bed.genderRestriction = 'female'; });
+    await dorm.save();
+
+    expect(await dorm.findAvailableBeds(daysFromNow(1), daysFromNow(2))).toHaveLength(0);
+    expect(await dorm.findAvailableBeds(daysFromNow(1), daysFromNow(2), { gender: 'male' })).toHaveLength(0);
+    expect(await dorm.findAvailableBeds(daysFromNow(1), daysFromNow(2), { gender: 'female' })).toHaveLength(4);
+  });
+
+  test('should pack stays onto beds with adjoining bookings', async () => {
+    await bookBeds([dorm.beds[2]], daysFromNow(1), daysFromNow(3));
+
+    const [bed] = await dorm.allocateBeds(daysFromNow(3), daysFromNow(5), 1);
+
+    expect(bed._id.toString()).toBe(dorm.beds[2]._id.toString());
+  });
+});
@@ -0,0 +1,145 @@
+const request = require('supertest');
+const app = require('../api/index');
+const { User, Room, Booking, Payment } = require('../api/models');
+const jwtUtils = require('../api/utils/jwt');
+const bookingStateMachine = require('../api/services/bookingStateMachine');
+const paymentController = require('../api/controllers/paymentController');
+
+describe('Booking Status', () => {
+  let user, staff, room, userToken;
+
+  const createBooking = async () => {
+    const response = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        roomId: room._id,
+        checkInDate: '2030-06-03',
+        checkOutDate: '2030-06-05',
+        guestCount: 1,
+        guestDetails: {
+          primaryGuest: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' }
+        }
+      })
+      .expect(201);
+
+    return Booking.findById(response.body.data.booking._id);
+  };
+
+  beforeEach(async () => {
+    user = await new User({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      password: 'Password123!'
+    }).save();
+
+    staff = await new User({
+      firstName: 'Staff',
+      lastName: 'User',
+      email: 'staff@example.com',
+      password: 'Password123!',
+      role: 'staff'
+    }).save();
+
+    userToken = jwtUtils.generateTokenPair(user).accessToken;
+
+    room = await new Room({ roomNumber: '101', type: 'private', capacity: 2, basePrice: 100 }).save();
+  });
+
+  test('should start new bookings on hold and record the history', async () => {
+    const booking = await createBooking();
+
+    await request(app)
+      .delete(`/api/bookings/${booking._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ reason: 'Change of plans' })
+      .expect(200);
+
+    const response = await request(app)
+      .get(`/api/bookings/${booking._id}/history`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const { statusHistory, availableTransitions } = response.body.data;
+    expect(statusHistory.map(entry => [entry.from, entry.to])).toEqual([
+      [undefined, 'hold'],
+      ['hold', 'cancelled']
+    ]);
+    expect(statusHistory[1]).toMatchObject({ actor: 'owner', reason: 'Change of plans' });
+    expect(statusHistory[1].changedBy.firstName).toBe('John');
+    expect(availableTransitions).toEqual([]);
+  });
+
+  test('should confirm a held booking once it is paid in full', async () => {
+    const booking = await createBooking();
+
+    await Payment.create({
+      booking: booking._id,
+      user: user._id,
+      amount: booking.pricing.totalAmount,
+      currency: 'USD',
+      paymentMethod: { type: 'card' },
+      stripePaymentIntentId: 'pi_full',
+      description: `Payment for booking ${booking.bookingReference}`
+    });
+
+    await paymentController.processSuccessfulPayment('pi_full');
+
+    const updated = await Booking.findById(booking._id);
+    expect(updated.status).toBe('confirmed');
+    expect(updated.statusHistory[1]).toMatchObject({ from: 'hold', to: 'confirmed', actor: 'system' });
+  });
+
+  test('should not let guests set the status directly', async () => {
+    const booking = await createBooking();
+
+    await request(app)
+      .put(`/api/bookings/${booking._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ status: 'confirmed', specialRequests: [] })
+      .expect(200);
+
+    expect((await Booking.findById(booking._id)).status).toBe('hold');
+  });
+
+  test('should not let guests set state kept by staff and the state machine', async () => {
+    const booking = await createBooking();
+    const otherRoom = await new Room({ roomNumber: '102', type: 'private', capacity: 2, basePrice: 50 }).save();
+
+    await request(app)
+      .put(`/api/bookings/${booking._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        noShow: { recordedAt: new Date(), fee: 0 },
+        paymentLinks: [{ amount: 1, expiresAt: new Date(), status: 'paid' }],
+        checkInProcess: { documentsVerified: true, keyIssued: true },
+        group: booking._id,
+        room: otherRoom._id,
+        user: staff._id,
+        specialRequests: []
+      })
+      .expect(200);
+
+    const updated = await Booking.findById(booking._id);
+    expect(updated.noShow?.recordedAt).toBeUndefined();
+    expect(updated.paymentLinks).toHaveLength(0);
+    expect(updated.checkInProcess.documentsVerified).toBe(false);
+    expect(updated.group).toBeUndefined();
+    expect(updated.room).toEqual(room._id);
+    expect(updated.user).toEqual(user._id);
+  });
+
+  test('should guard transitions by status and role', async () => {
+    const booking = await createBooking();
+    booking.status = 'confirmed';
+    await booking.save();
+
+    await expect(bookingStateMachine.transition(booking, 'checked_out', { user: staff }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(bookingStateMachine.transition(booking, 'no_show', { user }))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    expect(bookingStateMachine.availableTransitions(booking, { user: staff })).toEqual(['cancelled']);
+  });
+});
@@ -71,7 +71,7 @@ describe('Booking Endpoints', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body.data.booking.bookingReference).toBeTruthy();
-      expect(response.body.data.booking.status).toBe('pending');
+      expect(response.body.data.booking.status).toBe('hold');
       expect(response.body.data.booking.guestCount).toBe(2);
     });
 
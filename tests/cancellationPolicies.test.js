@@ -0,0 +1,127 @@
+const request = require('supertest');
+const app = require('../api/index');
+const { User, Room, Booking, RatePlan, CancellationPolicy } = require('../api/models');
+const jwtUtils = require('../api/utils/jwt');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Cancellation Policies', () => {
+  let room, userToken;
+
+  beforeEach(async () => {
+    const user = await new User({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      password: 'Password123!'
+    }).save();
+    userToken = jwtUtils.generateTokenPair(user).accessToken;
+
+    room = await new Room({ roomNumber: '101', type: 'private', capacity: 2, basePrice: 100 }).save();
+  });
+
+  test('should fill preset terms', async () => {
+    const policy = await CancellationPolicy.create({ name: 'Moderate', code: 'moderate', type: 'moderate' });
+
+    expect(policy.tiers).toHaveLength(2);
+    expect(policy.freeCancellationHours).toBe(48);
+  });
+
+  test('should charge the tightest tier the cancellation falls in', () => {
+    const terms = {
+      tiers: [
+        { hoursBeforeCheckIn: 168, feePercentage: 25 },
+        { hoursBeforeCheckIn: 24, feePercentage: 100 }
+      ],
+      defaultFeePercentage: 10,
+      freeCancellationHours: 0
+    };
+    const now = new Date('2030-06-01T00:00:00Z');
+    const checkInIn = (hours) => new Date(now.getTime() + hours * HOUR_MS);
+
+    expect(CancellationPolicy.feePercentageFor(terms, { checkIn: checkInIn(12), now })).toBe(100);
+    expect(CancellationPolicy.feePercentageFor(terms, { checkIn: checkInIn(72), now })).toBe(25);
+    expect(CancellationPolicy.feePercentageFor(terms, { checkIn: checkInIn(500), now })).toBe(10);
+  });
+
+  test('should waive fees during the free-cancellation window', () => {
+    const now = new Date('2030-06-01T00:00:00Z');
+    const terms = { tiers: [], defaultFeePercentage: 100, freeCancellationHours: 24 };
+
+    expect(CancellationPolicy.feePercentageFor(terms, {
+      checkIn: new Date(now.getTime() + 48 * HOUR_MS),
+      bookedAt: new Date(now.getTime() - 2 * HOUR_MS),
+      now
+    })).toBe(0);
+  });
+
+  test('should snapshot the rate plan policy onto the booking', async () => {
+    const policy = await CancellationPolicy.create({
+      name: 'Non-refundable',
+      code: 'NONREF',
+      type: 'non_refundable'
+    });
+    const ratePlan = await RatePlan.create({
+      name: 'Non-refundable',
+      code: 'NONREF',
+      adjustment: { type: 'percentage', value: -10 },
+      cancellationPolicy: policy._id
+    });
+
+    const response = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        roomId: room._id,
+        checkInDate: '2030-06-03',
+        checkOutDate: '2030-06-05',
+        guestCount: 1,
+        ratePlanId: ratePlan._id,
+        guestDetails: {
+          primaryGuest: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' }
+        }
+      })
+      .expect(201);
+
+    const bookingId = response.body.data.booking._id;
+    expect(response.body.data.booking.cancellationPolicy.code).toBe('NONREF');
+
+    // Loosening the policy later must not change the guest's terms
+    policy.defaultFeePercentage = 0;
+    await policy.save();
+
+    const booking = await Booking.findById(bookingId);
+    expect(booking.calculateCancellationFee()).toBe(booking.pricing.totalAmount);
+
+    const quote = await request(app)
+      .get(`/api/bookings/${bookingId}/cancellation-quote`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(quote.body.data.cancellationFee).toBe(booking.pricing.totalAmount);
+
+    // Nor can the guest rewrite the terms on their booking
+    await request(app)
+      .put(`/api/bookings/${bookingId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        cancellationPolicy: { name: 'Free', code: 'FREE', type: 'custom', tiers: [], defaultFeePercentage: 0 },
+        specialRequests: [{ type: 'other', description: 'Late arrival' }]
+      })
+      .expect(200);
+
+    const updated = await Booking.findById(bookingId);
+    expect(updated.cancellationPolicy.code).toBe('NONREF');
+    expect(updated.specialRequests[0].description).toBe('Late arrival');
+  });
+
+  test('should fall back to the standard terms', async () => {
+    const response = await request(app)
+      .get(`/api/rooms/${room._id}/availability`)
+      .query({ checkInDate: '2030-06-03', checkOutDate: '2030-06-05' })
+      .expect(200);
+
+    expect(response.body.data.pricing.cancellationPolicy.code).toBe('STANDARD');
+    expect(response.body.data.pricing.cancellationPolicy.defaultFeePercentage).toBe(10);
+  });
+});
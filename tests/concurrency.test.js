@@ -0,0 +1,166 @@
+const request = require('supertest');
+const app = require('../api/index');
+const { User, Room, Booking, InventoryLock } = require('../api/models');
+const expireHolds = require('../api/jobs/expireHolds');
+const jwtUtils = require('../api/utils/jwt');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PARALLEL_REQUESTS = 10;
+
+const dateFromNow = (days) => {
+  const date = new Date(Date.now() + days * DAY_MS);
+  return date.toISOString().slice(0, 10);
+};
+
+describe('Concurrent Booking Creation', () => {
+  let user, userToken;
+
+  const bookingRequest = (room, guestCount = 1) => {
+    return request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        roomId: room._id,
+        checkInDate: dateFromNow(10),
+        checkOutDate: dateFromNow(12),
+        guestCount,
+        guestDetails: {
+          primaryGuest: {
+            firstName: 'John',
+            lastName: 'Doe',
+            email: 'john.doe@example.com'
+          }
+        }
+      });
+  };
+
+  const hammer = (room, guestCount = 1) => {
+    return Promise.all(
+      Array.from({ length: PARALLEL_REQUESTS }, () => bookingRequest(room, guestCount))
+    );
+  };
+
+  beforeAll(async () => {
+    // The unique lock index must exist before requests race for it
+    await InventoryLock.init();
+  });
+
+  beforeEach(async () => {
+    user = await new User({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      password: 'Password123!',
+      role: 'guest'
+    }).save();
+
+    userToken = jwtUtils.generateTokenPair(user).accessToken;
+  });
+
+  test('should sell a private room exactly once', async () => {
+    const room = await new Room({
+      roomNumber: '101',
+      type: 'private',
+      capacity: 2,
+      basePrice: 50
+    }).save();
+
+    const responses = await hammer(room);
+    const created = responses.filter(response => response.status === 201);
+
+    expect(created).toHaveLength(1);
+    expect(await Booking.countDocuments({ room: room._id })).toBe(1);
+  });
+
+  test('should never put two bookings on the same bed', async () => {
+    const dorm = await new Room({
+      roomNumber: 'D1',
+      type: 'dorm',
+      capacity: 4,
+      basePrice: 25
+    }).save();
+
+    const responses = await hammer(dorm);
+    const created = responses.filter(response => response.status === 201);
+
+    expect(created).toHaveLength(4);
+
+    const bookings = await Booking.find({ room: dorm._id });
+    const assignedBeds = bookings.flatMap(booking => booking.beds.map(bed => bed.toString()));
+
+    expect(assignedBeds).toHaveLength(4);
+    expect(new Set(assignedBeds).size).toBe(4);
+  });
+
+  test('should not oversell beds to parties', async () => {
+    const dorm = await new Room({
+      roomNumber: 'D2',
+      type: 'dorm',
+      capacity: 6,
+      basePrice: 25
+    }).save();
+
+    const responses = await hammer(dorm, 4);
+    const created = responses.filter(response => response.status === 201);
+
+    expect(created).toHaveLength(1);
+  });
+
+  test('should hold inventory for unpaid bookings', async () => {
+    const room = await new Room({
+      roomNumber: '102',
+      type: 'private',
+      capacity: 2,
+      basePrice: 50
+    }).save();
+
+    const first = await bookingRequest(room).expect(201);
+    expect(first.body.data.booking.hold.expiresAt).toBeTruthy();
+
+    await bookingRequest(room).expect(400);
+  });
+
+  test('should release inventory when a hold expires', async () => {
+    const room = await new Room({
+      roomNumber: '103',
+      type: 'private',
+      capacity: 2,
+      basePrice: 50
+    }).save();
+
+    const first = await bookingRequest(room).expect(201);
+
+    // Let the hold lapse
+    const expired = new Date(Date.now() - 1000);
+    await Booking.updateOne({ _id: first.body.data.booking._id }, { 'hold.expiresAt': expired });
+    await InventoryLock.updateMany({ booking: first.body.data.booking._id }, { expiresAt: expired });
+
+    await bookingRequest(room).expect(201);
+
+    const result = await expireHolds();
+    expect(result.expired).toBe(1);
+
+    const lapsed = await Booking.findById(first.body.data.booking._id);
+    expect(lapsed.status).toBe('expired');
+  });
+
+  test('should keep a booking\'s locks when asked to claim no nights', async () => {
+    const room = await new Room({
+      roomNumber: '104',
+      type: 'private',
+      capacity: 2,
+      basePrice: 50
+    }).save();
+
+    const first = await bookingRequest(room).expect(201);
+    const bookingId = first.body.data.booking._id;
+
+    const acquired = await InventoryLock.acquireSegments({
+      bookingId,
+      segments: [{ roomId: room._id, units: InventoryLock.unitsFor(), checkIn: new Date(dateFromNow(10)), checkOut: new Date(dateFromNow(10)) }]
+    });
+
+    expect(acquired).toBe(true);
+    expect(await InventoryLock.countDocuments({ booking: bookingId })).toBe(2);
+  });
+});
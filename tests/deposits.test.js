@@ -0,0 +1,211 @@
+const request = require('supertest');
+const app = require('../api/index');
+const { User, Room, Booking, Payment, RatePlan } = require('../api/models');
+const jwtUtils = require('../api/utils/jwt');
+const stripeUtils = require('../api/utils/stripe');
+const pricingService = require('../api/services/pricingService');
+
+describe('Deposits', () => {
+  let user, room, userToken, staffToken;
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const guestDetails = {
+    primaryGuest: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' }
+  };
+
+  beforeEach(async () => {
+    user = await new User({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      password: 'Password123!',
+      stripeCustomerId: 'cus_guest'
+    }).save();
+
+    const staff = await new User({
+      firstName: 'Staff',
+      lastName: 'User',
+      email: 'staff@example.com',
+      password: 'Password123!',
+      role: 'staff'
+    }).save();
+
+    userToken = jwtUtils.generateTokenPair(user).accessToken;
+    staffToken = jwtUtils.generateTokenPair(staff).accessToken;
+
+    room = await new Room({ roomNumber: '101', type: 'private', capacity: 2, basePrice: 100 }).save();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Booking deposit', () => {
+    const stay = { checkIn: new Date('2030-06-03'), checkOut: new Date('2030-06-05') };
+
+    test('should quote the default deposit, or the rate plan\'s', async () => {
+      const quote = await pricingService.quote(room, stay);
+      expect(quote.totalAmount).toBe(230);
+      expect(quote.fees.deposit).toBe(46);
+
+      const ratePlan = new RatePlan({ name: 'Non-refundable', code: 'NR', depositPercentage: 100 });
+      const prepaid = await pricingService.quote(room, { ...stay, ratePlan });
+      expect(prepaid.fees.deposit).toBe(prepaid.totalAmount);
+    });
+
+    test('should not take a first payment smaller than the deposit', async () => {
+      const created = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          roomId: room._id,
+          checkInDate: '2030-06-03',
+          checkOutDate: '2030-06-05',
+          guestCount: 1,
+          guestDetails
+        })
+        .expect(201);
+
+      const bookingId = created.body.data.booking._id;
+      expect(created.body.data.booking.pricing.fees.deposit).toBe(46);
+
+      const createIntent = jest.spyOn(stripeUtils, 'createPaymentIntent')
+        .mockResolvedValue({ id: 'pi_deposit', client_secret: 'secret', amount: 4600, currency: 'usd', status: 'requires_payment_method', description: 'Deposit' });
+
+      const refused = await request(app)
+        .post('/api/payments/create-intent')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bookingId, amount: 20 })
+        .expect(400);
+
+      expect(refused.body.error).toBe('Payment must cover the deposit of 46.00');
+      expect(createIntent).not.toHaveBeenCalled();
+
+      const response = await request(app)
+        .post('/api/payments/create-intent')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ bookingId, amount: 46 })
+        .expect(200);
+
+      expect(response.body.data.booking.depositDue).toBe(46);
+    });
+  });
+
+  describe('Security deposit', () => {
+    const createArrival = () => {
+      return new Booking({
+        user: user._id,
+        room: room._id,
+        checkInDate: new Date(),
+        checkOutDate: new Date(Date.now() + 2 * DAY_MS),
+        guestCount: 1,
+        status: 'confirmed',
+        guestDetails,
+        pricing: { baseAmount: 200, taxes: 30, totalAmount: 230 },
+        payment: { status: 'paid', paidAmount: 230 }
+      }).save();
+    };
+
+    const checkIn = async (booking) => {
+      jest.spyOn(stripeUtils, 'createPaymentIntent')
+        .mockResolvedValue({ id: 'pi_security', client_secret: 'secret', status: 'requires_capture', description: 'Security deposit' });
+
+      return request(app)
+        .post(`/api/bookings/${booking._id}/checkin`)
+        .set('Authorization', `Bearer ${staffToken}`)
+        .send({ paymentMethodId: 'pm_card_visa' })
+        .expect(200);
+    };
+
+    test('should authorise the security deposit at check-in', async () => {
+      const booking = await createArrival();
+      const response = await checkIn(booking);
+
+      expect(stripeUtils.createPaymentIntent.mock.calls[0][0]).toMatchObject({
+        amount: 50,
+        captureMethod: 'manual',
+        paymentMethodId: 'pm_card_visa'
+      });
+
+      const deposit = await Payment.findOne({ booking: booking._id, type: 'security_deposit' });
+      expect(deposit).toMatchObject({ status: 'authorized', amount: 50 });
+      expect(response.body.data.booking.checkInProcess).toMatchObject({
+        depositCollected: true,
+        securityDeposit: deposit._id.toString()
+      });
+    });
+
+    test('should still check in when the card is refused, and take the deposit later', async () => {
+      const booking = await createArrival();
+      jest.spyOn(stripeUtils, 'createPaymentIntent').mockRejectedValueOnce(new Error('Your card was declined.'));
+
+      const response = await request(app)
+        .post(`/api/bookings/${booking._id}/checkin`)
+        .set('Authorization', `Bearer ${staffToken}`)
+        .expect(200);
+
+      expect(response.body.data.booking.status).toBe('checked_in');
+      expect(response.body.data.securityDeposit.error).toBe('Your card was declined.');
+      expect((await Booking.findById(booking._id)).checkInProcess.depositCollected).toBe(false);
+
+      stripeUtils.createPaymentIntent
+        .mockResolvedValueOnce({ id: 'pi_later', client_secret: 'secret_later', status: 'requires_payment_method' });
+
+      const retried = await request(app)
+        .post(`/api/bookings/${booking._id}/security-deposit`)
+        .set('Authorization', `Bearer ${staffToken}`)
+        .send({ amount: 80 })
+        .expect(200);
+
+      // Awaiting the card at the desk; the webhook marks it held
+      expect(retried.body.data.securityDeposit.clientSecret).toBe('secret_later');
+      expect(retried.body.data.booking.checkInProcess.depositCollected).toBe(false);
+    });
+
+    test('should release the hold at check-out when there are no damages', async () => {
+      const booking = await createArrival();
+      await checkIn(booking);
+
+      const cancelIntent = jest.spyOn(stripeUtils, 'cancelPaymentIntent').mockResolvedValue({ status: 'canceled' });
+
+      const response = await request(app)
+        .post(`/api/bookings/${booking._id}/checkout`)
+        .set('Authorization', `Bearer ${staffToken}`)
+        .expect(200);
+
+      expect(cancelIntent).toHaveBeenCalledWith('pi_security');
+      expect(response.body.data.securityDeposit).toMatchObject({ captured: 0, released: true });
+      expect(response.body.data.booking.checkOutProcess.depositReturned).toBe(true);
+      expect((await Payment.findOne({ type: 'security_deposit' })).status).toBe('cancelled');
+    });
+
+    test('should capture damages from the hold and charge the rest to the folio', async () => {
+      const booking = await createArrival();
+      await checkIn(booking);
+
+      const capture = jest.spyOn(stripeUtils, 'capturePaymentIntent').mockResolvedValue({ status: 'succeeded' });
+
+      await request(app)
+        .post(`/api/bookings/${booking._id}/checkout`)
+        .set('Authorization', `Bearer ${staffToken}`)
+        .send({ damageCharge: 30 })
+        .expect(400);
+
+      const response = await request(app)
+        .post(`/api/bookings/${booking._id}/checkout`)
+        .set('Authorization', `Bearer ${staffToken}`)
+        .send({ damagesNoted: 'Broken locker door', damageCharge: 70 })
+        .expect(200);
+
+      expect(capture).toHaveBeenCalledWith('pi_security', 50);
+      expect(response.body.data.securityDeposit).toMatchObject({ captured: 50, released: false });
+      expect(response.body.data.folio.totals).toMatchObject({ extras: 70, paid: 280, balance: 20 });
+      expect(response.body.data.booking.checkOutProcess.depositReturned).toBe(false);
+
+      const deposit = await Payment.findOne({ type: 'security_deposit' });
+      expect(deposit).toMatchObject({ status: 'succeeded', amount: 50 });
+      expect(deposit.authorization).toMatchObject({ amount: 50, capturedAmount: 50, reason: 'Broken locker door' });
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const request = require('supertest');
+const app = require('../api/index');
+const { User, Room, Booking, Payment, Dispute } = require('../api/models');
+const jwtUtils = require('../api/utils/jwt');
+const stripeUtils = require('../api/utils/stripe');
+const disputeService = require('../api/services/disputeService');
+const metricsController = require('../api/controllers/metricsController');
+
+describe('Disputes', () => {
+  let booking, payment, userToken, staffToken;
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const stripeDispute = (status, extra = {}) => ({
+    id: 'dp_booking',
+    payment_intent: 'pi_booking',
+    amount: 23000,
+    currency: 'usd',
+    reason: 'product_not_received',
+    status,
+    evidence_details: { due_by: Math.floor(new Date('2030-07-01').getTime() / 1000) },
+    balance_transactions: [{ fee: 1500 }],
+    ...extra
+  });
+
+  const revenue = () => {
+    return metricsController.getRevenueMetrics(new Date(Date.now() - DAY_MS), new Date(Date.now() + DAY_MS));
+  };
+
+  beforeEach(async () => {
+    const user = await new User({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      password: 'Password123!'
+    }).save();
+
+    const staff = await new User({
+      firstName: 'Staff',
+      lastName: 'User',
+      email: 'staff@example.com',
+      password: 'Password123!',
+      role: 'staff'
+    }).save();
+
+    userToken = jwtUtils.generateTokenPair(user).accessToken;
+    staffToken = jwtUtils.generateTokenPair(staff).accessToken;
+
+    const room = await new Room({ roomNumber: '101', type: 'private', capacity: 2, basePrice: 100 }).save();
+
+    booking = await new Booking({
+      user: user._id,
+      room: room._id,
+      checkInDate: new Date('2030-06-10'),
+      checkOutDate: new Date('2030-06-12'),
+      actualCheckIn: new Date('2030-06-10T15:04:00Z'),
+      actualCheckOut: new Date('2030-06-12T10:30:00Z'),
+      guestCount: 1,
+      status: 'checked_out',
+      guestDetails: {
+        primaryGuest: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' }
+      },
+      pricing: { baseAmount: 200, taxes: 30, totalAmount: 230 },
+      payment: { status: 'paid', paidAmount: 230 },
+      checkInProcess: {
+        registrationCard: { signedName: 'John Doe', signedAt: new Date('2030-06-10T15:02:00Z'), fileId: 'file_card' }
+      },
+      notes: [{ content: 'Late check-in around 3pm', type: 'guest_request', addedAt: new Date('2030-06-09T09:00:00Z') }]
+    }).save();
+
+    payment = await Payment.create({
+      booking: booking._id,
+      user: user._id,
+      amount: 230,
+      status: 'succeeded',
+      paymentMethod: { type: 'card' },
+      stripePaymentIntentId: 'pi_booking',
+      description: `Payment for booking ${booking.bookingReference}`
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should mark the payment disputed and take it out of revenue', async () => {
+    expect((await revenue()).totalRevenue).toBe(230);
+
+    const dispute = await disputeService.recordEvent(stripeDispute('needs_response'));
+
+    expect(dispute).toMatchObject({ amount: 230, currency: 'USD', fee: 15, paymentStatusBefore: 'succeeded' });
+    expect(dispute.evidenceDueBy).toEqual(new Date('2030-07-01'));
+    expect((await Payment.findById(payment._id)).status).toBe('disputed');
+
+    const notes = (await Booking.findById(booking._id)).notes;
+    expect(notes.at(-1).content).toBe('Chargeback opened for 230.00 USD (product_not_received); evidence due by 2030-07-01');
+
+    const metrics = await revenue();
+    expect(metrics.totalRevenue).toBe(0);
+    expect(metrics.disputes).toMatchObject({ open: { count: 1, amount: 230 }, fees: 15 });
+  });
+
+  test('should restore the payment when the dispute is won', async () => {
+    await disputeService.recordEvent(stripeDispute('needs_response'));
+    await disputeService.recordEvent(stripeDispute('under_review'));
+    await disputeService.recordEvent(stripeDispute('won', { balance_transactions: [{ fee: 1500 }, { fee: -1500 }] }));
+
+    expect((await Payment.findById(payment._id)).status).toBe('succeeded');
+
+    const metrics = await revenue();
+    expect(metrics.totalRevenue).toBe(230);
+    expect(metrics.disputes).toMatchObject({ open: { count: 0 }, won: { count: 1, amount: 230 }, fees: 0 });
+  });
+
+  test('should record a lost chargeback on the booking', async () => {
+    await disputeService.recordEvent(stripeDispute('needs_response'));
+    const lost = await disputeService.recordEvent(stripeDispute('lost'));
+
+    expect(lost.closedAt).toBeDefined();
+    expect((await Payment.findById(payment._id)).status).toBe('disputed');
+
+    const updated = await Booking.findById(booking._id);
+    expect(updated.payment.transactions.at(-1)).toMatchObject({
+      type: 'refund',
+      method: 'chargeback',
+      amount: 230,
+      reference: 'dp_booking'
+    });
+    expect(updated.notes.at(-1).content).toBe('Chargeback for 230.00 USD closed: lost');
+
+    // Redelivering the same status changes nothing
+    await disputeService.recordEvent(stripeDispute('lost'));
+    expect((await Booking.findById(booking._id)).payment.transactions).toHaveLength(1);
+  });
+
+  test('should assemble evidence from the booking and submit it to Stripe', async () => {
+    const dispute = await disputeService.recordEvent(stripeDispute('needs_response'));
+
+    const preview = await request(app)
+      .get(`/api/payments/disputes/${dispute._id}`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .expect(200);
+
+    expect(preview.body.data.dispute.needsResponse).toBe(true);
+
+    const submit = jest.spyOn(stripeUtils, 'updateDisputeEvidence')
+      .mockResolvedValue({ id: 'dp_booking', status: 'under_review' });
+
+    const response = await request(app)
+      .post(`/api/payments/disputes/${dispute._id}/evidence`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ notes: 'Guest used the room key until check-out.' })
+      .expect(200);
+
+    const [disputeId, evidence, submitted] = submit.mock.calls[0];
+    expect(disputeId).toBe('dp_booking');
+    expect(submitted).toBe(true);
+    expect(evidence).toMatchObject({
+      customer_name: 'John Doe',
+      customer_email_address: 'john.doe@example.com',
+      service_date: '2030-06-10',
+      product_description: '2 night stay in room 101 (private), 2030-06-10 to 2030-06-12, booking ' + booking.bookingReference,
+      customer_signature: 'file_card',
+      access_activity_log: [
+        'Checked in: 2030-06-10T15:04:00.000Z',
+        'Registration card signed by John Doe: 2030-06-10T15:02:00.000Z',
+        'Checked out: 2030-06-12T10:30:00.000Z'
+      ].join('\n')
+    });
+    expect(evidence.uncategorized_text).toContain('2030-06-09T09:00:00.000Z Guest request: Late check-in around 3pm');
+    expect(evidence.uncategorized_text).toContain('Guest used the room key until check-out.');
+    expect(preview.body.data.evidence).toEqual(expect.objectContaining({ customer_signature: 'file_card' }));
+
+    expect(response.body.data.dispute.status).toBe('under_review');
+    expect(response.body.data.dispute.evidenceSubmittedAt).toBeDefined();
+
+    // Once submitted the bank is reviewing it
+    const again = await request(app)
+      .post(`/api/payments/disputes/${dispute._id}/evidence`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({})
+      .expect(400);
+    expect(again.body.error).toBe('Dispute is no longer accepting evidence');
+  });
+
+  test('should only let staff see and answer disputes', async () => {
+    const dispute = await disputeService.recordEvent(stripeDispute('needs_response'));
+
+    await request(app)
+      .get('/api/payments/disputes')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(403);
+
+    await request(app)
+      .post(`/api/payments/disputes/${dispute._id}/evidence`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({})
+      .expect(403);
+
+    const list = await request(app)
+      .get('/api/payments/disputes')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .expect(200);
+    expect(list.body.data.disputes).toHaveLength(1);
+    expect(await Dispute.countDocuments()).toBe(1);
+  });
+});
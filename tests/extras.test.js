@@ -0,0 +1,127 @@
+const request = require('supertest');
+const app = require('../api/index');
+const { User, Room, Booking, Product } = require('../api/models');
+const jwtUtils = require('../api/utils/jwt');
+const emailService = require('../api/services/emailService');
+
+describe('Bookable Extras', () => {
+  let user, room, breakfast, pickup, userToken;
+
+  const bookingData = (overrides = {}) => ({
+    roomId: room._id,
+    checkInDate: '2030-06-03',
+    checkOutDate: '2030-06-05',
+    guestCount: 2,
+    guestDetails: {
+      primaryGuest: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' }
+    },
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    user = await new User({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      password: 'Password123!'
+    }).save();
+
+    userToken = jwtUtils.generateTokenPair(user).accessToken;
+
+    room = await new Room({ roomNumber: '101', type: 'private', capacity: 4, basePrice: 100 }).save();
+
+    breakfast = await Product.create({
+      code: 'BREAKFAST',
+      name: 'Breakfast',
+      category: 'food_beverage',
+      unitPrice: 8,
+      taxCategory: 'reduced',
+      bookable: true,
+      pricingUnit: 'per_person_per_night'
+    });
+
+    pickup = await Product.create({
+      code: 'PICKUP',
+      name: 'Airport pickup',
+      category: 'service',
+      unitPrice: 25,
+      bookable: true,
+      pricingUnit: 'per_person',
+      dailyCapacity: 3
+    });
+
+    // Front-desk only, never offered online
+    await Product.create({ code: 'PADLOCK', name: 'Padlock', category: 'retail', unitPrice: 5 });
+  });
+
+  test('should list extras and quote them in search', async () => {
+    const response = await request(app)
+      .get('/api/rooms/search')
+      .query({
+        checkInDate: '2030-06-03',
+        checkOutDate: '2030-06-05',
+        guestCount: 2,
+        extras: `${breakfast._id},${pickup._id}:1`
+      })
+      .expect(200);
+
+    expect(response.body.data.extras.map(extra => extra.product.code)).toEqual(['BREAKFAST', 'PICKUP']);
+    expect(response.body.data.extras[1].remaining).toBe(3);
+
+    const [quoted] = response.body.data.rooms;
+    expect(quoted.pricing.totalAmount).toBe(230);
+    expect(quoted.pricing.extras).toMatchObject({ amount: 82, taxes: 9.1, totalAmount: 91.1 });
+    expect(quoted.pricing.extras.lines[0]).toMatchObject({ units: 4, total: 33.6 });
+    expect(quoted.pricing.totalWithExtras).toBe(321.1);
+  });
+
+  test('should store extras on the booking and add them to the balance', async () => {
+    const response = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send(bookingData({ extras: [{ productId: breakfast._id }, { productId: pickup._id }] }))
+      .expect(201);
+
+    const { booking } = response.body.data;
+    expect(booking.folio.lines).toHaveLength(2);
+    expect(booking.folio.lines[0]).toMatchObject({
+      description: 'Breakfast',
+      quantity: 4,
+      pricingUnit: 'per_person_per_night',
+      source: 'booking'
+    });
+    expect(booking.pricing.totalAmount).toBe(230);
+    expect(booking.payment.remainingAmount).toBe(321.1);
+
+    const html = emailService.generateBookingConfirmationHtml(await Booking.findById(booking._id), user);
+    expect(html).toContain('Breakfast × 4');
+    expect(html).toContain('$321.10');
+  });
+
+  test('should refuse extras that are not sold online or are fully booked', async () => {
+    const padlock = await Product.findByCode('PADLOCK');
+
+    await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send(bookingData({ extras: [{ productId: padlock._id }] }))
+      .expect(400);
+
+    await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send(bookingData({ extras: [{ productId: pickup._id }] }))
+      .expect(201);
+
+    // Two seats taken, so a party of two no longer fits the shuttle
+    const otherRoom = await new Room({ roomNumber: '102', type: 'private', capacity: 4, basePrice: 100 }).save();
+    const response = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send(bookingData({ roomId: otherRoom._id, extras: [{ productId: pickup._id }] }))
+      .expect(400);
+
+    expect(response.body.error).toBe('Airport pickup is fully booked for these dates');
+    expect(await otherRoom.checkAvailability(new Date('2030-06-03'), new Date('2030-06-05'))).toBe(true);
+  });
+});
@@ -0,0 +1,204 @@
+const request = require('supertest');
+const app = require('../api/index');
+const { User, Room, Booking, Product } = require('../api/models');
+const jwtUtils = require('../api/utils/jwt');
+
+describe('Guest Folio', () => {
+  let user, room, product, userToken, staffToken, adminToken;
+
+  // Two nights at 100 plus 15% tax, paid in full
+  const createBooking = (overrides = {}) => {
+    return new Booking({
+      user: user._id,
+      room: room._id,
+      checkInDate: new Date('2030-06-03'),
+      checkOutDate: new Date('2030-06-05'),
+      guestCount: 1,
+      status: 'checked_in',
+      guestDetails: {
+        primaryGuest: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' }
+      },
+      pricing: { baseAmount: 200, taxes: 30, totalAmount: 230 },
+      payment: { status: 'paid', paidAmount: 230 },
+      ...overrides
+    }).save();
+  };
+
+  beforeEach(async () => {
+    user = await new User({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      password: 'Password123!'
+    }).save();
+
+    const staff = await new User({
+      firstName: 'Staff',
+      lastName: 'User',
+      email: 'staff@example.com',
+      password: 'Password123!',
+      role: 'staff'
+    }).save();
+
+    const admin = await new User({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@example.com',
+      password: 'Password123!',
+      role: 'admin'
+    }).save();
+
+    userToken = jwtUtils.generateTokenPair(user).accessToken;
+    staffToken = jwtUtils.generateTokenPair(staff).accessToken;
+    adminToken = jwtUtils.generateTokenPair(admin).accessToken;
+
+    room = await new Room({ roomNumber: '101', type: 'private', capacity: 2, basePrice: 100 }).save();
+    product = await Product.create({
+      code: 'BREAKFAST',
+      name: 'Breakfast',
+      category: 'food_beverage',
+      unitPrice: 10,
+      taxCategory: 'reduced'
+    });
+  });
+
+  test('should manage the product catalogue', async () => {
+    await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ code: 'TOWEL', name: 'Towel rental', category: 'rental', unitPrice: 3 })
+      .expect(403);
+
+    const created = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ code: 'towel', name: 'Towel rental', category: 'rental', unitPrice: 3 })
+      .expect(201);
+
+    expect(created.body.data.product).toMatchObject({ code: 'TOWEL', taxCategory: 'standard' });
+
+    await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ code: 'TOWEL', name: 'Another towel', category: 'rental', unitPrice: 4 })
+      .expect(400);
+
+    await request(app)
+      .delete(`/api/products/${created.body.data.product._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const response = await request(app)
+      .get('/api/products')
+      .expect(200);
+
+    expect(response.body.data.products.map(item => item.code)).toEqual(['BREAKFAST']);
+  });
+
+  test('should post add-ons to the folio and add them to the balance', async () => {
+    const booking = await createBooking();
+
+    await request(app)
+      .post(`/api/bookings/${booking._id}/folio/charges`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ productId: product._id, quantity: 2 })
+      .expect(403);
+
+    const response = await request(app)
+      .post(`/api/bookings/${booking._id}/folio/charges`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ productId: product._id, quantity: 2 })
+      .expect(201);
+
+    expect(response.body.data.line).toMatchObject({
+      description: 'Breakfast',
+      quantity: 2,
+      unitPrice: 10,
+      taxCategory: 'reduced',
+      amount: 20,
+      tax: 1,
+      total: 21
+    });
+
+    await request(app)
+      .post(`/api/bookings/${booking._id}/folio/charges`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ description: 'Airport transfer', unitPrice: 40 })
+      .expect(201);
+
+    const updated = await Booking.findById(booking._id);
+    expect(updated.payment).toMatchObject({ remainingAmount: 67, status: 'partial' });
+
+    const folio = await request(app)
+      .get(`/api/bookings/${booking._id}/folio`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(folio.body.data.folio.lines).toHaveLength(2);
+    expect(folio.body.data.folio.totals).toMatchObject({
+      room: 230,
+      extras: 67,
+      extrasTax: 7,
+      charges: 297,
+      paid: 230,
+      balance: 67
+    });
+  });
+
+  test('should void a charge with a reason code and keep it on the folio', async () => {
+    const booking = await createBooking();
+    const line = booking.postCharge({ product: product._id, description: 'Breakfast', unitPrice: 10, taxCategory: 'reduced' });
+    await booking.save();
+
+    await request(app)
+      .post(`/api/bookings/${booking._id}/folio/charges/${line._id}/void`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ note: 'Wrong guest' })
+      .expect(400);
+
+    const response = await request(app)
+      .post(`/api/bookings/${booking._id}/folio/charges/${line._id}/void`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ reasonCode: 'posting_error', note: 'Wrong guest' })
+      .expect(200);
+
+    expect(response.body.data.line.voided.reasonCode).toBe('posting_error');
+    expect(response.body.data.folio.lines).toHaveLength(1);
+    expect(response.body.data.folio.totals.balance).toBe(0);
+
+    await request(app)
+      .post(`/api/bookings/${booking._id}/folio/charges/${line._id}/void`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ reasonCode: 'duplicate' })
+      .expect(400);
+
+    const updated = await Booking.findById(booking._id);
+    expect(updated.payment).toMatchObject({ remainingAmount: 0, status: 'paid' });
+  });
+
+  test('should not let the guest change the folio through a booking update', async () => {
+    const booking = await createBooking({ status: 'confirmed' });
+    booking.postCharge({ product: product._id, description: 'Breakfast', unitPrice: 10, taxCategory: 'reduced' });
+    await booking.save();
+
+    await request(app)
+      .put(`/api/bookings/${booking._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ folio: { lines: [] }, specialRequests: [] })
+      .expect(200);
+
+    const updated = await Booking.findById(booking._id);
+    expect(updated.folio.lines).toHaveLength(1);
+    expect(updated.payment).toMatchObject({ remainingAmount: 10.5, status: 'partial' });
+  });
+
+  test('should refuse charges once the guest has checked out', async () => {
+    const booking = await createBooking({ status: 'checked_out' });
+
+    await request(app)
+      .post(`/api/bookings/${booking._id}/folio/charges`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ productId: product._id })
+      .expect(400);
+  });
+});
@@ -0,0 +1,199 @@
+const request = require('supertest');
+const app = require('../api/index');
+const { User, Room, Booking, InventoryLock, RoomBlock } = require('../api/models');
+const jwtUtils = require('../api/utils/jwt');
+const releaseRoomBlocks = require('../api/jobs/releaseRoomBlocks');
+
+describe('Group Bookings and Room Blocks', () => {
+  let leader, roomA, roomB, staffToken, leaderToken, otherToken;
+
+  const leaderDetails = () => ({
+    userId: leader._id,
+    firstName: 'Tour',
+    lastName: 'Leader',
+    email: 'leader@example.com'
+  });
+
+  const createBlock = () => {
+    return request(app)
+      .post('/api/room-blocks')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({
+        name: 'School trip',
+        checkInDate: '2030-06-03',
+        checkOutDate: '2030-06-05',
+        cutoffDate: '2030-05-20',
+        rooms: [{ roomId: roomA._id }, { roomId: roomB._id }]
+      })
+      .expect(201);
+  };
+
+  const createGroup = (overrides = {}) => {
+    return request(app)
+      .post('/api/groups')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({
+        name: 'School trip',
+        checkInDate: '2030-06-03',
+        checkOutDate: '2030-06-05',
+        leader: leaderDetails(),
+        members: [
+          {
+            roomId: roomA._id,
+            guestCount: 2,
+            guestDetails: {
+              primaryGuest: { firstName: 'Anna', lastName: 'Smith', email: 'anna@example.com' }
+            }
+          },
+          { roomId: roomB._id, guestCount: 2 }
+        ],
+        ...overrides
+      })
+      .expect(201);
+  };
+
+  beforeEach(async () => {
+    leader = await new User({
+      firstName: 'Tour',
+      lastName: 'Leader',
+      email: 'leader@example.com',
+      password: 'Password123!'
+    }).save();
+
+    const other = await new User({
+      firstName: 'Other',
+      lastName: 'Guest',
+      email: 'other@example.com',
+      password: 'Password123!'
+    }).save();
+
+    const staff = await new User({
+      firstName: 'Staff',
+      lastName: 'User',
+      email: 'staff@example.com',
+      password: 'Password123!',
+      role: 'staff'
+    }).save();
+
+    staffToken = jwtUtils.generateTokenPair(staff).accessToken;
+    leaderToken = jwtUtils.generateTokenPair(leader).accessToken;
+    otherToken = jwtUtils.generateTokenPair(other).accessToken;
+
+    roomA = await new Room({ roomNumber: '101', type: 'private', capacity: 2, basePrice: 100 }).save();
+    roomB = await new Room({ roomNumber: '102', type: 'private', capacity: 2, basePrice: 80 }).save();
+  });
+
+  test('should book every member room under one group reference', async () => {
+    const response = await createGroup();
+
+    const { group, members } = response.body.data;
+    expect(group.groupReference).toMatch(/^GRP/);
+    expect(members).toHaveLength(2);
+    expect(members.every(member => member.status === 'pending' && member.source === 'group')).toBe(true);
+    expect(members[0].guestDetails.primaryGuest.firstName).toBe('Anna');
+    expect(members[1].guestDetails.primaryGuest.firstName).toBe('Tour');
+    expect(members[0].user).toBe(leader._id.toString());
+
+    expect(await roomA.checkAvailability(new Date('2030-06-03'), new Date('2030-06-05'))).toBe(false);
+  });
+
+  test('should book no members if any room is unavailable', async () => {
+    await new Booking({
+      user: leader._id,
+      room: roomB._id,
+      checkInDate: new Date('2030-06-04'),
+      checkOutDate: new Date('2030-06-06'),
+      guestCount: 1,
+      status: 'confirmed',
+      guestDetails: {
+        primaryGuest: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' }
+      },
+      pricing: { totalAmount: 100 }
+    }).save();
+
+    await request(app)
+      .post('/api/groups')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({
+        name: 'School trip',
+        checkInDate: '2030-06-03',
+        checkOutDate: '2030-06-05',
+        leader: leaderDetails(),
+        members: [{ roomId: roomA._id }, { roomId: roomB._id }]
+      })
+      .expect(400);
+
+    expect(await Booking.countDocuments({ source: 'group' })).toBe(0);
+    expect(await InventoryLock.countDocuments({ room: roomA._id })).toBe(0);
+  });
+
+  test('should pick up a room block and hand cancelled nights back to it', async () => {
+    const blockResponse = await createBlock();
+    const { roomBlock } = blockResponse.body.data;
+
+    // Held rooms are off sale to everyone else
+    expect(await roomA.checkAvailability(new Date('2030-06-03'), new Date('2030-06-05'))).toBe(false);
+
+    const groupResponse = await createGroup({ roomBlockId: roomBlock._id });
+    const { group, members } = groupResponse.body.data;
+
+    expect(await InventoryLock.countDocuments({ booking: roomBlock._id })).toBe(0);
+    expect(await InventoryLock.countDocuments({ booking: members[0]._id })).toBe(2);
+
+    await request(app)
+      .delete(`/api/groups/${group._id}/members/${members[0]._id}`)
+      .set('Authorization', `Bearer ${leaderToken}`)
+      .send({ reason: 'Pupil ill' })
+      .expect(200);
+
+    expect(await InventoryLock.countDocuments({ booking: roomBlock._id, room: roomA._id })).toBe(2);
+
+    const block = await request(app)
+      .get(`/api/room-blocks/${roomBlock._id}`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .expect(200);
+
+    expect(block.body.data.pickup).toMatchObject({ totalNights: 4, heldNights: 2, bookings: 1 });
+  });
+
+  test('should release unpicked nights once the cutoff passes', async () => {
+    const blockResponse = await createBlock();
+    const { roomBlock } = blockResponse.body.data;
+
+    const result = await releaseRoomBlocks(new Date('2030-05-21'));
+    expect(result.released).toBe(1);
+
+    expect((await RoomBlock.findById(roomBlock._id)).status).toBe('released');
+    expect(await InventoryLock.countDocuments({ booking: roomBlock._id })).toBe(0);
+  });
+
+  test('should cancel the whole group and report a shared folio', async () => {
+    const response = await createGroup();
+    const { group } = response.body.data;
+
+    const folio = await request(app)
+      .get(`/api/groups/${group._id}/folio`)
+      .set('Authorization', `Bearer ${leaderToken}`)
+      .expect(200);
+
+    expect(folio.body.data.folio.billing).toBe('shared');
+    expect(folio.body.data.folio.lines).toHaveLength(2);
+    expect(folio.body.data.folio.totals.balance).toBe(folio.body.data.folio.totals.charges);
+
+    await request(app)
+      .get(`/api/groups/${group._id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(403);
+
+    const cancelled = await request(app)
+      .delete(`/api/groups/${group._id}`)
+      .set('Authorization', `Bearer ${leaderToken}`)
+      .send({ reason: 'Trip called off' })
+      .expect(200);
+
+    expect(cancelled.body.data.group.status).toBe('cancelled');
+    expect(cancelled.body.data.cancelled).toHaveLength(2);
+    expect(await Booking.countDocuments({ group: group._id, status: 'cancelled' })).toBe(2);
+    expect(await InventoryLock.countDocuments({})).toBe(0);
+  });
+});
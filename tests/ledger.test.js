@@ -0,0 +1,247 @@
+const request = require('supertest');
+const app = require('../api/index');
+const { User, Room, Booking, Payment, LedgerEntry } = require('../api/models');
+const jwtUtils = require('../api/utils/jwt');
+const stripeUtils = require('../api/utils/stripe');
+const paymentController = require('../api/controllers/paymentController');
+
+describe('Ledger', () => {
+  let user, booking, userToken, staffToken;
+
+  const balances = async () => {
+    const rows = await LedgerEntry.getBalances({ booking: booking._id });
+    return Object.fromEntries(rows.map(row => [row.account, row.balance]));
+  };
+
+  const bookingLedger = async () => {
+    const response = await request(app)
+      .get(`/api/bookings/${booking._id}/ledger`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .expect(200);
+    return response.body.data.ledger;
+  };
+
+  const pay = async (amount, paymentIntentId) => {
+    await Payment.create({
+      booking: booking._id,
+      user: user._id,
+      amount,
+      currency: 'USD',
+      status: 'pending',
+      paymentMethod: { type: 'card' },
+      stripePaymentIntentId: paymentIntentId,
+      description: `Payment for booking ${booking.bookingReference}`
+    });
+    await paymentController.processSuccessfulPayment(paymentIntentId);
+  };
+
+  beforeEach(async () => {
+    user = await new User({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      password: 'Password123!'
+    }).save();
+
+    const staff = await new User({
+      firstName: 'Staff',
+      lastName: 'User',
+      email: 'staff@example.com',
+      password: 'Password123!',
+      role: 'staff'
+    }).save();
+
+    userToken = jwtUtils.generateTokenPair(user).accessToken;
+    staffToken = jwtUtils.generateTokenPair(staff).accessToken;
+
+    const room = await new Room({ roomNumber: '101', type: 'private', capacity: 2, basePrice: 100 }).save();
+
+    booking = await new Booking({
+      user: user._id,
+      room: room._id,
+      checkInDate: new Date('2030-06-10'),
+      checkOutDate: new Date('2030-06-12'),
+      guestCount: 1,
+      status: 'pending',
+      guestDetails: {
+        primaryGuest: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' }
+      },
+      pricing: { baseAmount: 200, taxes: 30, totalAmount: 230, fees: { deposit: 46 } }
+    }).save();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should post room charges when the booking is saved, once', async () => {
+    expect(await balances()).toMatchObject({ guest_receivable: 230, deferred_revenue: 200, tax_payable: 30 });
+
+    booking.notes.push({ content: 'Quiet room please', type: 'guest_request' });
+    await booking.save();
+
+    expect(await LedgerEntry.countDocuments({ booking: booking._id })).toBe(1);
+  });
+
+  test('should not charge a booking while it is on hold', async () => {
+    const held = await new Booking({
+      user: user._id,
+      room: booking.room,
+      checkInDate: new Date('2030-07-10'),
+      checkOutDate: new Date('2030-07-12'),
+      guestCount: 1,
+      status: 'hold',
+      guestDetails: booking.guestDetails,
+      pricing: { baseAmount: 200, taxes: 30, totalAmount: 230 }
+    }).save();
+
+    expect(await LedgerEntry.countDocuments({ booking: held._id })).toBe(0);
+
+    held.status = 'pending';
+    await held.save();
+
+    const rows = await LedgerEntry.getBalances({ booking: held._id });
+    expect(rows.find(row => row.account === 'deferred_revenue').balance).toBe(200);
+  });
+
+  test('should post a change once when the booking is saved twice at once', async () => {
+    await Booking.updateOne({ _id: booking._id }, { $set: { 'pricing.baseAmount': 250, 'pricing.totalAmount': 280 } });
+    const changed = await Booking.findById(booking._id);
+
+    await Promise.all([LedgerEntry.syncBooking(changed), LedgerEntry.syncBooking(changed)]);
+
+    expect(await balances()).toMatchObject({ guest_receivable: 280, deferred_revenue: 250, tax_payable: 30 });
+    expect(await LedgerEntry.countDocuments({ booking: booking._id })).toBe(2);
+  });
+
+  test('should keep a saved booking saved when the ledger cannot be posted', async () => {
+    jest.spyOn(LedgerEntry, 'syncBooking').mockRejectedValue(new Error('Ledger unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    booking.notes.push({ content: 'Late arrival', type: 'guest_request' });
+    await expect(booking.save()).resolves.toBe(booking);
+
+    expect((await Booking.findById(booking._id)).notes).toHaveLength(1);
+  });
+
+  test('should hold payments before arrival and apply them at check-in', async () => {
+    await pay(46, 'pi_deposit');
+
+    const fee = stripeUtils.calculateFees(46).totalFees;
+    const accounts = await balances();
+    expect(accounts).toMatchObject({ deposits_held: 46, fees_expense: fee });
+    expect(accounts.stripe_clearing).toBeCloseTo(46 - fee);
+
+    let ledger = await bookingLedger();
+    expect(ledger).toMatchObject({ receivable: 230, depositsHeld: 46, balance: 184, remainingAmount: 184, reconciled: true });
+
+    // Webhook redelivery posts nothing new
+    const posted = await LedgerEntry.countDocuments();
+    await paymentController.processSuccessfulPayment('pi_deposit');
+    expect(await LedgerEntry.countDocuments()).toBe(posted);
+
+    booking = await Booking.findById(booking._id);
+    booking.status = 'checked_in';
+    await booking.save();
+
+    ledger = await bookingLedger();
+    expect(ledger).toMatchObject({ receivable: 184, depositsHeld: 0, balance: 184, reconciled: true });
+  });
+
+  test('should post folio charges and reverse them when voided', async () => {
+    await pay(230, 'pi_full');
+
+    const charged = await request(app)
+      .post(`/api/bookings/${booking._id}/folio/charges`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ description: 'Airport transfer', unitPrice: 40 })
+      .expect(201);
+
+    const line = charged.body.data.line;
+    expect(await balances()).toMatchObject({ extras_revenue: 40, tax_payable: 30 + line.tax });
+
+    let ledger = await bookingLedger();
+    expect(ledger).toMatchObject({ balance: line.total, remainingAmount: line.total, reconciled: true });
+
+    await request(app)
+      .post(`/api/bookings/${booking._id}/folio/charges/${line._id}/void`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ reasonCode: 'posting_error', note: 'Wrong guest' })
+      .expect(200);
+
+    expect(await balances()).toMatchObject({ extras_revenue: 0, tax_payable: 30 });
+
+    ledger = await bookingLedger();
+    expect(ledger).toMatchObject({ balance: 0, remainingAmount: 0, reconciled: true });
+  });
+
+  test('should reduce a cancelled booking to its fee and post the refund against it', async () => {
+    await pay(230, 'pi_full');
+
+    jest.spyOn(stripeUtils, 'createRefund').mockResolvedValue({ id: 're_cancel', status: 'succeeded' });
+
+    const response = await request(app)
+      .delete(`/api/bookings/${booking._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ reason: 'Change of plans' })
+      .expect(200);
+
+    expect(response.body.data.refundAmount).toBe(207);
+    expect(await balances()).toMatchObject({
+      room_revenue: 23,
+      deferred_revenue: 0,
+      tax_payable: 0,
+      deposits_held: 0,
+      guest_receivable: 0
+    });
+
+    const ledger = await bookingLedger();
+    expect(ledger).toMatchObject({ balance: 0, remainingAmount: 0, reconciled: true });
+  });
+
+  test('should write off refunds that leave the booking owing the same', async () => {
+    await pay(230, 'pi_full');
+    const payment = await Payment.findOne({ stripePaymentIntentId: 'pi_full' });
+
+    jest.spyOn(stripeUtils, 'createRefund').mockResolvedValue({ id: 're_goodwill', status: 'succeeded' });
+
+    await request(app)
+      .post(`/api/payments/${payment._id}/refund`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ amount: 30 })
+      .expect(200);
+
+    expect((await balances()).write_offs).toBe(30);
+    expect((await bookingLedger()).reconciled).toBe(true);
+  });
+
+  test('should keep the trial balance balanced and entries append-only', async () => {
+    await pay(46, 'pi_deposit');
+
+    const response = await request(app)
+      .get('/api/admin/ledger/trial-balance')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .expect(200);
+
+    const { trialBalance } = response.body.data;
+    expect(trialBalance.balanced).toBe(true);
+    expect(trialBalance.totals.debit).toBe(trialBalance.totals.credit);
+
+    await request(app)
+      .get('/api/admin/ledger/trial-balance')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(403);
+
+    await expect(LedgerEntry.updateOne({ booking: booking._id }, { description: 'Edited' }))
+      .rejects.toThrow('Ledger entries cannot be changed');
+    await expect(LedgerEntry.deleteMany({})).rejects.toThrow('Ledger entries cannot be changed');
+
+    await expect(LedgerEntry.create({
+      type: 'charge',
+      lines: [
+        { account: 'guest_receivable', debit: 10 },
+        { account: 'room_revenue', credit: 9 }
+      ]
+    })).rejects.toThrow('does not balance');
+  });
+});
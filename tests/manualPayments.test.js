@@ -0,0 +1,221 @@
+const request = require('supertest');
+const app = require('../api/index');
+const { User, Room, Booking, Payment, LedgerEntry } = require('../api/models');
+const jwtUtils = require('../api/utils/jwt');
+const ledgerService = require('../api/services/ledgerService');
+
+describe('Front Desk Payments', () => {
+  let user, staff, booking, userToken, staffToken;
+
+  const record = (body, token = staffToken) => {
+    return request(app)
+      .post('/api/payments/record')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ bookingId: booking._id, ...body });
+  };
+
+  const balances = async () => {
+    const rows = await LedgerEntry.getBalances({ booking: booking._id });
+    return Object.fromEntries(rows.map(row => [row.account, row.balance]));
+  };
+
+  beforeEach(async () => {
+    user = await new User({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      password: 'Password123!'
+    }).save();
+
+    staff = await new User({
+      firstName: 'Staff',
+      lastName: 'User',
+      email: 'staff@example.com',
+      password: 'Password123!',
+      role: 'staff'
+    }).save();
+
+    userToken = jwtUtils.generateTokenPair(user).accessToken;
+    staffToken = jwtUtils.generateTokenPair(staff).accessToken;
+
+    const room = await new Room({ roomNumber: '101', type: 'private', capacity: 2, basePrice: 100 }).save();
+
+    booking = await new Booking({
+      user: user._id,
+      room: room._id,
+      checkInDate: new Date('2030-06-10'),
+      checkOutDate: new Date('2030-06-12'),
+      guestCount: 1,
+      status: 'pending',
+      guestDetails: {
+        primaryGuest: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' }
+      },
+      pricing: { baseAmount: 200, taxes: 30, totalAmount: 230 }
+    }).save();
+  });
+
+  test('should record cash with the change given and credit the booking', async () => {
+    const response = await record({ amount: 100, method: 'cash', tendered: 120 }).expect(201);
+
+    const { payment } = response.body.data;
+    expect(payment).toMatchObject({
+      amount: 100,
+      status: 'succeeded',
+      paymentMethod: { type: 'cash' },
+      cash: { tendered: 120, change: 20 },
+      processedBy: staff._id.toString()
+    });
+    expect(payment.receiptNumber).toMatch(/^PVT\d{10}$/);
+
+    const updated = await Booking.findById(booking._id);
+    expect(updated.payment).toMatchObject({ paidAmount: 100, remainingAmount: 130, status: 'partial' });
+    expect(updated.payment.transactions[0]).toMatchObject({ method: 'cash', reference: payment.receiptNumber, status: 'completed' });
+
+    expect(await balances()).toMatchObject({ cash: 100, deposits_held: 100, fees_expense: 0 });
+  });
+
+  test('should confirm a booking paid in full by bank transfer', async () => {
+    const missing = await record({ amount: 230, method: 'bank_transfer' }).expect(400);
+    expect(missing.body.errors[0].message).toBe('Bank transfer reference is required');
+
+    const response = await record({ amount: 230, method: 'bank_transfer', reference: 'TRF-8812', bankName: 'First Bank' })
+      .expect(201);
+
+    expect(response.body.data.payment).toMatchObject({
+      externalTransactionId: 'TRF-8812',
+      paymentMethod: { type: 'bank_transfer', details: { bankName: 'First Bank' } }
+    });
+    expect(response.body.data.booking.status).toBe('confirmed');
+
+    expect((await balances()).bank).toBe(230);
+    expect((await ledgerService.getBookingBalance(await Booking.findById(booking._id))).reconciled).toBe(true);
+  });
+
+  test('should refuse short tenders, overpayments and guests', async () => {
+    const short = await record({ amount: 100, method: 'cash', tendered: 50 }).expect(400);
+    expect(short.body.error).toBe('Amount tendered is less than the payment');
+
+    const over = await record({ amount: 300, method: 'cash' }).expect(400);
+    expect(over.body.error).toBe('Amount exceeds remaining balance');
+
+    await record({ amount: 100, method: 'cash' }, userToken).expect(403);
+
+    expect(await Payment.countDocuments()).toBe(0);
+  });
+
+  test('should require the first payment on a held booking to cover the deposit', async () => {
+    await Booking.updateOne({ _id: booking._id }, { $set: { status: 'hold', 'pricing.fees.deposit': 46 } });
+
+    const short = await record({ amount: 20, method: 'cash' }).expect(400);
+    expect(short.body.error).toBe('Payment must cover the deposit of 46.00');
+    expect(await Payment.countDocuments()).toBe(0);
+
+    const response = await record({ amount: 46, method: 'cash' }).expect(201);
+    expect(response.body.data.booking.status).toBe('pending');
+  });
+
+  test('should not take payment once the booking can no longer be paid', async () => {
+    for (const status of ['cancelled', 'no_show', 'checked_out']) {
+      await Booking.updateOne({ _id: booking._id }, { $set: { status } });
+
+      const response = await record({ amount: 100, method: 'cash' }).expect(400);
+      expect(response.body.error).toBe('Booking can no longer be paid');
+    }
+
+    expect(await Payment.countDocuments()).toBe(0);
+  });
+
+  test('should void a mistaken payment and keep the audit trail', async () => {
+    const recorded = await record({ amount: 100, method: 'cash' }).expect(201);
+    const { payment } = recorded.body.data;
+
+    const response = await request(app)
+      .post(`/api/payments/${payment._id}/void`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ reasonCode: 'wrong_booking', note: 'Belongs to room 102' })
+      .expect(200);
+
+    expect(response.body.data.payment).toMatchObject({
+      status: 'cancelled',
+      voided: { by: staff._id.toString(), reasonCode: 'wrong_booking', note: 'Belongs to room 102' }
+    });
+
+    const updated = await Booking.findById(booking._id);
+    expect(updated.payment).toMatchObject({ paidAmount: 0, remainingAmount: 230, status: 'pending' });
+    expect(updated.payment.transactions[0].status).toBe('voided');
+    expect(updated.notes.at(-1).content)
+      .toBe(`Cash payment for booking ${booking.bookingReference} (receipt ${payment.receiptNumber}) voided: wrong_booking - Belongs to room 102`);
+
+    expect(await balances()).toMatchObject({ cash: 0, deposits_held: 0 });
+    expect((await ledgerService.getBookingBalance(updated)).reconciled).toBe(true);
+
+    const again = await request(app)
+      .post(`/api/payments/${payment._id}/void`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ reasonCode: 'duplicate' })
+      .expect(400);
+    expect(again.body.error).toBe('Payment is already voided');
+  });
+
+  test('should put a booking back to pending when the payment that confirmed it is voided', async () => {
+    const recorded = await record({ amount: 230, method: 'bank_transfer', reference: 'TRF-8812' }).expect(201);
+    expect(recorded.body.data.booking.status).toBe('confirmed');
+
+    const response = await request(app)
+      .post(`/api/payments/${recorded.body.data.payment._id}/void`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ reasonCode: 'duplicate' })
+      .expect(200);
+
+    expect(response.body.data.booking.status).toBe('pending');
+
+    const updated = await Booking.findById(booking._id);
+    expect(updated.payment).toMatchObject({ paidAmount: 0, remainingAmount: 230, status: 'pending' });
+    expect(updated.statusHistory.at(-1)).toMatchObject({
+      from: 'confirmed',
+      to: 'pending',
+      actor: 'system',
+      reason: `Payment ${recorded.body.data.payment.receiptNumber} voided`
+    });
+  });
+
+  test('should only void payments that succeeded', async () => {
+    const pending = await Payment.create({
+      booking: booking._id,
+      user: user._id,
+      amount: 100,
+      status: 'pending',
+      paymentMethod: { type: 'cash' },
+      description: `Cash payment for booking ${booking.bookingReference}`
+    });
+
+    const response = await request(app)
+      .post(`/api/payments/${pending._id}/void`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ reasonCode: 'posting_error' })
+      .expect(400);
+
+    expect(response.body.error).toBe('Only succeeded payments can be voided');
+    expect((await Payment.findById(pending._id)).voided?.at).toBeUndefined();
+  });
+
+  test('should not void card payments', async () => {
+    const card = await Payment.create({
+      booking: booking._id,
+      user: user._id,
+      amount: 46,
+      status: 'succeeded',
+      paymentMethod: { type: 'card' },
+      stripePaymentIntentId: 'pi_card',
+      description: `Payment for booking ${booking.bookingReference}`
+    });
+
+    const response = await request(app)
+      .post(`/api/payments/${card._id}/void`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ reasonCode: 'posting_error' })
+      .expect(400);
+
+    expect(response.body.error).toBe('Only cash and bank transfer payments can be voided');
+  });
+});
@@ -0,0 +1,216 @@
+const request = require('supertest');
+const app = require('../api/index');
+const { User, Room, Booking, Payment, NightAudit, LedgerEntry, InventoryLock } = require('../api/models');
+const jwtUtils = require('../api/utils/jwt');
+const stripeUtils = require('../api/utils/stripe');
+const nightAudit = require('../api/jobs/nightAudit');
+const ledgerService = require('../api/services/ledgerService');
+
+describe('Night Audit', () => {
+  let user, room, adminToken, staffToken;
+
+  const createBooking = (overrides = {}) => {
+    return new Booking({
+      user: user._id,
+      room: room._id,
+      checkInDate: new Date('2030-06-03'),
+      checkOutDate: new Date('2030-06-05'),
+      guestCount: 1,
+      status: 'confirmed',
+      guestDetails: {
+        primaryGuest: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' }
+      },
+      pricing: { totalAmount: 200 },
+      ...overrides
+    }).save();
+  };
+
+  beforeEach(async () => {
+    user = await new User({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      password: 'Password123!'
+    }).save();
+
+    const admin = await new User({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@example.com',
+      password: 'Password123!',
+      role: 'admin'
+    }).save();
+
+    const staff = await new User({
+      firstName: 'Staff',
+      lastName: 'User',
+      email: 'staff@example.com',
+      password: 'Password123!',
+      role: 'staff'
+    }).save();
+
+    adminToken = jwtUtils.generateTokenPair(admin).accessToken;
+    staffToken = jwtUtils.generateTokenPair(staff).accessToken;
+
+    room = await new Room({ roomNumber: '101', type: 'private', capacity: 2, basePrice: 100 }).save();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should mark unarrived guests as no-shows and charge the fee', async () => {
+    const booking = await createBooking();
+
+    const { audits, businessDate } = await nightAudit({ now: new Date('2030-06-04T03:00:00Z') });
+
+    expect(audits).toHaveLength(1);
+    expect(audits[0].noShows[0]).toMatchObject({ bookingReference: booking.bookingReference, fee: 200 });
+    expect(businessDate).toEqual(new Date('2030-06-04'));
+
+    const updated = await Booking.findById(booking._id);
+    expect(updated.status).toBe('no_show');
+    expect(updated.noShow.fee).toBe(200);
+    expect(updated.payment.remainingAmount).toBe(200);
+  });
+
+  test('should mark pending arrivals with a deposit as no-shows and free their rooms', async () => {
+    const booking = await createBooking({
+      status: 'pending',
+      payment: { status: 'partial', paidAmount: 50 }
+    });
+    await InventoryLock.acquire({
+      roomId: room._id,
+      units: 1,
+      checkIn: booking.checkInDate,
+      checkOut: booking.checkOutDate,
+      bookingId: booking._id
+    });
+
+    const { audits } = await nightAudit({ now: new Date('2030-06-04T03:00:00Z') });
+
+    expect(audits[0].noShows[0]).toMatchObject({ bookingReference: booking.bookingReference, fee: 200 });
+
+    const updated = await Booking.findById(booking._id);
+    expect(updated.status).toBe('no_show');
+    expect(updated.payment.remainingAmount).toBe(150);
+    expect(await InventoryLock.countDocuments({ booking: booking._id })).toBe(0);
+  });
+
+  test('should refund payments above the policy no-show fee', async () => {
+    const booking = await createBooking({
+      cancellationPolicy: {
+        name: 'Half no-show',
+        code: 'HALF',
+        type: 'custom',
+        tiers: [],
+        defaultFeePercentage: 0,
+        freeCancellationHours: 0,
+        noShowFeePercentage: 50
+      },
+      payment: { status: 'paid', paidAmount: 200 }
+    });
+    await Payment.create({
+      booking: booking._id,
+      user: user._id,
+      amount: 200,
+      currency: 'USD',
+      status: 'succeeded',
+      paymentMethod: { type: 'card' },
+      stripePaymentIntentId: 'pi_paid',
+      description: `Payment for booking ${booking.bookingReference}`
+    });
+
+    const createRefund = jest.spyOn(stripeUtils, 'createRefund')
+      .mockResolvedValue({ id: 're_no_show', status: 'succeeded' });
+
+    const { audits } = await nightAudit({ now: new Date('2030-06-04T03:00:00Z') });
+
+    expect(audits[0].noShows[0]).toMatchObject({ fee: 100, refundAmount: 100 });
+    expect(createRefund.mock.calls[0][0]).toMatchObject({ paymentIntentId: 'pi_paid', amount: 100 });
+    expect((await Booking.findById(booking._id)).cancellation.refundProcessed).toBe(true);
+  });
+
+  test('should post room revenue once per night', async () => {
+    const booking = await createBooking({
+      checkInDate: new Date('2030-06-02'),
+      checkOutDate: new Date('2030-06-05'),
+      status: 'checked_in',
+      pricing: {
+        totalAmount: 165,
+        taxes: 15,
+        nightlyRates: ['2030-06-02', '2030-06-03', '2030-06-04'].map(date => ({
+          date: new Date(date),
+          rate: 50,
+          units: 1,
+          amount: 50
+        }))
+      }
+    });
+    const balances = async () => {
+      const rows = await LedgerEntry.getBalances({ booking: booking._id });
+      return Object.fromEntries(rows.map(row => [row.account, row.balance]));
+    };
+
+    expect(await balances()).toMatchObject({ deferred_revenue: 150, room_revenue: 0, tax_payable: 15 });
+
+    await NightAudit.create({ businessDate: new Date('2030-06-02'), status: 'completed' });
+
+    const first = await nightAudit({ now: new Date('2030-06-05T03:00:00Z') });
+    expect(first.audits.map(audit => audit.roomRevenue)).toEqual([50, 50]);
+    expect(first.audits[0].inHouse).toBe(1);
+
+    const second = await nightAudit({ now: new Date('2030-06-05T03:00:00Z') });
+    expect(second.audits).toHaveLength(0);
+
+    const updated = await Booking.findById(booking._id);
+    expect(updated.pricing.nightlyRates.filter(night => night.postedAt)).toHaveLength(2);
+    expect(await balances()).toMatchObject({ deferred_revenue: 50, room_revenue: 100, tax_payable: 15 });
+    expect(await LedgerEntry.countDocuments({ booking: booking._id, type: 'revenue' })).toBe(2);
+
+    // A night already in the ledger is not posted again
+    const night = updated.pricing.nightlyRates.find(candidate => !candidate.postedAt);
+    await ledgerService.recordNightRevenue(updated, { date: night.date, amount: 50 });
+    await expect(ledgerService.recordNightRevenue(updated, { date: night.date, amount: 50 })).resolves.toBeNull();
+    expect(await balances()).toMatchObject({ deferred_revenue: 0, room_revenue: 150 });
+  });
+
+  test('should take over an audit left running past the stale threshold', async () => {
+    const businessDate = new Date('2030-06-03');
+    const running = await NightAudit.create({ businessDate, status: 'running', startedAt: new Date() });
+
+    const busy = await nightAudit({ now: new Date('2030-06-04T03:00:00Z') });
+    expect(busy.audits).toHaveLength(0);
+
+    running.startedAt = new Date(Date.now() - 60 * 60 * 1000);
+    await running.save();
+
+    const reclaimed = await nightAudit({ now: new Date('2030-06-04T03:00:00Z') });
+    expect(reclaimed.audits).toHaveLength(1);
+    expect(reclaimed.audits[0]._id).toEqual(running._id);
+    expect(reclaimed.audits[0].status).toBe('completed');
+    expect(await NightAudit.countDocuments({ businessDate })).toBe(1);
+  });
+
+  test('should run from the admin endpoint and list reports for staff', async () => {
+    await request(app)
+      .post('/api/admin/night-audit')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .expect(403);
+
+    const response = await request(app)
+      .post('/api/admin/night-audit')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.data.audits).toHaveLength(1);
+
+    const reports = await request(app)
+      .get('/api/admin/night-audits')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .expect(200);
+
+    expect(reports.body.data.audits).toHaveLength(1);
+    expect(reports.body.data.audits[0].runBy.firstName).toBe('Admin');
+  });
+});
@@ -0,0 +1,198 @@
+const request = require('supertest');
+const app = require('../api/index');
+const { User, Room, Booking, Payment } = require('../api/models');
+const jwtUtils = require('../api/utils/jwt');
+const stripeUtils = require('../api/utils/stripe');
+const emailService = require('../api/services/emailService');
+const paymentController = require('../api/controllers/paymentController');
+const expireHolds = require('../api/jobs/expireHolds');
+
+describe('Payment Links', () => {
+  let booking, userToken, staffToken;
+
+  const HOUR_MS = 60 * 60 * 1000;
+
+  const tokenFrom = (url) => url.split('/pay/')[1];
+
+  const createLink = (body = {}) => {
+    return request(app)
+      .post(`/api/bookings/${booking._id}/payment-links`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send(body);
+  };
+
+  beforeEach(async () => {
+    const user = await new User({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      password: 'Password123!'
+    }).save();
+
+    const staff = await new User({
+      firstName: 'Staff',
+      lastName: 'User',
+      email: 'staff@example.com',
+      password: 'Password123!',
+      role: 'staff'
+    }).save();
+
+    userToken = jwtUtils.generateTokenPair(user).accessToken;
+    staffToken = jwtUtils.generateTokenPair(staff).accessToken;
+
+    const room = await new Room({ roomNumber: '101', type: 'private', capacity: 2, basePrice: 100 }).save();
+
+    // Taken over the phone by the front desk
+    const created = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({
+        roomId: room._id,
+        checkInDate: '2030-06-03',
+        checkOutDate: '2030-06-05',
+        guestCount: 1,
+        source: 'phone',
+        guestDetails: {
+          primaryGuest: { firstName: 'Jane', lastName: 'Smith', email: 'jane.smith@example.com' }
+        }
+      })
+      .expect(201);
+
+    booking = await Booking.findById(created.body.data.booking._id);
+
+    jest.spyOn(emailService, 'sendPaymentLink').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should email the guest a link for the balance and keep the usual hold', async () => {
+    const response = await createLink().expect(201);
+
+    const { paymentLink, url } = response.body.data;
+    expect(paymentLink).toMatchObject({ amount: 230, status: 'sent', sentTo: 'jane.smith@example.com' });
+    expect(emailService.sendPaymentLink).toHaveBeenCalledWith(
+      expect.objectContaining({ bookingReference: booking.bookingReference }),
+      expect.objectContaining({ to: 'jane.smith@example.com', url, amount: 230 })
+    );
+
+    const held = await Booking.findById(booking._id);
+    expect(held.hold.expiresAt.getTime()).toBeLessThan(Date.now() + HOUR_MS);
+    expect((await expireHolds()).expired).toBe(0);
+  });
+
+  test('should hold the booking until the link expires when staff extend the hold', async () => {
+    await createLink({ extendHold: true }).expect(201);
+
+    const held = await Booking.findById(booking._id);
+    expect(held.hold.expiresAt.getTime()).toBeGreaterThan(Date.now() + 47 * HOUR_MS);
+    expect((await expireHolds(new Date(Date.now() + 2 * HOUR_MS))).expired).toBe(0);
+  });
+
+  test('should let the guest pay without logging in', async () => {
+    const { url } = (await createLink()).body.data;
+    const token = tokenFrom(url);
+
+    const opened = await request(app)
+      .get(`/api/payments/links/${token}`)
+      .expect(200);
+
+    expect(opened.body.data.payment).toMatchObject({
+      bookingReference: booking.bookingReference,
+      guestName: 'Jane',
+      amount: 230,
+      status: 'opened'
+    });
+    expect(opened.body.data.payment.user).toBeUndefined();
+
+    const createIntent = jest.spyOn(stripeUtils, 'createPaymentIntent')
+      .mockResolvedValue({ id: 'pi_link', client_secret: 'secret', status: 'requires_payment_method', description: 'Payment' });
+    jest.spyOn(stripeUtils, 'retrievePaymentIntent')
+      .mockResolvedValue({ id: 'pi_link', client_secret: 'secret', status: 'requires_payment_method' });
+
+    const intent = await request(app)
+      .post(`/api/payments/links/${token}/intent`)
+      .expect(200);
+
+    expect(intent.body.data.paymentIntent).toMatchObject({ clientSecret: 'secret', amount: 230 });
+
+    // Opening the page again does not start a second payment
+    await request(app)
+      .post(`/api/payments/links/${token}/intent`)
+      .expect(200);
+    expect(createIntent).toHaveBeenCalledTimes(1);
+
+    // A change to what is owed updates the same intent rather than starting another
+    const updateIntent = jest.spyOn(stripeUtils, 'updatePaymentIntent')
+      .mockResolvedValue({ id: 'pi_link', client_secret: 'secret', status: 'requires_payment_method' });
+    await Booking.updateOne({ _id: booking._id }, { 'paymentLinks.0.amount': 200 });
+
+    const changed = await request(app)
+      .post(`/api/payments/links/${token}/intent`)
+      .expect(200);
+    expect(changed.body.data.paymentIntent.amount).toBe(200);
+    expect(updateIntent).toHaveBeenCalledWith('pi_link', { amount: 200 });
+    expect(createIntent).toHaveBeenCalledTimes(1);
+    expect(await Payment.countDocuments({ booking: booking._id })).toBe(1);
+
+    await paymentController.processSuccessfulPayment('pi_link');
+
+    const paid = await Booking.findById(booking._id);
+    const payment = await Payment.findOne({ stripePaymentIntentId: 'pi_link' });
+    expect(paid.status).toBe('pending');
+    expect(paid.paymentLinks[0]).toMatchObject({ status: 'paid', payment: payment._id });
+
+    const reopened = await request(app)
+      .get(`/api/payments/links/${token}`)
+      .expect(400);
+    expect(reopened.body.error).toBe('Payment link has already been paid');
+  });
+
+  test('should refuse links that are forged, replaced or expired', async () => {
+    await request(app)
+      .get(`/api/payments/links/${userToken}`)
+      .expect(404);
+
+    const first = tokenFrom((await createLink()).body.data.url);
+    const second = tokenFrom((await createLink({ amount: 100, expiresInHours: 1 })).body.data.url);
+
+    await request(app)
+      .get(`/api/payments/links/${first}`)
+      .expect(410);
+
+    await Booking.updateOne({ _id: booking._id }, { 'paymentLinks.1.expiresAt': new Date(Date.now() - 1000) });
+
+    const expired = await request(app)
+      .get(`/api/payments/links/${second}`)
+      .expect(410);
+    expect(expired.body.error).toBe('Payment link has expired');
+
+    const links = (await Booking.findById(booking._id)).paymentLinks;
+    expect(links.map(link => link.status)).toEqual(['expired', 'expired']);
+  });
+
+  test('should only let staff create links for amounts the booking owes', async () => {
+    await request(app)
+      .post(`/api/bookings/${booking._id}/payment-links`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({})
+      .expect(403);
+
+    const tooMuch = await createLink({ amount: 500 }).expect(400);
+    expect(tooMuch.body.error).toBe('Amount exceeds remaining balance');
+
+    const belowDeposit = await createLink({ amount: 10 }).expect(400);
+    expect(belowDeposit.body.error).toBe('Payment must cover the deposit of 46.00');
+  });
+
+  test('should mark unopened links expired in the scheduled job', async () => {
+    await createLink({ expiresInHours: 1 }).expect(201);
+
+    const result = await expireHolds(new Date(Date.now() + 2 * HOUR_MS));
+
+    expect(result.expiredPaymentLinks).toBe(1);
+    expect(result.expired).toBe(1);
+    expect((await Booking.findById(booking._id)).paymentLinks[0].status).toBe('expired');
+  });
+});
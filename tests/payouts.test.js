@@ -0,0 +1,176 @@
+const request = require('supertest');
+const app = require('../api/index');
+const { User, Room, Booking, Payment, Payout, LedgerEntry } = require('../api/models');
+const jwtUtils = require('../api/utils/jwt');
+const stripeUtils = require('../api/utils/stripe');
+const ledgerService = require('../api/services/ledgerService');
+
+describe('Payout Reconciliation', () => {
+  let booking, payment, adminToken, staffToken;
+
+  const stripePayout = { id: 'po_1', amount: 24125, currency: 'usd', arrival_date: Math.floor(new Date('2030-06-15').getTime() / 1000) };
+
+  const transactions = (chargeAmount = 23000) => [
+    { id: 'txn_charge', type: 'charge', amount: chargeAmount, fee: 700, net: chargeAmount - 700, source: { id: 'ch_booking', payment_intent: 'pi_booking' } },
+    { id: 'txn_refund', type: 'refund', amount: -3000, fee: 0, net: -3000, source: { id: 're_goodwill' } },
+    { id: 'txn_other', type: 'charge', amount: 5000, fee: 175, net: 4825, source: { id: 'ch_other', payment_intent: 'pi_elsewhere' } },
+    { id: 'txn_payout', type: 'payout', amount: -24125, fee: 0, net: -24125, source: 'po_1' }
+  ];
+
+  const reconcile = () => {
+    return request(app)
+      .post('/api/admin/payouts/reconcile')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ since: '2030-06-01', until: '2030-07-01' })
+      .expect(200);
+  };
+
+  beforeEach(async () => {
+    const user = await new User({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      password: 'Password123!'
+    }).save();
+
+    const admin = await new User({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@example.com',
+      password: 'Password123!',
+      role: 'admin'
+    }).save();
+
+    const staff = await new User({
+      firstName: 'Staff',
+      lastName: 'User',
+      email: 'staff@example.com',
+      password: 'Password123!',
+      role: 'staff'
+    }).save();
+
+    adminToken = jwtUtils.generateTokenPair(admin).accessToken;
+    staffToken = jwtUtils.generateTokenPair(staff).accessToken;
+
+    const room = await new Room({ roomNumber: '101', type: 'private', capacity: 2, basePrice: 100 }).save();
+
+    booking = await new Booking({
+      user: user._id,
+      room: room._id,
+      checkInDate: new Date('2030-06-10'),
+      checkOutDate: new Date('2030-06-12'),
+      guestCount: 1,
+      status: 'checked_out',
+      guestDetails: {
+        primaryGuest: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' }
+      },
+      pricing: { baseAmount: 200, taxes: 30, totalAmount: 230 },
+      payment: { status: 'paid', paidAmount: 230 }
+    }).save();
+
+    payment = await Payment.create({
+      booking: booking._id,
+      user: user._id,
+      amount: 230,
+      status: 'partially_refunded',
+      paymentMethod: { type: 'card' },
+      stripePaymentIntentId: 'pi_booking',
+      description: `Payment for booking ${booking.bookingReference}`,
+      fees: { platform: stripeUtils.calculateFees(230).totalFees },
+      refunds: [{ amount: 30, stripeRefundId: 're_goodwill', status: 'succeeded' }]
+    });
+    await ledgerService.recordPayment(payment, booking);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should match payout lines, record the real fee and flag what does not match', async () => {
+    const listPayouts = jest.spyOn(stripeUtils, 'listPayouts').mockResolvedValue([stripePayout]);
+    jest.spyOn(stripeUtils, 'listBalanceTransactions').mockResolvedValue(transactions());
+
+    const response = await reconcile();
+
+    expect(listPayouts.mock.calls[0][0]).toEqual({ since: new Date('2030-06-01'), until: new Date('2030-07-01') });
+    expect(response.body.data).toMatchObject({ reconciled: ['po_1'], flagged: ['po_1'] });
+
+    const payout = await Payout.findOne({ stripePayoutId: 'po_1' });
+    expect(payout).toMatchObject({ amount: 241.25, currency: 'USD', difference: 0, discrepancies: 1 });
+    expect(payout.toObject().totals).toEqual({ amount: 250, fees: 8.75, net: 241.25 });
+    expect(payout.items.map(item => [item.balanceTransactionId, item.status])).toEqual([
+      ['txn_charge', 'matched'],
+      ['txn_refund', 'matched'],
+      ['txn_other', 'unmatched']
+    ]);
+    expect(payout.items[0].bookingReference).toBe(booking.bookingReference);
+    expect(payout.items[2].issue).toBe('No payment found for charge ch_other');
+
+    const updated = await Payment.findById(payment._id);
+    expect(updated.fees.platform).toBe(7);
+    expect(updated.fees.reconciledAt).toBeDefined();
+    expect(updated.stripeChargeId).toBe('ch_booking');
+
+    const fees = await LedgerEntry.getBalances({ payment: payment._id });
+    expect(fees.find(row => row.account === 'fees_expense').balance).toBe(7);
+    expect((await LedgerEntry.getBalances({ reference: 'po_1' })).find(row => row.account === 'bank').balance).toBe(241.25);
+  });
+
+  test('should rebuild the report without posting anything twice', async () => {
+    jest.spyOn(stripeUtils, 'listPayouts').mockResolvedValue([stripePayout]);
+    jest.spyOn(stripeUtils, 'listBalanceTransactions').mockResolvedValue(transactions());
+
+    await reconcile();
+    const posted = await LedgerEntry.countDocuments();
+
+    await reconcile();
+
+    expect(await Payout.countDocuments()).toBe(1);
+    expect(await LedgerEntry.countDocuments()).toBe(posted);
+  });
+
+  test('should flag a charge that settled for a different amount', async () => {
+    jest.spyOn(stripeUtils, 'listPayouts').mockResolvedValue([{ ...stripePayout, amount: 23125 }]);
+    jest.spyOn(stripeUtils, 'listBalanceTransactions').mockResolvedValue(transactions(22000));
+
+    await reconcile();
+
+    const payout = await Payout.findOne({ stripePayoutId: 'po_1' });
+    expect(payout.items[0]).toMatchObject({
+      status: 'mismatched',
+      issue: 'Stripe settled 220.00 but the payment is for 230.00'
+    });
+    expect(payout.discrepancies).toBe(2);
+  });
+
+  test('should export payout reports for accounting', async () => {
+    jest.spyOn(stripeUtils, 'listPayouts').mockResolvedValue([stripePayout]);
+    jest.spyOn(stripeUtils, 'listBalanceTransactions').mockResolvedValue(transactions());
+
+    await request(app)
+      .post('/api/admin/payouts/reconcile')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({})
+      .expect(403);
+
+    await reconcile();
+
+    const list = await request(app)
+      .get('/api/admin/payouts?flagged=true')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .expect(200);
+    expect(list.body.data.payouts).toHaveLength(1);
+    expect(list.body.data.payouts[0].isReconciled).toBe(false);
+
+    const csv = await request(app)
+      .get(`/api/admin/payouts/${list.body.data.payouts[0]._id}?format=csv`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .expect('Content-Type', /text\/csv/)
+      .expect(200);
+
+    const rows = csv.text.trim().split('\n');
+    expect(rows[0]).toBe('payout,arrival_date,balance_transaction,type,source,booking_reference,amount,fee,net,status,issue');
+    expect(rows[1]).toBe(`po_1,2030-06-15,txn_charge,charge,ch_booking,${booking.bookingReference},230.00,7.00,223.00,matched,`);
+    expect(rows[3]).toBe('po_1,2030-06-15,txn_other,charge,ch_other,,50.00,1.75,48.25,unmatched,No payment found for charge ch_other');
+  });
+});
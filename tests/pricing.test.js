@@ -0,0 +1,77 @@
+const { Room } = require('../api/models');
+const pricingService = require('../api/services/pricingService');
+
+const stay = {
+  checkIn: new Date('2030-06-01T00:00:00Z'),
+  checkOut: new Date('2030-06-04T00:00:00Z')
+};
+
+describe('Pricing Service', () => {
+  test('should price dorms per person', async () => {
+    const dorm = new Room({ roomNumber: 'D1', type: 'dorm', capacity: 6, basePrice: 25 });
+
+    const quote = await pricingService.quote(dorm, { ...stay, guestCount: 2 });
+
+    expect(quote.pricingModel).toBe('per_person');
+    expect(quote.nights).toBe(3);
+    expect(quote.nightlyRates).toHaveLength(3);
+    expect(quote.nightlyRates[0]).toMatchObject({ rate: 25, units: 2, amount: 50 });
+    expect(quote.baseAmount).toBe(150);
+  });
+
+  test('should price private rooms per room', async () => {
+    const room = new Room({ roomNumber: '101', type: 'private', capacity: 2, basePrice: 60 });
+
+    const quote = await pricingService.quote(room, { ...stay, guestCount: 2 });
+
+    expect(quote.pricingModel).toBe('per_room');
+    expect(quote.baseAmount).toBe(180);
+  });
+
+  test('should add fees and tax after discounts', async () => {
+    const room = new Room({
+      roomNumber: '102',
+      type: 'private',
+      capacity: 2,
+      basePrice: 100,
+      cleaningFee: 20
+    });
+
+    const quote = await pricingService.quote(room, {
+      ...stay,
+      discount: { type: 'percentage', value: 10, reason: 'Staff rate' }
+    });
+
+    expect(quote.fees.cleaning).toBe(20);
+    expect(quote.discounts).toMatchObject({ amount: 30, type: 'percentage', value: 10 });
+    expect(quote.subtotal).toBe(290);
+    expect(quote.taxes).toBe(43.5);
+    expect(quote.totalAmount).toBe(333.5);
+  });
+
+  test('should never discount more than the room charge', async () => {
+    const room = new Room({ roomNumber: '103', type: 'suite', capacity: 2, basePrice: 40 });
+
+    const quote = await pricingService.quote(room, {
+      ...stay,
+      discount: { type: 'fixed', value: 500 }
+    });
+
+    expect(quote.discounts.amount).toBe(120);
+    expect(quote.totalAmount).toBe(0);
+  });
+
+  test('should map a quote onto booking pricing', async () => {
+    const room = new Room({ roomNumber: '104', type: 'private', capacity: 2, basePrice: 50 });
+
+    const pricing = pricingService.toBookingPricing(await pricingService.quote(room, stay));
+
+    expect(pricing).toMatchObject({
+      pricingModel: 'per_room',
+      baseAmount: 150,
+      taxRate: 0.15,
+      taxes: 22.5,
+      totalAmount: 172.5
+    });
+  });
+});
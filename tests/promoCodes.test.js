@@ -0,0 +1,145 @@
+const request = require('supertest');
+const app = require('../api/index');
+const { User, Room, Booking, PromoCode, PromoRedemption } = require('../api/models');
+const jwtUtils = require('../api/utils/jwt');
+
+describe('Promo Codes', () => {
+  let user, room, userToken, adminToken;
+
+  const bookingRequest = (promoCode, overrides = {}) => {
+    return request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        roomId: room._id,
+        checkInDate: '2030-06-03',
+        checkOutDate: '2030-06-05',
+        guestCount: 1,
+        promoCode,
+        guestDetails: {
+          primaryGuest: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' }
+        },
+        ...overrides
+      });
+  };
+
+  beforeEach(async () => {
+    user = await new User({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      password: 'Password123!'
+    }).save();
+
+    const admin = await new User({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@example.com',
+      password: 'Password123!',
+      role: 'admin'
+    }).save();
+
+    userToken = jwtUtils.generateTokenPair(user).accessToken;
+    adminToken = jwtUtils.generateTokenPair(admin).accessToken;
+
+    room = await new Room({ roomNumber: '101', type: 'private', capacity: 2, basePrice: 100 }).save();
+  });
+
+  test('should create promo codes as admin', async () => {
+    const response = await request(app)
+      .post('/api/promo-codes')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ code: 'summer10', name: 'Summer sale', discountType: 'percentage', value: 10 })
+      .expect(201);
+
+    expect(response.body.data.promoCode.code).toBe('SUMMER10');
+  });
+
+  test('should validate a code against a quote', async () => {
+    await PromoCode.create({ code: 'SUMMER10', name: 'Summer sale', discountType: 'percentage', value: 10 });
+
+    const response = await request(app)
+      .post('/api/promo-codes/validate')
+      .send({ code: 'summer10', roomId: room._id, checkInDate: '2030-06-03', checkOutDate: '2030-06-05' })
+      .expect(200);
+
+    expect(response.body.data.valid).toBe(true);
+    expect(response.body.data.pricing.discounts.amount).toBe(20);
+    expect(response.body.data.pricing.totalAmount).toBe(207);
+  });
+
+  test('should explain why a code does not apply', async () => {
+    await PromoCode.create({
+      code: 'LONGSTAY',
+      name: 'Long stay',
+      discountType: 'fixed',
+      value: 50,
+      minNights: 7,
+      roomTypes: ['dorm']
+    });
+
+    const response = await request(app)
+      .post('/api/promo-codes/validate')
+      .send({ code: 'LONGSTAY', roomId: room._id, checkInDate: '2030-06-03', checkOutDate: '2030-06-05' })
+      .expect(200);
+
+    expect(response.body.data.valid).toBe(false);
+    expect(response.body.data.reasons.map(reason => reason.code)).toEqual(['min_nights', 'room_type']);
+    expect(response.body.data.pricing.discounts.amount).toBe(0);
+  });
+
+  test('should apply the discount and record the redemption', async () => {
+    await PromoCode.create({
+      code: 'SPRING',
+      name: 'Spring campaign',
+      campaign: 'spring-2030',
+      discountType: 'fixed',
+      value: 30
+    });
+
+    const response = await bookingRequest('spring').expect(201);
+    const { discounts, totalAmount } = response.body.data.booking.pricing;
+
+    expect(discounts).toMatchObject({ amount: 30, code: 'SPRING', campaign: 'spring-2030' });
+    expect(totalAmount).toBe(195.5);
+
+    const redemption = await PromoRedemption.findOne({ booking: response.body.data.booking._id });
+    expect(redemption.discountAmount).toBe(30);
+    expect((await PromoCode.findByCode('SPRING')).usageCount).toBe(1);
+  });
+
+  test('should enforce global and per-guest caps', async () => {
+    await PromoCode.create({
+      code: 'ONCE',
+      name: 'One per guest',
+      discountType: 'percentage',
+      value: 10,
+      maxUsesPerGuest: 1
+    });
+
+    await bookingRequest('ONCE').expect(201);
+
+    const response = await bookingRequest('ONCE', {
+      checkInDate: '2030-07-01',
+      checkOutDate: '2030-07-03'
+    }).expect(400);
+
+    expect(response.body.reasons[0].code).toBe('guest_limit');
+  });
+
+  test('should give the use back when the booking is cancelled', async () => {
+    await PromoCode.create({ code: 'LAST', name: 'Last one', discountType: 'fixed', value: 10, maxUses: 1 });
+
+    const created = await bookingRequest('LAST').expect(201);
+
+    await request(app)
+      .delete(`/api/bookings/${created.body.data.booking._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ reason: 'Change of plans' })
+      .expect(200);
+
+    expect((await PromoCode.findByCode('LAST')).usageCount).toBe(0);
+    expect((await PromoRedemption.findOne({ booking: created.body.data.booking._id })).status).toBe('voided');
+    expect(await Booking.countDocuments({ 'pricing.discounts.code': 'LAST' })).toBe(1);
+  });
+});
@@ -0,0 +1,150 @@
+const request = require('supertest');
+const app = require('../api/index');
+const { User, Room, RatePlan } = require('../api/models');
+const jwtUtils = require('../api/utils/jwt');
+
+describe('Rate Plans', () => {
+  let room, adminToken, userToken;
+
+  beforeEach(async () => {
+    const adminUser = await new User({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@example.com',
+      password: 'Password123!',
+      role: 'admin'
+    }).save();
+
+    const user = await new User({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      password: 'Password123!',
+      role: 'guest'
+    }).save();
+
+    room = await new Room({
+      roomNumber: '101',
+      type: 'private',
+      capacity: 2,
+      basePrice: 100
+    }).save();
+
+    adminToken = jwtUtils.generateTokenPair(adminUser).accessToken;
+    userToken = jwtUtils.generateTokenPair(user).accessToken;
+  });
+
+  describe('RatePlan model', () => {
+    const plan = () => new RatePlan({
+      name: 'Standard',
+      code: 'std',
+      adjustment: { type: 'percentage', value: -10 },
+      overrides: [
+        { name: 'Weekend', daysOfWeek: [5, 6], adjustment: { type: 'amount', value: 10 } },
+        {
+          name: 'Festival',
+          startDate: new Date('2030-06-01T00:00:00Z'),
+          endDate: new Date('2030-06-02T00:00:00Z'),
+          adjustment: { type: 'fixed_rate', value: 200 }
+        }
+      ]
+    });
+
+    test('should apply the plan adjustment to the base price', () => {
+      // Monday
+      expect(plan().getNightlyRate(room, new Date('2030-06-03T00:00:00Z'))).toBe(90);
+    });
+
+    test('should apply weekday overrides', () => {
+      // Friday
+      expect(plan().getNightlyRate(room, new Date('2030-05-31T00:00:00Z'))).toBe(100);
+    });
+
+    test('should prefer date-specific overrides over weekday rules', () => {
+      // Saturday during the festival
+      expect(plan().getNightlyRate(room, new Date('2030-06-01T00:00:00Z'))).toBe(200);
+    });
+
+    test('should only offer plans on their room types', () => {
+      const dormPlan = new RatePlan({ name: 'Weekly', code: 'weekly', roomTypes: ['dorm'] });
+
+      expect(dormPlan.appliesTo('dorm')).toBe(true);
+      expect(dormPlan.appliesTo('private')).toBe(false);
+      expect(plan().appliesTo('private')).toBe(true);
+    });
+  });
+
+  describe('POST /api/rooms/rate-plans', () => {
+    const ratePlanData = {
+      name: 'Non-refundable',
+      code: 'NONREF',
+      adjustment: { type: 'percentage', value: -15 }
+    };
+
+    test('should create a rate plan as admin', async () => {
+      const response = await request(app)
+        .post('/api/rooms/rate-plans')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(ratePlanData)
+        .expect(201);
+
+      expect(response.body.data.ratePlan.code).toBe('NONREF');
+    });
+
+    test('should reject guests', async () => {
+      await request(app)
+        .post('/api/rooms/rate-plans')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(ratePlanData)
+        .expect(403);
+    });
+  });
+
+  describe('Booking on a rate plan', () => {
+    let ratePlan;
+
+    beforeEach(async () => {
+      ratePlan = await new RatePlan({
+        name: 'Non-refundable',
+        code: 'NONREF',
+        adjustment: { type: 'percentage', value: -20 }
+      }).save();
+    });
+
+    test('should list each rate plan in search results', async () => {
+      const response = await request(app)
+        .get('/api/rooms/search')
+        .query({ checkInDate: '2030-06-03', checkOutDate: '2030-06-05' })
+        .expect(200);
+
+      const [result] = response.body.data.rooms;
+      expect(result.pricing.baseAmount).toBe(200);
+      expect(result.ratePlans).toHaveLength(1);
+      expect(result.ratePlans[0].ratePlan.code).toBe('NONREF');
+      expect(result.ratePlans[0].nightlyRates).toHaveLength(2);
+      expect(result.ratePlans[0].baseAmount).toBe(160);
+    });
+
+    test('should store the selected rate plan on the booking', async () => {
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          roomId: room._id,
+          checkInDate: '2030-06-03',
+          checkOutDate: '2030-06-05',
+          guestCount: 1,
+          ratePlanId: ratePlan._id,
+          guestDetails: {
+            primaryGuest: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' }
+          }
+        })
+        .expect(201);
+
+      const { pricing } = response.body.data.booking;
+      expect(pricing.ratePlan.code).toBe('NONREF');
+      expect(pricing.baseAmount).toBe(160);
+      expect(pricing.totalAmount).toBe(184);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const request = require('supertest');
+const app = require('../api/index');
+const { User, Room, Booking, Payment } = require('../api/models');
+const jwtUtils = require('../api/utils/jwt');
+const stripeUtils = require('../api/utils/stripe');
+const refundService = require('../api/services/refundService');
+
+describe('Cancellation Refunds', () => {
+  let user, booking, userToken, staffToken;
+
+  const createPayment = (amount, paymentIntentId, createdAt) => {
+    return Payment.create({
+      booking: booking._id,
+      user: user._id,
+      amount,
+      currency: 'USD',
+      status: 'succeeded',
+      paymentMethod: { type: 'card' },
+      stripePaymentIntentId: paymentIntentId,
+      description: `Payment for booking ${booking.bookingReference}`,
+      createdAt
+    });
+  };
+
+  const cancel = () => {
+    return request(app)
+      .delete(`/api/bookings/${booking._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ reason: 'Change of plans' })
+      .expect(200);
+  };
+
+  beforeEach(async () => {
+    user = await new User({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      password: 'Password123!'
+    }).save();
+
+    const staff = await new User({
+      firstName: 'Staff',
+      lastName: 'User',
+      email: 'staff@example.com',
+      password: 'Password123!',
+      role: 'staff'
+    }).save();
+
+    userToken = jwtUtils.generateTokenPair(user).accessToken;
+    staffToken = jwtUtils.generateTokenPair(staff).accessToken;
+
+    const room = await new Room({ roomNumber: '101', type: 'private', capacity: 2, basePrice: 100 }).save();
+
+    // Far enough out that the standard terms charge 10%
+    booking = await new Booking({
+      user: user._id,
+      room: room._id,
+      checkInDate: new Date('2030-06-03'),
+      checkOutDate: new Date('2030-06-05'),
+      guestCount: 1,
+      status: 'confirmed',
+      guestDetails: {
+        primaryGuest: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' }
+      },
+      pricing: { totalAmount: 200 },
+      payment: { status: 'paid', paidAmount: 200, remainingAmount: 0 }
+    }).save();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should refund across payments newest first', async () => {
+    const older = await createPayment(150, 'pi_older', new Date('2030-01-01'));
+    const newer = await createPayment(50, 'pi_newer', new Date('2030-01-02'));
+
+    const createRefund = jest.spyOn(stripeUtils, 'createRefund')
+      .mockImplementation(async ({ paymentIntentId }) => ({ id: `re_${paymentIntentId}`, status: 'succeeded' }));
+
+    const response = await cancel();
+
+    expect(response.body.data.refundAmount).toBe(180);
+    expect(response.body.data.refund).toMatchObject({ refunded: 180, outstanding: 0, refundProcessed: true });
+    expect(createRefund.mock.calls.map(([options]) => [options.paymentIntentId, options.amount]))
+      .toEqual([['pi_newer', 50], ['pi_older', 130]]);
+
+    const updated = await Booking.findById(booking._id);
+    expect(updated.cancellation.refundProcessed).toBe(true);
+    expect(updated.payment.transactions.map(transaction => transaction.reference))
+      .toEqual(['re_pi_newer', 're_pi_older']);
+
+    expect((await Payment.findById(newer._id)).status).toBe('refunded');
+    expect((await Payment.findById(older._id)).refundableAmount).toBe(20);
+  });
+
+  test('should leave the refund for retry when Stripe is down', async () => {
+    await createPayment(200, 'pi_full');
+
+    jest.spyOn(stripeUtils, 'createRefund').mockRejectedValueOnce(new Error('Refund creation failed: timeout'));
+
+    const response = await cancel();
+
+    expect(response.body.data.booking.status).toBe('cancelled');
+    expect(response.body.data.refund.refundProcessed).toBe(false);
+
+    let updated = await Booking.findById(booking._id);
+    expect(updated.cancellation).toMatchObject({ refundProcessed: false, refundAttempts: 1 });
+    expect(updated.cancellation.refundError).toMatch(/timeout/);
+
+    stripeUtils.createRefund.mockResolvedValueOnce({ id: 're_retry', status: 'succeeded' });
+
+    const summary = await refundService.retryFailedRefunds();
+    expect(summary.completed).toEqual([booking.bookingReference]);
+
+    updated = await Booking.findById(booking._id);
+    expect(updated.cancellation.refundProcessed).toBe(true);
+    expect(updated.cancellation.refundedAmount).toBe(180);
+    expect(updated.cancellation.refundError).toBeUndefined();
+  });
+
+  test('should let staff retry a refund', async () => {
+    await createPayment(200, 'pi_full');
+
+    jest.spyOn(stripeUtils, 'createRefund')
+      .mockRejectedValueOnce(new Error('Refund creation failed: timeout'))
+      .mockResolvedValueOnce({ id: 're_manual', status: 'pending' });
+
+    await cancel();
+
+    const response = await request(app)
+      .post(`/api/bookings/${booking._id}/refund`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .expect(200);
+
+    expect(response.body.data.refund.refunded).toBe(180);
+    expect(response.body.data.booking.payment.transactions[0].status).toBe('pending');
+  });
+});
@@ -0,0 +1,106 @@
+const request = require('supertest');
+const app = require('../api/index');
+const { User, Room, StayRestriction } = require('../api/models');
+const jwtUtils = require('../api/utils/jwt');
+
+describe('Stay Restrictions', () => {
+  let room, dorm, userToken;
+
+  const bookingRequest = (roomId, checkInDate, checkOutDate) => {
+    return request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        roomId,
+        checkInDate,
+        checkOutDate,
+        guestCount: 1,
+        guestDetails: {
+          primaryGuest: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' }
+        }
+      });
+  };
+
+  beforeEach(async () => {
+    const user = await new User({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      password: 'Password123!'
+    }).save();
+    userToken = jwtUtils.generateTokenPair(user).accessToken;
+
+    room = await new Room({ roomNumber: '101', type: 'private', capacity: 2, basePrice: 50 }).save();
+    dorm = await new Room({ roomNumber: 'D1', type: 'dorm', capacity: 4, basePrice: 25 }).save();
+
+    await StayRestriction.create([
+      {
+        name: "New Year's Eve",
+        startDate: new Date('2030-12-31T00:00:00Z'),
+        endDate: new Date('2030-12-31T00:00:00Z'),
+        minNights: 3
+      },
+      {
+        name: 'No Saturday arrivals',
+        daysOfWeek: [6],
+        closedToArrival: true
+      },
+      {
+        name: 'Dorm maximum stay',
+        roomTypes: ['dorm'],
+        maxNights: 14
+      }
+    ]);
+  });
+
+  test('should enforce a minimum stay over restricted nights', async () => {
+    const reasons = await StayRestriction.evaluate('private', '2030-12-30', '2031-01-01');
+
+    expect(reasons).toHaveLength(1);
+    expect(reasons[0].code).toBe('min_stay');
+    expect(await StayRestriction.evaluate('private', '2030-12-30', '2031-01-02')).toHaveLength(0);
+  });
+
+  test('should close weekdays to arrival', async () => {
+    // 2030-06-01 is a Saturday
+    const reasons = await StayRestriction.evaluate('private', '2030-06-01', '2030-06-03');
+
+    expect(reasons.map(reason => reason.code)).toEqual(['closed_to_arrival']);
+    expect(await StayRestriction.evaluate('private', '2030-06-02', '2030-06-04')).toHaveLength(0);
+  });
+
+  test('should only apply room-type restrictions to that type', async () => {
+    expect(await StayRestriction.evaluate('dorm', '2030-06-03', '2030-06-20')).toHaveLength(1);
+    expect(await StayRestriction.evaluate('private', '2030-06-03', '2030-06-20')).toHaveLength(0);
+  });
+
+  test('should explain refused dates in availability checks', async () => {
+    const response = await request(app)
+      .get(`/api/rooms/${room._id}/availability`)
+      .query({ checkInDate: '2030-06-01', checkOutDate: '2030-06-03' })
+      .expect(200);
+
+    expect(response.body.data.available).toBe(false);
+    expect(response.body.data.reasons[0].code).toBe('closed_to_arrival');
+  });
+
+  test('should list restricted rooms in search results', async () => {
+    const response = await request(app)
+      .get('/api/rooms/search')
+      .query({ checkInDate: '2030-06-03', checkOutDate: '2030-06-20' })
+      .expect(200);
+
+    expect(response.body.data.rooms.map(result => result.roomNumber)).toEqual(['101']);
+    expect(response.body.data.restrictedRooms).toHaveLength(1);
+    expect(response.body.data.restrictedRooms[0].roomNumber).toBe('D1');
+    expect(response.body.data.restrictedRooms[0].reasons[0].code).toBe('max_stay');
+  });
+
+  test('should refuse bookings that break restrictions', async () => {
+    const response = await bookingRequest(room._id, '2030-12-30', '2031-01-01').expect(400);
+    expect(response.body.reasons[0].code).toBe('min_stay');
+
+    await bookingRequest(room._id, '2030-12-30', '2031-01-02').expect(201);
+    await bookingRequest(dorm._id, '2030-06-03', '2030-06-20').expect(400);
+  });
+});
@@ -0,0 +1,213 @@
+const request = require('supertest');
+const app = require('../api/index');
+const { User, Room, Booking, InventoryLock, StayRestriction } = require('../api/models');
+const jwtUtils = require('../api/utils/jwt');
+
+describe('Room Moves and Split Stays', () => {
+  let user, roomA, roomB, userToken, staffToken;
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const daysFromNow = (days) => {
+    const date = new Date(Date.now() + days * DAY_MS);
+    date.setUTCHours(0, 0, 0, 0);
+    return date;
+  };
+
+  const guestDetails = {
+    primaryGuest: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' }
+  };
+
+  const bookRoom = (room, checkInDate, checkOutDate, overrides = {}) => {
+    return new Booking({
+      user: user._id,
+      room: room._id,
+      checkInDate,
+      checkOutDate,
+      guestCount: 1,
+      status: 'confirmed',
+      guestDetails,
+      pricing: { totalAmount: 100 },
+      ...overrides
+    }).save();
+  };
+
+  beforeEach(async () => {
+    user = await new User({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      password: 'Password123!'
+    }).save();
+
+    const staff = await new User({
+      firstName: 'Staff',
+      lastName: 'User',
+      email: 'staff@example.com',
+      password: 'Password123!',
+      role: 'staff'
+    }).save();
+
+    userToken = jwtUtils.generateTokenPair(user).accessToken;
+    staffToken = jwtUtils.generateTokenPair(staff).accessToken;
+
+    roomA = await new Room({ roomNumber: '101', type: 'private', capacity: 2, basePrice: 100 }).save();
+    roomB = await new Room({ roomNumber: '102', type: 'private', capacity: 2, basePrice: 80 }).save();
+  });
+
+  test('should book a stay split across two rooms', async () => {
+    const response = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        roomId: roomA._id,
+        checkInDate: '2030-06-03',
+        checkOutDate: '2030-06-06',
+        guestCount: 1,
+        guestDetails,
+        segments: [
+          { roomId: roomA._id, checkInDate: '2030-06-03', checkOutDate: '2030-06-04' },
+          { roomId: roomB._id, checkInDate: '2030-06-04', checkOutDate: '2030-06-06' }
+        ]
+      })
+      .expect(201);
+
+    const { booking } = response.body.data;
+    expect(booking.segments.map(segment => segment.room.roomNumber)).toEqual(['101', '102']);
+    expect(booking.pricing.baseAmount).toBe(260);
+
+    expect(await InventoryLock.countDocuments({ room: roomA._id })).toBe(1);
+    expect(await InventoryLock.countDocuments({ room: roomB._id })).toBe(2);
+  });
+
+  test('should apply each room type\'s stay restrictions to its own nights', async () => {
+    const suite = await new Room({ roomNumber: '201', type: 'suite', capacity: 2, basePrice: 200 }).save();
+    await StayRestriction.create({ name: 'Suite one night only', roomTypes: ['suite'], maxNights: 1 });
+
+    const response = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        roomId: roomA._id,
+        checkInDate: '2030-06-03',
+        checkOutDate: '2030-06-06',
+        guestCount: 1,
+        guestDetails,
+        segments: [
+          { roomId: roomA._id, checkInDate: '2030-06-03', checkOutDate: '2030-06-04' },
+          { roomId: suite._id, checkInDate: '2030-06-04', checkOutDate: '2030-06-06' }
+        ]
+      })
+      .expect(400);
+
+    expect(response.body.reasons).toHaveLength(1);
+    expect(response.body.reasons[0]).toMatchObject({ code: 'max_stay', restriction: { name: 'Suite one night only' } });
+    expect(await Booking.countDocuments()).toBe(0);
+  });
+
+  test('should reject segments that do not cover the stay', async () => {
+    await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        roomId: roomA._id,
+        checkInDate: '2030-06-03',
+        checkOutDate: '2030-06-06',
+        guestCount: 1,
+        guestDetails,
+        segments: [
+          { roomId: roomA._id, checkInDate: '2030-06-03', checkOutDate: '2030-06-04' },
+          { roomId: roomB._id, checkInDate: '2030-06-05', checkOutDate: '2030-06-06' }
+        ]
+      })
+      .expect(400);
+  });
+
+  test('should offer split stays when no single room is free', async () => {
+    await bookRoom(roomA, new Date('2030-06-05'), new Date('2030-06-07'));
+    await bookRoom(roomB, new Date('2030-06-03'), new Date('2030-06-04'));
+
+    const response = await request(app)
+      .get('/api/rooms/search')
+      .query({ checkInDate: '2030-06-03', checkOutDate: '2030-06-06' })
+      .expect(200);
+
+    const { rooms, splitStays } = response.body.data;
+    expect(rooms).toHaveLength(0);
+    expect(splitStays).toHaveLength(1);
+    expect(splitStays[0].segments.map(segment => segment.roomNumber)).toEqual(['101', '102']);
+    expect(splitStays[0].segments[1].checkInDate).toBe(new Date('2030-06-05').toISOString());
+    expect(splitStays[0].pricing.baseAmount).toBe(280);
+  });
+
+  test('should only offer split stays that meet stay restrictions', async () => {
+    const suite = await new Room({ roomNumber: '201', type: 'suite', capacity: 2, basePrice: 200 }).save();
+    await bookRoom(roomA, new Date('2030-06-05'), new Date('2030-06-07'));
+    await bookRoom(roomB, new Date('2030-06-03'), new Date('2030-06-06'));
+    await bookRoom(suite, new Date('2030-06-03'), new Date('2030-06-04'));
+    await StayRestriction.create({
+      name: 'No suite arrivals',
+      roomTypes: ['suite'],
+      startDate: new Date('2030-06-03'),
+      endDate: new Date('2030-06-03'),
+      closedToArrival: true
+    });
+
+    const search = () => request(app)
+      .get('/api/rooms/search')
+      .query({ checkInDate: '2030-06-03', checkOutDate: '2030-06-06' })
+      .expect(200);
+
+    // The guest arrives in room 101, so the suite's arrival rule does not apply
+    let { restrictedRooms, splitStays } = (await search()).body.data;
+    expect(restrictedRooms.map(room => room.roomNumber)).toEqual(['201']);
+    expect(splitStays.map(option => option.segments.map(segment => segment.roomNumber))).toEqual([['101', '201']]);
+
+    // Minimum stays count the whole stay, not each room's nights
+    await StayRestriction.create({ name: 'Suite four-night minimum', roomTypes: ['suite'], minNights: 4 });
+    ({ splitStays } = (await search()).body.data);
+    expect(splitStays).toHaveLength(0);
+  });
+
+  test('should move an in-house guest and update both rooms', async () => {
+    const booking = await bookRoom(roomA, daysFromNow(-1), daysFromNow(2), { status: 'checked_in' });
+    await roomA.updateOccupancy();
+
+    await request(app)
+      .post(`/api/bookings/${booking._id}/move`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ roomId: roomB._id })
+      .expect(403);
+
+    const response = await request(app)
+      .post(`/api/bookings/${booking._id}/move`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ roomId: roomB._id, reason: 'Broken heating' })
+      .expect(200);
+
+    const moved = response.body.data.booking;
+    expect(moved.segments).toHaveLength(2);
+    expect(moved.segments[0]).toMatchObject({ checkOutDate: daysFromNow(0).toISOString() });
+    expect(moved.segments[1].room.roomNumber).toBe('102');
+    expect(moved.pricing.totalAmount).toBe(100);
+    expect(moved.notes[0].content).toContain('Broken heating');
+
+    expect((await Room.findById(roomA._id)).currentOccupancy).toBe(0);
+    expect((await Room.findById(roomB._id)).currentOccupancy).toBe(1);
+
+    // The old room is free again for the rest of the stay
+    expect(await roomA.checkAvailability(daysFromNow(0), daysFromNow(2))).toBe(true);
+    expect(await roomB.checkAvailability(daysFromNow(1), daysFromNow(2))).toBe(false);
+  });
+
+  test('should refuse a move into an occupied room', async () => {
+    const booking = await bookRoom(roomA, new Date('2030-06-03'), new Date('2030-06-06'));
+    await bookRoom(roomB, new Date('2030-06-04'), new Date('2030-06-05'));
+
+    await request(app)
+      .post(`/api/bookings/${booking._id}/move`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ roomId: roomB._id, moveDate: '2030-06-04' })
+      .expect(400);
+  });
+});
@@ -0,0 +1,225 @@
+const request = require('supertest');
+const app = require('../api/index');
+const { User, Room, Booking, Payment, InventoryLock, StayRestriction } = require('../api/models');
+const jwtUtils = require('../api/utils/jwt');
+const stripeUtils = require('../api/utils/stripe');
+
+describe('Stay Extensions and Early Departures', () => {
+  let user, room, userToken, staffToken;
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const daysFromNow = (days) => {
+    const date = new Date(Date.now() + days * DAY_MS);
+    date.setUTCHours(0, 0, 0, 0);
+    return date;
+  };
+
+  const guestDetails = {
+    primaryGuest: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' }
+  };
+
+  // Three nights at 100 plus 15% tax, paid in full
+  const createStay = async (overrides = {}) => {
+    const booking = await new Booking({
+      user: user._id,
+      room: room._id,
+      checkInDate: daysFromNow(-1),
+      checkOutDate: daysFromNow(2),
+      guestCount: 1,
+      status: 'checked_in',
+      guestDetails,
+      pricing: {
+        pricingModel: 'per_room',
+        nightlyRates: [-1, 0, 1].map(days => ({ date: daysFromNow(days), rate: 100, units: 1, amount: 100 })),
+        baseAmount: 300,
+        taxRate: 0.15,
+        taxes: 45,
+        totalAmount: 345
+      },
+      payment: { status: 'paid', paidAmount: 345 },
+      ...overrides
+    }).save();
+
+    await booking.lockInventory();
+    return booking;
+  };
+
+  beforeEach(async () => {
+    user = await new User({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      password: 'Password123!'
+    }).save();
+
+    const staff = await new User({
+      firstName: 'Staff',
+      lastName: 'User',
+      email: 'staff@example.com',
+      password: 'Password123!',
+      role: 'staff'
+    }).save();
+
+    userToken = jwtUtils.generateTokenPair(user).accessToken;
+    staffToken = jwtUtils.generateTokenPair(staff).accessToken;
+
+    room = await new Room({ roomNumber: '101', type: 'private', capacity: 2, basePrice: 100 }).save();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should extend a stay and charge the extra nights', async () => {
+    const booking = await createStay();
+
+    await request(app)
+      .post(`/api/bookings/${booking._id}/extend`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ checkOutDate: daysFromNow(4).toISOString() })
+      .expect(403);
+
+    const response = await request(app)
+      .post(`/api/bookings/${booking._id}/extend`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ checkOutDate: daysFromNow(4).toISOString(), reason: 'Guest loves it here' })
+      .expect(200);
+
+    const extended = response.body.data.booking;
+    expect(extended.bookingReference).toBe(booking.bookingReference);
+    expect(extended.checkOutDate).toBe(daysFromNow(4).toISOString());
+    expect(extended.pricing.nightlyRates).toHaveLength(5);
+    expect(extended.pricing.totalAmount).toBe(575);
+    expect(extended.payment).toMatchObject({ paidAmount: 345, remainingAmount: 230, status: 'partial' });
+    expect(response.body.data).toMatchObject({ previousTotal: 345, difference: 230 });
+
+    expect(await InventoryLock.countDocuments({ booking: booking._id })).toBe(5);
+  });
+
+  test('should refuse an extension into nights booked by someone else', async () => {
+    const booking = await createStay();
+    await new Booking({
+      user: user._id,
+      room: room._id,
+      checkInDate: daysFromNow(3),
+      checkOutDate: daysFromNow(5),
+      guestCount: 1,
+      status: 'confirmed',
+      guestDetails,
+      pricing: { totalAmount: 200 }
+    }).save();
+
+    await request(app)
+      .post(`/api/bookings/${booking._id}/extend`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ checkOutDate: daysFromNow(4).toISOString() })
+      .expect(400);
+
+    const unchanged = await Booking.findById(booking._id);
+    expect(unchanged.checkOutDate).toEqual(daysFromNow(2));
+    expect(await InventoryLock.countDocuments({ booking: booking._id })).toBe(3);
+  });
+
+  test('should refuse an extension that breaks a maximum stay restriction', async () => {
+    const booking = await createStay();
+    await StayRestriction.create({ name: 'Short stays only', roomTypes: ['private'], maxNights: 4 });
+
+    const response = await request(app)
+      .post(`/api/bookings/${booking._id}/extend`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ checkOutDate: daysFromNow(4).toISOString() })
+      .expect(400);
+
+    expect(response.body.error).toBe('Stay restrictions not met for selected dates');
+    expect(response.body.reasons[0]).toMatchObject({ code: 'max_stay', restriction: { name: 'Short stays only' } });
+
+    const unchanged = await Booking.findById(booking._id);
+    expect(unchanged.checkOutDate).toEqual(daysFromNow(2));
+    expect(await InventoryLock.countDocuments({ booking: booking._id })).toBe(3);
+  });
+
+  test('should shorten a stay and refund the unused nights', async () => {
+    const booking = await createStay();
+    await Payment.create({
+      booking: booking._id,
+      user: user._id,
+      amount: 345,
+      currency: 'USD',
+      status: 'succeeded',
+      paymentMethod: { type: 'card' },
+      stripePaymentIntentId: 'pi_paid',
+      description: `Payment for booking ${booking.bookingReference}`
+    });
+
+    const createRefund = jest.spyOn(stripeUtils, 'createRefund')
+      .mockResolvedValue({ id: 're_early', status: 'succeeded' });
+
+    const response = await request(app)
+      .post(`/api/bookings/${booking._id}/shorten`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ reason: 'Family emergency' })
+      .expect(200);
+
+    const shortened = response.body.data.booking;
+    expect(shortened.checkOutDate).toBe(daysFromNow(0).toISOString());
+    expect(shortened.pricing.totalAmount).toBe(115);
+    expect(shortened.payment).toMatchObject({ paidAmount: 115, remainingAmount: 0, status: 'paid' });
+    expect(response.body.data.refund).toMatchObject({ refunded: 230, outstanding: 0 });
+    expect(createRefund.mock.calls[0][0]).toMatchObject({ paymentIntentId: 'pi_paid', amount: 230 });
+
+    expect(await InventoryLock.countDocuments({ booking: booking._id })).toBe(1);
+    expect(await room.checkAvailability(daysFromNow(0), daysFromNow(2))).toBe(true);
+  });
+
+  test('should stop charging nightly extras for the nights given up', async () => {
+    const booking = await createStay();
+    booking.postCharge({
+      description: 'Breakfast',
+      quantity: 3,
+      unitPrice: 10,
+      source: 'booking',
+      pricingUnit: 'per_person_per_night',
+      serviceDates: [-1, 0, 1].map(days => daysFromNow(days))
+    });
+    booking.postCharge({ description: 'Linen pack', quantity: 1, unitPrice: 5, pricingUnit: 'per_stay' });
+    await booking.save();
+
+    const response = await request(app)
+      .post(`/api/bookings/${booking._id}/shorten`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ checkOutDate: daysFromNow(1).toISOString() })
+      .expect(200);
+
+    expect(response.body.data.removedCharges).toHaveLength(1);
+
+    const { lines } = (await Booking.findById(booking._id)).folio;
+    expect(lines).toHaveLength(3);
+    expect(lines[0].voided.reasonCode).toBe('stay_shortened');
+    expect(lines[1].voided?.at).toBeUndefined();
+    expect(lines[2]).toMatchObject({ description: 'Breakfast', quantity: 2, amount: 20, source: 'booking' });
+    expect(lines[2].serviceDates).toEqual([daysFromNow(-1), daysFromNow(0)]);
+  });
+
+  test('should only change checked-in stays and keep nights already stayed', async () => {
+    const upcoming = await createStay({
+      status: 'confirmed',
+      checkInDate: daysFromNow(3),
+      checkOutDate: daysFromNow(5)
+    });
+
+    await request(app)
+      .post(`/api/bookings/${upcoming._id}/extend`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ checkOutDate: daysFromNow(6).toISOString() })
+      .expect(400);
+
+    const booking = await createStay({ room: (await new Room({ roomNumber: '102', type: 'private', capacity: 2, basePrice: 100 }).save())._id });
+
+    await request(app)
+      .post(`/api/bookings/${booking._id}/shorten`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ checkOutDate: daysFromNow(-1).toISOString() })
+      .expect(400);
+  });
+});
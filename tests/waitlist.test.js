@@ -0,0 +1,192 @@
+const request = require('supertest');
+const app = require('../api/index');
+const { User, Room, Booking, WaitlistEntry } = require('../api/models');
+const jwtUtils = require('../api/utils/jwt');
+const emailService = require('../api/services/emailService');
+const expireHolds = require('../api/jobs/expireHolds');
+const processWaitlist = require('../api/jobs/processWaitlist');
+
+describe('Waitlist', () => {
+  let user, waiter, nextWaiter, room, userToken, waiterToken, nextWaiterToken, staffToken;
+
+  const stay = {
+    checkInDate: '2030-06-03',
+    checkOutDate: '2030-06-05',
+    roomType: 'private',
+    guestCount: 2
+  };
+
+  const bookRoom = () => {
+    return new Booking({
+      user: user._id,
+      room: room._id,
+      checkInDate: new Date(stay.checkInDate),
+      checkOutDate: new Date(stay.checkOutDate),
+      guestCount: 2,
+      status: 'confirmed',
+      guestDetails: {
+        primaryGuest: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' }
+      },
+      pricing: { totalAmount: 200 }
+    }).save();
+  };
+
+  const joinWaitlist = (token) => {
+    return request(app)
+      .post('/api/waitlist')
+      .set('Authorization', `Bearer ${token}`)
+      .send(stay)
+      .expect(201);
+  };
+
+  const createUser = (firstName, email, role = 'guest') => {
+    return new User({ firstName, lastName: 'Guest', email, password: 'Password123!', role }).save();
+  };
+
+  beforeEach(async () => {
+    user = await createUser('John', 'john.doe@example.com');
+    waiter = await createUser('Wendy', 'wendy@example.com');
+    nextWaiter = await createUser('Nina', 'nina@example.com');
+    const staff = await createUser('Staff', 'staff@example.com', 'staff');
+
+    userToken = jwtUtils.generateTokenPair(user).accessToken;
+    waiterToken = jwtUtils.generateTokenPair(waiter).accessToken;
+    nextWaiterToken = jwtUtils.generateTokenPair(nextWaiter).accessToken;
+    staffToken = jwtUtils.generateTokenPair(staff).accessToken;
+
+    room = await new Room({ roomNumber: '101', type: 'private', capacity: 2, basePrice: 100 }).save();
+
+    jest.spyOn(emailService, 'sendWaitlistOffer').mockResolvedValue({ success: true });
+  });
+
+  test('should let guests join when a search is fully booked', async () => {
+    await bookRoom();
+
+    const search = await request(app)
+      .get('/api/rooms/search')
+      .query({ checkInDate: stay.checkInDate, checkOutDate: stay.checkOutDate, guestCount: 2 })
+      .expect(200);
+
+    expect(search.body.data.rooms).toHaveLength(0);
+    expect(search.body.data.canJoinWaitlist).toBe(true);
+
+    await joinWaitlist(waiterToken);
+    const second = await joinWaitlist(nextWaiterToken);
+    expect(second.body.data.position).toBe(2);
+
+    await request(app)
+      .post('/api/waitlist')
+      .set('Authorization', `Bearer ${waiterToken}`)
+      .send(stay)
+      .expect(400);
+  });
+
+  test('should offer a cancelled room to the first guest waiting', async () => {
+    const booking = await bookRoom();
+    await joinWaitlist(waiterToken);
+    await joinWaitlist(nextWaiterToken);
+
+    await request(app)
+      .delete(`/api/bookings/${booking._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ reason: 'Plans changed' })
+      .expect(200);
+
+    const entry = await WaitlistEntry.findOne({ user: waiter._id });
+    expect(entry.status).toBe('offered');
+
+    const offer = await Booking.findById(entry.offer.booking);
+    expect(offer.status).toBe('hold');
+    expect(offer.user.toString()).toBe(waiter._id.toString());
+    expect(offer.room.toString()).toBe(room._id.toString());
+    expect(offer.statusHistory[0]).toMatchObject({ actor: 'system', reason: 'Waitlist offer' });
+    expect(emailService.sendWaitlistOffer).toHaveBeenCalledTimes(1);
+
+    // Only one room freed up, so the next guest keeps waiting
+    expect((await WaitlistEntry.findOne({ user: nextWaiter._id })).status).toBe('waiting');
+
+    const mine = await request(app)
+      .get('/api/waitlist/mine')
+      .set('Authorization', `Bearer ${waiterToken}`)
+      .expect(200);
+
+    expect(mine.body.data.entries[0].offer.booking.bookingReference).toBe(offer.bookingReference);
+  });
+
+  test('should pass a lapsed offer on to the next guest', async () => {
+    const booking = await bookRoom();
+    await joinWaitlist(waiterToken);
+    await joinWaitlist(nextWaiterToken);
+
+    await request(app)
+      .delete(`/api/bookings/${booking._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const offered = await WaitlistEntry.findOne({ user: waiter._id });
+    await expireHolds(new Date(offered.offer.expiresAt.getTime() + 1000));
+
+    expect((await WaitlistEntry.findOne({ user: waiter._id })).status).toBe('expired');
+
+    const next = await WaitlistEntry.findOne({ user: nextWaiter._id });
+    expect(next.status).toBe('offered');
+    expect((await Booking.findById(next.offer.booking)).status).toBe('hold');
+  });
+
+  test('should cancel a held offer when the guest leaves the waitlist', async () => {
+    const booking = await bookRoom();
+    const joined = await joinWaitlist(waiterToken);
+
+    await request(app)
+      .delete(`/api/waitlist/${joined.body.data.entry._id}`)
+      .set('Authorization', `Bearer ${nextWaiterToken}`)
+      .expect(403);
+
+    await request(app)
+      .delete(`/api/bookings/${booking._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const offered = await WaitlistEntry.findById(joined.body.data.entry._id);
+
+    const response = await request(app)
+      .delete(`/api/waitlist/${offered._id}`)
+      .set('Authorization', `Bearer ${waiterToken}`)
+      .expect(200);
+
+    expect(response.body.data.entry.status).toBe('cancelled');
+    expect((await Booking.findById(offered.offer.booking)).status).toBe('cancelled');
+    expect(await room.checkAvailability(new Date(stay.checkInDate), new Date(stay.checkOutDate))).toBe(true);
+  });
+
+  test('should show staff the waitlist by night and offer space freed elsewhere', async () => {
+    await bookRoom();
+    await joinWaitlist(waiterToken);
+    await request(app)
+      .post('/api/waitlist')
+      .set('Authorization', `Bearer ${nextWaiterToken}`)
+      .send({ ...stay, checkInDate: '2030-06-04', checkOutDate: '2030-06-06', roomType: undefined })
+      .expect(201);
+
+    await request(app)
+      .get('/api/waitlist')
+      .set('Authorization', `Bearer ${waiterToken}`)
+      .expect(403);
+
+    const response = await request(app)
+      .get('/api/waitlist')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .query({ startDate: '2030-06-03', endDate: '2030-06-06' })
+      .expect(200);
+
+    expect(response.body.data.days.map(day => day.waiting)).toEqual([1, 2, 1]);
+    expect(response.body.data.days[1].guests).toBe(4);
+
+    // A new room opens up; the scheduled job offers it
+    await new Room({ roomNumber: '102', type: 'private', capacity: 2, basePrice: 90 }).save();
+    const result = await processWaitlist(new Date('2030-05-01'));
+
+    expect(result.offered).toBe(1);
+    expect((await WaitlistEntry.findOne({ user: waiter._id })).status).toBe('offered');
+  });
+});
@@ -0,0 +1,250 @@
+const request = require('supertest');
+const app = require('../api/index');
+const { User, Room, Booking, Payment, WebhookEvent } = require('../api/models');
+const stripeUtils = require('../api/utils/stripe');
+const emailService = require('../api/services/emailService');
+
+describe('Stripe Webhooks', () => {
+  let booking, payment;
+
+  const deliver = (event) => {
+    jest.spyOn(stripeUtils, 'constructWebhookEvent').mockReturnValue(event);
+
+    return request(app)
+      .post('/api/payments/webhook')
+      .set('stripe-signature', 't=1,v1=signature')
+      .set('Content-Type', 'application/json')
+      .send(JSON.stringify(event));
+  };
+
+  const succeeded = (id = 'evt_succeeded') => ({
+    id,
+    type: 'payment_intent.succeeded',
+    data: { object: { id: 'pi_booking', metadata: { source: 'pvt-booking-api' } } }
+  });
+
+  beforeEach(async () => {
+    const user = await new User({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      password: 'Password123!'
+    }).save();
+
+    const room = await new Room({ roomNumber: '101', type: 'private', capacity: 2, basePrice: 100 }).save();
+
+    booking = await new Booking({
+      user: user._id,
+      room: room._id,
+      checkInDate: new Date('2030-06-10'),
+      checkOutDate: new Date('2030-06-12'),
+      guestCount: 1,
+      status: 'pending',
+      guestDetails: {
+        primaryGuest: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' }
+      },
+      pricing: { baseAmount: 200, taxes: 30, totalAmount: 230 }
+    }).save();
+
+    payment = await Payment.create({
+      booking: booking._id,
+      user: user._id,
+      amount: 230,
+      status: 'pending',
+      paymentMethod: { type: 'card' },
+      stripePaymentIntentId: 'pi_booking',
+      description: `Payment for booking ${booking.bookingReference}`
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should apply a redelivered event only once', async () => {
+    const confirmation = jest.spyOn(emailService, 'sendPaymentConfirmation').mockResolvedValue({ success: true });
+
+    await deliver(succeeded()).expect(200);
+
+    const duplicate = await deliver(succeeded()).expect(200);
+    expect(duplicate.body.duplicate).toBe(true);
+
+    // A different event for the same intent does not pay twice either
+    await deliver(succeeded('evt_succeeded_again')).expect(200);
+
+    const paid = await Booking.findById(booking._id);
+    expect(paid.status).toBe('confirmed');
+    expect(paid.payment.paidAmount).toBe(230);
+    expect(paid.payment.transactions).toHaveLength(1);
+
+    const record = await WebhookEvent.findOne({ eventId: 'evt_succeeded' });
+    expect(record).toMatchObject({ status: 'processed', attempts: 1, objectId: 'pi_booking' });
+
+    expect(confirmation).toHaveBeenCalledTimes(1);
+    expect(confirmation.mock.calls[0][2].email).toBe('john.doe@example.com');
+  });
+
+  test('should keep the card a deposit saved for charging the balance', async () => {
+    jest.spyOn(emailService, 'sendPaymentConfirmation').mockResolvedValue({ success: true });
+
+    const event = succeeded();
+    Object.assign(event.data.object, { payment_method: 'pm_deposit', setup_future_usage: 'off_session' });
+    await deliver(event).expect(200);
+
+    const paid = await Booking.findById(booking._id);
+    expect(paid.payment.balanceCharge.paymentMethodId).toBe('pm_deposit');
+  });
+
+  test('should answer 500 on a failure so Stripe redelivers', async () => {
+    jest.spyOn(Booking.prototype, 'save').mockRejectedValueOnce(new Error('Database unavailable'));
+
+    const failed = await deliver(succeeded()).expect(500);
+    expect(failed.body.error).toBe('Database unavailable');
+    expect(await WebhookEvent.findOne({ eventId: 'evt_succeeded' }))
+      .toMatchObject({ status: 'failed', lastError: 'Database unavailable' });
+
+    await deliver(succeeded()).expect(200);
+
+    const paid = await Booking.findById(booking._id);
+    expect(paid.payment.paidAmount).toBe(230);
+    expect(await WebhookEvent.findOne({ eventId: 'evt_succeeded' }))
+      .toMatchObject({ status: 'processed', attempts: 2 });
+  });
+
+  test('should retry an intent of ours whose payment is not saved yet', async () => {
+    const early = {
+      id: 'evt_early',
+      type: 'payment_intent.succeeded',
+      data: { object: { id: 'pi_unknown', metadata: { source: 'pvt-booking-api' } } }
+    };
+
+    await deliver(early).expect(500);
+
+    // Intents created elsewhere on the account are not ours to settle
+    await deliver({ ...early, id: 'evt_other', data: { object: { id: 'pi_other', metadata: {} } } }).expect(200);
+  });
+
+  test('should record processing payments and dashboard refunds', async () => {
+    await deliver({
+      id: 'evt_processing',
+      type: 'payment_intent.processing',
+      data: { object: { id: 'pi_booking' } }
+    }).expect(200);
+    expect((await Payment.findById(payment._id)).status).toBe('processing');
+
+    await deliver(succeeded()).expect(200);
+
+    const refunded = {
+      id: 'evt_refunded',
+      type: 'charge.refunded',
+      data: {
+        object: {
+          id: 'ch_booking',
+          payment_intent: 'pi_booking',
+          refunds: { data: [{ id: 're_dashboard', amount: 5000, status: 'pending', reason: 'requested_by_customer' }] }
+        }
+      }
+    };
+    await deliver(refunded).expect(200);
+
+    let updated = await Payment.findById(payment._id);
+    expect(updated.status).toBe('partially_refunded');
+    expect(updated.refunds[0]).toMatchObject({ amount: 50, stripeRefundId: 're_dashboard', status: 'pending' });
+
+    const withRefund = await Booking.findById(booking._id);
+    expect(withRefund.payment.transactions.at(-1)).toMatchObject({ type: 'refund', amount: 50, reference: 're_dashboard' });
+
+    await deliver({
+      id: 'evt_refund_failed',
+      type: 'refund.updated',
+      data: { object: { id: 're_dashboard', status: 'failed' } }
+    }).expect(200);
+
+    updated = await Payment.findById(payment._id);
+    expect(updated.status).toBe('succeeded');
+    expect(updated.refunds[0].status).toBe('failed');
+    expect((await Booking.findById(booking._id)).payment.transactions.at(-1).status).toBe('failed');
+  });
+
+  test('should leave refunds made by the API to the code that made them', async () => {
+    await deliver(succeeded()).expect(200);
+
+    const refunded = (id) => ({
+      id,
+      type: 'charge.refunded',
+      data: {
+        object: {
+          id: 'ch_booking',
+          payment_intent: 'pi_booking',
+          refunds: { data: [{ id: 're_api', amount: 5000, status: 'succeeded', metadata: { source: 'pvt-booking-api' } }] }
+        }
+      }
+    });
+
+    // Arrives before the refund service has saved its refund
+    await deliver(refunded('evt_refunded_early')).expect(200);
+    expect((await Payment.findById(payment._id)).refunds).toHaveLength(0);
+
+    const saved = await Payment.findById(payment._id);
+    await saved.processRefund(50, 'Cancellation', null, { stripeRefundId: 're_api', status: 'succeeded' });
+    await saved.processRefund(50, 'Cancellation', null, { stripeRefundId: 're_api', status: 'succeeded' });
+
+    await deliver(refunded('evt_refunded_late')).expect(200);
+
+    const updated = await Payment.findById(payment._id);
+    expect(updated.refunds).toHaveLength(1);
+    expect(updated.status).toBe('partially_refunded');
+  });
+
+  test('should acknowledge refunds on a payment that cannot be refunded', async () => {
+    await deliver(succeeded()).expect(200);
+    await Payment.updateOne({ _id: payment._id }, { $set: { status: 'disputed' } });
+
+    await deliver({
+      id: 'evt_refunded_disputed',
+      type: 'charge.refunded',
+      data: {
+        object: {
+          id: 'ch_booking',
+          payment_intent: 'pi_booking',
+          refunds: { data: [{ id: 're_dashboard', amount: 5000, status: 'succeeded' }] }
+        }
+      }
+    }).expect(200);
+
+    expect(await WebhookEvent.findOne({ eventId: 'evt_refunded_disputed' })).toMatchObject({ status: 'processed' });
+    expect((await Payment.findById(payment._id)).refunds).toHaveLength(0);
+  });
+
+  test('should note chargebacks on the booking', async () => {
+    await deliver(succeeded()).expect(200);
+
+    await deliver({
+      id: 'evt_dispute',
+      type: 'charge.dispute.created',
+      data: { object: { id: 'dp_booking', payment_intent: 'pi_booking', amount: 23000, reason: 'fraudulent', status: 'needs_response' } }
+    }).expect(200);
+
+    const disputed = await Booking.findById(booking._id);
+    expect(disputed.notes.at(-1).content).toMatch(/^Chargeback opened for 230.00 USD \(fraudulent\)/);
+  });
+
+  test('should reject events without a valid signature', async () => {
+    await request(app)
+      .post('/api/payments/webhook')
+      .send({})
+      .expect(400);
+
+    jest.spyOn(stripeUtils, 'constructWebhookEvent').mockImplementation(() => {
+      throw new Error('Webhook signature verification failed');
+    });
+
+    await request(app)
+      .post('/api/payments/webhook')
+      .set('stripe-signature', 'forged')
+      .send({})
+      .expect(400);
+
+    expect(await WebhookEvent.countDocuments()).toBe(0);
+  });
+});